@@ -0,0 +1,269 @@
+/**
+ * BloomFilter — space-efficient probabilistic set membership.
+ *
+ * Design decisions:
+ *  - `has()` never returns a false negative; it returns a false positive with
+ *    roughly the configured probability once `expectedItems` are added.
+ *  - Sized from `{ expectedItems, falsePositiveRate }` with the textbook
+ *    formulas m = -n·ln p / (ln 2)² bits and k = (m / n)·ln 2 hashes, or set
+ *    directly with `{ bits, hashes }`.
+ *  - Items are hashed by content, not identity (strings, numbers, bigints,
+ *    booleans; `42` and `'42'` differ), with seeded murmur3, so a filter
+ *    serialized by one process answers the same in another.
+ *  - k bit positions come from two hashes via double hashing
+ *    (h1 + i·h2 mod m, Kirsch–Mitzenmacher): two hash computations per item
+ *    regardless of k.
+ *  - Bits live in a Uint8Array; `toJSON()` stores them as base64.
+ */
+
+import { mix32 } from './hash-map.js';
+import { expectType, registerType } from './codec.js';
+
+/** murmur3 (x86, 32-bit) over the UTF-16 code units of `str`. */
+function murmur3(str, seed) {
+  let h = seed;
+  for (let i = 0; i < str.length; i++) {
+    let k = Math.imul(str.charCodeAt(i), 0xcc9e2d51);
+    k = (k << 15) | (k >>> 17);
+    h ^= Math.imul(k, 0x1b873593);
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+  return mix32(h ^ str.length) >>> 0;
+}
+
+/**
+ * Two independent unsigned 32-bit content hashes of `item`, for double hashing.
+ * Shared with `CountMinSketch`.
+ * @param {string|number|bigint|boolean} item
+ * @param {string} method — Caller name for the error message.
+ * @returns {[number, number]} The second hash is always odd.
+ * @throws {TypeError} For objects, symbols, functions, null and undefined.
+ */
+export function hashPair(item, method) {
+  const type = typeof item;
+  if (type !== 'string' && type !== 'number' && type !== 'bigint' && type !== 'boolean') {
+    throw new TypeError(`${method}: item must be a string, number, bigint or boolean`);
+  }
+  const key = `${type}:${item}`;
+  const h1 = murmur3(key, 0x9747b28c);
+  return [h1, (murmur3(key, h1) | 1) >>> 0];
+}
+
+export class BloomFilter {
+  #bytes;
+  #bits;
+  #hashes;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {number} [opts.expectedItems=1000] — Items the filter is sized for.
+   * @param {number} [opts.falsePositiveRate=0.01] — Target rate at `expectedItems`.
+   * @param {number} [opts.bits] — Explicit size in bits (overrides the sizing options).
+   * @param {number} [opts.hashes] — Explicit number of hash functions.
+   */
+  constructor(opts = {}) {
+    const { expectedItems = 1000, falsePositiveRate = 0.01 } = opts;
+    if (!(expectedItems >= 1)) throw new RangeError('BloomFilter: expectedItems must be >= 1');
+    if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+      throw new RangeError('BloomFilter: falsePositiveRate must be between 0 and 1');
+    }
+
+    const {
+      bits = Math.ceil((-expectedItems * Math.log(falsePositiveRate)) / Math.LN2 ** 2),
+      hashes = Math.max(1, Math.round((bits / expectedItems) * Math.LN2)),
+    } = opts;
+    if (!Number.isInteger(bits) || bits < 1 || bits > 0xffffffff) {
+      throw new RangeError('BloomFilter: bits must be an integer between 1 and 2^32 - 1');
+    }
+    if (!Number.isInteger(hashes) || hashes < 1) throw new RangeError('BloomFilter: hashes must be a positive integer');
+
+    this.#bits = bits;
+    this.#hashes = hashes;
+    this.#bytes = new Uint8Array(Math.ceil(bits / 8));
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  /** Bit positions for `item`. */
+  *#positions(item, method) {
+    const [h1, h2] = hashPair(item, method);
+    for (let i = 0; i < this.#hashes; i++) yield ((h1 + Math.imul(i, h2)) >>> 0) % this.#bits;
+  }
+
+  /** Empty filter with the same geometry. */
+  #sibling() {
+    return new BloomFilter({ bits: this.#bits, hashes: this.#hashes });
+  }
+
+  #assertCompatible(other, method) {
+    if (!(other instanceof BloomFilter) || other.#bits !== this.#bits || other.#hashes !== this.#hashes) {
+      throw new RangeError(`BloomFilter.${method}: filters must have the same bits and hashes`);
+    }
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Add `item` to the set.
+   * @param {string|number|bigint|boolean} item
+   * @returns {BloomFilter} `this` for chaining.
+   * @throws {TypeError} For unsupported item types.
+   * @time O(k)
+   */
+  add(item) {
+    for (const bit of this.#positions(item, 'BloomFilter.add')) this.#bytes[bit >>> 3] |= 1 << (bit & 7);
+    return this;
+  }
+
+  /**
+   * Check whether `item` may have been added.
+   * @param {string|number|bigint|boolean} item
+   * @returns {boolean} `false` is certain; `true` may be a false positive.
+   * @throws {TypeError} For unsupported item types.
+   * @time O(k)
+   */
+  has(item) {
+    for (const bit of this.#positions(item, 'BloomFilter.has')) {
+      if ((this.#bytes[bit >>> 3] & (1 << (bit & 7))) === 0) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Size of the bit array.
+   * @returns {number}
+   * @time O(1)
+   */
+  bitSize() {
+    return this.#bits;
+  }
+
+  /**
+   * Number of hash functions (bits set per item).
+   * @returns {number}
+   * @time O(1)
+   */
+  hashCount() {
+    return this.#hashes;
+  }
+
+  /**
+   * Number of bits currently set.
+   * @returns {number}
+   * @time O(m)
+   */
+  setBits() {
+    let count = 0;
+    for (let byte of this.#bytes) {
+      for (; byte !== 0; byte &= byte - 1) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Estimated number of distinct items added (Swamidass & Baldi).
+   * @returns {number}
+   * @time O(m)
+   */
+  estimatedSize() {
+    const set = this.setBits();
+    if (set === this.#bits) return Infinity;
+    return Math.round((-this.#bits / this.#hashes) * Math.log(1 - set / this.#bits));
+  }
+
+  /**
+   * Probability that `has()` returns true for an item never added, given the
+   * bits set so far.
+   * @returns {number}
+   * @time O(m)
+   */
+  falsePositiveRate() {
+    return (this.setBits() / this.#bits) ** this.#hashes;
+  }
+
+  /**
+   * A new filter holding every item of `this` or `other` (bitwise OR).
+   * @param {BloomFilter} other
+   * @returns {BloomFilter}
+   * @throws {RangeError} If the filters differ in bits or hashes.
+   * @time O(m)
+   */
+  union(other) {
+    this.#assertCompatible(other, 'union');
+    const result = this.#sibling();
+    for (let i = 0; i < result.#bytes.length; i++) result.#bytes[i] = this.#bytes[i] | other.#bytes[i];
+    return result;
+  }
+
+  /**
+   * A new filter approximating the items of both `this` and `other` (bitwise
+   * AND). Still free of false negatives, but its false-positive rate can be
+   * higher than a filter built from the intersection directly.
+   * @param {BloomFilter} other
+   * @returns {BloomFilter}
+   * @throws {RangeError} If the filters differ in bits or hashes.
+   * @time O(m)
+   */
+  intersect(other) {
+    this.#assertCompatible(other, 'intersect');
+    const result = this.#sibling();
+    for (let i = 0; i < result.#bytes.length; i++) result.#bytes[i] = this.#bytes[i] & other.#bytes[i];
+    return result;
+  }
+
+  /**
+   * Check whether no item has been added.
+   * @returns {boolean}
+   * @time O(m)
+   */
+  isEmpty() {
+    return this.#bytes.every((byte) => byte === 0);
+  }
+
+  /**
+   * Remove all items.
+   * @returns {void}
+   * @time O(m)
+   */
+  clear() {
+    this.#bytes.fill(0);
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot: geometry plus the bit array as base64.
+   * @returns {{ $type: 'BloomFilter', bits: number, hashes: number, data: string }}
+   * @time O(m)
+   */
+  toJSON() {
+    return {
+      $type: 'BloomFilter',
+      bits: this.#bits,
+      hashes: this.#hashes,
+      data: Buffer.from(this.#bytes.buffer, this.#bytes.byteOffset, this.#bytes.length).toString('base64'),
+    };
+  }
+
+  /**
+   * Rebuild a BloomFilter from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {BloomFilter}
+   * @throws {TypeError} If `json` is not a serialized BloomFilter.
+   * @throws {RangeError} If the bit data does not match the declared size.
+   * @time O(m)
+   */
+  static fromJSON(json) {
+    const { bits, hashes, data } = expectType(json, 'BloomFilter');
+    const filter = new BloomFilter({ bits, hashes });
+    const bytes = Buffer.from(data, 'base64');
+    if (bytes.length !== filter.#bytes.length) {
+      throw new RangeError(`BloomFilter.fromJSON: expected ${filter.#bytes.length} bytes of data, got ${bytes.length}`);
+    }
+    filter.#bytes.set(bytes);
+    return filter;
+  }
+}
+
+registerType('BloomFilter', BloomFilter);
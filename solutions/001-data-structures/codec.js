@@ -0,0 +1,379 @@
+/**
+ * Codec — lossless JSON and binary serialization for the data structures.
+ *
+ * Design decisions:
+ *  - `encode(value)` turns any supported value into a JSON-safe tree (plain
+ *    objects, arrays, strings, finite numbers, booleans, null). The tree is
+ *    also structured-clone safe, so it can cross `postMessage` as-is.
+ *  - Values JSON cannot represent are tagged with a `$type` field:
+ *    `undefined`, NaN/±Infinity/-0, bigint, Date, native Map/Set, plain
+ *    objects that themselves own a `$type` key, and every registered
+ *    structure or subclass of one (via its `toJSON()`), which is how
+ *    nesting works.
+ *  - Each structure module registers itself with `registerType`, so decoding
+ *    needs no import of every class here (and no import cycles). Decoding a
+ *    type whose module was never loaded fails with a TypeError naming it.
+ *  - Binary form (`toBinary`/`fromBinary`): the same tree, written with
+ *    one-byte tags, varints, float64 and an interned string table so
+ *    repeated keys like `$type` cost one or two bytes after first use.
+ *  - Input must be acyclic.
+ */
+
+/** @type {Map<string, Function>} */
+const classByType = new Map();
+/** @type {Map<Function, string>} */
+const typeByClass = new Map();
+
+/**
+ * Make `cls` known to `encode`/`decode`. `cls` must implement `toJSON()`
+ * returning `{ $type: name, ... }` and a static `fromJSON(json)`.
+ * @param {string} name
+ * @param {Function} cls
+ * @returns {void}
+ */
+export function registerType(name, cls) {
+  classByType.set(name, cls);
+  typeByClass.set(cls, name);
+}
+
+/**
+ * Parse `json` if it is a string, then check it carries the expected `$type`.
+ * @param {object|string} json
+ * @param {string} name
+ * @returns {object}
+ * @throws {TypeError} On a missing or different `$type`.
+ */
+export function expectType(json, name) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (data === null || typeof data !== 'object' || data.$type !== name) {
+    throw new TypeError(`${name}.fromJSON: expected { $type: '${name}' }, got ${describe(data)}`);
+  }
+  return data;
+}
+
+function describe(data) {
+  if (data === null || typeof data !== 'object') return String(data);
+  return '$type' in data ? `{ $type: '${data.$type}' }` : 'an untagged object';
+}
+
+// ─── JSON tree ─────────────────────────────────────────────────────
+
+/**
+ * Convert `value` to a JSON-safe tree.
+ * @param {*} value
+ * @returns {*}
+ * @throws {TypeError} For symbols, functions and unregistered class instances.
+ */
+export function encode(value) {
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value;
+    case 'number':
+      if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+      return { $type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+    case 'bigint':
+      return { $type: 'bigint', value: value.toString() };
+    case 'undefined':
+      return { $type: 'undefined' };
+    case 'symbol':
+    case 'function':
+      throw new TypeError(`encode: cannot serialize a ${typeof value}`);
+  }
+
+  if (value === null) return null;
+  if (Array.isArray(value)) return value.map(encode);
+  if (isRegistered(value)) return value.toJSON();
+  if (value instanceof Date) return { $type: 'Date', value: encode(value.getTime()) };
+  if (value instanceof Map) {
+    return { $type: 'Map', entries: [...value].map(([k, v]) => [encode(k), encode(v)]) };
+  }
+  if (value instanceof Set) return { $type: 'Set', items: [...value].map(encode) };
+
+  const proto = Object.getPrototypeOf(value);
+  if (proto !== Object.prototype && proto !== null) {
+    throw new TypeError(`encode: cannot serialize an instance of ${value.constructor?.name ?? 'unknown class'}`);
+  }
+  const out = {};
+  for (const [key, item] of Object.entries(value)) setOwn(out, key, encode(item));
+  return Object.hasOwn(value, '$type') ? { $type: 'Object', value: out } : out;
+}
+
+/** Whether `value` is an instance of a registered class or of a subclass of one. */
+function isRegistered(value) {
+  for (let proto = Object.getPrototypeOf(value); proto !== null; proto = Object.getPrototypeOf(proto)) {
+    if (typeByClass.has(proto.constructor)) return true;
+  }
+  return false;
+}
+
+/**
+ * Inverse of `encode`.
+ * @param {*} json
+ * @returns {*}
+ * @throws {TypeError} For an unknown `$type`.
+ */
+export function decode(json) {
+  if (json === null || typeof json !== 'object') return json;
+  if (Array.isArray(json)) return json.map(decode);
+  if (!Object.hasOwn(json, '$type')) return decodeObject(json);
+
+  switch (json.$type) {
+    case 'undefined': return undefined;
+    case 'number': return Number(json.value);
+    case 'bigint': return BigInt(json.value);
+    case 'Date': return new Date(decode(json.value));
+    case 'Map': return new Map(json.entries.map(([k, v]) => [decode(k), decode(v)]));
+    case 'Set': return new Set(json.items.map(decode));
+    case 'Object': return decodeObject(json.value);
+  }
+
+  const cls = classByType.get(json.$type);
+  if (cls === undefined) {
+    throw new TypeError(`decode: unknown $type '${json.$type}' (is its module imported?)`);
+  }
+  return cls.fromJSON(json);
+}
+
+function decodeObject(json) {
+  const out = {};
+  for (const [key, item] of Object.entries(json)) setOwn(out, key, decode(item));
+  return out;
+}
+
+/**
+ * `obj[key] = value` as an own data property, even for `"__proto__"`
+ * (plain assignment would set the prototype instead and drop the key).
+ */
+function setOwn(obj, key, value) {
+  Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+// ─── Binary ────────────────────────────────────────────────────────
+
+const MAGIC = [0x44, 0x53]; // "DS"
+const VERSION = 1;
+
+const TAG_NULL = 0;
+const TAG_FALSE = 1;
+const TAG_TRUE = 2;
+const TAG_UINT = 3;
+const TAG_NEG_INT = 4;
+const TAG_FLOAT = 5;
+const TAG_STRING = 6;
+const TAG_STRING_REF = 7;
+const TAG_ARRAY = 8;
+const TAG_OBJECT = 9;
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/** Growable byte buffer. */
+class ByteWriter {
+  #bytes = new Uint8Array(256);
+  #view = new DataView(this.#bytes.buffer);
+  #length = 0;
+  #strings = new Map();
+
+  #reserve(n) {
+    if (this.#length + n <= this.#bytes.length) return;
+    let capacity = this.#bytes.length * 2;
+    while (capacity < this.#length + n) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.#bytes.subarray(0, this.#length));
+    this.#bytes = bytes;
+    this.#view = new DataView(bytes.buffer);
+  }
+
+  byte(b) {
+    this.#reserve(1);
+    this.#bytes[this.#length++] = b;
+  }
+
+  /** Unsigned LEB128; arithmetic (not bitwise) so it works up to 2^53. */
+  varint(n) {
+    while (n >= 0x80) {
+      this.byte((n % 0x80) | 0x80);
+      n = Math.floor(n / 0x80);
+    }
+    this.byte(n);
+  }
+
+  float(n) {
+    this.#reserve(8);
+    this.#view.setFloat64(this.#length, n);
+    this.#length += 8;
+  }
+
+  string(s) {
+    const ref = this.#strings.get(s);
+    if (ref !== undefined) {
+      this.byte(TAG_STRING_REF);
+      this.varint(ref);
+      return;
+    }
+    this.#strings.set(s, this.#strings.size);
+    const encoded = utf8Encoder.encode(s);
+    this.byte(TAG_STRING);
+    this.varint(encoded.length);
+    this.#reserve(encoded.length);
+    this.#bytes.set(encoded, this.#length);
+    this.#length += encoded.length;
+  }
+
+  tree(node) {
+    if (node === null) return this.byte(TAG_NULL);
+    switch (typeof node) {
+      case 'boolean':
+        return this.byte(node ? TAG_TRUE : TAG_FALSE);
+      case 'string':
+        return this.string(node);
+      case 'number':
+        if (Number.isSafeInteger(node)) {
+          this.byte(node >= 0 ? TAG_UINT : TAG_NEG_INT);
+          return this.varint(node >= 0 ? node : -node - 1);
+        }
+        this.byte(TAG_FLOAT);
+        return this.float(node);
+    }
+    if (Array.isArray(node)) {
+      this.byte(TAG_ARRAY);
+      this.varint(node.length);
+      for (const item of node) this.tree(item);
+      return;
+    }
+    const keys = Object.keys(node);
+    this.byte(TAG_OBJECT);
+    this.varint(keys.length);
+    for (const key of keys) {
+      this.string(key);
+      this.tree(node[key]);
+    }
+  }
+
+  result() {
+    return this.#bytes.slice(0, this.#length);
+  }
+}
+
+class ByteReader {
+  #bytes;
+  #view;
+  #offset = 0;
+  #strings = [];
+
+  constructor(bytes) {
+    this.#bytes = bytes;
+    this.#view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  byte() {
+    if (this.#offset >= this.#bytes.length) throw new RangeError('fromBinary: unexpected end of input');
+    return this.#bytes[this.#offset++];
+  }
+
+  varint() {
+    let n = 0;
+    let scale = 1;
+    for (;;) {
+      const b = this.byte();
+      n += (b & 0x7f) * scale;
+      if (b < 0x80) return n;
+      scale *= 0x80;
+    }
+  }
+
+  float() {
+    if (this.#offset + 8 > this.#bytes.length) throw new RangeError('fromBinary: unexpected end of input');
+    const n = this.#view.getFloat64(this.#offset);
+    this.#offset += 8;
+    return n;
+  }
+
+  stringBody() {
+    const length = this.varint();
+    if (this.#offset + length > this.#bytes.length) throw new RangeError('fromBinary: unexpected end of input');
+    const s = utf8Decoder.decode(this.#bytes.subarray(this.#offset, this.#offset + length));
+    this.#offset += length;
+    this.#strings.push(s);
+    return s;
+  }
+
+  stringRef() {
+    const index = this.varint();
+    if (index >= this.#strings.length) throw new RangeError(`fromBinary: bad string reference ${index}`);
+    return this.#strings[index];
+  }
+
+  tree() {
+    const tag = this.byte();
+    switch (tag) {
+      case TAG_NULL: return null;
+      case TAG_FALSE: return false;
+      case TAG_TRUE: return true;
+      case TAG_UINT: return this.varint();
+      case TAG_NEG_INT: return -this.varint() - 1;
+      case TAG_FLOAT: return this.float();
+      case TAG_STRING: return this.stringBody();
+      case TAG_STRING_REF: return this.stringRef();
+      case TAG_ARRAY: {
+        const length = this.varint();
+        const out = [];
+        for (let i = 0; i < length; i++) out.push(this.tree());
+        return out;
+      }
+      case TAG_OBJECT: {
+        const count = this.varint();
+        const out = {};
+        for (let i = 0; i < count; i++) {
+          const keyTag = this.byte();
+          if (keyTag !== TAG_STRING && keyTag !== TAG_STRING_REF) {
+            throw new RangeError(`fromBinary: object key has tag ${keyTag}`);
+          }
+          const key = keyTag === TAG_STRING ? this.stringBody() : this.stringRef();
+          setOwn(out, key, this.tree());
+        }
+        return out;
+      }
+      default:
+        throw new RangeError(`fromBinary: unknown tag ${tag}`);
+    }
+  }
+
+  done() {
+    return this.#offset === this.#bytes.length;
+  }
+}
+
+/**
+ * Serialize `value` (any `encode`-able value, typically a structure) to bytes.
+ * @param {*} value
+ * @returns {Uint8Array}
+ */
+export function toBinary(value) {
+  const writer = new ByteWriter();
+  for (const b of MAGIC) writer.byte(b);
+  writer.byte(VERSION);
+  writer.tree(encode(value));
+  return writer.result();
+}
+
+/**
+ * Inverse of `toBinary`.
+ * @param {Uint8Array|ArrayBuffer} bytes — A Node `Buffer` works too.
+ * @returns {*}
+ * @throws {RangeError} On a bad header, truncated or trailing input.
+ */
+export function fromBinary(bytes) {
+  const input = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+  if (!(input instanceof Uint8Array)) throw new TypeError('fromBinary: expected a Uint8Array');
+  const reader = new ByteReader(input);
+  if (reader.byte() !== MAGIC[0] || reader.byte() !== MAGIC[1]) {
+    throw new RangeError('fromBinary: not a data-structures payload');
+  }
+  const version = reader.byte();
+  if (version !== VERSION) throw new RangeError(`fromBinary: unsupported version ${version}`);
+  const tree = reader.tree();
+  if (!reader.done()) throw new RangeError('fromBinary: trailing bytes after payload');
+  return decode(tree);
+}
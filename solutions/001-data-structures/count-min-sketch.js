@@ -0,0 +1,254 @@
+/**
+ * CountMinSketch — approximate frequency counts in fixed memory.
+ *
+ * Design decisions:
+ *  - A depth × width table of counters; each row hashes an item to one
+ *    counter. `estimate()` is the minimum over the rows, so it never
+ *    under-counts and over-counts by at most ε·total with probability 1 - δ.
+ *  - Sized from `{ epsilon, delta }` (width = ⌈e/ε⌉, depth = ⌈ln(1/δ)⌉) or set
+ *    directly with `{ width, depth }`.
+ *  - Rows use the same content hashing as `BloomFilter` (double hashing over
+ *    seeded murmur3), so sketches from different processes can be merged.
+ *  - Counters are a Float64Array: exact up to 2^53 and fractional weights
+ *    work (e.g. bytes or durations instead of hit counts).
+ *  - The table cannot list its items, so heavy hitters are tracked on the
+ *    side: the `topK` items with the highest estimates seen so far (a
+ *    candidate set of at most `topK` entries, refreshed on every `add`).
+ */
+
+import { HashMap } from './hash-map.js';
+import { hashPair } from './bloom-filter.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+export class CountMinSketch {
+  #width;
+  #depth;
+  #table;
+  #total;
+  #topK;
+  /** @type {HashMap} item → latest estimate, for the heavy-hitter candidates. */
+  #candidates;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {number} [opts.epsilon=0.001] — Error bound as a fraction of the total count.
+   * @param {number} [opts.delta=0.01] — Probability of exceeding that bound.
+   * @param {number} [opts.width] — Explicit counters per row (overrides `epsilon`).
+   * @param {number} [opts.depth] — Explicit number of rows (overrides `delta`).
+   * @param {number} [opts.topK=10] — Heavy-hitter candidates to track (0 = none).
+   */
+  constructor(opts = {}) {
+    const { epsilon = 0.001, delta = 0.01, topK = 10 } = opts;
+    if (!(epsilon > 0 && epsilon < 1)) throw new RangeError('CountMinSketch: epsilon must be between 0 and 1');
+    if (!(delta > 0 && delta < 1)) throw new RangeError('CountMinSketch: delta must be between 0 and 1');
+
+    const { width = Math.ceil(Math.E / epsilon), depth = Math.ceil(Math.log(1 / delta)) } = opts;
+    if (!Number.isInteger(width) || width < 1) throw new RangeError('CountMinSketch: width must be a positive integer');
+    if (!Number.isInteger(depth) || depth < 1) throw new RangeError('CountMinSketch: depth must be a positive integer');
+    if (!Number.isInteger(topK) || topK < 0) throw new RangeError('CountMinSketch: topK must be a non-negative integer');
+
+    this.#width = width;
+    this.#depth = depth;
+    this.#table = new Float64Array(width * depth);
+    this.#total = 0;
+    this.#topK = topK;
+    this.#candidates = new HashMap();
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  /** Table offsets of `item`'s counter in each row. */
+  #cells(item, method) {
+    const [h1, h2] = hashPair(item, method);
+    const cells = new Array(this.#depth);
+    for (let row = 0; row < this.#depth; row++) {
+      cells[row] = row * this.#width + (((h1 + Math.imul(row, h2)) >>> 0) % this.#width);
+    }
+    return cells;
+  }
+
+  #min(cells) {
+    let min = Infinity;
+    for (const cell of cells) if (this.#table[cell] < min) min = this.#table[cell];
+    return min;
+  }
+
+  /** Offer `item` with its current estimate to the heavy-hitter candidates. */
+  #track(item, estimate) {
+    if (this.#topK === 0) return;
+    if (this.#candidates.has(item) || this.#candidates.size() < this.#topK) {
+      this.#candidates.set(item, estimate);
+      return;
+    }
+    let weakest;
+    let weakestEstimate = Infinity;
+    for (const [candidate, value] of this.#candidates) {
+      if (value < weakestEstimate) {
+        weakest = candidate;
+        weakestEstimate = value;
+      }
+    }
+    if (estimate > weakestEstimate) {
+      this.#candidates.delete(weakest);
+      this.#candidates.set(item, estimate);
+    }
+  }
+
+  #assertCompatible(other, method) {
+    if (!(other instanceof CountMinSketch) || other.#width !== this.#width || other.#depth !== this.#depth) {
+      throw new RangeError(`CountMinSketch.${method}: sketches must have the same width and depth`);
+    }
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Count `count` more occurrences of `item`.
+   * @param {string|number|bigint|boolean} item
+   * @param {number} [count=1] — Non-negative amount to add.
+   * @returns {CountMinSketch} `this` for chaining.
+   * @throws {TypeError} For unsupported item types.
+   * @throws {RangeError} For a negative or non-finite count.
+   * @time O(depth + topK)
+   */
+  add(item, count = 1) {
+    if (!(count >= 0 && count < Infinity)) throw new RangeError('CountMinSketch.add: count must be a finite number >= 0');
+    const cells = this.#cells(item, 'CountMinSketch.add');
+    for (const cell of cells) this.#table[cell] += count;
+    this.#total += count;
+    this.#track(item, this.#min(cells));
+    return this;
+  }
+
+  /**
+   * Estimated number of occurrences of `item`; never below the true count.
+   * @param {string|number|bigint|boolean} item
+   * @returns {number}
+   * @throws {TypeError} For unsupported item types.
+   * @time O(depth)
+   */
+  estimate(item) {
+    return this.#min(this.#cells(item, 'CountMinSketch.estimate'));
+  }
+
+  /**
+   * Sum of all counts added.
+   * @returns {number}
+   * @time O(1)
+   */
+  total() {
+    return this.#total;
+  }
+
+  /**
+   * Tracked items whose estimate is at least `threshold × total()`, highest first.
+   * @param {number} threshold — Fraction of the total in (0, 1].
+   * @returns {Array<[*, number]>} `[item, estimate]` pairs.
+   * @throws {RangeError} For a threshold outside (0, 1].
+   * @time O(topK log topK)
+   */
+  heavyHitters(threshold) {
+    if (!(threshold > 0 && threshold <= 1)) throw new RangeError('CountMinSketch.heavyHitters: threshold must be in (0, 1]');
+    const cutoff = threshold * this.#total;
+    return this.top().filter(([, estimate]) => estimate >= cutoff);
+  }
+
+  /**
+   * The `n` tracked items with the highest estimates, highest first.
+   * @param {number} [n=topK]
+   * @returns {Array<[*, number]>} `[item, estimate]` pairs.
+   * @time O(topK log topK)
+   */
+  top(n = this.#topK) {
+    const ranked = this.#candidates.keys().map((item) => [item, this.estimate(item)]);
+    return ranked.sort((a, b) => b[1] - a[1]).slice(0, n);
+  }
+
+  /**
+   * Counters per row.
+   * @returns {number}
+   * @time O(1)
+   */
+  width() {
+    return this.#width;
+  }
+
+  /**
+   * Number of rows.
+   * @returns {number}
+   * @time O(1)
+   */
+  depth() {
+    return this.#depth;
+  }
+
+  /**
+   * A new sketch counting everything added to `this` and `other`.
+   * @param {CountMinSketch} other
+   * @returns {CountMinSketch}
+   * @throws {RangeError} If the sketches differ in width or depth.
+   * @time O(width × depth + topK)
+   */
+  merge(other) {
+    this.#assertCompatible(other, 'merge');
+    const result = new CountMinSketch({ width: this.#width, depth: this.#depth, topK: this.#topK });
+    for (let i = 0; i < result.#table.length; i++) result.#table[i] = this.#table[i] + other.#table[i];
+    result.#total = this.#total + other.#total;
+    for (const item of [...this.#candidates.keys(), ...other.#candidates.keys()]) {
+      result.#track(item, result.estimate(item));
+    }
+    return result;
+  }
+
+  /**
+   * Reset every counter and the heavy-hitter candidates.
+   * @returns {void}
+   * @time O(width × depth)
+   */
+  clear() {
+    this.#table.fill(0);
+    this.#total = 0;
+    this.#candidates.clear();
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot of the geometry, counters and heavy-hitter candidates.
+   * @returns {{ $type: 'CountMinSketch', width: number, depth: number, topK: number, total: number, table: number[], candidates: Array }}
+   * @time O(width × depth)
+   */
+  toJSON() {
+    return {
+      $type: 'CountMinSketch',
+      width: this.#width,
+      depth: this.#depth,
+      topK: this.#topK,
+      total: this.#total,
+      table: Array.from(this.#table),
+      candidates: this.#candidates.keys().map(encode),
+    };
+  }
+
+  /**
+   * Rebuild a CountMinSketch from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {CountMinSketch}
+   * @throws {TypeError} If `json` is not a serialized CountMinSketch.
+   * @throws {RangeError} If the table does not match the declared geometry.
+   * @time O(width × depth)
+   */
+  static fromJSON(json) {
+    const { width, depth, topK, total, table, candidates } = expectType(json, 'CountMinSketch');
+    const sketch = new CountMinSketch({ width, depth, topK });
+    if (table.length !== width * depth) {
+      throw new RangeError(`CountMinSketch.fromJSON: expected ${width * depth} counters, got ${table.length}`);
+    }
+    sketch.#table.set(table);
+    sketch.#total = total;
+    for (const item of candidates.map(decode)) sketch.#track(item, sketch.estimate(item));
+    return sketch;
+  }
+}
+
+registerType('CountMinSketch', CountMinSketch);
@@ -9,7 +9,24 @@ import assert from 'node:assert/strict';
 import { Stack } from './stack.js';
 import { Queue } from './queue.js';
 import { LinkedList } from './linked-list.js';
+import { DoublyLinkedList } from './doubly-linked-list.js';
 import { HashMap } from './hash-map.js';
+import { PriorityQueue } from './priority-queue.js';
+import { RingBuffer } from './ring-buffer.js';
+import { Trie } from './trie.js';
+import { SortedMap } from './sorted-map.js';
+import { Graph } from './graph.js';
+import { BloomFilter } from './bloom-filter.js';
+import { CountMinSketch } from './count-min-sketch.js';
+import { IntervalTree } from './interval-tree.js';
+import { ObservableHashMap, ObservableLinkedList, ObservableQueue } from './observable.js';
+import { LRUCache } from './lru-cache.js';
+import { LFUCache } from './lfu-cache.js';
+import { PersistentStack } from './persistent-stack.js';
+import { PersistentQueue } from './persistent-queue.js';
+import { PersistentMap } from './persistent-map.js';
+import { encode, decode, toBinary, fromBinary } from './codec.js';
+import { lazyMap, lazyFilter } from './iterable.js';
 
 // ════════════════════════════════════════════════════════════════════
 // STACK
@@ -458,6 +475,165 @@ describe('LinkedList', () => {
   });
 });
 
+// ════════════════════════════════════════════════════════════════════
+// DOUBLY LINKED LIST
+// ════════════════════════════════════════════════════════════════════
+describe('DoublyLinkedList', () => {
+  let list;
+  beforeEach(() => { list = new DoublyLinkedList(); });
+
+  // --- Initial state ---
+  it('starts empty', () => {
+    assert.equal(list.size(), 0);
+    assert.equal(list.isEmpty(), true);
+    assert.equal(list.head, null);
+    assert.equal(list.tail, null);
+    assert.deepEqual(list.toArray(), []);
+  });
+
+  // --- Append / Prepend ---
+  it('append and prepend return node handles', () => {
+    const b = list.append('b');
+    const a = list.prepend('a');
+    assert.equal(b.value, 'b');
+    assert.equal(a.value, 'a');
+    assert.equal(list.head, a);
+    assert.equal(list.tail, b);
+    assert.deepEqual(list.toArray(), ['a', 'b']);
+  });
+
+  // --- insertBefore / insertAfter ---
+  it('insertBefore and insertAfter splice around a handle', () => {
+    const b = list.append('b');
+    list.insertBefore(b, 'a');
+    list.insertAfter(b, 'c');
+    assert.deepEqual(list.toArray(), ['a', 'b', 'c']);
+    assert.equal(list.size(), 3);
+    assert.equal(list.head.value, 'a');
+    assert.equal(list.tail.value, 'c');
+  });
+
+  // --- removeNode ---
+  it('removeNode removes head, middle and tail in O(1)', () => {
+    const [a, b, c] = ['a', 'b', 'c'].map((v) => list.append(v));
+    assert.equal(list.removeNode(b), 'b');
+    assert.deepEqual(list.toArray(), ['a', 'c']);
+    list.removeNode(a);
+    assert.equal(list.head, c);
+    list.removeNode(c);
+    assert.equal(list.isEmpty(), true);
+    assert.equal(list.tail, null);
+  });
+
+  it('removeNode rejects stale handles', () => {
+    const a = list.append('a');
+    list.removeNode(a);
+    assert.throws(() => list.removeNode(a), TypeError);
+  });
+
+  it('rejects handles from another list', () => {
+    const other = new DoublyLinkedList();
+    const foreign = other.append(1);
+    assert.throws(() => list.removeNode(foreign), /does not belong/);
+    assert.throws(() => list.insertAfter(foreign, 2), TypeError);
+    assert.throws(() => list.moveToFront({ value: 1 }), TypeError);
+  });
+
+  // --- moveToFront / moveToBack ---
+  it('moveToFront moves a node to the head', () => {
+    const [, , c] = [1, 2, 3].map((v) => list.append(v));
+    assert.equal(list.moveToFront(c), c);
+    assert.deepEqual(list.toArray(), [3, 1, 2]);
+    assert.equal(list.tail.value, 2);
+    assert.equal(list.size(), 3);
+  });
+
+  it('moveToFront on the head is a no-op', () => {
+    const a = list.append(1);
+    list.append(2);
+    list.moveToFront(a);
+    assert.deepEqual(list.toArray(), [1, 2]);
+  });
+
+  it('moveToBack moves a node to the tail', () => {
+    const a = list.append(1);
+    list.append(2);
+    list.moveToBack(a);
+    assert.deepEqual(list.toArray(), [2, 1]);
+    assert.equal(list.tail, a);
+  });
+
+  // --- shift / pop ---
+  it('shift and pop remove from either end', () => {
+    [1, 2, 3].forEach((v) => list.append(v));
+    assert.equal(list.shift(), 1);
+    assert.equal(list.pop(), 3);
+    assert.deepEqual(list.toArray(), [2]);
+    list.pop();
+    assert.equal(list.shift(), undefined);
+    assert.equal(list.pop(), undefined);
+  });
+
+  // --- delete / find ---
+  it('delete removes the first matching value', () => {
+    [5, 5, 6].forEach((v) => list.append(v));
+    assert.equal(list.delete(5), true);
+    assert.deepEqual(list.toArray(), [5, 6]);
+    assert.equal(list.delete(99), false);
+  });
+
+  it('find and findNode accept a value or predicate', () => {
+    list.append({ id: 1 });
+    const two = list.append({ id: 2 });
+    assert.deepEqual(list.find((v) => v.id === 2), { id: 2 });
+    assert.equal(list.findNode((v) => v.id === 2), two);
+    assert.equal(list.findNode('missing'), null);
+    assert.equal(list.find('missing'), undefined);
+  });
+
+  // --- Reverse ---
+  it('reverse keeps handles valid', () => {
+    const [a, , c] = [1, 2, 3].map((v) => list.append(v));
+    list.reverse();
+    assert.deepEqual(list.toArray(), [3, 2, 1]);
+    assert.equal(list.head, c);
+    list.removeNode(a);
+    assert.deepEqual(list.toArray(), [3, 2]);
+  });
+
+  // --- Reverse iteration ---
+  it('reversed() iterates tail → head', () => {
+    [1, 2, 3].forEach((v) => list.append(v));
+    assert.deepEqual([...list.reversed()], [3, 2, 1]);
+  });
+
+  it('nodes() allows removal during iteration', () => {
+    [1, 2, 3, 4].forEach((v) => list.append(v));
+    for (const node of list.nodes()) if (node.value % 2 === 0) list.removeNode(node);
+    assert.deepEqual(list.toArray(), [1, 3]);
+  });
+
+  // --- Clear ---
+  it('clear resets state and invalidates handles', () => {
+    const a = list.append(1);
+    list.clear();
+    assert.equal(list.size(), 0);
+    assert.equal(list.head, null);
+    assert.throws(() => list.removeNode(a), TypeError);
+  });
+
+  // --- Large input ---
+  it('handles 10,000 appends and O(1) removals by handle', () => {
+    const N = 10_000;
+    const handles = [];
+    for (let i = 0; i < N; i++) handles.push(list.append(i));
+    for (let i = 0; i < N; i += 2) list.removeNode(handles[i]);
+    assert.equal(list.size(), N / 2);
+    assert.equal(list.head.value, 1);
+    assert.equal(list.tail.value, N - 1);
+  });
+});
+
 // ════════════════════════════════════════════════════════════════════
 // HASH MAP
 // ════════════════════════════════════════════════════════════════════
@@ -493,10 +669,92 @@ describe('HashMap', () => {
     assert.equal(map.get('missing'), undefined);
   });
 
-  it('supports numeric keys (coerced to string)', () => {
+  it('supports numeric keys (distinct from their string form)', () => {
     map.set(42, 'answer');
     assert.equal(map.get(42), 'answer');
-    assert.equal(map.get('42'), 'answer'); // same key string
+    assert.equal(map.get('42'), undefined); // Map semantics — no coercion
+    map.set('42', 'string');
+    assert.equal(map.size(), 2);
+  });
+
+  it('supports object keys by identity', () => {
+    const a = { id: 1 };
+    const b = { id: 1 };
+    map.set(a, 'A').set(b, 'B');
+    assert.equal(map.get(a), 'A');
+    assert.equal(map.get(b), 'B');
+    assert.equal(map.get({ id: 1 }), undefined);
+    assert.equal(map.size(), 2);
+  });
+
+  it('supports symbol, function, boolean, null, undefined and bigint keys', () => {
+    const s1 = Symbol('x');
+    const s2 = Symbol('x');
+    const fn = () => {};
+    map.set(s1, 1).set(s2, 2).set(fn, 3).set(true, 4).set(null, 5).set(undefined, 6).set(10n, 7);
+    assert.equal(map.get(s1), 1);
+    assert.equal(map.get(s2), 2);
+    assert.equal(map.get(fn), 3);
+    assert.equal(map.get(true), 4);
+    assert.equal(map.get('true'), undefined);
+    assert.equal(map.get(null), 5);
+    assert.equal(map.get(undefined), 6);
+    assert.equal(map.get(10n), 7);
+    assert.equal(map.size(), 7);
+  });
+
+  it('uses SameValueZero for NaN and -0', () => {
+    map.set(NaN, 'nan').set(-0, 'zero');
+    assert.equal(map.get(NaN), 'nan');
+    assert.equal(map.get(0), 'zero');
+    assert.equal(map.size(), 2);
+  });
+
+  it('keys, values and entries follow insertion order', () => {
+    const keys = ['z', 3, 'a', { o: 1 }, 'm'];
+    keys.forEach((k, i) => map.set(k, i));
+    assert.deepEqual(map.keys(), keys);
+    assert.deepEqual(map.values(), [0, 1, 2, 3, 4]);
+    map.set('z', 'updated'); // update keeps position
+    map.delete(3);
+    map.set(3, 'again');     // re-insert goes to the end
+    assert.deepEqual(map.entries().map(([k]) => k), ['z', 'a', keys[3], 'm', 3]);
+    assert.equal(map.get('z'), 'updated');
+  });
+
+  it('insertion order survives resizes', () => {
+    const N = 200;
+    for (let i = N - 1; i >= 0; i--) map.set(`k${i}`, i);
+    assert.deepEqual(map.values(), Array.from({ length: N }, (_, i) => N - 1 - i));
+  });
+
+  it('deleting during iteration continues with the next entry', () => {
+    map.set('a', 1).set('b', 2).set('c', 3);
+    const seen = [];
+    for (const [k] of map) {
+      seen.push(k);
+      if (k === 'a') map.delete('a');
+    }
+    assert.deepEqual(seen, ['a', 'b', 'c']);
+  });
+
+  it('custom hash/equals enable value-equality tuple keys', () => {
+    const tuples = new HashMap({
+      hash: (t) => t[0] * 31 + t[1],
+      equals: (a, b) => a[0] === b[0] && a[1] === b[1],
+    });
+    tuples.set([1, 2], 'a');
+    tuples.set([1, 2], 'b');
+    assert.equal(tuples.size(), 1);
+    assert.equal(tuples.get([1, 2]), 'b');
+    assert.equal(tuples.has([2, 1]), false);
+    assert.equal(tuples.map((v) => v.toUpperCase()).get([1, 2]), 'B');
+  });
+
+  it('validates constructor options', () => {
+    assert.throws(() => new HashMap({ hash: 1 }), /hash must be a function/);
+    assert.throws(() => new HashMap({ equals: 1 }), /equals must be a function/);
+    assert.throws(() => new HashMap({ mode: 'cuckoo' }), /mode must be one of/);
   });
 
   it('stores and retrieves null as a value', () => {
@@ -642,3 +900,1783 @@ describe('HashMap', () => {
     assert.equal(map.size(), 0);
   });
 });
+
+describe('HashMap (robin-hood mode)', () => {
+  let map;
+  beforeEach(() => { map = new HashMap({ mode: 'robin-hood' }); });
+
+  it('supports set / get / has / delete', () => {
+    map.set('a', 1).set('b', 2);
+    assert.equal(map.get('a'), 1);
+    assert.equal(map.has('b'), true);
+    assert.equal(map.delete('a'), true);
+    assert.equal(map.delete('a'), false);
+    assert.equal(map.has('a'), false);
+    assert.equal(map.size(), 1);
+  });
+
+  it('handles collisions and backward-shift deletes in a tiny table', () => {
+    const tiny = new HashMap({ capacity: 2, mode: 'robin-hood', hash: () => 7 });
+    ['a', 'b', 'c', 'd', 'e'].forEach((k, i) => tiny.set(k, i));
+    tiny.delete('b');
+    tiny.delete('d');
+    assert.deepEqual(tiny.entries(), [['a', 0], ['c', 2], ['e', 4]]);
+    assert.equal(tiny.get('e'), 4);
+    assert.equal(tiny.get('b'), undefined);
+  });
+
+  it('preserves insertion order and keeps mode in map/filter', () => {
+    [5, 1, 4].forEach((n) => map.set(n, n * 10));
+    const doubled = map.map((v) => v * 2).filter((v) => v > 20);
+    assert.deepEqual(doubled.entries(), [[5, 100], [4, 80]]);
+  });
+
+  it('clear resets to empty state', () => {
+    map.set('a', 1);
+    map.clear();
+    assert.equal(map.size(), 0);
+    assert.equal(map.get('a'), undefined);
+    map.set('a', 2);
+    assert.equal(map.get('a'), 2);
+  });
+
+  for (const mode of ['chaining', 'robin-hood']) {
+    it(`${mode}: random operations agree with native Map`, () => {
+      const subject = new HashMap({ mode });
+      const reference = new Map();
+      let seed = 42;
+      const rand = (n) => { seed = (seed * 1103515245 + 12345) & 0x7fffffff; return seed % n; };
+      for (let i = 0; i < 20_000; i++) {
+        const key = rand(3) === 0 ? `s${rand(500)}` : rand(500);
+        const op = rand(3);
+        if (op === 0) {
+          subject.set(key, i);
+          reference.set(key, i);
+        } else if (op === 1) {
+          assert.equal(subject.delete(key), reference.delete(key));
+        } else {
+          assert.equal(subject.get(key), reference.get(key));
+        }
+      }
+      assert.equal(subject.size(), reference.size);
+      assert.deepEqual(subject.entries(), [...reference.entries()]);
+    });
+  }
+});
+
+// ════════════════════════════════════════════════════════════════════
+// ITERATION & FUNCTIONAL HELPERS
+// ════════════════════════════════════════════════════════════════════
+describe('Iteration & functional helpers', () => {
+  /** Build each sequential structure holding [1, 2, 3, 4] in its natural order. */
+  const sequential = {
+    Stack: () => { const s = new Stack(); [1, 2, 3, 4].forEach((n) => s.push(n)); return s; },
+    Queue: () => { const q = new Queue(); [1, 2, 3, 4].forEach((n) => q.enqueue(n)); return q; },
+    LinkedList: () => new LinkedList().append(1).append(2).append(3).append(4),
+    DoublyLinkedList: () => { const l = new DoublyLinkedList(); [1, 2, 3, 4].forEach((n) => l.append(n)); return l; },
+    RingBuffer: () => { const r = new RingBuffer(8); [1, 2, 3, 4].forEach((n) => r.pushBack(n)); return r; },
+  };
+
+  for (const [name, build] of Object.entries(sequential)) {
+    describe(name, () => {
+      it('supports for...of, spread and Array.from', () => {
+        const c = build();
+        const seen = [];
+        for (const v of c) seen.push(v);
+        assert.deepEqual(seen, [1, 2, 3, 4]);
+        assert.deepEqual([...c], c.toArray());
+        assert.deepEqual(Array.from(c), [1, 2, 3, 4]);
+      });
+
+      it('iterator is lazy (can stop early)', () => {
+        const it = build()[Symbol.iterator]();
+        assert.deepEqual(it.next(), { value: 1, done: false });
+        assert.deepEqual(it.next(), { value: 2, done: false });
+      });
+
+      it('empty structure yields nothing', () => {
+        const c = build();
+        c.clear();
+        assert.deepEqual([...c], []);
+      });
+
+      it('forEach passes value, index and the collection', () => {
+        const c = build();
+        const log = [];
+        c.forEach((v, i, self) => { log.push([v, i]); assert.equal(self, c); });
+        assert.deepEqual(log, [[1, 0], [2, 1], [3, 2], [4, 3]]);
+      });
+
+      it('map returns a new structure of the same type', () => {
+        const c = build();
+        const doubled = c.map((v) => v * 2);
+        assert.equal(doubled.constructor.name, name);
+        assert.notEqual(doubled, c);
+        assert.deepEqual(doubled.toArray(), [2, 4, 6, 8]);
+        assert.deepEqual(c.toArray(), [1, 2, 3, 4]);
+      });
+
+      it('filter keeps matching elements in order', () => {
+        const evens = build().filter((v) => v % 2 === 0);
+        assert.equal(evens.constructor.name, name);
+        assert.deepEqual(evens.toArray(), [2, 4]);
+        assert.equal(evens.size(), 2);
+      });
+
+      it('reduce with and without an initial value', () => {
+        const c = build();
+        assert.equal(c.reduce((acc, v) => acc + v), 10);
+        assert.equal(c.reduce((acc, v) => acc + v, 100), 110);
+        assert.deepEqual(c.reduce((acc, v, i) => [...acc, i], []), [0, 1, 2, 3]);
+      });
+
+      it('reduce on empty structure without initial throws TypeError', () => {
+        const c = build();
+        c.clear();
+        assert.throws(() => c.reduce((a, b) => a + b), TypeError);
+        assert.equal(c.reduce((a, b) => a + b, 0), 0);
+      });
+
+      it('some / every short-circuit', () => {
+        const c = build();
+        let calls = 0;
+        assert.equal(c.some((v) => { calls++; return v === 2; }), true);
+        assert.equal(calls, 2);
+        calls = 0;
+        assert.equal(c.every((v) => { calls++; return v < 2; }), false);
+        assert.equal(calls, 2);
+        assert.equal(c.every((v) => v > 0), true);
+        assert.equal(c.some((v) => v > 10), false);
+      });
+    });
+  }
+
+  it('lazyMap / lazyFilter stream without touching unpulled elements', () => {
+    const list = new LinkedList();
+    for (let i = 9; i >= 0; i--) list.prepend(i);
+    const seen = [];
+    const evens = lazyFilter(list, (v) => { seen.push(v); return v % 2 === 0; });
+    const squares = lazyMap(evens, (v, i) => `${i}:${v * v}`);
+    assert.deepEqual(seen, []);
+    assert.deepEqual(squares.next().value, '0:0');
+    assert.deepEqual(squares.next().value, '1:4');
+    assert.deepEqual(seen, [0, 1, 2]);
+    assert.deepEqual([...squares], ['2:16', '3:36', '4:64']);
+  });
+
+  it('LinkedList.map handles 10,000 elements in linear time', () => {
+    const list = new LinkedList();
+    for (let i = 9_999; i >= 0; i--) list.prepend(i);
+    const mapped = list.map((v) => v + 1);
+    assert.equal(mapped.size(), 10_000);
+    assert.equal(mapped.find((v) => v === 10_000), 10_000);
+    assert.deepEqual(mapped.toArray().slice(0, 3), [1, 2, 3]);
+  });
+
+  describe('HashMap', () => {
+    let map;
+    beforeEach(() => { map = new HashMap(); map.set('a', 1).set('b', 2).set('c', 3); });
+
+    it('iterates [key, value] pairs matching entries()', () => {
+      assert.deepEqual([...map], map.entries());
+      assert.deepEqual(new Map(map).get('b'), 2);
+    });
+
+    it('forEach passes value, key and the map', () => {
+      const seen = {};
+      map.forEach((v, k, self) => { seen[k] = v; assert.equal(self, map); });
+      assert.deepEqual(seen, { a: 1, b: 2, c: 3 });
+    });
+
+    it('map returns a new HashMap with transformed values', () => {
+      const squared = map.map((v, k) => `${k}${v * v}`);
+      assert.ok(squared instanceof HashMap);
+      assert.equal(squared.get('c'), 'c9');
+      assert.equal(squared.size(), 3);
+      assert.equal(map.get('c'), 3);
+    });
+
+    it('filter keeps matching entries', () => {
+      const odd = map.filter((v) => v % 2 === 1);
+      assert.deepEqual(odd.keys().sort(), ['a', 'c']);
+    });
+
+    it('reduce folds values', () => {
+      assert.equal(map.reduce((acc, v) => acc + v, 0), 6);
+      assert.equal(map.reduce((acc, v) => acc + v), 6);
+      assert.throws(() => new HashMap().reduce((a, b) => a + b), TypeError);
+    });
+
+    it('some / every', () => {
+      assert.equal(map.some((v, k) => k === 'b'), true);
+      assert.equal(map.every((v) => v < 3), false);
+      assert.equal(map.every((v) => v <= 3), true);
+    });
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// PRIORITY QUEUE
+// ════════════════════════════════════════════════════════════════════
+describe('PriorityQueue', () => {
+  let pq;
+  beforeEach(() => { pq = new PriorityQueue(); });
+
+  // --- Initial state ---
+  it('starts empty', () => {
+    assert.equal(pq.size(), 0);
+    assert.equal(pq.isEmpty(), true);
+    assert.equal(pq.peek(), undefined);
+    assert.equal(pq.pop(), undefined);
+    assert.deepEqual(pq.toArray(), []);
+  });
+
+  // --- Push / Pop ---
+  it('push returns new size', () => {
+    assert.equal(pq.push(5), 1);
+    assert.equal(pq.push(3), 2);
+  });
+
+  it('pops values in ascending order by default (min-heap)', () => {
+    [5, 1, 4, 2, 3].forEach((n) => pq.push(n));
+    const out = [];
+    while (!pq.isEmpty()) out.push(pq.pop());
+    assert.deepEqual(out, [1, 2, 3, 4, 5]);
+  });
+
+  it('max option pops values in descending order', () => {
+    const max = new PriorityQueue({ max: true });
+    [5, 1, 4, 2, 3].forEach((n) => max.push(n));
+    assert.deepEqual(max.toArray(), [5, 4, 3, 2, 1]);
+    assert.equal(max.pop(), 5);
+  });
+
+  it('separate priority argument orders arbitrary values', () => {
+    pq.push('low', 10);
+    pq.push('high', 1);
+    pq.push('mid', 5);
+    assert.equal(pq.peek(), 'high');
+    assert.equal(pq.peekPriority(), 1);
+    assert.deepEqual(pq.toArray(), ['high', 'mid', 'low']);
+  });
+
+  it('custom comparator is applied to priorities', () => {
+    const byLength = new PriorityQueue({ comparator: (a, b) => a.length - b.length });
+    ['ccc', 'a', 'bb'].forEach((s) => byLength.push(s));
+    assert.deepEqual(byLength.toArray(), ['a', 'bb', 'ccc']);
+  });
+
+  it('equal priorities dequeue in insertion order', () => {
+    pq.push('a', 1);
+    pq.push('b', 1);
+    pq.push('c', 0);
+    pq.push('d', 1);
+    assert.deepEqual([pq.pop(), pq.pop(), pq.pop(), pq.pop()], ['c', 'a', 'b', 'd']);
+  });
+
+  it('throws TypeError for non-function comparator', () => {
+    assert.throws(() => new PriorityQueue({ comparator: 42 }), /comparator must be a function/);
+  });
+
+  // --- Peek ---
+  it('peek does not remove the head', () => {
+    pq.push(2);
+    pq.push(1);
+    assert.equal(pq.peek(), 1);
+    assert.equal(pq.size(), 2);
+  });
+
+  // --- updatePriority ---
+  it('updatePriority moves an entry to the front', () => {
+    pq.push('a', 1);
+    pq.push('b', 2);
+    pq.push('c', 3);
+    assert.equal(pq.updatePriority('c', 0), true);
+    assert.deepEqual(pq.toArray(), ['c', 'a', 'b']);
+  });
+
+  it('updatePriority moves an entry to the back', () => {
+    pq.push('a', 1);
+    pq.push('b', 2);
+    pq.push('c', 3);
+    pq.updatePriority('a', 10);
+    assert.deepEqual(pq.toArray(), ['b', 'c', 'a']);
+  });
+
+  it('updatePriority returns false for missing value', () => {
+    pq.push('a', 1);
+    assert.equal(pq.updatePriority('zzz', 0), false);
+  });
+
+  // --- remove / has ---
+  it('remove deletes an arbitrary entry', () => {
+    [4, 2, 6, 1, 5, 3].forEach((n) => pq.push(n));
+    assert.equal(pq.remove(4), true);
+    assert.equal(pq.has(4), false);
+    assert.equal(pq.size(), 5);
+    assert.deepEqual(pq.toArray(), [1, 2, 3, 5, 6]);
+  });
+
+  it('remove returns false for missing value', () => {
+    pq.push(1);
+    assert.equal(pq.remove(2), false);
+    assert.equal(pq.size(), 1);
+  });
+
+  it('remove the last element leaves a valid empty queue', () => {
+    pq.push(1);
+    pq.remove(1);
+    assert.equal(pq.isEmpty(), true);
+    pq.push(7);
+    assert.equal(pq.peek(), 7);
+  });
+
+  // --- Iteration / toArray ---
+  it('iterates in priority order without draining', () => {
+    [3, 1, 2].forEach((n) => pq.push(n));
+    assert.deepEqual([...pq], [1, 2, 3]);
+    assert.equal(pq.size(), 3);
+  });
+
+  it('toArray does not mutate the queue', () => {
+    pq.push(1);
+    const arr = pq.toArray();
+    arr.push(99);
+    assert.equal(pq.size(), 1);
+  });
+
+  // --- Clear ---
+  it('clear empties the queue', () => {
+    pq.push(1);
+    pq.push(2);
+    pq.clear();
+    assert.equal(pq.size(), 0);
+    assert.equal(pq.pop(), undefined);
+  });
+
+  // --- Large input ---
+  it('handles 10,000 random pushes and pops in sorted order', () => {
+    const N = 10_000;
+    const input = Array.from({ length: N }, () => Math.floor(Math.random() * 1000));
+    input.forEach((n) => pq.push(n));
+    const sorted = [...input].sort((a, b) => a - b);
+    for (let i = 0; i < N; i++) assert.equal(pq.pop(), sorted[i]);
+    assert.equal(pq.isEmpty(), true);
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// RING BUFFER
+// ════════════════════════════════════════════════════════════════════
+describe('RingBuffer', () => {
+  const filled = (capacity, values, opts) => {
+    const r = new RingBuffer(capacity, opts);
+    for (const v of values) r.pushBack(v);
+    return r;
+  };
+
+  // --- Construction ---
+  it('starts empty with the given capacity', () => {
+    const r = new RingBuffer(3);
+    assert.equal(r.size(), 0);
+    assert.equal(r.capacity(), 3);
+    assert.equal(r.isEmpty(), true);
+    assert.equal(r.isFull(), false);
+    assert.equal(r.popFront(), undefined);
+    assert.equal(r.peekBack(), undefined);
+  });
+
+  it('validates capacity and overflow policy', () => {
+    assert.throws(() => new RingBuffer(0), RangeError);
+    assert.throws(() => new RingBuffer(2.5), RangeError);
+    assert.throws(() => new RingBuffer(), RangeError);
+    assert.throws(() => new RingBuffer(2, { overflow: 'drop' }), /overflow must be one of/);
+  });
+
+  // --- Deque operations ---
+  it('pushes and pops at both ends', () => {
+    const r = new RingBuffer(4);
+    r.pushBack(2);
+    r.pushFront(1);
+    r.pushBack(3);
+    assert.deepEqual(r.toArray(), [1, 2, 3]);
+    assert.equal(r.peekFront(), 1);
+    assert.equal(r.peekBack(), 3);
+    assert.equal(r.popBack(), 3);
+    assert.equal(r.popFront(), 1);
+    assert.deepEqual(r.toArray(), [2]);
+  });
+
+  it('keeps order while wrapping around the backing array', () => {
+    const r = new RingBuffer(3);
+    const ref = [];
+    for (let i = 0; i < 50; i++) {
+      if (i % 3 === 2) {
+        assert.equal(r.popFront(), ref.shift());
+      } else if (r.size() < 3) {
+        r.pushBack(i);
+        ref.push(i);
+      }
+      assert.deepEqual(r.toArray(), ref);
+    }
+  });
+
+  // --- Indexed access ---
+  it('at() reads from the front, negative indexes from the back', () => {
+    const r = filled(3, [1, 2, 3, 4]);
+    assert.equal(r.at(0), 2);
+    assert.equal(r.at(2), 4);
+    assert.equal(r.at(-1), 4);
+    assert.equal(r.at(-3), 2);
+    assert.equal(r.at(3), undefined);
+    assert.equal(r.at(-4), undefined);
+  });
+
+  it('set() replaces in place and rejects out-of-range indexes', () => {
+    const r = filled(3, ['a', 'b']);
+    r.set(1, 'B').set(-2, 'A');
+    assert.deepEqual(r.toArray(), ['A', 'B']);
+    assert.throws(() => r.set(2, 'x'), RangeError);
+  });
+
+  // --- Overflow policies ---
+  it("'overwrite' (default) drops the opposite end", () => {
+    const r = filled(3, [1, 2, 3]);
+    assert.equal(r.pushBack(4), true);
+    assert.deepEqual(r.toArray(), [2, 3, 4]);
+    assert.equal(r.pushFront(0), true);
+    assert.deepEqual(r.toArray(), [0, 2, 3]);
+    assert.equal(r.size(), 3);
+  });
+
+  it("'reject' leaves a full buffer untouched", () => {
+    const r = filled(2, [1, 2], { overflow: 'reject' });
+    assert.equal(r.pushBack(3), false);
+    assert.equal(r.pushFront(0), false);
+    assert.deepEqual(r.toArray(), [1, 2]);
+    r.popFront();
+    assert.equal(r.pushBack(3), true);
+    assert.deepEqual(r.toArray(), [2, 3]);
+  });
+
+  it("'block' resolves pushes in FIFO order as room is made", async () => {
+    const r = new RingBuffer(2, { overflow: 'block' });
+    await r.pushBack(1);
+    await r.pushBack(2);
+    const done = [];
+    const p3 = r.pushBack(3).then(() => done.push(3));
+    const p0 = r.pushFront(0).then(() => done.push(0));
+    assert.equal(r.size(), 2);
+    assert.equal(r.popFront(), 1);
+    await p3;
+    assert.deepEqual(r.toArray(), [2, 3]);
+    assert.deepEqual(done, [3]);
+    r.clear();
+    await p0;
+    assert.deepEqual(r.toArray(), [0]);
+  });
+
+  it("'block' returns a promise even when there is room", async () => {
+    const r = new RingBuffer(1, { overflow: 'block' });
+    const result = r.pushBack('x');
+    assert.ok(result instanceof Promise);
+    await result;
+    assert.equal(r.peekFront(), 'x');
+  });
+
+  it('map/filter keep capacity and policy', () => {
+    const r = filled(4, [1, 2, 3], { overflow: 'reject' });
+    const doubled = r.map((v) => v * 2);
+    assert.equal(doubled.capacity(), 4);
+    assert.deepEqual(doubled.toArray(), [2, 4, 6]);
+    doubled.pushBack(8);
+    assert.equal(doubled.pushBack(10), false);
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// TRIE & SORTED MAP
+// ════════════════════════════════════════════════════════════════════
+describe('Trie', () => {
+  // --- Character keys ---
+  it('stores, reads and deletes keys', () => {
+    const trie = new Trie();
+    trie.set('car', 1).set('cart', 2).set('', 0);
+    assert.equal(trie.size(), 3);
+    assert.equal(trie.get('car'), 1);
+    assert.equal(trie.get(''), 0);
+    assert.equal(trie.get('ca'), undefined);
+    assert.equal(trie.has('ca'), false);
+    assert.equal(trie.delete('ca'), false);
+    assert.equal(trie.delete('car'), true);
+    assert.equal(trie.get('cart'), 2);
+    assert.equal(trie.size(), 2);
+  });
+
+  it('prunes branches left empty by delete', () => {
+    const trie = new Trie().set('abc', 1).set('a', 2);
+    trie.delete('abc');
+    assert.equal(trie.hasPrefix('ab'), false);
+    assert.equal(trie.hasPrefix('a'), true);
+  });
+
+  it('lists keys with a prefix in lexicographic order', () => {
+    const trie = new Trie();
+    for (const cmd of ['status', 'stash', 'start', 'stop', 'commit']) trie.set(cmd, cmd.length);
+    assert.deepEqual(trie.keysWithPrefix('st'), ['start', 'stash', 'status', 'stop']);
+    assert.deepEqual(trie.entriesWithPrefix('sta').slice(0, 1), [['start', 5]]);
+    assert.deepEqual(trie.keysWithPrefix('x'), []);
+    assert.deepEqual(trie.keys(), ['commit', 'start', 'stash', 'status', 'stop']);
+  });
+
+  it('finds the longest stored prefix', () => {
+    const trie = new Trie().set('git', 'g').set('git-lfs', 'l');
+    assert.deepEqual(trie.longestPrefix('git-lfs-pull'), { key: 'git-lfs', value: 'l' });
+    assert.deepEqual(trie.longestPrefix('git-l'), { key: 'git', value: 'g' });
+    assert.equal(trie.longestPrefix('svn'), undefined);
+  });
+
+  it('rejects non-string keys', () => {
+    assert.throws(() => new Trie().set(1, 'x'), TypeError);
+    assert.throws(() => new Trie({ separator: 1 }), TypeError);
+  });
+
+  // --- Path segments and patterns ---
+  it('splits on a separator and ignores empty segments', () => {
+    const routes = new Trie({ separator: '/' });
+    routes.set('/users/list', 'list');
+    assert.equal(routes.get('//users/list/'), 'list');
+    assert.deepEqual(routes.keysWithPrefix('/users'), ['/users/list']);
+    assert.deepEqual(routes.keysWithPrefix('/us'), []);
+    assert.deepEqual(routes.longestPrefix('/users/list/extra'), { key: '/users/list', value: 'list' });
+  });
+
+  it('match() prefers static over :param over *', () => {
+    const routes = new Trie({ separator: '/' });
+    routes.set('/users/me', 'me').set('/users/:id', 'user').set('/users/*', 'rest');
+    routes.set('/users/:id/posts/:postId', 'post');
+    assert.deepEqual(routes.match('/users/me'), { key: '/users/me', value: 'me', params: {} });
+    assert.deepEqual(routes.match('/users/42'), { key: '/users/:id', value: 'user', params: { id: '42' } });
+    assert.deepEqual(routes.match('/users/42/posts/7').params, { id: '42', postId: '7' });
+    assert.deepEqual(routes.match('/users/42/avatar'), { key: '/users/*', value: 'rest', params: { '*': '42/avatar' } });
+    assert.equal(routes.match('/users'), undefined);
+    assert.equal(routes.match('/teams/1'), undefined);
+  });
+
+  it('match() backtracks out of a static branch that dead-ends', () => {
+    const routes = new Trie({ separator: '/' });
+    routes.set('/a/b/c', 1).set('/a/:x/d', 2);
+    assert.deepEqual(routes.match('/a/b/d'), { key: '/a/:x/d', value: 2, params: { x: 'b' } });
+  });
+
+  it('round-trips through JSON', () => {
+    const trie = new Trie({ separator: '/' }).set('/a/:id', new Queue());
+    const copy = Trie.fromJSON(JSON.stringify(trie));
+    assert.ok(copy.get('/a/:id') instanceof Queue);
+    assert.equal(copy.match('/a/1').params.id, '1');
+  });
+});
+
+describe('SortedMap', () => {
+  const sample = () => SortedMap.from([[30, 'c'], [10, 'a'], [20, 'b'], [40, 'd']]);
+
+  it('iterates in key order regardless of insertion order', () => {
+    const map = sample();
+    assert.deepEqual(map.keys(), [10, 20, 30, 40]);
+    assert.deepEqual(map.values(), ['a', 'b', 'c', 'd']);
+    assert.deepEqual([...map][0], [10, 'a']);
+    assert.equal(map.size(), 4);
+  });
+
+  it('set updates, delete removes', () => {
+    const map = sample();
+    map.set(20, 'B');
+    assert.equal(map.get(20), 'B');
+    assert.equal(map.size(), 4);
+    assert.equal(map.delete(20), true);
+    assert.equal(map.delete(20), false);
+    assert.equal(map.has(20), false);
+    assert.deepEqual(map.keys(), [10, 30, 40]);
+  });
+
+  it('first/last and floor/ceiling/lower/higher', () => {
+    const map = sample();
+    assert.deepEqual(map.first(), [10, 'a']);
+    assert.deepEqual(map.last(), [40, 'd']);
+    assert.deepEqual(map.floor(25), [20, 'b']);
+    assert.deepEqual(map.floor(20), [20, 'b']);
+    assert.equal(map.floor(5), undefined);
+    assert.deepEqual(map.ceiling(25), [30, 'c']);
+    assert.deepEqual(map.ceiling(30), [30, 'c']);
+    assert.equal(map.ceiling(41), undefined);
+    assert.deepEqual(map.lower(20), [10, 'a']);
+    assert.deepEqual(map.higher(20), [30, 'c']);
+    assert.equal(new SortedMap().first(), undefined);
+    assert.equal(new SortedMap().last(), undefined);
+  });
+
+  it('range() honours bounds and inclusivity', () => {
+    const map = sample();
+    const keys = (opts) => Array.from(map.range(opts), ([k]) => k);
+    assert.deepEqual(keys({ from: 20, to: 40 }), [20, 30]);
+    assert.deepEqual(keys({ from: 20, to: 40, fromInclusive: false, toInclusive: true }), [30, 40]);
+    assert.deepEqual(keys({ from: 15 }), [20, 30, 40]);
+    assert.deepEqual(keys({ to: 30, toInclusive: true }), [10, 20, 30]);
+    assert.deepEqual(keys(), [10, 20, 30, 40]);
+    assert.deepEqual(keys({ from: 50 }), []);
+  });
+
+  it('uses a custom comparator', () => {
+    const map = new SortedMap({ comparator: (a, b) => b.localeCompare(a) });
+    map.set('apple', 1).set('cherry', 3).set('banana', 2);
+    assert.deepEqual(map.keys(), ['cherry', 'banana', 'apple']);
+    assert.throws(() => new SortedMap({ comparator: 'desc' }), TypeError);
+  });
+
+  it('agrees with a sorted array under random operations', () => {
+    const map = new SortedMap();
+    const ref = new Map();
+    let seed = 11;
+    const rand = (n) => { seed = (seed * 1103515245 + 12345) & 0x7fffffff; return seed % n; };
+    for (let i = 0; i < 3000; i++) {
+      const key = rand(500);
+      if (rand(3) === 0) assert.equal(map.delete(key), ref.delete(key));
+      else { map.set(key, i); ref.set(key, i); }
+    }
+    const expected = [...ref].sort((a, b) => a[0] - b[0]);
+    assert.deepEqual(map.entries(), expected);
+    assert.deepEqual(map.floor(250)?.[0], expected.filter(([k]) => k <= 250).pop()?.[0]);
+  });
+
+  it('clear() empties the map and round-trips through JSON', () => {
+    const map = sample();
+    const copy = SortedMap.fromJSON(JSON.stringify(map));
+    assert.deepEqual(copy.entries(), map.entries());
+    map.clear();
+    assert.equal(map.isEmpty(), true);
+    assert.deepEqual(map.keys(), []);
+    map.set(1, 'x');
+    assert.deepEqual(map.entries(), [[1, 'x']]);
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// GRAPH
+// ════════════════════════════════════════════════════════════════════
+describe('Graph', () => {
+  /** a → b → d, a → c → d, d → e */
+  const diamond = () => new Graph().addEdge('a', 'b').addEdge('a', 'c').addEdge('b', 'd').addEdge('c', 'd').addEdge('d', 'e');
+
+  // --- Vertices and edges ---
+  it('adds vertices and weighted edges', () => {
+    const g = new Graph().addVertex('x').addEdge('a', 'b', 5);
+    assert.deepEqual(g.vertices(), ['x', 'a', 'b']);
+    assert.equal(g.hasEdge('a', 'b'), true);
+    assert.equal(g.hasEdge('b', 'a'), false);
+    assert.equal(g.weight('a', 'b'), 5);
+    assert.equal(g.weight('b', 'a'), undefined);
+    assert.equal(g.vertexCount(), 3);
+    assert.equal(g.edgeCount(), 1);
+    assert.throws(() => g.addEdge('a', 'b', 'heavy'), TypeError);
+  });
+
+  it('tracks degrees, neighbours and predecessors', () => {
+    const g = diamond();
+    assert.deepEqual(g.neighbors('a'), ['b', 'c']);
+    assert.deepEqual(g.predecessors('d'), ['b', 'c']);
+    assert.equal(g.outDegree('a'), 2);
+    assert.equal(g.inDegree('d'), 2);
+    assert.throws(() => g.neighbors('zzz'), RangeError);
+  });
+
+  it('removeVertex drops incident edges in both directions', () => {
+    const g = diamond();
+    assert.equal(g.removeVertex('d'), true);
+    assert.equal(g.removeVertex('d'), false);
+    assert.deepEqual(g.neighbors('b'), []);
+    assert.deepEqual(g.predecessors('e'), []);
+    assert.equal(g.edgeCount(), 2);
+  });
+
+  it('undirected edges connect both ways and count once', () => {
+    const g = new Graph({ directed: false }).addEdge(1, 2, 3).addEdge(2, 3).addEdge(3, 3);
+    assert.equal(g.directed, false);
+    assert.equal(g.hasEdge(2, 1), true);
+    assert.equal(g.weight(2, 1), 3);
+    assert.equal(g.edgeCount(), 3);
+    assert.deepEqual(g.edges(), [[1, 2, 3], [2, 3, 1], [3, 3, 1]]);
+    g.removeEdge(2, 1);
+    assert.equal(g.hasEdge(1, 2), false);
+    assert.equal(g.edgeCount(), 2);
+  });
+
+  // --- Traversal ---
+  it('bfs and dfs visit reachable vertices once, in order', () => {
+    const g = diamond().addVertex('island');
+    assert.deepEqual([...g.bfs('a')], ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual([...g.dfs('a')], ['a', 'b', 'd', 'e', 'c']);
+    assert.deepEqual([...g.dfs('island')], ['island']);
+    assert.throws(() => [...g.bfs('nope')], RangeError);
+  });
+
+  it('traversals are lazy and survive deep graphs', () => {
+    const g = new Graph();
+    for (let i = 0; i < 20_000; i++) g.addEdge(i, i + 1);
+    const it = g.dfs(0);
+    assert.equal(it.next().value, 0);
+    assert.equal([...g.dfs(0)].length, 20_001);
+    assert.equal(g.topologicalSort().length, 20_001);
+    assert.equal(g.stronglyConnectedComponents().length, 20_001);
+  });
+
+  // --- Algorithms ---
+  it('topologicalSort orders every edge forward', () => {
+    const order = diamond().topologicalSort();
+    assert.deepEqual(order, ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('topologicalSort reports a cycle', () => {
+    const g = diamond().addEdge('e', 'b');
+    assert.throws(() => g.topologicalSort(), (err) => {
+      assert.equal(err.name, 'CycleError');
+      assert.deepEqual(err.cycle, ['b', 'd', 'e', 'b']);
+      return true;
+    });
+    assert.throws(() => new Graph({ directed: false }).topologicalSort(), TypeError);
+  });
+
+  it('findCycle returns null for DAGs and ignores undirected back-edges', () => {
+    assert.equal(diamond().findCycle(), null);
+    assert.deepEqual(new Graph().addEdge('x', 'x').findCycle(), ['x', 'x']);
+    const path = new Graph({ directed: false }).addEdge(1, 2).addEdge(2, 3);
+    assert.equal(path.findCycle(), null);
+    path.addEdge(3, 1);
+    assert.deepEqual(path.findCycle(), [1, 2, 3, 1]);
+  });
+
+  it('stronglyConnectedComponents groups mutually reachable vertices', () => {
+    const g = new Graph()
+      .addEdge('a', 'b').addEdge('b', 'c').addEdge('c', 'a')
+      .addEdge('c', 'd').addEdge('d', 'e').addEdge('e', 'd')
+      .addVertex('f');
+    const sccs = g.stronglyConnectedComponents().map((c) => c.sort());
+    assert.deepEqual(sccs, [['d', 'e'], ['a', 'b', 'c'], ['f']]);
+  });
+
+  it('shortestPath and distancesFrom use edge weights', () => {
+    const g = new Graph()
+      .addEdge('s', 'a', 1).addEdge('a', 't', 5)
+      .addEdge('s', 'b', 2).addEdge('b', 't', 1)
+      .addVertex('unreachable');
+    assert.deepEqual(g.shortestPath('s', 't'), { path: ['s', 'b', 't'], distance: 3 });
+    assert.deepEqual(g.shortestPath('s', 's'), { path: ['s'], distance: 0 });
+    assert.equal(g.shortestPath('s', 'unreachable'), null);
+    assert.deepEqual(g.distancesFrom('s').entries(), [['s', 0], ['a', 1], ['b', 2], ['t', 3]]);
+    assert.throws(() => g.shortestPath('s', 'nope'), RangeError);
+    assert.throws(() => new Graph().addEdge(1, 2, -1).distancesFrom(1), RangeError);
+  });
+
+  it('round-trips through JSON, keeping vertex types and isolated vertices', () => {
+    const g = new Graph({ directed: false }).addEdge(1, '1', 2.5).addVertex(NaN);
+    const copy = Graph.fromJSON(JSON.stringify(g));
+    assert.equal(copy.directed, false);
+    assert.deepEqual(copy.vertices(), [1, '1', NaN]);
+    assert.equal(copy.weight('1', 1), 2.5);
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// PROBABILISTIC STRUCTURES
+// ════════════════════════════════════════════════════════════════════
+describe('BloomFilter', () => {
+  it('sizes itself from expectedItems and falsePositiveRate', () => {
+    const filter = new BloomFilter({ expectedItems: 1000, falsePositiveRate: 0.01 });
+    assert.equal(filter.bitSize(), 9586);
+    assert.equal(filter.hashCount(), 7);
+    assert.equal(new BloomFilter({ bits: 64, hashes: 3 }).bitSize(), 64);
+    assert.throws(() => new BloomFilter({ falsePositiveRate: 1 }), RangeError);
+    assert.throws(() => new BloomFilter({ bits: 0 }), RangeError);
+  });
+
+  it('never reports a false negative', () => {
+    const filter = new BloomFilter({ expectedItems: 2000 });
+    for (let i = 0; i < 2000; i++) filter.add(`user-${i}`);
+    for (let i = 0; i < 2000; i++) assert.equal(filter.has(`user-${i}`), true);
+  });
+
+  it('keeps the false-positive rate near the target', () => {
+    const filter = new BloomFilter({ expectedItems: 5000, falsePositiveRate: 0.01 });
+    for (let i = 0; i < 5000; i++) filter.add(i);
+    let falsePositives = 0;
+    for (let i = 5000; i < 25_000; i++) if (filter.has(i)) falsePositives++;
+    assert.ok(falsePositives / 20_000 < 0.02, `observed ${falsePositives / 20_000}`);
+    assert.ok(Math.abs(filter.falsePositiveRate() - 0.01) < 0.005);
+    assert.ok(Math.abs(filter.estimatedSize() - 5000) < 250);
+  });
+
+  it('hashes by type and content', () => {
+    const filter = new BloomFilter({ bits: 4096, hashes: 4 }).add(42).add(1n).add(true);
+    assert.equal(filter.has('42'), false);
+    assert.equal(filter.has(42), true);
+    assert.equal(filter.has(1n), true);
+    assert.equal(filter.has(true), true);
+    assert.throws(() => filter.add({ id: 1 }), TypeError);
+    assert.throws(() => filter.has(null), TypeError);
+  });
+
+  it('union and intersect combine compatible filters', () => {
+    const a = new BloomFilter({ expectedItems: 100 }).add('x').add('shared');
+    const b = new BloomFilter({ expectedItems: 100 }).add('y').add('shared');
+    const union = a.union(b);
+    assert.ok(['x', 'y', 'shared'].every((item) => union.has(item)));
+    const both = a.intersect(b);
+    assert.equal(both.has('shared'), true);
+    assert.equal(both.has('x'), false);
+    assert.equal(a.has('y'), false);
+    assert.throws(() => a.union(new BloomFilter({ expectedItems: 10 })), RangeError);
+  });
+
+  it('round-trips through JSON and binary', () => {
+    const filter = new BloomFilter({ expectedItems: 50 }).add('a').add(7);
+    for (const copy of [BloomFilter.fromJSON(JSON.stringify(filter)), fromBinary(toBinary(filter))]) {
+      assert.equal(copy.has('a'), true);
+      assert.equal(copy.has(7), true);
+      assert.equal(copy.setBits(), filter.setBits());
+    }
+    assert.throws(() => BloomFilter.fromJSON({ ...filter.toJSON(), data: '' }), RangeError);
+  });
+
+  it('clear() and isEmpty()', () => {
+    const filter = new BloomFilter().add('a');
+    assert.equal(filter.isEmpty(), false);
+    filter.clear();
+    assert.equal(filter.isEmpty(), true);
+    assert.equal(filter.has('a'), false);
+  });
+});
+
+describe('CountMinSketch', () => {
+  it('sizes itself from epsilon and delta', () => {
+    const sketch = new CountMinSketch({ epsilon: 0.01, delta: 0.01 });
+    assert.equal(sketch.width(), 272);
+    assert.equal(sketch.depth(), 5);
+    assert.throws(() => new CountMinSketch({ epsilon: 0 }), RangeError);
+    assert.throws(() => new CountMinSketch({ width: 1.5 }), RangeError);
+  });
+
+  it('estimates never undercount and stay within the error bound', () => {
+    const sketch = new CountMinSketch({ epsilon: 0.01, delta: 0.01 });
+    const truth = new Map();
+    for (let i = 0; i < 20_000; i++) {
+      const item = `k${(i * 7919) % 1000}`;
+      sketch.add(item);
+      truth.set(item, (truth.get(item) ?? 0) + 1);
+    }
+    assert.equal(sketch.total(), 20_000);
+    for (const [item, count] of truth) {
+      const estimate = sketch.estimate(item);
+      assert.ok(estimate >= count);
+      assert.ok(estimate - count <= 0.01 * 20_000, `${item}: ${estimate} vs ${count}`);
+    }
+    assert.equal(sketch.estimate('never-seen') <= 0.01 * 20_000, true);
+  });
+
+  it('supports weighted counts and rejects negative ones', () => {
+    const sketch = new CountMinSketch({ width: 100, depth: 3 });
+    sketch.add('bytes', 1.5).add('bytes', 2);
+    assert.equal(sketch.estimate('bytes'), 3.5);
+    assert.throws(() => sketch.add('bytes', -1), RangeError);
+    assert.throws(() => sketch.add(['x']), TypeError);
+  });
+
+  it('tracks heavy hitters', () => {
+    const sketch = new CountMinSketch({ epsilon: 0.01, topK: 3 });
+    for (let i = 0; i < 1000; i++) sketch.add(`noise-${i}`);
+    for (let i = 0; i < 500; i++) sketch.add('/home');
+    for (let i = 0; i < 300; i++) sketch.add('/login');
+    assert.deepEqual(sketch.top(2).map(([item]) => item), ['/home', '/login']);
+    assert.deepEqual(sketch.heavyHitters(0.2).map(([item]) => item), ['/home']);
+    assert.throws(() => sketch.heavyHitters(0), RangeError);
+  });
+
+  it('merge adds counts from compatible sketches', () => {
+    const a = new CountMinSketch({ width: 200, depth: 4 }).add('x', 3);
+    const b = new CountMinSketch({ width: 200, depth: 4 }).add('x', 4).add('y');
+    const merged = a.merge(b);
+    assert.equal(merged.estimate('x'), 7);
+    assert.equal(merged.total(), 8);
+    assert.equal(merged.top(1)[0][0], 'x');
+    assert.throws(() => a.merge(new CountMinSketch({ width: 10, depth: 4 })), RangeError);
+  });
+
+  it('round-trips through JSON and clears', () => {
+    const sketch = new CountMinSketch({ width: 50, depth: 3 }).add(1, 5).add('1', 2);
+    const copy = CountMinSketch.fromJSON(JSON.stringify(sketch));
+    assert.equal(copy.estimate(1), sketch.estimate(1));
+    assert.equal(copy.total(), 7);
+    assert.deepEqual(copy.top(), sketch.top());
+    copy.clear();
+    assert.equal(copy.total(), 0);
+    assert.equal(copy.estimate(1), 0);
+    assert.deepEqual(copy.top(), []);
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// INTERVAL TREE
+// ════════════════════════════════════════════════════════════════════
+describe('IntervalTree', () => {
+  let tree;
+  beforeEach(() => {
+    tree = IntervalTree.from([[10, 20, 'a'], [5, 8, 'b'], [15, 25, 'c'], [30, 40, 'd'], [12, 12, 'e']]);
+  });
+
+  const values = (results) => results.map((r) => r.value);
+
+  // --- Insert / iterate ---
+  it('iterates in ascending order of low, then high', () => {
+    assert.equal(tree.size(), 5);
+    assert.deepEqual(values(tree.toArray()), ['b', 'a', 'e', 'c', 'd']);
+    assert.deepEqual(tree.toArray()[0], { low: 5, high: 8, value: 'b' });
+  });
+
+  it('rejects inverted or unordered bounds', () => {
+    assert.throws(() => tree.insert(5, 4), RangeError);
+    assert.throws(() => tree.insert(NaN, 4), RangeError);
+    assert.throws(() => tree.overlapping(2, 1), RangeError);
+  });
+
+  // --- Queries ---
+  it('overlapping() treats intervals as closed', () => {
+    assert.deepEqual(values(tree.overlapping(8, 10)), ['b', 'a']);
+    assert.deepEqual(values(tree.overlapping(21, 29)), ['c']);
+    assert.deepEqual(values(tree.overlapping(26, 29)), []);
+    assert.deepEqual(values(tree.overlapping(0, 100)), ['b', 'a', 'e', 'c', 'd']);
+  });
+
+  it('stab() finds every interval containing a point', () => {
+    assert.deepEqual(values(tree.stab(12)), ['a', 'e']);
+    assert.deepEqual(values(tree.stab(40)), ['d']);
+    assert.deepEqual(tree.stab(9), []);
+  });
+
+  it('overlaps() answers without collecting', () => {
+    assert.equal(tree.overlaps(26, 29), false);
+    assert.equal(tree.overlaps(25, 29), true);
+    assert.equal(new IntervalTree().overlaps(0, 1), false);
+  });
+
+  it('works with Date bounds', () => {
+    const day = (d) => new Date(Date.UTC(2024, 0, d));
+    const windows = new IntervalTree().insert(day(1), day(3), 'patch').insert(day(5), day(6), 'upgrade');
+    assert.deepEqual(values(windows.overlapping(day(2), day(5))), ['patch', 'upgrade']);
+    assert.deepEqual(values(windows.stab(day(4))), []);
+  });
+
+  // --- Delete ---
+  it('delete() removes one entry matching bounds and value', () => {
+    tree.insert(10, 20, 'a2').insert(10, 20, 'a');
+    assert.equal(tree.delete(10, 20, 'a'), true);
+    assert.deepEqual(values(tree.stab(11)), ['a2', 'a']);
+    assert.equal(tree.delete(10, 20, 'a'), true);
+    assert.equal(tree.delete(10, 20, 'a'), false);
+    assert.equal(tree.delete(10, 21, 'a2'), false);
+    assert.deepEqual(values(tree.stab(11)), ['a2']);
+    assert.equal(tree.size(), 5);
+  });
+
+  it('agrees with a brute-force scan under random inserts and deletes', () => {
+    const t = new IntervalTree();
+    const ref = [];
+    let seed = 3;
+    const rand = (n) => { seed = (seed * 1103515245 + 12345) & 0x7fffffff; return seed % n; };
+    for (let i = 0; i < 2000; i++) {
+      if (ref.length > 0 && rand(3) === 0) {
+        const [low, high, value] = ref.splice(rand(ref.length), 1)[0];
+        assert.equal(t.delete(low, high, value), true);
+      } else {
+        const low = rand(1000);
+        const entry = [low, low + rand(50), i];
+        t.insert(...entry);
+        ref.push(entry);
+      }
+    }
+    assert.equal(t.size(), ref.length);
+    for (let q = 0; q < 100; q++) {
+      const low = rand(1000);
+      const high = low + rand(30);
+      const expected = ref.filter(([l, h]) => l <= high && h >= low).map(([, , v]) => v).sort((a, b) => a - b);
+      assert.deepEqual(values(t.overlapping(low, high)).sort((a, b) => a - b), expected);
+      assert.equal(t.overlaps(low, high), expected.length > 0);
+    }
+  });
+
+  it('clear() and JSON round trip', () => {
+    const copy = IntervalTree.fromJSON(JSON.stringify(tree));
+    assert.deepEqual(copy.toArray(), tree.toArray());
+    tree.clear();
+    assert.equal(tree.isEmpty(), true);
+    assert.deepEqual(tree.toArray(), []);
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// OBSERVABLE COLLECTIONS
+// ════════════════════════════════════════════════════════════════════
+describe('Observable collections', () => {
+  /** Subscribe and record every notification. */
+  const record = (collection) => {
+    const notifications = [];
+    const unsubscribe = collection.subscribe((changes) => notifications.push(changes));
+    return { notifications, unsubscribe };
+  };
+
+  // --- ObservableHashMap ---
+  it('ObservableHashMap reports add, set, delete and clear with old values', () => {
+    const map = new ObservableHashMap();
+    const { notifications } = record(map);
+    map.set('a', 1).set('a', 2);
+    map.delete('a');
+    map.delete('missing');
+    map.set('b', 3);
+    map.clear();
+    map.clear();
+    assert.deepEqual(notifications, [
+      [{ type: 'add', key: 'a', value: 1 }],
+      [{ type: 'set', key: 'a', value: 2, oldValue: 1 }],
+      [{ type: 'delete', key: 'a', oldValue: 2 }],
+      [{ type: 'add', key: 'b', value: 3 }],
+      [{ type: 'clear', oldValue: [['b', 3]] }],
+    ]);
+  });
+
+  it('ObservableHashMap is still a HashMap', () => {
+    const map = new ObservableHashMap({ mode: 'robin-hood' });
+    map.set(1, 'x');
+    assert.ok(map instanceof HashMap);
+    assert.deepEqual(map.entries(), [[1, 'x']]);
+    assert.deepEqual(HashMap.fromJSON(JSON.stringify(map)).entries(), [[1, 'x']]);
+  });
+
+  // --- ObservableLinkedList ---
+  it('ObservableLinkedList reports positions', () => {
+    const list = new ObservableLinkedList();
+    const { notifications } = record(list);
+    list.append('b').prepend('a').append('c');
+    list.delete('b');
+    assert.deepEqual(notifications.flat(), [
+      { type: 'add', index: 0, value: 'b' },
+      { type: 'add', index: 0, value: 'a' },
+      { type: 'add', index: 2, value: 'c' },
+      { type: 'delete', index: 1, oldValue: 'b' },
+    ]);
+  });
+
+  it('ObservableLinkedList reports reverse() as one batch of sets', () => {
+    const list = new ObservableLinkedList().append(1).append(2).append(3);
+    const { notifications } = record(list);
+    list.reverse();
+    assert.deepEqual(notifications, [[
+      { type: 'set', index: 0, value: 3, oldValue: 1 },
+      { type: 'set', index: 2, value: 1, oldValue: 3 },
+    ]]);
+    assert.deepEqual(list.toArray(), [3, 2, 1]);
+  });
+
+  // --- ObservableQueue ---
+  it('ObservableQueue reports enqueue, dequeue and clear', () => {
+    const queue = new ObservableQueue();
+    const { notifications } = record(queue);
+    queue.enqueue('job1');
+    queue.enqueue('job2');
+    assert.equal(queue.dequeue(), 'job1');
+    assert.equal(new ObservableQueue().dequeue(), undefined);
+    queue.clear();
+    assert.deepEqual(notifications.flat(), [
+      { type: 'add', index: 0, value: 'job1' },
+      { type: 'add', index: 1, value: 'job2' },
+      { type: 'delete', index: 0, oldValue: 'job1' },
+      { type: 'clear', oldValue: ['job2'] },
+    ]);
+  });
+
+  // --- Batching and subscriptions ---
+  it('batch() delivers nested mutations as one notification', () => {
+    const queue = new ObservableQueue();
+    const { notifications } = record(queue);
+    const result = queue.batch((q) => {
+      q.enqueue(1);
+      q.batch(() => q.enqueue(2));
+      assert.equal(notifications.length, 0);
+      return q.size();
+    });
+    assert.equal(result, 2);
+    assert.equal(notifications.length, 1);
+    assert.deepEqual(notifications[0].map((c) => c.value), [1, 2]);
+    queue.batch(() => {});
+    assert.equal(notifications.length, 1);
+  });
+
+  it('batch() still delivers changes made before an exception', () => {
+    const map = new ObservableHashMap();
+    const { notifications } = record(map);
+    assert.throws(() => map.batch((m) => { m.set('k', 1); throw new Error('boom'); }), /boom/);
+    assert.deepEqual(notifications, [[{ type: 'add', key: 'k', value: 1 }]]);
+  });
+
+  it('unsubscribe stops notifications; listeners must be functions', () => {
+    const list = new ObservableLinkedList();
+    const first = record(list);
+    const second = record(list);
+    list.append(1);
+    first.unsubscribe();
+    list.append(2);
+    assert.equal(first.notifications.length, 1);
+    assert.equal(second.notifications.length, 2);
+    assert.throws(() => list.subscribe('nope'), TypeError);
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// LRU / LFU CACHES
+// ════════════════════════════════════════════════════════════════════
+
+/** Manually advanced clock for TTL tests. */
+function fakeNow(start = 1_000) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => { t += ms; };
+  return now;
+}
+
+describe('LRUCache', () => {
+  // --- Basic get / set ---
+  it('stores and retrieves values', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('b'), 2);
+    assert.equal(cache.size(), 2);
+  });
+
+  it('evicts the least-recently-used entry', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    cache.get('a');          // b is now LRU
+    cache.set('c', 3);
+    assert.equal(cache.has('b'), false);
+    assert.deepEqual(cache.keys(), ['c', 'a']);
+  });
+
+  it('overwriting a key refreshes recency without growing', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2).set('a', 10).set('c', 3);
+    assert.equal(cache.get('a'), 10);
+    assert.equal(cache.has('b'), false);
+    assert.equal(cache.size(), 2);
+  });
+
+  // --- peek ---
+  it('peek does not bump recency or stats', () => {
+    const cache = new LRUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    assert.equal(cache.peek('a'), 1);
+    cache.set('c', 3);
+    assert.equal(cache.has('a'), false);
+    assert.equal(cache.stats().hits, 0);
+    assert.equal(cache.stats().misses, 0);
+  });
+
+  // --- Weight ---
+  it('evicts by total weight using sizeOf', () => {
+    const cache = new LRUCache({ maxWeight: 10, sizeOf: (v) => v.length });
+    cache.set('a', 'xxxx').set('b', 'xxxx');
+    assert.equal(cache.weight(), 8);
+    cache.set('c', 'xxxx');
+    assert.deepEqual(cache.keys(), ['c', 'b']);
+    assert.equal(cache.weight(), 8);
+  });
+
+  it('rejects a single entry heavier than maxWeight', () => {
+    const cache = new LRUCache({ maxWeight: 3, sizeOf: (v) => v.length });
+    assert.throws(() => cache.set('big', 'xxxx'), RangeError);
+    assert.equal(cache.size(), 0);
+  });
+
+  // --- TTL ---
+  it('expires entries after the default ttl', () => {
+    const now = fakeNow();
+    const cache = new LRUCache({ ttl: 100, now });
+    cache.set('a', 1);
+    now.advance(99);
+    assert.equal(cache.get('a'), 1);
+    now.advance(1);
+    assert.equal(cache.get('a'), undefined);
+    assert.equal(cache.size(), 0);
+  });
+
+  it('per-entry ttl overrides the default', () => {
+    const now = fakeNow();
+    const cache = new LRUCache({ ttl: 1000, now });
+    cache.set('short', 1, { ttl: 10 }).set('forever', 2, { ttl: 0 });
+    now.advance(5000);
+    assert.equal(cache.has('short'), false);
+    assert.equal(cache.get('forever'), 2);
+  });
+
+  it('prune removes all expired entries eagerly', () => {
+    const now = fakeNow();
+    const cache = new LRUCache({ ttl: 10, now });
+    cache.set('a', 1).set('b', 2).set('c', 3, { ttl: 0 });
+    now.advance(10);
+    assert.equal(cache.prune(), 2);
+    assert.deepEqual(cache.keys(), ['c']);
+  });
+
+  // --- onEvict ---
+  it('onEvict reports capacity and expiry evictions only', () => {
+    const now = fakeNow();
+    const log = [];
+    const cache = new LRUCache({
+      maxEntries: 1,
+      now,
+      onEvict: (value, key, reason) => log.push([key, value, reason]),
+    });
+    cache.set('a', 1).set('b', 2, { ttl: 5 });
+    now.advance(5);
+    cache.get('b');
+    cache.set('c', 3);
+    cache.delete('c');
+    cache.set('d', 4);
+    cache.clear();
+    assert.deepEqual(log, [['a', 1, 'capacity'], ['b', 2, 'expired']]);
+  });
+
+  // --- Stats ---
+  it('tracks hits, misses and evictions', () => {
+    const cache = new LRUCache({ maxEntries: 1 });
+    cache.set('a', 1);
+    cache.get('a');
+    cache.get('zzz');
+    cache.set('b', 2);
+    const stats = cache.stats();
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.evictions, 1);
+    assert.equal(stats.hitRate, 0.5);
+    cache.resetStats();
+    assert.equal(cache.stats().hits, 0);
+  });
+
+  // --- Iteration / clear ---
+  it('iterates most → least recent and clears', () => {
+    const cache = new LRUCache();
+    cache.set('a', 1).set('b', 2);
+    cache.get('a');
+    assert.deepEqual([...cache], [['a', 1], ['b', 2]]);
+    assert.deepEqual(cache.values(), [1, 2]);
+    cache.clear();
+    assert.equal(cache.isEmpty(), true);
+    assert.equal(cache.weight(), 0);
+  });
+
+  it('validates options', () => {
+    assert.throws(() => new LRUCache({ maxEntries: 0 }), RangeError);
+    assert.throws(() => new LRUCache({ maxWeight: 0 }), RangeError);
+    assert.throws(() => new LRUCache({ sizeOf: 'x' }), TypeError);
+    assert.throws(() => new LRUCache({ ttl: -1 }), RangeError);
+  });
+
+  // --- Large input ---
+  it('keeps exactly maxEntries under 10,000 inserts', () => {
+    const cache = new LRUCache({ maxEntries: 100 });
+    for (let i = 0; i < 10_000; i++) cache.set(`k${i}`, i);
+    assert.equal(cache.size(), 100);
+    assert.equal(cache.get('k9999'), 9999);
+    assert.equal(cache.get('k9899'), undefined);
+  });
+});
+
+describe('LFUCache', () => {
+  it('evicts the least-frequently-used entry', () => {
+    const cache = new LFUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    cache.get('a');
+    cache.get('a');
+    cache.get('b');
+    cache.set('c', 3);       // b (freq 2) loses to a (freq 3)
+    assert.equal(cache.has('a'), true);
+    assert.equal(cache.has('b'), false);
+    assert.equal(cache.has('c'), true);
+  });
+
+  it('breaks frequency ties by recency', () => {
+    const cache = new LFUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    cache.set('c', 3);       // a and b both freq 1; a is older
+    assert.deepEqual(cache.keys().sort(), ['b', 'c']);
+  });
+
+  it('tracks per-key frequency and peek leaves it unchanged', () => {
+    const cache = new LFUCache();
+    cache.set('a', 1);
+    cache.get('a');
+    cache.peek('a');
+    assert.equal(cache.frequency('a'), 2);
+    assert.equal(cache.frequency('missing'), 0);
+  });
+
+  it('overwriting keeps and bumps the frequency', () => {
+    const cache = new LFUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('a', 2).set('b', 1).set('c', 1);
+    assert.equal(cache.get('a'), 2);
+    assert.equal(cache.has('b'), false);
+  });
+
+  it('supports weight, ttl, onEvict and stats like LRUCache', () => {
+    const now = fakeNow();
+    const evicted = [];
+    const cache = new LFUCache({
+      maxWeight: 5,
+      sizeOf: (v) => v,
+      ttl: 50,
+      now,
+      onEvict: (v, k, reason) => evicted.push([k, reason]),
+    });
+    cache.set('a', 3).set('b', 2);
+    cache.get('a');
+    cache.set('c', 2);       // weight 7 > 5 — b (freq 1, older) goes
+    assert.deepEqual(evicted, [['b', 'capacity']]);
+    now.advance(50);
+    assert.equal(cache.get('a'), undefined);
+    assert.deepEqual(evicted.at(-1), ['a', 'expired']);
+    assert.equal(cache.stats().hits, 1);
+    assert.equal(cache.stats().misses, 1);
+    assert.equal(cache.prune(), 1);
+    assert.equal(cache.isEmpty(), true);
+  });
+
+  it('makes room by weight before inserting, never evicting the newcomer', () => {
+    const cache = new LFUCache({ maxWeight: 2, sizeOf: () => 1 });
+    cache.set('a', 1).set('b', 2).set('c', 3);
+    assert.deepEqual(cache.keys().sort(), ['b', 'c']);
+    assert.equal(cache.has('c'), true);
+    cache.set('b', 'B').set('d', 4);   // b is now freq 2; c (freq 1) goes
+    assert.deepEqual(cache.keys().sort(), ['b', 'd']);
+  });
+
+  it('growing an existing entry evicts others, not the entry itself', () => {
+    const cache = new LFUCache({ maxWeight: 4, sizeOf: (v) => v });
+    cache.set('a', 1).set('b', 1);
+    cache.set('b', 4);
+    assert.deepEqual(cache.entries(), [['b', 4]]);
+    assert.equal(cache.frequency('b'), 2);
+  });
+
+  it('delete and clear keep bookkeeping consistent', () => {
+    const cache = new LFUCache({ maxEntries: 2 });
+    cache.set('a', 1).set('b', 2);
+    cache.get('b');
+    assert.equal(cache.delete('a'), true);
+    assert.equal(cache.delete('a'), false);
+    cache.set('c', 3).set('d', 4);  // c (freq 1) is evicted, b (freq 2) stays
+    assert.deepEqual(cache.keys().sort(), ['b', 'd']);
+    cache.clear();
+    assert.equal(cache.size(), 0);
+    cache.set('e', 5);
+    assert.deepEqual(cache.entries(), [['e', 5]]);
+  });
+
+  it('keeps exactly maxEntries under 10,000 inserts with hot keys retained', () => {
+    const cache = new LFUCache({ maxEntries: 50 });
+    cache.set('hot', 'h');
+    for (let i = 0; i < 10_000; i++) {
+      cache.set(`k${i}`, i);
+      if (i % 10 === 0) cache.get('hot');
+    }
+    assert.equal(cache.size(), 50);
+    assert.equal(cache.get('hot'), 'h');
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// PERSISTENT (IMMUTABLE) STRUCTURES
+// ════════════════════════════════════════════════════════════════════
+describe('PersistentStack', () => {
+  it('empty() is shared and empty', () => {
+    const s = PersistentStack.empty();
+    assert.equal(s, PersistentStack.empty());
+    assert.equal(s.size(), 0);
+    assert.equal(s.isEmpty(), true);
+    assert.equal(s.peek(), undefined);
+    assert.equal(s.pop(), s);
+  });
+
+  it('push/pop return new versions and leave old ones intact', () => {
+    const v0 = PersistentStack.empty();
+    const v1 = v0.push(1);
+    const v2 = v1.push(2);
+    const v3 = v2.pop();
+    assert.deepEqual(v0.toArray(), []);
+    assert.deepEqual(v1.toArray(), [1]);
+    assert.deepEqual(v2.toArray(), [1, 2]);
+    assert.equal(v2.peek(), 2);
+    assert.deepEqual(v3.toArray(), [1]);
+    assert.equal(v3.size(), 1);
+  });
+
+  it('from() builds bottom → top and accepts a mutable Stack', () => {
+    const mutable = new Stack();
+    [1, 2, 3].forEach((n) => mutable.push(n));
+    const s = PersistentStack.from(mutable);
+    assert.equal(s.peek(), 3);
+    assert.deepEqual([...s], mutable.toArray());
+  });
+
+  it('equals compares structure, not identity', () => {
+    const a = PersistentStack.from([1, 2, 3]);
+    const b = PersistentStack.from([1, 2]).push(3);
+    assert.equal(a.equals(b), true);
+    assert.equal(a.equals(a.pop()), false);
+    assert.equal(a.equals(PersistentStack.from([1, 2, 4])), false);
+    assert.equal(a.equals([1, 2, 3]), false);
+    assert.equal(PersistentStack.from([{ x: 1 }]).equals(PersistentStack.from([{ x: 1 }]), (x, y) => x.x === y.x), true);
+  });
+
+  it('instances are frozen', () => {
+    assert.equal(Object.isFrozen(PersistentStack.from([1])), true);
+  });
+
+  it('holds 10,000 versions with structural sharing', () => {
+    const history = [PersistentStack.empty()];
+    for (let i = 0; i < 10_000; i++) history.push(history.at(-1).push(i));
+    assert.equal(history[5000].size(), 5000);
+    assert.equal(history[5000].peek(), 4999);
+    assert.equal(history[10_000].size(), 10_000);
+  });
+});
+
+describe('PersistentQueue', () => {
+  it('empty() is shared and empty', () => {
+    const q = PersistentQueue.empty();
+    assert.equal(q.size(), 0);
+    assert.equal(q.front(), undefined);
+    assert.equal(q.dequeue(), q);
+    assert.deepEqual(q.toArray(), []);
+  });
+
+  it('enqueue/dequeue preserve FIFO order across versions', () => {
+    const v1 = PersistentQueue.from([1, 2, 3]);
+    const v2 = v1.dequeue();
+    const v3 = v2.enqueue(4);
+    assert.deepEqual(v1.toArray(), [1, 2, 3]);
+    assert.deepEqual(v2.toArray(), [2, 3]);
+    assert.deepEqual(v3.toArray(), [2, 3, 4]);
+    assert.equal(v3.front(), 2);
+    assert.equal(v1.front(), 1);
+  });
+
+  it('branching histories stay independent', () => {
+    const base = PersistentQueue.from([1, 2]);
+    const left = base.enqueue('L').dequeue();
+    const right = base.enqueue('R').enqueue('R2');
+    assert.deepEqual(left.toArray(), [2, 'L']);
+    assert.deepEqual(right.toArray(), [1, 2, 'R', 'R2']);
+    assert.deepEqual(base.toArray(), [1, 2]);
+  });
+
+  it('matches a mutable Queue under interleaved operations', () => {
+    let pq = PersistentQueue.empty();
+    const mq = new Queue();
+    for (let i = 0; i < 2000; i++) {
+      if (i % 3 === 2) {
+        assert.equal(pq.front(), mq.dequeue());
+        pq = pq.dequeue();
+      } else {
+        pq = pq.enqueue(i);
+        mq.enqueue(i);
+      }
+    }
+    assert.equal(pq.size(), mq.size());
+    assert.deepEqual(pq.toArray(), mq.toArray());
+  });
+
+  it('dequeuing the same old version repeatedly gives the same answer', () => {
+    const q = PersistentQueue.from(Array.from({ length: 100 }, (_, i) => i));
+    for (let round = 0; round < 3; round++) {
+      let v = q;
+      for (let i = 0; i < 100; i++) {
+        assert.equal(v.front(), i);
+        v = v.dequeue();
+      }
+      assert.equal(v.isEmpty(), true);
+    }
+  });
+
+  it('equals compares contents in order', () => {
+    const a = PersistentQueue.from([1, 2, 3]);
+    const b = PersistentQueue.from([0, 1, 2]).dequeue().enqueue(3);
+    assert.equal(a.equals(b), true);
+    assert.equal(a.equals(a.dequeue()), false);
+    assert.equal(a.equals(PersistentQueue.from([1, 3, 2])), false);
+  });
+});
+
+describe('PersistentMap', () => {
+  it('empty() is shared and empty', () => {
+    const m = PersistentMap.empty();
+    assert.equal(m.size(), 0);
+    assert.equal(m.get('x'), undefined);
+    assert.equal(m.delete('x'), m);
+  });
+
+  it('set/delete return new versions and leave old ones intact', () => {
+    const v1 = PersistentMap.empty().set('a', 1).set('b', 2);
+    const v2 = v1.set('a', 10);
+    const v3 = v2.delete('b');
+    assert.equal(v1.get('a'), 1);
+    assert.equal(v2.get('a'), 10);
+    assert.equal(v3.has('b'), false);
+    assert.equal(v2.has('b'), true);
+    assert.deepEqual([v1.size(), v2.size(), v3.size()], [2, 2, 1]);
+  });
+
+  it('setting an identical value returns the same version', () => {
+    const m = PersistentMap.from([['a', 1]]);
+    assert.equal(m.set('a', 1), m);
+  });
+
+  it('supports object keys by identity and undefined values', () => {
+    const k = {};
+    const m = PersistentMap.empty().set(k, 'obj').set('u', undefined);
+    assert.equal(m.get(k), 'obj');
+    assert.equal(m.get({}), undefined);
+    assert.equal(m.has('u'), true);
+  });
+
+  it('handles full hash collisions', () => {
+    const m0 = new PersistentMap({ hash: () => 1 });
+    const m = m0.set('a', 1).set('b', 2).set('c', 3);
+    assert.equal(m.size(), 3);
+    assert.deepEqual(['a', 'b', 'c'].map((k) => m.get(k)), [1, 2, 3]);
+    const m2 = m.delete('b').delete('a');
+    assert.deepEqual(m2.entries(), [['c', 3]]);
+    assert.equal(m.get('b'), 2);
+  });
+
+  it('custom hash/equals enable value-equality keys', () => {
+    const m = new PersistentMap({
+      hash: (p) => p.x * 31 + p.y,
+      equals: (a, b) => a.x === b.x && a.y === b.y,
+    }).set({ x: 1, y: 2 }, 'p');
+    assert.equal(m.get({ x: 1, y: 2 }), 'p');
+    assert.equal(m.set({ x: 1, y: 2 }, 'q').size(), 1);
+  });
+
+  it('equals ignores insertion order and history', () => {
+    const a = PersistentMap.from([['a', 1], ['b', 2], ['c', 3]]);
+    const b = PersistentMap.from([['c', 3], ['x', 0], ['a', 1], ['b', 2]]).delete('x');
+    assert.equal(a.equals(b), true);
+    assert.equal(a.equals(b.set('c', 4)), false);
+    assert.equal(a.equals(a.delete('a')), false);
+    assert.equal(a.equals(new Map()), false);
+  });
+
+  it('from() accepts a HashMap', () => {
+    const hm = new HashMap().set('k', 'v');
+    assert.equal(PersistentMap.from(hm).get('k'), 'v');
+  });
+
+  it('random operations agree with native Map, old versions stay valid', () => {
+    let pm = PersistentMap.empty();
+    const ref = new Map();
+    const snapshots = [];
+    let seed = 7;
+    const rand = (n) => { seed = (seed * 1103515245 + 12345) & 0x7fffffff; return seed % n; };
+    for (let i = 0; i < 5000; i++) {
+      const key = rand(400);
+      if (rand(3) === 0) {
+        pm = pm.delete(key);
+        ref.delete(key);
+      } else {
+        pm = pm.set(key, i);
+        ref.set(key, i);
+      }
+      if (i % 500 === 0) snapshots.push([pm, new Map(ref)]);
+    }
+    assert.equal(pm.size(), ref.size);
+    for (const [k, v] of ref) assert.equal(pm.get(k), v);
+    for (const [version, expected] of snapshots) {
+      assert.equal(version.size(), expected.size);
+      assert.ok(version.equals(PersistentMap.from(expected)));
+    }
+  });
+});
+
+// ════════════════════════════════════════════════════════════════════
+// SERIALIZATION (JSON + BINARY)
+// ════════════════════════════════════════════════════════════════════
+describe('Serialization', () => {
+  const viaJSON = (cls, value) => cls.fromJSON(JSON.stringify(value));
+
+  // --- Round trips ---
+  const sequences = [
+    ['Stack', () => { const s = new Stack(); [1, 'two', null].forEach((v) => s.push(v)); return s; }, Stack],
+    ['Queue', () => { const q = new Queue(); [1, 'two', null].forEach((v) => q.enqueue(v)); return q; }, Queue],
+    ['LinkedList', () => { const l = new LinkedList(); [1, 'two', null].forEach((v) => l.append(v)); return l; }, LinkedList],
+    ['DoublyLinkedList', () => { const l = new DoublyLinkedList(); [1, 'two', null].forEach((v) => l.append(v)); return l; }, DoublyLinkedList],
+    ['RingBuffer', () => { const r = new RingBuffer(3); [0, 1, 'two', null].forEach((v) => r.pushBack(v)); return r; }, RingBuffer],
+    ['PersistentStack', () => PersistentStack.from([1, 'two', null]), PersistentStack],
+    ['PersistentQueue', () => PersistentQueue.from([1, 'two', null]), PersistentQueue],
+  ];
+
+  for (const [name, make, cls] of sequences) {
+    it(`${name} round-trips through JSON and binary`, () => {
+      const original = make();
+      const fromText = viaJSON(cls, original);
+      const fromBytes = fromBinary(toBinary(original));
+      for (const copy of [fromText, fromBytes]) {
+        assert.ok(copy instanceof cls);
+        assert.deepEqual(copy.toArray(), original.toArray());
+      }
+    });
+  }
+
+  it('keeps own "__proto__" keys of plain objects as data', () => {
+    const value = JSON.parse('{"__proto__":{"x":1},"y":2}');
+    for (const copy of [decode(JSON.parse(JSON.stringify(encode(value)))), fromBinary(toBinary(value))]) {
+      assert.equal(Object.getPrototypeOf(copy), Object.prototype);
+      assert.deepEqual(Object.keys(copy), ['__proto__', 'y']);
+      assert.deepEqual(Object.getOwnPropertyDescriptor(copy, '__proto__').value, { x: 1 });
+      assert.equal(copy.x, undefined);
+    }
+  });
+
+  it('HashMap keeps order, key types and mode', () => {
+    const map = new HashMap({ mode: 'robin-hood' });
+    map.set(1, 'number').set('1', 'string').set(2n, 'bigint').set(undefined, 'undef').set(NaN, 'nan');
+    for (const copy of [viaJSON(HashMap, map), fromBinary(toBinary(map))]) {
+      assert.deepEqual(copy.entries(), map.entries());
+      assert.equal(copy.get(1), 'number');
+      assert.equal(copy.get('1'), 'string');
+      assert.equal(copy.get(NaN), 'nan');
+      assert.equal(copy.toJSON().mode, 'robin-hood');
+    }
+  });
+
+  it('PriorityQueue keeps priorities, tie order and max flag', () => {
+    const pq = new PriorityQueue({ max: true });
+    pq.push('a', 1);
+    pq.push('b', 5);
+    pq.push('c', 5);
+    pq.push('d', 3);
+    const copy = viaJSON(PriorityQueue, pq);
+    assert.deepEqual(copy.toArray(), ['b', 'c', 'd', 'a']);
+    copy.push('e', 4);
+    assert.equal(copy.pop(), 'b');
+    assert.deepEqual(fromBinary(toBinary(pq)).toArray(), pq.toArray());
+  });
+
+  it('PersistentMap round-trips and stays structurally equal', () => {
+    const pm = PersistentMap.from([['a', 1], [2, [3, 4]], [-0, 'zero']]);
+    assert.ok(viaJSON(PersistentMap, pm).equals(pm, (a, b) => JSON.stringify(a) === JSON.stringify(b)));
+    assert.deepEqual(fromBinary(toBinary(pm)).get(2), [3, 4]);
+  });
+
+  it('LRUCache restores recency order, bounds and expiry times', () => {
+    const now = fakeNow();
+    const cache = new LRUCache({ maxEntries: 3, ttl: 100, now });
+    cache.set('a', 1).set('b', 2, { ttl: 0 }).set('c', 3);
+    cache.get('a');
+    now.advance(50);
+    const copy = LRUCache.fromJSON(JSON.stringify(cache), { now });
+    assert.deepEqual(copy.keys(), ['a', 'c', 'b']);
+    copy.set('d', 4);
+    assert.deepEqual(copy.keys(), ['d', 'a', 'c']);
+    now.advance(60);
+    assert.equal(copy.get('a'), undefined);
+    // Without `opts`, decoding uses the real clock and drops the fake-clock entries.
+    assert.deepEqual(fromBinary(toBinary(cache)).keys(), ['b']);
+  });
+
+  it('LRUCache drops entries that expired before restoring', () => {
+    const now = fakeNow();
+    const cache = new LRUCache({ ttl: 10, now });
+    cache.set('old', 1);
+    now.advance(5);
+    cache.set('new', 2);
+    const json = JSON.stringify(cache);
+    now.advance(7);
+    assert.deepEqual(LRUCache.fromJSON(json, { now }).keys(), ['new']);
+  });
+
+  it('LFUCache restores use counts and eviction order', () => {
+    const cache = new LFUCache({ maxEntries: 3 });
+    cache.set('a', 1).set('b', 2).set('c', 3);
+    cache.get('a');
+    cache.get('a');
+    cache.get('c');
+    const copy = LFUCache.fromJSON(JSON.stringify(cache));
+    assert.equal(copy.frequency('a'), 3);
+    assert.equal(copy.frequency('b'), 1);
+    copy.set('d', 4);
+    assert.equal(copy.has('b'), false);
+    copy.set('e', 5);
+    assert.equal(copy.has('d'), false);
+    assert.equal(fromBinary(toBinary(cache)).frequency('c'), 2);
+  });
+
+  // --- Nesting and value types ---
+  it('restores nested structures (HashMap of Queues)', () => {
+    const map = new HashMap();
+    const q = new Queue();
+    q.enqueue({ id: 1 });
+    q.enqueue(new Date(0));
+    map.set('jobs', q);
+    for (const copy of [viaJSON(HashMap, map), fromBinary(toBinary(map))]) {
+      const jobs = copy.get('jobs');
+      assert.ok(jobs instanceof Queue);
+      assert.deepEqual(jobs.toArray(), [{ id: 1 }, new Date(0)]);
+    }
+  });
+
+  it('encode/decode preserve values JSON cannot represent', () => {
+    const value = [undefined, NaN, Infinity, -Infinity, -0, 10n ** 30n, new Date(5),
+      new Map([[1, 'a']]), new Set(['x']), { $type: 'user data', n: 1 }];
+    const back = decode(JSON.parse(JSON.stringify(encode(value))));
+    assert.deepEqual(back, value);
+    assert.ok(Object.is(back[4], -0));
+    assert.deepEqual(fromBinary(toBinary(value)), value);
+    assert.ok(Number.isNaN(decode(encode(new Date(NaN))).getTime()));
+  });
+
+  it('rejects values it cannot serialize', () => {
+    assert.throws(() => encode(Symbol('s')), TypeError);
+    assert.throws(() => encode(() => {}), TypeError);
+    assert.throws(() => encode(new (class Custom {})()), /Custom/);
+  });
+
+  // --- Errors ---
+  it('fromJSON rejects a payload of another type', () => {
+    assert.throws(() => Stack.fromJSON(JSON.stringify(new Queue())), TypeError);
+    assert.throws(() => Queue.fromJSON('{}'), TypeError);
+    assert.throws(() => decode({ $type: 'Nope' }), /unknown \$type 'Nope'/);
+  });
+
+  it('fromBinary rejects bad magic, truncation and trailing bytes', () => {
+    const bytes = toBinary(new Stack());
+    assert.throws(() => fromBinary(new Uint8Array([0, 0, 1, 0])), RangeError);
+    assert.throws(() => fromBinary(bytes.subarray(0, bytes.length - 2)), RangeError);
+    const padded = new Uint8Array(bytes.length + 1);
+    padded.set(bytes);
+    assert.throws(() => fromBinary(padded), RangeError);
+    assert.throws(() => fromBinary('DS'), TypeError);
+  });
+
+  it('binary form is smaller than the JSON text', () => {
+    const map = new HashMap();
+    for (let i = 0; i < 500; i++) map.set(i, `value-${i}`);
+    assert.ok(toBinary(map).length < JSON.stringify(map).length);
+    assert.deepEqual(fromBinary(Buffer.from(toBinary(map))).entries(), map.entries());
+  });
+});
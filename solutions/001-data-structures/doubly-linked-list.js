@@ -0,0 +1,378 @@
+/**
+ * Doubly Linked List with node handles.
+ *
+ * Every insertion returns the node it created. Handing that node back to
+ * `removeNode`, `moveToFront`, `insertBefore`, ... is O(1) — no scan — which
+ * is what an LRU cache or an ordered index needs from its backing list.
+ *
+ * Handles are opaque apart from `node.value` (readable and writable). A
+ * handle that was removed, or that belongs to another list, is rejected with
+ * a TypeError instead of silently corrupting the links.
+ */
+
+import { encode, decode, expectType, registerType } from './codec.js';
+import { mixinIterable } from './iterable.js';
+
+class ListNode {
+  constructor(value, list) {
+    this.value = value;
+    this.prev = null;
+    this.next = null;
+    this.list = list;
+  }
+}
+
+export class DoublyLinkedList {
+  #head;
+  #tail;
+  #length;
+
+  constructor() {
+    this.#head = null;
+    this.#tail = null;
+    this.#length = 0;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  /** Throw unless `node` is a live handle owned by this list. */
+  #assertOwned(node, method) {
+    if (!(node instanceof ListNode) || node.list !== this) {
+      throw new TypeError(`DoublyLinkedList.${method}: node does not belong to this list`);
+    }
+  }
+
+  /** Splice a detached `node` in between `prev` and `next` (either may be null). */
+  #link(node, prev, next) {
+    node.prev = prev;
+    node.next = next;
+    if (prev === null) this.#head = node; else prev.next = node;
+    if (next === null) this.#tail = node; else next.prev = node;
+    this.#length++;
+    return node;
+  }
+
+  /** Detach `node` from its neighbours without invalidating the handle. */
+  #unlink(node) {
+    if (node.prev === null) this.#head = node.next; else node.prev.next = node.next;
+    if (node.next === null) this.#tail = node.prev; else node.next.prev = node.prev;
+    node.prev = null;
+    node.next = null;
+    this.#length--;
+  }
+
+  /** First node satisfying `test`, scanning head → tail. */
+  #findNode(test) {
+    let current = this.#head;
+    while (current !== null) {
+      if (test(current.value)) return current;
+      current = current.next;
+    }
+    return null;
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * First node, or `null` if the list is empty.
+   * @returns {ListNode|null}
+   * @time O(1)
+   */
+  get head() {
+    return this.#head;
+  }
+
+  /**
+   * Last node, or `null` if the list is empty.
+   * @returns {ListNode|null}
+   * @time O(1)
+   */
+  get tail() {
+    return this.#tail;
+  }
+
+  /**
+   * Add `value` at the end of the list.
+   * @param {*} value
+   * @returns {ListNode} Handle for the new node.
+   * @time O(1)
+   */
+  append(value) {
+    return this.#link(new ListNode(value, this), this.#tail, null);
+  }
+
+  /**
+   * Add `value` at the beginning of the list.
+   * @param {*} value
+   * @returns {ListNode} Handle for the new node.
+   * @time O(1)
+   */
+  prepend(value) {
+    return this.#link(new ListNode(value, this), null, this.#head);
+  }
+
+  /**
+   * Insert `value` immediately before `node`.
+   * @param {ListNode} node
+   * @param {*} value
+   * @returns {ListNode} Handle for the new node.
+   * @time O(1)
+   */
+  insertBefore(node, value) {
+    this.#assertOwned(node, 'insertBefore');
+    return this.#link(new ListNode(value, this), node.prev, node);
+  }
+
+  /**
+   * Insert `value` immediately after `node`.
+   * @param {ListNode} node
+   * @param {*} value
+   * @returns {ListNode} Handle for the new node.
+   * @time O(1)
+   */
+  insertAfter(node, value) {
+    this.#assertOwned(node, 'insertAfter');
+    return this.#link(new ListNode(value, this), node, node.next);
+  }
+
+  /**
+   * Remove `node` from the list. The handle is invalidated afterwards.
+   * @param {ListNode} node
+   * @returns {*} The removed node's value.
+   * @time O(1)
+   */
+  removeNode(node) {
+    this.#assertOwned(node, 'removeNode');
+    this.#unlink(node);
+    node.list = null;
+    return node.value;
+  }
+
+  /**
+   * Move `node` to the head of the list.
+   * @param {ListNode} node
+   * @returns {ListNode} The same handle.
+   * @time O(1)
+   */
+  moveToFront(node) {
+    this.#assertOwned(node, 'moveToFront');
+    if (node === this.#head) return node;
+    this.#unlink(node);
+    return this.#link(node, null, this.#head);
+  }
+
+  /**
+   * Move `node` to the tail of the list.
+   * @param {ListNode} node
+   * @returns {ListNode} The same handle.
+   * @time O(1)
+   */
+  moveToBack(node) {
+    this.#assertOwned(node, 'moveToBack');
+    if (node === this.#tail) return node;
+    this.#unlink(node);
+    return this.#link(node, this.#tail, null);
+  }
+
+  /**
+   * Remove and return the first value.
+   * @returns {*} The value, or `undefined` if the list is empty.
+   * @time O(1)
+   */
+  shift() {
+    return this.#head === null ? undefined : this.removeNode(this.#head);
+  }
+
+  /**
+   * Remove and return the last value.
+   * @returns {*} The value, or `undefined` if the list is empty.
+   * @time O(1)
+   */
+  pop() {
+    return this.#tail === null ? undefined : this.removeNode(this.#tail);
+  }
+
+  /**
+   * Remove the first node whose value strictly equals `value`.
+   * @param {*} value
+   * @returns {boolean} `true` if a node was removed, `false` otherwise.
+   * @time O(n)
+   */
+  delete(value) {
+    const node = this.#findNode((v) => v === value);
+    if (node === null) return false;
+    this.removeNode(node);
+    return true;
+  }
+
+  /**
+   * Return the value of the first node that satisfies `predicate`,
+   * or `undefined` if none match. Non-function arguments use strict equality.
+   * @param {Function|*} predicate — Callback `(value) => bool` OR a value.
+   * @returns {*} Matched value or `undefined`.
+   * @time O(n)
+   */
+  find(predicate) {
+    const node = this.findNode(predicate);
+    return node === null ? undefined : node.value;
+  }
+
+  /**
+   * Like `find`, but returns the node handle instead of the value.
+   * @param {Function|*} predicate — Callback `(value) => bool` OR a value.
+   * @returns {ListNode|null}
+   * @time O(n)
+   */
+  findNode(predicate) {
+    const test =
+      typeof predicate === 'function' ? predicate : (v) => v === predicate;
+    return this.#findNode(test);
+  }
+
+  /**
+   * Return a plain array of all values, head → tail.
+   * @returns {Array}
+   * @time O(n)
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Number of nodes in the list.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#length;
+  }
+
+  /**
+   * Reverse the list in place. Existing handles stay valid.
+   * @returns {DoublyLinkedList} `this` for chaining.
+   * @time O(n) | Space O(1)
+   */
+  reverse() {
+    let current = this.#head;
+    while (current !== null) {
+      const next = current.next;
+      current.next = current.prev;
+      current.prev = next;
+      current = next;
+    }
+    [this.#head, this.#tail] = [this.#tail, this.#head];
+    return this;
+  }
+
+  /**
+   * Check whether the list is empty.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#length === 0;
+  }
+
+  /**
+   * Remove all nodes. Outstanding handles are invalidated.
+   * @returns {void}
+   * @time O(n)
+   */
+  clear() {
+    let current = this.#head;
+    while (current !== null) {
+      const next = current.next;
+      current.prev = null;
+      current.next = null;
+      current.list = null;
+      current = next;
+    }
+    this.#head = null;
+    this.#tail = null;
+    this.#length = 0;
+  }
+
+  // ─── Iteration ───────────────────────────────────────────────────
+
+  /**
+   * Iterate values head → tail, without copying.
+   * @returns {Iterator<*>}
+   * @time O(1) per step
+   */
+  *[Symbol.iterator]() {
+    let current = this.#head;
+    while (current !== null) {
+      const next = current.next;
+      yield current.value;
+      current = next;
+    }
+  }
+
+  /**
+   * Iterate values tail → head, without copying.
+   * @returns {Iterator<*>}
+   * @time O(1) per step
+   */
+  *reversed() {
+    let current = this.#tail;
+    while (current !== null) {
+      const prev = current.prev;
+      yield current.value;
+      current = prev;
+    }
+  }
+
+  /**
+   * Iterate node handles head → tail. Removing the yielded node is safe.
+   * @returns {Iterator<ListNode>}
+   * @time O(1) per step
+   */
+  *nodes() {
+    let current = this.#head;
+    while (current !== null) {
+      const next = current.next;
+      yield current;
+      current = next;
+    }
+  }
+
+  // forEach / map / filter / reduce / some / every: see iterable.js.
+  static {
+    mixinIterable(this, {
+      noun: 'list',
+      collect: (self, items) => {
+        const result = new DoublyLinkedList();
+        for (const value of items) result.append(value);
+        return result;
+      },
+    });
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(list)` uses it. Nested structures and
+   * non-JSON values are tagged (see `codec.js`) so `fromJSON` restores them.
+   * @returns {{ $type: 'DoublyLinkedList', items: Array }} Items head → tail.
+   * @time O(n)
+   */
+  toJSON() {
+    return { $type: 'DoublyLinkedList', items: Array.from(this, encode) };
+  }
+
+  /**
+   * Rebuild a DoublyLinkedList from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {DoublyLinkedList}
+   * @throws {TypeError} If `json` is not a serialized DoublyLinkedList.
+   * @time O(n)
+   */
+  static fromJSON(json) {
+    const { items } = expectType(json, 'DoublyLinkedList');
+    const list = new DoublyLinkedList();
+    for (const item of items) list.append(decode(item));
+    return list;
+  }
+}
+
+registerType('DoublyLinkedList', DoublyLinkedList);
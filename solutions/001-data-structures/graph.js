@@ -0,0 +1,550 @@
+/**
+ * Graph — directed or undirected weighted graph over arbitrary vertices.
+ *
+ * Design decisions:
+ *  - Adjacency maps (HashMap vertex → HashMap neighbour → weight), so vertices
+ *    can be any value with Map-like key semantics and edge lookup is O(1).
+ *  - Directed graphs also keep the reverse adjacency, so removing a vertex and
+ *    reading in-degrees do not scan the whole graph. An undirected graph
+ *    stores each edge in both directions and shares one map for both roles.
+ *  - Every traversal is iterative (explicit stacks), so deep graphs such as
+ *    long dependency chains cannot overflow the call stack.
+ *  - Vertex order is insertion order everywhere, which makes traversals and
+ *    topological orders deterministic.
+ *  - `topologicalSort()` throws an Error named 'CycleError' whose `cycle`
+ *    property lists one offending cycle (first vertex repeated at the end).
+ */
+
+import { HashMap, sameValueZero } from './hash-map.js';
+import { PriorityQueue } from './priority-queue.js';
+import { Queue } from './queue.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+const NO_PARENT = Symbol('no parent');
+const NO_TARGET = Symbol('no target');
+
+export class Graph {
+  #directed;
+  /** @type {HashMap} vertex → HashMap(neighbour → weight) */
+  #out;
+  /** @type {HashMap} vertex → HashMap(predecessor → weight); `#out` when undirected. */
+  #in;
+  #edgeCount;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {boolean} [opts.directed=true]
+   */
+  constructor(opts = {}) {
+    const { directed = true } = opts;
+    this.#directed = Boolean(directed);
+    this.#out = new HashMap();
+    this.#in = this.#directed ? new HashMap() : this.#out;
+    this.#edgeCount = 0;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  /** Outgoing adjacency of `vertex`; throws for an unknown vertex. */
+  #adjacency(vertex, method) {
+    const adjacency = this.#out.get(vertex);
+    if (adjacency === undefined) throw new RangeError(`Graph.${method}: unknown vertex ${String(vertex)}`);
+    return adjacency;
+  }
+
+  /** Path `from` → ... → `to` by following `previous` links back from `to`. */
+  #path(previous, from, to) {
+    const path = [to];
+    while (!sameValueZero(path[path.length - 1], from)) path.push(previous.get(path[path.length - 1]));
+    return path.reverse();
+  }
+
+  // ─── Vertices and edges ──────────────────────────────────────────
+
+  /**
+   * Whether edges are directed.
+   * @returns {boolean}
+   */
+  get directed() {
+    return this.#directed;
+  }
+
+  /**
+   * Add `vertex` if it is not present yet.
+   * @param {*} vertex
+   * @returns {Graph} `this` for chaining.
+   * @time O(1) average
+   */
+  addVertex(vertex) {
+    if (!this.#out.has(vertex)) {
+      this.#out.set(vertex, new HashMap());
+      if (this.#directed) this.#in.set(vertex, new HashMap());
+    }
+    return this;
+  }
+
+  /**
+   * Check whether `vertex` is in the graph.
+   * @param {*} vertex
+   * @returns {boolean}
+   * @time O(1) average
+   */
+  hasVertex(vertex) {
+    return this.#out.has(vertex);
+  }
+
+  /**
+   * Remove `vertex` and every edge touching it.
+   * @param {*} vertex
+   * @returns {boolean} `true` if the vertex existed.
+   * @time O(degree)
+   */
+  removeVertex(vertex) {
+    const out = this.#out.get(vertex);
+    if (out === undefined) return false;
+    for (const neighbour of out.keys()) this.removeEdge(vertex, neighbour);
+    for (const predecessor of this.#in.get(vertex).keys()) this.removeEdge(predecessor, vertex);
+    this.#out.delete(vertex);
+    if (this.#directed) this.#in.delete(vertex);
+    return true;
+  }
+
+  /**
+   * Add (or re-weight) the edge `from` → `to`, creating missing vertices.
+   * In an undirected graph the edge also connects `to` → `from`.
+   * @param {*} from
+   * @param {*} to
+   * @param {number} [weight=1]
+   * @returns {Graph} `this` for chaining.
+   * @throws {TypeError} If `weight` is not a number.
+   * @time O(1) average
+   */
+  addEdge(from, to, weight = 1) {
+    if (typeof weight !== 'number' || Number.isNaN(weight)) {
+      throw new TypeError('Graph.addEdge: weight must be a number');
+    }
+    this.addVertex(from).addVertex(to);
+    const out = this.#out.get(from);
+    if (!out.has(to)) this.#edgeCount++;
+    out.set(to, weight);
+    this.#in.get(to).set(from, weight);
+    return this;
+  }
+
+  /**
+   * Check whether the edge `from` → `to` exists.
+   * @param {*} from
+   * @param {*} to
+   * @returns {boolean}
+   * @time O(1) average
+   */
+  hasEdge(from, to) {
+    return this.#out.get(from)?.has(to) ?? false;
+  }
+
+  /**
+   * Weight of the edge `from` → `to`.
+   * @param {*} from
+   * @param {*} to
+   * @returns {number|undefined} `undefined` if there is no such edge.
+   * @time O(1) average
+   */
+  weight(from, to) {
+    return this.#out.get(from)?.get(to);
+  }
+
+  /**
+   * Remove the edge `from` → `to` (both directions when undirected).
+   * @param {*} from
+   * @param {*} to
+   * @returns {boolean} `true` if the edge existed.
+   * @time O(1) average
+   */
+  removeEdge(from, to) {
+    const out = this.#out.get(from);
+    if (out === undefined || !out.delete(to)) return false;
+    this.#in.get(to).delete(from);
+    this.#edgeCount--;
+    return true;
+  }
+
+  /**
+   * Vertices reachable over one outgoing edge, in insertion order.
+   * @param {*} vertex
+   * @returns {Array}
+   * @throws {RangeError} For an unknown vertex.
+   * @time O(degree)
+   */
+  neighbors(vertex) {
+    return this.#adjacency(vertex, 'neighbors').keys();
+  }
+
+  /**
+   * Vertices with an edge into `vertex` (same as `neighbors` when undirected).
+   * @param {*} vertex
+   * @returns {Array}
+   * @throws {RangeError} For an unknown vertex.
+   * @time O(in-degree)
+   */
+  predecessors(vertex) {
+    this.#adjacency(vertex, 'predecessors');
+    return this.#in.get(vertex).keys();
+  }
+
+  /**
+   * Number of outgoing edges (all incident edges when undirected).
+   * @param {*} vertex
+   * @returns {number}
+   * @throws {RangeError} For an unknown vertex.
+   * @time O(1)
+   */
+  outDegree(vertex) {
+    return this.#adjacency(vertex, 'outDegree').size();
+  }
+
+  /**
+   * Number of incoming edges (all incident edges when undirected).
+   * @param {*} vertex
+   * @returns {number}
+   * @throws {RangeError} For an unknown vertex.
+   * @time O(1)
+   */
+  inDegree(vertex) {
+    this.#adjacency(vertex, 'inDegree');
+    return this.#in.get(vertex).size();
+  }
+
+  /**
+   * All vertices in insertion order.
+   * @returns {Array}
+   * @time O(V)
+   */
+  vertices() {
+    return this.#out.keys();
+  }
+
+  /**
+   * All edges as `[from, to, weight]`; an undirected edge is listed once.
+   * @returns {Array<[*, *, number]>}
+   * @time O(V + E)
+   */
+  edges() {
+    const edges = [];
+    const done = this.#directed ? null : new HashMap();
+    for (const [from, out] of this.#out) {
+      for (const [to, weight] of out) {
+        if (done !== null && done.has(to)) continue;
+        edges.push([from, to, weight]);
+      }
+      done?.set(from, true);
+    }
+    return edges;
+  }
+
+  /**
+   * Number of vertices.
+   * @returns {number}
+   * @time O(1)
+   */
+  vertexCount() {
+    return this.#out.size();
+  }
+
+  /**
+   * Number of edges (an undirected edge counts once).
+   * @returns {number}
+   * @time O(1)
+   */
+  edgeCount() {
+    return this.#edgeCount;
+  }
+
+  /**
+   * Iterate vertices in insertion order.
+   * @returns {Iterator<*>}
+   */
+  *[Symbol.iterator]() {
+    for (const [vertex] of this.#out) yield vertex;
+  }
+
+  // ─── Traversal ───────────────────────────────────────────────────
+
+  /**
+   * Breadth-first traversal from `start`, yielding each reachable vertex once.
+   * @param {*} start
+   * @returns {Iterator<*>}
+   * @throws {RangeError} For an unknown vertex.
+   * @time O(V + E)
+   */
+  *bfs(start) {
+    this.#adjacency(start, 'bfs');
+    const seen = new HashMap().set(start, true);
+    const queue = new Queue();
+    queue.enqueue(start);
+    while (!queue.isEmpty()) {
+      const vertex = queue.dequeue();
+      yield vertex;
+      for (const neighbour of this.#out.get(vertex).keys()) {
+        if (seen.has(neighbour)) continue;
+        seen.set(neighbour, true);
+        queue.enqueue(neighbour);
+      }
+    }
+  }
+
+  /**
+   * Depth-first (pre-order) traversal from `start`, yielding each reachable
+   * vertex once. Neighbours are explored in insertion order.
+   * @param {*} start
+   * @returns {Iterator<*>}
+   * @throws {RangeError} For an unknown vertex.
+   * @time O(V + E)
+   */
+  *dfs(start) {
+    this.#adjacency(start, 'dfs');
+    const seen = new HashMap();
+    const stack = [start];
+    while (stack.length > 0) {
+      const vertex = stack.pop();
+      if (seen.has(vertex)) continue;
+      seen.set(vertex, true);
+      yield vertex;
+      const neighbours = this.#out.get(vertex).keys();
+      for (let i = neighbours.length - 1; i >= 0; i--) {
+        if (!seen.has(neighbours[i])) stack.push(neighbours[i]);
+      }
+    }
+  }
+
+  // ─── Algorithms ──────────────────────────────────────────────────
+
+  /**
+   * Order the vertices so every edge points forward (Kahn's algorithm; ties
+   * keep insertion order).
+   * @returns {Array}
+   * @throws {TypeError} For an undirected graph.
+   * @throws {Error} Named 'CycleError', with a `cycle` array, if the graph is cyclic.
+   * @time O(V + E)
+   */
+  topologicalSort() {
+    if (!this.#directed) throw new TypeError('Graph.topologicalSort: graph is undirected');
+
+    const remaining = new HashMap();
+    const ready = new Queue();
+    for (const [vertex, preds] of this.#in) {
+      remaining.set(vertex, preds.size());
+      if (preds.size() === 0) ready.enqueue(vertex);
+    }
+
+    const order = [];
+    while (!ready.isEmpty()) {
+      const vertex = ready.dequeue();
+      order.push(vertex);
+      for (const next of this.#out.get(vertex).keys()) {
+        const left = remaining.get(next) - 1;
+        remaining.set(next, left);
+        if (left === 0) ready.enqueue(next);
+      }
+    }
+
+    if (order.length < this.#out.size()) {
+      const cycle = this.findCycle();
+      const err = new Error(`Graph.topologicalSort: cycle detected: ${cycle.map(String).join(' → ')}`);
+      err.name = 'CycleError';
+      err.cycle = cycle;
+      throw err;
+    }
+    return order;
+  }
+
+  /**
+   * Find one cycle, if any.
+   * @returns {Array|null} Vertices along the cycle with the first repeated at
+   *   the end (e.g. `['a', 'b', 'a']`), or `null` if the graph is acyclic.
+   *   In an undirected graph an edge walked back and forth is not a cycle.
+   * @time O(V + E)
+   */
+  findCycle() {
+    const state = new HashMap(); // vertex → 1 (on the path) | 2 (finished)
+    for (const root of this.#out.keys()) {
+      if (state.has(root)) continue;
+      // Each frame: [vertex, neighbour list, next index, parent frame's vertex].
+      const stack = [[root, this.#out.get(root).keys(), 0, NO_PARENT]];
+      const path = [root];
+      state.set(root, 1);
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const [vertex, neighbours, i, parent] = frame;
+        if (i === neighbours.length) {
+          state.set(vertex, 2);
+          stack.pop();
+          path.pop();
+          continue;
+        }
+        frame[2]++;
+        const next = neighbours[i];
+        // Walking an undirected edge straight back to where we came from is not a cycle.
+        if (!this.#directed && parent !== NO_PARENT && sameValueZero(next, parent)) continue;
+        const seen = state.get(next);
+        if (seen === 1) return [...path.slice(path.findIndex((v) => sameValueZero(v, next))), next];
+        if (seen === undefined) {
+          state.set(next, 1);
+          path.push(next);
+          stack.push([next, this.#out.get(next).keys(), 0, vertex]);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Strongly connected components (Tarjan's algorithm). For an undirected
+   * graph these are the connected components.
+   * @returns {Array<Array>} Components in reverse topological order of the
+   *   condensation (a component comes before any component that reaches it).
+   * @time O(V + E)
+   */
+  stronglyConnectedComponents() {
+    const index = new HashMap();
+    const low = new HashMap();
+    const onStack = new HashMap();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    for (const root of this.#out.keys()) {
+      if (index.has(root)) continue;
+      const work = [[root, this.#out.get(root).keys(), 0]];
+      index.set(root, counter);
+      low.set(root, counter++);
+      stack.push(root);
+      onStack.set(root, true);
+
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        const [vertex, neighbours, i] = frame;
+        if (i < neighbours.length) {
+          frame[2]++;
+          const next = neighbours[i];
+          if (!index.has(next)) {
+            index.set(next, counter);
+            low.set(next, counter++);
+            stack.push(next);
+            onStack.set(next, true);
+            work.push([next, this.#out.get(next).keys(), 0]);
+          } else if (onStack.has(next)) {
+            low.set(vertex, Math.min(low.get(vertex), index.get(next)));
+          }
+          continue;
+        }
+
+        work.pop();
+        if (work.length > 0) {
+          const parent = work[work.length - 1][0];
+          low.set(parent, Math.min(low.get(parent), low.get(vertex)));
+        }
+        if (low.get(vertex) === index.get(vertex)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (!sameValueZero(member, vertex));
+          components.push(component.reverse());
+        }
+      }
+    }
+    return components;
+  }
+
+  /**
+   * Distances from `source` to every reachable vertex (Dijkstra).
+   * @param {*} source
+   * @returns {HashMap} vertex → total weight of the lightest path.
+   * @throws {RangeError} For an unknown vertex or a negative edge weight.
+   * @time O((V + E) log V)
+   */
+  distancesFrom(source) {
+    return this.#dijkstra(source, NO_TARGET, 'distancesFrom').distance;
+  }
+
+  /**
+   * Lightest path from `from` to `to` (Dijkstra).
+   * @param {*} from
+   * @param {*} to
+   * @returns {{ path: Array, distance: number }|null} `null` if `to` is unreachable.
+   * @throws {RangeError} For an unknown vertex or a negative edge weight.
+   * @time O((V + E) log V)
+   */
+  shortestPath(from, to) {
+    this.#adjacency(to, 'shortestPath');
+    const { distance, previous } = this.#dijkstra(from, to, 'shortestPath');
+    if (!distance.has(to)) return null;
+    return { path: this.#path(previous, from, to), distance: distance.get(to) };
+  }
+
+  /** Dijkstra with lazy deletion; stops early once `target` is settled. */
+  #dijkstra(source, target, method) {
+    this.#adjacency(source, method);
+    const distance = new HashMap().set(source, 0);
+    const previous = new HashMap();
+    const settled = new HashMap();
+    const frontier = new PriorityQueue();
+    frontier.push(source, 0);
+
+    while (!frontier.isEmpty()) {
+      const d = frontier.peekPriority();
+      const vertex = frontier.pop();
+      if (settled.has(vertex)) continue;
+      settled.set(vertex, true);
+      if (target !== NO_TARGET && sameValueZero(vertex, target)) break;
+
+      for (const [next, weight] of this.#out.get(vertex)) {
+        if (weight < 0) throw new RangeError(`Graph.${method}: negative edge weight ${weight}`);
+        const candidate = d + weight;
+        if (!distance.has(next) || candidate < distance.get(next)) {
+          distance.set(next, candidate);
+          previous.set(next, vertex);
+          frontier.push(next, candidate);
+        }
+      }
+    }
+
+    for (const vertex of distance.keys()) if (!settled.has(vertex)) distance.delete(vertex);
+    return { distance, previous };
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot: vertices (including isolated ones) and edges.
+   * @returns {{ $type: 'Graph', directed: boolean, vertices: Array, edges: Array }}
+   * @time O(V + E)
+   */
+  toJSON() {
+    return {
+      $type: 'Graph',
+      directed: this.#directed,
+      vertices: this.vertices().map(encode),
+      edges: this.edges().map(([from, to, weight]) => [encode(from), encode(to), encode(weight)]),
+    };
+  }
+
+  /**
+   * Rebuild a Graph from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {Graph}
+   * @throws {TypeError} If `json` is not a serialized Graph.
+   * @time O(V + E)
+   */
+  static fromJSON(json) {
+    const { directed, vertices, edges } = expectType(json, 'Graph');
+    const graph = new Graph({ directed });
+    for (const vertex of vertices) graph.addVertex(decode(vertex));
+    for (const [from, to, weight] of edges) graph.addEdge(decode(from), decode(to), decode(weight));
+    return graph;
+  }
+}
+
+registerType('Graph', Graph);
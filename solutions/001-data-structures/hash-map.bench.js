@@ -0,0 +1,82 @@
+/**
+ * HashMap benchmark — chaining vs robin-hood storage (native Map as baseline).
+ *
+ * Run: node solutions/001-data-structures/hash-map.bench.js [entries]
+ *
+ * Each workload runs on a fresh map: insert N keys, look up every key plus N
+ * misses, then delete half and look everything up again. Reported figure is
+ * the best of several rounds, in million operations per second.
+ */
+
+import { HashMap } from './hash-map.js';
+
+const N = Number(process.argv[2]) || 100_000;
+const ROUNDS = 5;
+
+const intKeys = Array.from({ length: N }, (_, i) => i * 7919);
+const strKeys = intKeys.map((k) => `key:${k}`);
+const objKeys = intKeys.map((k) => ({ k }));
+const missKeys = intKeys.map((k) => k + 1);
+
+/** Adapter so native Map exposes the same `size()` call shape. */
+function nativeMap() {
+  const m = new Map();
+  return {
+    set: (k, v) => m.set(k, v),
+    get: (k) => m.get(k),
+    delete: (k) => m.delete(k),
+    size: () => m.size,
+  };
+}
+
+const contenders = {
+  'chaining': () => new HashMap(),
+  'robin-hood': () => new HashMap({ mode: 'robin-hood' }),
+  'native Map': nativeMap,
+};
+
+const workloads = { int: intKeys, string: strKeys, object: objKeys };
+
+/** Run the mixed workload once; returns ops performed and a checksum. */
+function workload(map, keys) {
+  let checksum = 0;
+  for (let i = 0; i < keys.length; i++) map.set(keys[i], i);
+  for (let i = 0; i < keys.length; i++) checksum += map.get(keys[i]);
+  for (let i = 0; i < missKeys.length; i++) if (map.get(missKeys[i]) !== undefined) checksum++;
+  for (let i = 0; i < keys.length; i += 2) map.delete(keys[i]);
+  for (let i = 0; i < keys.length; i++) if (map.get(keys[i]) !== undefined) checksum++;
+  const ops = keys.length * 4 + Math.ceil(keys.length / 2);
+  return { ops, checksum: checksum + map.size() };
+}
+
+function bench(create, keys) {
+  let best = Infinity;
+  let ops = 0;
+  let checksum = null;
+  for (let round = 0; round < ROUNDS; round++) {
+    const start = performance.now();
+    const result = workload(create(), keys);
+    best = Math.min(best, performance.now() - start);
+    ops = result.ops;
+    // All contenders must agree — guards against a benchmark of a broken map.
+    if (checksum !== null && checksum !== result.checksum) throw new Error('checksum mismatch');
+    checksum = result.checksum;
+  }
+  return { mops: ops / best / 1000, checksum };
+}
+
+console.log(`HashMap benchmark — ${N.toLocaleString()} entries, best of ${ROUNDS} rounds (Mops/s)\n`);
+const header = ['keys', ...Object.keys(contenders)];
+console.log(header.map((h) => h.padStart(12)).join(''));
+
+for (const [label, keys] of Object.entries(workloads)) {
+  const row = [label];
+  const checksums = new Set();
+  for (const create of Object.values(contenders)) {
+    const { mops, checksum } = bench(create, keys);
+    checksums.add(checksum);
+    row.push(mops.toFixed(2));
+  }
+  if (checksums.size !== 1) throw new Error(`contenders disagree on ${label} workload`);
+  console.log(row.map((c) => String(c).padStart(12)).join(''));
+}
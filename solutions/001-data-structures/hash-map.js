@@ -1,107 +1,305 @@
 /**
- * HashMap — key/value store with separate-chaining collision handling.
+ * HashMap — key/value store with pluggable hashing and two storage modes.
  *
  * Design decisions:
- *  - Initial capacity: 16 buckets.
- *  - Load-factor threshold: 0.75 — triggers a doubling resize.
- *  - Bucket entries are singly-linked lists of { key, value, next } objects.
- *  - Keys may be any value; they are converted to string for hashing
- *    (same semantics as plain JS objects used as maps).
- *  - String hashing: djb2 variant (fast, low collision rate).
+ *  - Keys follow `Map` semantics by default: SameValueZero equality, objects
+ *    and functions hashed by identity, so `42`, `'42'` and `{}` never collide
+ *    into one entry.
+ *  - A custom `{ hash, equals }` pair enables value-equality keys (tuples,
+ *    points, ...). `hash` must return an integer and agree with `equals`.
+ *  - Every entry is also threaded on a doubly-linked insertion-order list, so
+ *    `keys()/values()/entries()` and iteration follow insertion order and
+ *    resizing never reshuffles them.
+ *  - `mode: 'chaining'` (default): bucket array of singly-linked chains,
+ *    resize at load factor 0.75.
+ *  - `mode: 'robin-hood'`: open addressing with Robin Hood displacement and
+ *    backward-shift deletion; probe distances live in an Int32Array next to
+ *    the slot array. Resizes at load factor 0.85.
+ *  - See `hash-map.bench.js` for a comparison of the two modes.
  */
 
+import { encode, decode, expectType, registerType } from './codec.js';
+import { mixinIterable } from './iterable.js';
+
 const INITIAL_CAPACITY = 16;
 const LOAD_FACTOR = 0.75;
+const ROBIN_HOOD_LOAD_FACTOR = 0.85;
+const MODES = ['chaining', 'robin-hood'];
+
+/** Identity ids for object/function keys; WeakMap so keys can still be collected. */
+const objectIds = new WeakMap();
+let nextObjectId = 1;
 
-/** @param {string} key @param {number} capacity @returns {number} */
-function hashCode(key, capacity) {
+/** djb2 over a string. @param {string} str @returns {number} signed 32-bit int */
+function hashString(str) {
   let hash = 5381;
-  for (let i = 0; i < key.length; i++) {
+  for (let i = 0; i < str.length; i++) {
     // hash = hash * 33 ^ charCode  (djb2)
-    hash = ((hash << 5) + hash) ^ key.charCodeAt(i);
+    hash = ((hash << 5) + hash) ^ str.charCodeAt(i);
     hash |= 0; // keep 32-bit integer
   }
-  return Math.abs(hash) % capacity;
+  return hash;
+}
+
+/**
+ * murmur3 finalizer — spreads sequential ints/ids across all buckets.
+ * @param {number} h @returns {number} signed 32-bit int
+ */
+export function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h | 0;
+}
+
+/**
+ * Default hash: consistent with `sameValueZero` for every key type.
+ * @param {*} key
+ * @returns {number} signed 32-bit int
+ */
+export function hashKey(key) {
+  switch (typeof key) {
+    case 'string':
+      return hashString(key);
+    case 'number':
+      if (Number.isInteger(key) && key >= -0x80000000 && key <= 0x7fffffff) return mix32(key);
+      return Number.isNaN(key) ? 0x7ff80000 : hashString(String(key));
+    case 'bigint':
+      return mix32(hashString(key.toString()));
+    case 'boolean':
+      return key ? 1231 : 1237;
+    case 'symbol':
+      // Distinct symbols sharing a description collide; equality separates them.
+      return hashString(key.description ?? '');
+    case 'undefined':
+      return 0x2f2f2f2f;
+    default: {
+      if (key === null) return 0;
+      let id = objectIds.get(key);
+      if (id === undefined) {
+        id = nextObjectId++;
+        objectIds.set(key, id);
+      }
+      return mix32(id);
+    }
+  }
+}
+
+/**
+ * `Map` key equality: like `===`, except NaN equals NaN.
+ * @param {*} a @param {*} b @returns {boolean}
+ */
+export function sameValueZero(a, b) {
+  return a === b || (a !== a && b !== b);
 }
 
 export class HashMap {
-  #buckets;
+  #mode;
+  #hashFn;
+  #equals;
   #capacity;
   #length;
+  /** chaining: bucket heads. robin-hood: slot entries. */
+  #buckets;
+  /** robin-hood only: probe distance per slot, -1 when empty. */
+  #dist;
+  #first;
+  #last;
 
-  constructor(initialCapacity = INITIAL_CAPACITY) {
-    this.#capacity = initialCapacity > 0 ? initialCapacity : INITIAL_CAPACITY;
-    this.#buckets = new Array(this.#capacity).fill(null);
+  /**
+   * @param {number|object} [opts={}] — Initial capacity, or an options object.
+   * @param {number} [opts.capacity=16] — Initial bucket/slot count.
+   * @param {(key: *) => number} [opts.hash] — Integer hash for a key.
+   * @param {(a: *, b: *) => boolean} [opts.equals] — Key equality (must agree with `hash`).
+   * @param {'chaining'|'robin-hood'} [opts.mode='chaining'] — Storage strategy.
+   */
+  constructor(opts = {}) {
+    const {
+      capacity = INITIAL_CAPACITY,
+      hash = hashKey,
+      equals = sameValueZero,
+      mode = 'chaining',
+    } = typeof opts === 'number' ? { capacity: opts } : opts;
+
+    if (typeof hash !== 'function') throw new TypeError('HashMap: hash must be a function');
+    if (typeof equals !== 'function') throw new TypeError('HashMap: equals must be a function');
+    if (!MODES.includes(mode)) {
+      throw new RangeError(`HashMap: mode must be one of ${MODES.join(', ')}`);
+    }
+
+    this.#mode = mode;
+    this.#hashFn = hash;
+    this.#equals = equals;
+    this.#capacity = capacity >= 1 ? Math.floor(capacity) : INITIAL_CAPACITY;
     this.#length = 0;
+    this.#first = null;
+    this.#last = null;
+    this.#allocate();
   }
 
   // ─── Internal helpers ────────────────────────────────────────────
 
-  /** Convert any key to a string for hashing (mirrors Map key semantics for primitives). */
-  #keyStr(key) {
-    return String(key);
+  get #robinHood() {
+    return this.#mode === 'robin-hood';
+  }
+
+  /** Fresh, empty storage at the current capacity. */
+  #allocate() {
+    this.#buckets = new Array(this.#capacity).fill(null);
+    this.#dist = this.#robinHood ? new Int32Array(this.#capacity).fill(-1) : null;
+  }
+
+  #hash(key) {
+    return this.#hashFn(key) | 0;
+  }
+
+  /** Home bucket/slot for a 32-bit hash. */
+  #index(hash) {
+    return (hash >>> 0) % this.#capacity;
+  }
+
+  #matches(entry, key, hash) {
+    return entry.hash === hash && this.#equals(entry.key, key);
+  }
+
+  /** Slot index holding `key` (robin-hood mode), or -1. */
+  #probe(key, hash) {
+    let idx = this.#index(hash);
+    for (let d = 0; ; d++) {
+      // An empty slot, or one "richer" than we would be, ends the search.
+      if (this.#dist[idx] < d) return -1;
+      if (this.#matches(this.#buckets[idx], key, hash)) return idx;
+      idx = (idx + 1) % this.#capacity;
+    }
+  }
+
+  /** Entry for `key`, or `null`. */
+  #find(key) {
+    const hash = this.#hash(key);
+    if (this.#robinHood) {
+      const idx = this.#probe(key, hash);
+      return idx === -1 ? null : this.#buckets[idx];
+    }
+    let node = this.#buckets[this.#index(hash)];
+    while (node !== null) {
+      if (this.#matches(node, key, hash)) return node;
+      node = node.next;
+    }
+    return null;
   }
 
-  /** Index into the bucket array for a given raw key. */
-  #index(key) {
-    return hashCode(this.#keyStr(key), this.#capacity);
+  /** Place an entry in storage (ignores insertion order and length). */
+  #place(entry) {
+    let idx = this.#index(entry.hash);
+    if (!this.#robinHood) {
+      entry.next = this.#buckets[idx];
+      this.#buckets[idx] = entry;
+      return;
+    }
+    let current = entry;
+    for (let d = 0; ; d++) {
+      if (this.#dist[idx] === -1) {
+        this.#buckets[idx] = current;
+        this.#dist[idx] = d;
+        return;
+      }
+      // Robin Hood: take from the rich (short probe) and give to the poor.
+      if (this.#dist[idx] < d) {
+        const displaced = this.#buckets[idx];
+        const displacedDist = this.#dist[idx];
+        this.#buckets[idx] = current;
+        this.#dist[idx] = d;
+        current = displaced;
+        d = displacedDist;
+      }
+      idx = (idx + 1) % this.#capacity;
+    }
+  }
+
+  /** Remove an entry from storage (ignores insertion order and length). */
+  #unplace(entry) {
+    if (this.#robinHood) {
+      // Backward-shift deletion keeps probe chains gap-free without tombstones.
+      let idx = this.#probe(entry.key, entry.hash);
+      let next = (idx + 1) % this.#capacity;
+      while (this.#dist[next] > 0) {
+        this.#buckets[idx] = this.#buckets[next];
+        this.#dist[idx] = this.#dist[next] - 1;
+        idx = next;
+        next = (next + 1) % this.#capacity;
+      }
+      this.#buckets[idx] = null;
+      this.#dist[idx] = -1;
+      return;
+    }
+    const idx = this.#index(entry.hash);
+    if (this.#buckets[idx] === entry) {
+      this.#buckets[idx] = entry.next;
+      return;
+    }
+    let prev = this.#buckets[idx];
+    while (prev.next !== entry) prev = prev.next;
+    prev.next = entry.next;
   }
 
   /**
-   * Resize to `newCapacity` and rehash all entries.
+   * Resize to `newCapacity` and re-place all entries (insertion order kept).
    * @time O(n)
    */
   #resize(newCapacity) {
-    const oldBuckets = this.#buckets;
     this.#capacity = newCapacity;
-    this.#buckets = new Array(this.#capacity).fill(null);
-    this.#length = 0;
-
-    for (const head of oldBuckets) {
-      let node = head;
-      while (node !== null) {
-        this.set(node.key, node.value);
-        node = node.next;
-      }
+    this.#allocate();
+    for (let entry = this.#first; entry !== null; entry = entry.after) {
+      this.#place(entry);
     }
   }
 
+  /** Empty map sharing this map's hash, equality and mode. */
+  #sibling(capacity = INITIAL_CAPACITY) {
+    return new HashMap({
+      capacity,
+      hash: this.#hashFn,
+      equals: this.#equals,
+      mode: this.#mode,
+    });
+  }
+
   // ─── Public API ──────────────────────────────────────────────────
 
   /**
-   * Insert or update the entry for `key`.
+   * Insert or update the entry for `key`. Updating keeps the original
+   * insertion position (and the originally stored key object).
    * @param {*} key
    * @param {*} value
    * @returns {HashMap} `this` for chaining.
    * @time O(1) amortised (O(n) when resize triggers)
    */
   set(key, value) {
-    const idx = this.#index(key);
-    const keyStr = this.#keyStr(key);
-
-    let node = this.#buckets[idx];
-    while (node !== null) {
-      if (node.keyStr === keyStr) {
-        // Update existing entry — key is the same original key
-        node.value = value;
-        node.key = key;
-        return this;
-      }
-      node = node.next;
+    const existing = this.#find(key);
+    if (existing !== null) {
+      existing.value = value;
+      return this;
     }
 
-    // New entry — prepend to chain
-    const newNode = {
+    const entry = {
       key,
-      keyStr,
       value,
-      next: this.#buckets[idx],
+      hash: this.#hash(key),
+      next: null,
+      before: this.#last,
+      after: null,
     };
-    this.#buckets[idx] = newNode;
+    if (this.#last === null) this.#first = entry; else this.#last.after = entry;
+    this.#last = entry;
     this.#length++;
 
-    if (this.#length > this.#capacity * LOAD_FACTOR) {
+    const loadFactor = this.#robinHood ? ROBIN_HOOD_LOAD_FACTOR : LOAD_FACTOR;
+    if (this.#length > this.#capacity * loadFactor) {
       this.#resize(this.#capacity * 2);
+    } else {
+      this.#place(entry);
     }
 
     return this;
@@ -114,15 +312,8 @@ export class HashMap {
    * @time O(1) average, O(n) worst-case (all keys hash to same bucket)
    */
   get(key) {
-    const idx = this.#index(key);
-    const keyStr = this.#keyStr(key);
-
-    let node = this.#buckets[idx];
-    while (node !== null) {
-      if (node.keyStr === keyStr) return node.value;
-      node = node.next;
-    }
-    return undefined;
+    const entry = this.#find(key);
+    return entry === null ? undefined : entry.value;
   }
 
   /**
@@ -132,96 +323,58 @@ export class HashMap {
    * @time O(1) average
    */
   delete(key) {
-    const idx = this.#index(key);
-    const keyStr = this.#keyStr(key);
+    const entry = this.#find(key);
+    if (entry === null) return false;
 
-    let prev = null;
-    let node = this.#buckets[idx];
-    while (node !== null) {
-      if (node.keyStr === keyStr) {
-        if (prev === null) {
-          this.#buckets[idx] = node.next;
-        } else {
-          prev.next = node.next;
-        }
-        this.#length--;
-        return true;
-      }
-      prev = node;
-      node = node.next;
-    }
-    return false;
+    this.#unplace(entry);
+    if (entry.before === null) this.#first = entry.after; else entry.before.after = entry.after;
+    if (entry.after === null) this.#last = entry.before; else entry.after.before = entry.before;
+    // `entry.after` is left intact so a live iterator can step past a deleted entry.
+    this.#length--;
+    return true;
   }
 
   /**
-   * Check whether `key` exists in the map.
+   * Check whether `key` exists in the map (even if its value is `undefined`).
    * @param {*} key
    * @returns {boolean}
    * @time O(1) average
    */
   has(key) {
-    return this.get(key) !== undefined || this.#hasKey(key);
-  }
-
-  /** Distinguishes "key present with value undefined" from "key absent". */
-  #hasKey(key) {
-    const idx = this.#index(key);
-    const keyStr = this.#keyStr(key);
-    let node = this.#buckets[idx];
-    while (node !== null) {
-      if (node.keyStr === keyStr) return true;
-      node = node.next;
-    }
-    return false;
+    return this.#find(key) !== null;
   }
 
   /**
-   * Return all keys as an array (insertion order not guaranteed).
+   * Return all keys in insertion order.
    * @returns {Array}
-   * @time O(n + capacity)
+   * @time O(n)
    */
   keys() {
     const result = [];
-    for (const head of this.#buckets) {
-      let node = head;
-      while (node !== null) {
-        result.push(node.key);
-        node = node.next;
-      }
-    }
+    for (let entry = this.#first; entry !== null; entry = entry.after) result.push(entry.key);
     return result;
   }
 
   /**
-   * Return all values as an array (order mirrors `keys()`).
+   * Return all values in insertion order (mirrors `keys()`).
    * @returns {Array}
-   * @time O(n + capacity)
+   * @time O(n)
    */
   values() {
     const result = [];
-    for (const head of this.#buckets) {
-      let node = head;
-      while (node !== null) {
-        result.push(node.value);
-        node = node.next;
-      }
-    }
+    for (let entry = this.#first; entry !== null; entry = entry.after) result.push(entry.value);
     return result;
   }
 
   /**
-   * Return all [key, value] pairs.
+   * Return all [key, value] pairs in insertion order.
    * @returns {Array<[*, *]>}
-   * @time O(n + capacity)
+   * @time O(n)
    */
   entries() {
     const result = [];
-    for (const head of this.#buckets) {
-      let node = head;
-      while (node !== null) {
-        result.push([node.key, node.value]);
-        node = node.next;
-      }
+    for (let entry = this.#first; entry !== null; entry = entry.after) {
+      result.push([entry.key, entry.value]);
     }
     return result;
   }
@@ -241,7 +394,70 @@ export class HashMap {
    * @time O(capacity)
    */
   clear() {
-    this.#buckets = new Array(this.#capacity).fill(null);
+    this.#allocate();
+    this.#first = null;
+    this.#last = null;
     this.#length = 0;
   }
+
+  // ─── Iteration ───────────────────────────────────────────────────
+
+  /**
+   * Lazily iterate `[key, value]` pairs (same order as `entries()`), so a map
+   * can be used with `for...of`, spread and `Array.from` without copying.
+   * @returns {Iterator<[*, *]>}
+   * @time O(1) per step
+   */
+  *[Symbol.iterator]() {
+    for (let entry = this.#first; entry !== null; entry = entry.after) {
+      yield [entry.key, entry.value];
+    }
+  }
+
+  // forEach / map / filter / reduce / some / every: see iterable.js.
+  static {
+    mixinIterable(this, {
+      noun: 'map',
+      keyed: true,
+      collect: (self, items, op) => {
+        const result = self.#sibling(op === 'map' ? self.#capacity : undefined);
+        for (const [key, value] of items) result.set(key, value);
+        return result;
+      },
+    });
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(map)` uses it. Key and value types
+   * survive the round trip (numbers stay numbers, nested structures are
+   * tagged — see `codec.js`). Custom `hash`/`equals` functions cannot be
+   * serialized; pass them again to `fromJSON`.
+   * @returns {{ $type: 'HashMap', mode: string, entries: Array<[*, *]> }}
+   * @time O(n)
+   */
+  toJSON() {
+    const entries = [];
+    for (const [key, value] of this) entries.push([encode(key), encode(value)]);
+    return { $type: 'HashMap', mode: this.#mode, entries };
+  }
+
+  /**
+   * Rebuild a HashMap from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @param {object} [opts] — Constructor options (e.g. `hash`/`equals`); the
+   *   serialized `mode` is used unless overridden.
+   * @returns {HashMap}
+   * @throws {TypeError} If `json` is not a serialized HashMap.
+   * @time O(n)
+   */
+  static fromJSON(json, opts = {}) {
+    const { mode, entries } = expectType(json, 'HashMap');
+    const map = new HashMap({ mode, capacity: Math.ceil(entries.length / LOAD_FACTOR) + 1, ...opts });
+    for (const [key, value] of entries) map.set(decode(key), decode(value));
+    return map;
+  }
 }
+
+registerType('HashMap', HashMap);
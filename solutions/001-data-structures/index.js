@@ -1,10 +1,27 @@
 /**
  * Data Structures Library — Challenge 001
  *
- * Re-exports all four core data structures for convenient one-liner imports:
- *   import { Stack, Queue, LinkedList, HashMap } from './index.js';
+ * Re-exports all data structures for convenient one-liner imports:
+ *   import { Stack, Queue, LinkedList, HashMap, PriorityQueue } from './index.js';
  */
 export { Stack } from './stack.js';
 export { Queue } from './queue.js';
 export { LinkedList } from './linked-list.js';
+export { DoublyLinkedList } from './doubly-linked-list.js';
 export { HashMap } from './hash-map.js';
+export { PriorityQueue } from './priority-queue.js';
+export { RingBuffer } from './ring-buffer.js';
+export { Trie } from './trie.js';
+export { SortedMap } from './sorted-map.js';
+export { Graph } from './graph.js';
+export { BloomFilter } from './bloom-filter.js';
+export { CountMinSketch } from './count-min-sketch.js';
+export { IntervalTree } from './interval-tree.js';
+export { ObservableHashMap, ObservableLinkedList, ObservableQueue } from './observable.js';
+export { LRUCache } from './lru-cache.js';
+export { LFUCache } from './lfu-cache.js';
+export { PersistentStack } from './persistent-stack.js';
+export { PersistentQueue } from './persistent-queue.js';
+export { PersistentMap } from './persistent-map.js';
+export { encode, decode, toBinary, fromBinary } from './codec.js';
+export { lazyMap, lazyFilter } from './iterable.js';
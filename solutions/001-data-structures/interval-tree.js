@@ -0,0 +1,329 @@
+/**
+ * IntervalTree — closed intervals [low, high] with fast overlap queries.
+ *
+ * Design decisions:
+ *  - An AVL tree ordered by (low, high, insertion order), augmented with the
+ *    largest `high` in each subtree. A query skips every subtree whose max
+ *    ends before the query starts and everything right of a node that starts
+ *    after the query ends, so it costs O(log n + k) for k results.
+ *  - Duplicates are allowed: the same interval may be stored with different
+ *    (or equal) values. `delete` removes one matching entry.
+ *  - Bounds may be numbers or anything else ordered by `<` (Dates, strings);
+ *    `low > high` is rejected.
+ *  - Results and iteration are `{ low, high, value }` objects in ascending
+ *    order of `low`, then `high`, then insertion.
+ */
+
+import { sameValueZero } from './hash-map.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+class IntervalNode {
+  constructor(low, high, value, seq) {
+    this.low = low;
+    this.high = high;
+    this.value = value;
+    this.seq = seq;
+    /** Largest `high` in this subtree. */
+    this.max = high;
+    this.height = 1;
+    this.left = null;
+    this.right = null;
+  }
+}
+
+const height = (node) => (node === null ? 0 : node.height);
+
+/** Larger of two bounds under `<` ordering. */
+const larger = (a, b) => (b > a ? b : a);
+
+/** Recompute `height` and `max` of `node` from its children. */
+function update(node) {
+  node.height = 1 + Math.max(height(node.left), height(node.right));
+  let max = node.high;
+  if (node.left !== null) max = larger(max, node.left.max);
+  if (node.right !== null) max = larger(max, node.right.max);
+  node.max = max;
+  return node;
+}
+
+function rotateRight(node) {
+  const pivot = node.left;
+  node.left = pivot.right;
+  pivot.right = node;
+  update(node);
+  return update(pivot);
+}
+
+function rotateLeft(node) {
+  const pivot = node.right;
+  node.right = pivot.left;
+  pivot.left = node;
+  update(node);
+  return update(pivot);
+}
+
+/** Restore the AVL balance of `node` after one insert or delete below it. */
+function rebalance(node) {
+  update(node);
+  const balance = height(node.left) - height(node.right);
+  if (balance > 1) {
+    if (height(node.left.left) < height(node.left.right)) node.left = rotateLeft(node.left);
+    return rotateRight(node);
+  }
+  if (balance < -1) {
+    if (height(node.right.right) < height(node.right.left)) node.right = rotateRight(node.right);
+    return rotateLeft(node);
+  }
+  return node;
+}
+
+/** Order nodes by (low, high, seq). */
+function compareNodes(a, b) {
+  if (a.low < b.low) return -1;
+  if (a.low > b.low) return 1;
+  if (a.high < b.high) return -1;
+  if (a.high > b.high) return 1;
+  return a.seq - b.seq;
+}
+
+function insertNode(node, fresh) {
+  if (node === null) return fresh;
+  if (compareNodes(fresh, node) < 0) node.left = insertNode(node.left, fresh);
+  else node.right = insertNode(node.right, fresh);
+  return rebalance(node);
+}
+
+/** Remove the node whose (low, high, seq) equals `target`'s. */
+function removeNode(node, target) {
+  const cmp = compareNodes(target, node);
+  if (cmp < 0) {
+    node.left = removeNode(node.left, target);
+  } else if (cmp > 0) {
+    node.right = removeNode(node.right, target);
+  } else {
+    if (node.left === null) return node.right;
+    if (node.right === null) return node.left;
+    // Replace with the in-order successor, then remove that from the right.
+    let successor = node.right;
+    while (successor.left !== null) successor = successor.left;
+    node.right = removeNode(node.right, successor);
+    successor.left = node.left;
+    successor.right = node.right;
+    return rebalance(successor);
+  }
+  return rebalance(node);
+}
+
+export class IntervalTree {
+  #root;
+  #size;
+  #seq;
+
+  constructor() {
+    this.#root = null;
+    this.#size = 0;
+    this.#seq = 0;
+  }
+
+  /**
+   * Build a tree from `[low, high, value]` triples.
+   * @param {Iterable<[*, *, *]>} intervals
+   * @returns {IntervalTree}
+   * @time O(n log n)
+   */
+  static from(intervals) {
+    const tree = new IntervalTree();
+    for (const [low, high, value] of intervals) tree.insert(low, high, value);
+    return tree;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  #assertInterval(low, high, method) {
+    // `!(low <= high)` also rejects NaN and values `<` cannot order.
+    if (!(low <= high)) throw new RangeError(`IntervalTree.${method}: invalid interval [${low}, ${high}]`);
+  }
+
+  /** First node with exactly these bounds and value, in tree order. */
+  #findExact(node, low, high, value) {
+    if (node === null) return null;
+    if (low < node.low || (!(low > node.low) && high < node.high)) {
+      return this.#findExact(node.left, low, high, value);
+    }
+    if (low > node.low || high > node.high) return this.#findExact(node.right, low, high, value);
+    // Same bounds: matches may sit on both sides (they differ only by insertion order).
+    return this.#findExact(node.left, low, high, value) ??
+      (sameValueZero(node.value, value) ? node : this.#findExact(node.right, low, high, value));
+  }
+
+  /** Push every node overlapping [low, high] into `out`, in order. */
+  #collect(node, low, high, out) {
+    if (node === null || node.max < low) return;
+    this.#collect(node.left, low, high, out);
+    if (node.low > high) return;
+    if (node.high >= low) out.push({ low: node.low, high: node.high, value: node.value });
+    this.#collect(node.right, low, high, out);
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Add the closed interval [low, high] carrying `value`.
+   * @param {*} low
+   * @param {*} high
+   * @param {*} [value]
+   * @returns {IntervalTree} `this` for chaining.
+   * @throws {RangeError} If `low > high` or the bounds cannot be ordered.
+   * @time O(log n)
+   */
+  insert(low, high, value) {
+    this.#assertInterval(low, high, 'insert');
+    this.#root = insertNode(this.#root, new IntervalNode(low, high, value, this.#seq++));
+    this.#size++;
+    return this;
+  }
+
+  /**
+   * Remove one entry with exactly these bounds and value (SameValueZero).
+   * @param {*} low
+   * @param {*} high
+   * @param {*} [value]
+   * @returns {boolean} `true` if an entry was removed.
+   * @time O(log n + d) for d entries sharing these bounds
+   */
+  delete(low, high, value) {
+    const node = this.#findExact(this.#root, low, high, value);
+    if (node === null) return false;
+    this.#root = removeNode(this.#root, node);
+    this.#size--;
+    return true;
+  }
+
+  /**
+   * Every entry overlapping the closed interval [low, high].
+   * @param {*} low
+   * @param {*} high
+   * @returns {Array<{ low: *, high: *, value: * }>} In ascending order.
+   * @throws {RangeError} If `low > high`.
+   * @time O(log n + k) for k results
+   */
+  overlapping(low, high) {
+    this.#assertInterval(low, high, 'overlapping');
+    const out = [];
+    this.#collect(this.#root, low, high, out);
+    return out;
+  }
+
+  /**
+   * Check whether any entry overlaps [low, high].
+   * @param {*} low
+   * @param {*} high
+   * @returns {boolean}
+   * @throws {RangeError} If `low > high`.
+   * @time O(log n)
+   */
+  overlaps(low, high) {
+    this.#assertInterval(low, high, 'overlaps');
+    let node = this.#root;
+    while (node !== null) {
+      if (node.low <= high && node.high >= low) return true;
+      // If the left subtree reaches `low`, an overlap exists there or nowhere.
+      node = node.left !== null && node.left.max >= low ? node.left : node.right;
+    }
+    return false;
+  }
+
+  /**
+   * Every entry containing `point` (stabbing query).
+   * @param {*} point
+   * @returns {Array<{ low: *, high: *, value: * }>} In ascending order.
+   * @time O(log n + k) for k results
+   */
+  stab(point) {
+    return this.overlapping(point, point);
+  }
+
+  /**
+   * Number of stored intervals.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#size;
+  }
+
+  /**
+   * Check whether the tree holds no intervals.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#size === 0;
+  }
+
+  /**
+   * Remove all intervals.
+   * @returns {void}
+   * @time O(1)
+   */
+  clear() {
+    this.#root = null;
+    this.#size = 0;
+  }
+
+  /**
+   * All entries in ascending order.
+   * @returns {Array<{ low: *, high: *, value: * }>}
+   * @time O(n)
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Iterate entries in ascending order of `low`, then `high`, then insertion.
+   * @returns {Iterator<{ low: *, high: *, value: * }>}
+   * @time O(1) amortised per step
+   */
+  *[Symbol.iterator]() {
+    const stack = [];
+    let node = this.#root;
+    while (node !== null || stack.length > 0) {
+      while (node !== null) {
+        stack.push(node);
+        node = node.left;
+      }
+      node = stack.pop();
+      yield { low: node.low, high: node.high, value: node.value };
+      node = node.right;
+    }
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot; `[low, high, value]` triples in ascending order.
+   * @returns {{ $type: 'IntervalTree', intervals: Array<[*, *, *]> }}
+   * @time O(n)
+   */
+  toJSON() {
+    return {
+      $type: 'IntervalTree',
+      intervals: Array.from(this, ({ low, high, value }) => [encode(low), encode(high), encode(value)]),
+    };
+  }
+
+  /**
+   * Rebuild an IntervalTree from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {IntervalTree}
+   * @throws {TypeError} If `json` is not a serialized IntervalTree.
+   * @time O(n log n)
+   */
+  static fromJSON(json) {
+    const { intervals } = expectType(json, 'IntervalTree');
+    return IntervalTree.from(intervals.map((triple) => triple.map(decode)));
+  }
+}
+
+registerType('IntervalTree', IntervalTree);
@@ -0,0 +1,157 @@
+/**
+ * Iterable — the functional helpers shared by the iterable structures.
+ *
+ * Design decisions:
+ *  - `mixinIterable(Class, spec)` installs `forEach`, `map`, `filter`,
+ *    `reduce`, `some` and `every` on `Class.prototype`, all driven by the
+ *    class's own `[Symbol.iterator]`. Classes call it from a static block so
+ *    `spec.collect` can use their private fields.
+ *  - `map` and `filter` COPY: they return a new structure of the same kind
+ *    (same capacity, policy, hashing...), filled in one pass straight from
+ *    the source iterator — no intermediate array, but the result holds every
+ *    element. To stream instead, use `lazyMap` / `lazyFilter`, which return
+ *    iterators and compute each element only when it is pulled.
+ *  - Sequences pass `(value, index, collection)` to callbacks; keyed
+ *    structures (iterating `[key, value]`) pass `(value, key, collection)`,
+ *    like `Map#forEach`.
+ */
+
+/**
+ * Lazily map an iterable: `fn(value, index)` runs as each result is pulled.
+ * @param {Iterable<*>} iterable
+ * @param {(value: *, index: number) => *} fn
+ * @returns {IterableIterator<*>}
+ * @time O(1) per step
+ */
+export function* lazyMap(iterable, fn) {
+  let i = 0;
+  for (const value of iterable) yield fn(value, i++);
+}
+
+/**
+ * Lazily filter an iterable: `fn(value, index)` runs as results are pulled.
+ * @param {Iterable<*>} iterable
+ * @param {(value: *, index: number) => boolean} fn
+ * @returns {IterableIterator<*>}
+ * @time O(1) amortised per step
+ */
+export function* lazyFilter(iterable, fn) {
+  let i = 0;
+  for (const value of iterable) if (fn(value, i++)) yield value;
+}
+
+/** `[key, value]` pairs of `collection`, where a sequence's key is the index. */
+function* pairs(collection, keyed) {
+  if (keyed) {
+    yield* collection;
+    return;
+  }
+  let i = 0;
+  for (const value of collection) yield [i++, value];
+}
+
+/**
+ * Install the functional helpers on `Class.prototype`.
+ * @param {Function} Class — Must implement `[Symbol.iterator]`.
+ * @param {object} spec
+ * @param {string} spec.noun — Used in error messages ("empty list").
+ * @param {boolean} [spec.keyed=false] — Iteration yields `[key, value]` pairs.
+ * @param {(self: *, items: Iterable<*>, op: 'map' | 'filter') => *} spec.collect
+ *   Build the result of `map`/`filter`: a new structure like `self` holding
+ *   `items` (values, or `[key, value]` pairs when keyed), in order.
+ * @returns {void}
+ */
+export function mixinIterable(Class, spec) {
+  const { noun, keyed = false, collect } = spec;
+  const label = Class.name;
+
+  const methods = {
+    /**
+     * Call `fn(value, index|key, collection)` for every element, in iteration order.
+     * @param {Function} fn
+     * @returns {void}
+     * @time O(n)
+     */
+    forEach(fn) {
+      for (const [key, value] of pairs(this, keyed)) fn(value, key, this);
+    },
+
+    /**
+     * Copy into a new structure of the same kind, each value replaced by
+     * `fn(value, index|key, collection)`. Use `lazyMap` to stream instead.
+     * @param {Function} fn
+     * @returns {*} New structure, same order.
+     * @time O(n)
+     */
+    map(fn) {
+      const self = this;
+      const items = keyed
+        ? lazyMap(this, ([key, value]) => [key, fn(value, key, self)])
+        : lazyMap(this, (value, i) => fn(value, i, self));
+      return collect(this, items, 'map');
+    },
+
+    /**
+     * Copy into a new structure of the same kind the elements for which
+     * `fn(value, index|key, collection)` is truthy. Use `lazyFilter` to stream instead.
+     * @param {Function} fn
+     * @returns {*} New structure, same order.
+     * @time O(n)
+     */
+    filter(fn) {
+      const self = this;
+      const items = keyed
+        ? lazyFilter(this, ([key, value]) => fn(value, key, self))
+        : lazyFilter(this, (value, i) => fn(value, i, self));
+      return collect(this, items, 'filter');
+    },
+
+    /**
+     * Fold all elements, in iteration order, into a single value.
+     * @param {(acc: *, value: *, indexOrKey: *, collection: *) => *} fn
+     * @param {*} [initial] — Defaults to the first element.
+     * @returns {*}
+     * @throws {TypeError} When the structure is empty and no `initial` is given.
+     * @time O(n)
+     */
+    reduce(fn, ...initial) {
+      const iter = pairs(this, keyed);
+      let acc;
+      if (initial.length > 0) {
+        acc = initial[0];
+      } else {
+        const first = iter.next();
+        if (first.done) throw new TypeError(`${label}.reduce: empty ${noun} with no initial value`);
+        acc = first.value[1];
+      }
+      for (const [key, value] of iter) acc = fn(acc, value, key, this);
+      return acc;
+    },
+
+    /**
+     * Check whether `fn` returns truthy for at least one element (short-circuits).
+     * @param {Function} fn
+     * @returns {boolean}
+     * @time O(n)
+     */
+    some(fn) {
+      for (const [key, value] of pairs(this, keyed)) if (fn(value, key, this)) return true;
+      return false;
+    },
+
+    /**
+     * Check whether `fn` returns truthy for every element (short-circuits).
+     * @param {Function} fn
+     * @returns {boolean}
+     * @time O(n)
+     */
+    every(fn) {
+      for (const [key, value] of pairs(this, keyed)) if (!fn(value, key, this)) return false;
+      return true;
+    },
+  };
+
+  for (const [name, method] of Object.entries(methods)) {
+    Object.defineProperty(Class.prototype, name, { value: method, writable: true, configurable: true });
+  }
+}
@@ -0,0 +1,437 @@
+/**
+ * LFUCache — bounded cache evicting the least-frequently-used entry.
+ *
+ * Design decisions:
+ *  - O(1) LFU: HashMap key → list node, plus one DoublyLinkedList per access
+ *    frequency. `#minFreq` points at the bucket to evict from.
+ *  - Within a frequency bucket the least-recently-used entry goes first.
+ *  - Same options, TTL, weight and statistics semantics as `LRUCache`, so the
+ *    two are drop-in replacements for each other.
+ */
+
+import { HashMap } from './hash-map.js';
+import { DoublyLinkedList } from './doubly-linked-list.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+export class LFUCache {
+  #map;
+  #buckets;
+  #minFreq;
+  #maxEntries;
+  #maxWeight;
+  #sizeOf;
+  #ttl;
+  #onEvict;
+  #now;
+  #weight;
+  #hits;
+  #misses;
+  #evictions;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {number} [opts.maxEntries=Infinity] — Maximum number of entries.
+   * @param {number} [opts.maxWeight=Infinity] — Maximum total weight.
+   * @param {(value: *, key: *) => number} [opts.sizeOf] — Weight of one entry (default 1).
+   * @param {number} [opts.ttl=0] — Default time-to-live in ms (0 = never expires).
+   * @param {(value: *, key: *, reason: 'capacity'|'expired') => void} [opts.onEvict]
+   * @param {() => number} [opts.now=Date.now] — Clock used for TTL checks.
+   */
+  constructor(opts = {}) {
+    const {
+      maxEntries = Infinity,
+      maxWeight = Infinity,
+      sizeOf = () => 1,
+      ttl = 0,
+      onEvict = null,
+      now = Date.now,
+    } = opts;
+
+    if (!(maxEntries >= 1)) throw new RangeError('LFUCache: maxEntries must be >= 1');
+    if (!(maxWeight > 0)) throw new RangeError('LFUCache: maxWeight must be > 0');
+    if (typeof sizeOf !== 'function') throw new TypeError('LFUCache: sizeOf must be a function');
+    if (!(ttl >= 0)) throw new RangeError('LFUCache: ttl must be >= 0');
+
+    this.#map = new HashMap();
+    this.#buckets = new HashMap();
+    this.#minFreq = 0;
+    this.#maxEntries = maxEntries;
+    this.#maxWeight = maxWeight;
+    this.#sizeOf = sizeOf;
+    this.#ttl = ttl;
+    this.#onEvict = onEvict;
+    this.#now = now;
+    this.#weight = 0;
+    this.#hits = 0;
+    this.#misses = 0;
+    this.#evictions = 0;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  #isExpired(entry) {
+    return entry.expiresAt !== Infinity && this.#now() >= entry.expiresAt;
+  }
+
+  /** Bucket list for `freq`, created on demand. */
+  #bucket(freq) {
+    let list = this.#buckets.get(freq);
+    if (list === undefined) {
+      list = new DoublyLinkedList();
+      this.#buckets.set(freq, list);
+    }
+    return list;
+  }
+
+  /**
+   * Detach `node` from its frequency bucket, dropping the bucket if now empty.
+   * @returns {boolean} `true` if the bucket was dropped.
+   */
+  #detach(node) {
+    const { freq } = node.value;
+    const list = this.#buckets.get(freq);
+    list.removeNode(node);
+    if (!list.isEmpty()) return false;
+    this.#buckets.delete(freq);
+    return true;
+  }
+
+  /** Smallest frequency that still has a bucket (0 when empty). O(#buckets) */
+  #lowestFreq() {
+    let min = 0;
+    for (const freq of this.#buckets.keys()) {
+      const n = Number(freq);
+      if (min === 0 || n < min) min = n;
+    }
+    return min;
+  }
+
+  /** Drop a node from all indexes; notify `onEvict` when `reason` is given. */
+  #remove(node, reason = null) {
+    const entry = node.value;
+    if (this.#detach(node) && this.#minFreq === entry.freq) this.#minFreq = this.#lowestFreq();
+    this.#map.delete(entry.key);
+    this.#weight -= entry.weight;
+    if (reason !== null) {
+      this.#evictions++;
+      if (typeof this.#onEvict === 'function') this.#onEvict(entry.value, entry.key, reason);
+    }
+  }
+
+  /** Live node for `key`, removing it first if it has expired. */
+  #lookup(key) {
+    const node = this.#map.get(key);
+    if (node === undefined) return null;
+    if (this.#isExpired(node.value)) {
+      this.#remove(node, 'expired');
+      return null;
+    }
+    return node;
+  }
+
+  /** Move an entry to the next frequency bucket; returns its new node. */
+  #touch(node) {
+    const entry = node.value;
+    // The old bucket emptying at minFreq means the bumped entry is now the minimum.
+    if (this.#detach(node) && this.#minFreq === entry.freq) this.#minFreq = entry.freq + 1;
+    entry.freq++;
+    const moved = this.#bucket(entry.freq).prepend(entry);
+    this.#map.set(entry.key, moved);
+    return moved;
+  }
+
+  /** Index a new entry as the most recent one in its frequency bucket. */
+  #add(entry) {
+    if (this.#map.size() === 0 || entry.freq < this.#minFreq) this.#minFreq = entry.freq;
+    this.#map.set(entry.key, this.#bucket(entry.freq).prepend(entry));
+    this.#weight += entry.weight;
+  }
+
+  /** Evict least-frequent (then least-recent) entries until both bounds hold. */
+  #enforceBounds() {
+    while (
+      this.#map.size() > this.#maxEntries ||
+      (this.#weight > this.#maxWeight && this.#map.size() > 0)
+    ) {
+      this.#remove(this.#buckets.get(this.#minFreq).tail, 'capacity');
+    }
+  }
+
+  /** Evict least-frequent (then least-recent) entries until one more of `weight` fits. */
+  #makeRoom(weight) {
+    while (
+      this.#map.size() > 0 &&
+      (this.#map.size() >= this.#maxEntries || this.#weight + weight > this.#maxWeight)
+    ) {
+      this.#remove(this.#buckets.get(this.#minFreq).tail, 'capacity');
+    }
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Return the value for `key` and bump its use count.
+   * @param {*} key
+   * @returns {*} The value, or `undefined` on a miss.
+   * @time O(1) average
+   */
+  get(key) {
+    const node = this.#lookup(key);
+    if (node === null) {
+      this.#misses++;
+      return undefined;
+    }
+    this.#hits++;
+    return this.#touch(node).value.value;
+  }
+
+  /**
+   * Return the value for `key` without touching its use count or statistics.
+   * @param {*} key
+   * @returns {*} The value, or `undefined` if absent or expired.
+   * @time O(1) average
+   */
+  peek(key) {
+    const node = this.#lookup(key);
+    return node === null ? undefined : node.value.value;
+  }
+
+  /**
+   * Insert or replace `key`. Replacing keeps the existing use count and bumps it.
+   * @param {*} key
+   * @param {*} value
+   * @param {object} [opts={}]
+   * @param {number} [opts.ttl] — Per-entry TTL in ms, overriding the default (0 = never).
+   * @returns {LFUCache} `this` for chaining.
+   * @throws {RangeError} If this single entry outweighs `maxWeight`.
+   * @time O(1) amortised
+   */
+  set(key, value, opts = {}) {
+    const { ttl = this.#ttl } = opts;
+    const weight = this.#sizeOf(value, key);
+    if (!(weight >= 0)) throw new RangeError('LFUCache.set: sizeOf must return a number >= 0');
+    if (weight > this.#maxWeight) {
+      throw new RangeError(`LFUCache.set: entry weight ${weight} exceeds maxWeight ${this.#maxWeight}`);
+    }
+    const expiresAt = ttl > 0 ? this.#now() + ttl : Infinity;
+
+    const existing = this.#lookup(key);
+    let freq = 1;
+    if (existing !== null) {
+      freq = existing.value.freq + 1;
+      // Take the old entry out while making room, so it is never evicted for itself.
+      this.#remove(existing);
+    }
+    this.#makeRoom(weight);
+    this.#add({ key, value, weight, expiresAt, freq });
+    return this;
+  }
+
+  /**
+   * Check whether a live (non-expired) entry exists. Does not affect use counts.
+   * @param {*} key
+   * @returns {boolean}
+   * @time O(1) average
+   */
+  has(key) {
+    return this.#lookup(key) !== null;
+  }
+
+  /**
+   * Use count of `key` (0 if absent).
+   * @param {*} key
+   * @returns {number}
+   * @time O(1) average
+   */
+  frequency(key) {
+    const node = this.#lookup(key);
+    return node === null ? 0 : node.value.freq;
+  }
+
+  /**
+   * Remove `key` from the cache (does not call `onEvict`).
+   * @param {*} key
+   * @returns {boolean} `true` if the key was present.
+   * @time O(1) average
+   */
+  delete(key) {
+    const node = this.#map.get(key);
+    if (node === undefined) return false;
+    this.#remove(node);
+    return true;
+  }
+
+  /**
+   * Eagerly remove every expired entry.
+   * @returns {number} How many entries were removed.
+   * @time O(n)
+   */
+  prune() {
+    let removed = 0;
+    for (const node of this.#map.values()) {
+      if (this.#isExpired(node.value)) {
+        this.#remove(node, 'expired');
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Number of entries currently stored (expired entries not yet pruned included).
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#map.size();
+  }
+
+  /**
+   * Sum of entry weights currently stored.
+   * @returns {number}
+   * @time O(1)
+   */
+  weight() {
+    return this.#weight;
+  }
+
+  /**
+   * Check whether the cache holds no entries.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#map.size() === 0;
+  }
+
+  /**
+   * All keys (order unspecified).
+   * @returns {Array}
+   * @time O(n)
+   */
+  keys() {
+    return this.#map.values().map((node) => node.value.key);
+  }
+
+  /**
+   * All values (order mirrors `keys()`).
+   * @returns {Array}
+   * @time O(n)
+   */
+  values() {
+    return this.#map.values().map((node) => node.value.value);
+  }
+
+  /**
+   * All `[key, value]` pairs (order mirrors `keys()`).
+   * @returns {Array<[*, *]>}
+   * @time O(n)
+   */
+  entries() {
+    return [...this];
+  }
+
+  /**
+   * Iterate `[key, value]` pairs without bumping use counts.
+   * @returns {Iterator<[*, *]>}
+   */
+  *[Symbol.iterator]() {
+    for (const node of this.#map.values()) yield [node.value.key, node.value.value];
+  }
+
+  /**
+   * Hit/miss counters since construction or the last `resetStats()`.
+   * @returns {{ hits: number, misses: number, evictions: number, hitRate: number, size: number, weight: number }}
+   * @time O(1)
+   */
+  stats() {
+    const lookups = this.#hits + this.#misses;
+    return {
+      hits: this.#hits,
+      misses: this.#misses,
+      evictions: this.#evictions,
+      hitRate: lookups === 0 ? 0 : this.#hits / lookups,
+      size: this.#map.size(),
+      weight: this.#weight,
+    };
+  }
+
+  /**
+   * Zero the hit/miss/eviction counters.
+   * @returns {void}
+   */
+  resetStats() {
+    this.#hits = 0;
+    this.#misses = 0;
+    this.#evictions = 0;
+  }
+
+  /**
+   * Remove all entries (does not call `onEvict` or reset statistics).
+   * @returns {void}
+   * @time O(n)
+   */
+  clear() {
+    this.#map.clear();
+    this.#buckets.clear();
+    this.#minFreq = 0;
+    this.#weight = 0;
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot of bounds and entries (with use counts and absolute
+   * expiry times). Functions (`sizeOf`, `onEvict`, `now`) and statistics are
+   * not included.
+   * @returns {{ $type: 'LFUCache', maxEntries: *, maxWeight: *, ttl: number, entries: Array }}
+   * @time O(n)
+   */
+  toJSON() {
+    const entries = [];
+    // Each bucket least → most recent, so replaying the list restores tie order.
+    for (const list of this.#buckets.values()) {
+      for (const e of list.reversed()) {
+        entries.push([encode(e.key), encode(e.value), encode(e.expiresAt), e.freq]);
+      }
+    }
+    return {
+      $type: 'LFUCache',
+      maxEntries: encode(this.#maxEntries),
+      maxWeight: encode(this.#maxWeight),
+      ttl: this.#ttl,
+      entries,
+    };
+  }
+
+  /**
+   * Rebuild a cache from `toJSON()` output or its JSON string. Use counts and
+   * tie order are restored; entries that expired in the meantime are dropped.
+   * @param {object|string} json
+   * @param {object} [opts] — Constructor options, e.g. `sizeOf`, `onEvict`, `now`
+   *   (serialized bounds are used unless overridden).
+   * @returns {LFUCache}
+   * @throws {TypeError} If `json` is not a serialized LFUCache.
+   * @time O(n)
+   */
+  static fromJSON(json, opts = {}) {
+    const data = expectType(json, 'LFUCache');
+    const cache = new LFUCache({
+      maxEntries: decode(data.maxEntries),
+      maxWeight: decode(data.maxWeight),
+      ttl: data.ttl,
+      ...opts,
+    });
+    const now = cache.#now();
+    for (const [rawKey, rawValue, rawExpiresAt, freq] of data.entries) {
+      const key = decode(rawKey);
+      const value = decode(rawValue);
+      const expiresAt = decode(rawExpiresAt);
+      if (expiresAt > now) cache.#add({ key, value, weight: cache.#sizeOf(value, key), expiresAt, freq });
+    }
+    cache.#enforceBounds();
+    return cache;
+  }
+}
+
+registerType('LFUCache', LFUCache);
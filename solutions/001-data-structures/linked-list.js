@@ -6,6 +6,9 @@
  * toArray, size, reverse.
  */
 
+import { encode, decode, expectType, registerType } from './codec.js';
+import { mixinIterable } from './iterable.js';
+
 class Node {
   constructor(value) {
     this.value = value;
@@ -178,4 +181,59 @@ export class LinkedList {
     this.#head = null;
     this.#length = 0;
   }
+
+  // ─── Iteration ───────────────────────────────────────────────────
+
+  /**
+   * Iterate values head → tail (same order as `toArray()`), without copying.
+   * @returns {Iterator<*>}
+   * @time O(1) per step
+   */
+  *[Symbol.iterator]() {
+    let current = this.#head;
+    while (current !== null) {
+      yield current.value;
+      current = current.next;
+    }
+  }
+
+  // forEach / map / filter / reduce / some / every: see iterable.js.
+  static {
+    mixinIterable(this, {
+      noun: 'list',
+      collect: (self, items) => {
+        const result = new LinkedList();
+        for (const value of items) result.prepend(value);
+        return result.reverse();
+      },
+    });
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(list)` uses it. Nested structures and
+   * non-JSON values are tagged (see `codec.js`) so `fromJSON` restores them.
+   * @returns {{ $type: 'LinkedList', items: Array }} Items head → tail.
+   * @time O(n)
+   */
+  toJSON() {
+    return { $type: 'LinkedList', items: Array.from(this, encode) };
+  }
+
+  /**
+   * Rebuild a LinkedList from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {LinkedList}
+   * @throws {TypeError} If `json` is not a serialized LinkedList.
+   * @time O(n)
+   */
+  static fromJSON(json) {
+    const { items } = expectType(json, 'LinkedList');
+    const list = new LinkedList();
+    for (let i = items.length - 1; i >= 0; i--) list.prepend(decode(items[i]));
+    return list;
+  }
 }
+
+registerType('LinkedList', LinkedList);
@@ -0,0 +1,357 @@
+/**
+ * LRUCache — bounded cache evicting the least-recently-used entry.
+ *
+ * Design decisions:
+ *  - HashMap key → list node for O(1) lookup; DoublyLinkedList keeps recency
+ *    order (head = most recent, tail = next to evict).
+ *  - Two independent bounds: `maxEntries` and `maxWeight` (the sum of
+ *    `sizeOf(value, key)` over all entries). Either may be left at Infinity.
+ *  - TTL is checked lazily on access; `prune()` sweeps eagerly when needed.
+ *  - `onEvict(value, key, reason)` fires for cache-initiated removals only
+ *    (`'capacity'` or `'expired'`), never for explicit `delete()`/`clear()`.
+ *  - `now` is injectable so expiry can be tested without real waits.
+ */
+
+import { HashMap } from './hash-map.js';
+import { DoublyLinkedList } from './doubly-linked-list.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+export class LRUCache {
+  #map;
+  #list;
+  #maxEntries;
+  #maxWeight;
+  #sizeOf;
+  #ttl;
+  #onEvict;
+  #now;
+  #weight;
+  #hits;
+  #misses;
+  #evictions;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {number} [opts.maxEntries=Infinity] — Maximum number of entries.
+   * @param {number} [opts.maxWeight=Infinity] — Maximum total weight.
+   * @param {(value: *, key: *) => number} [opts.sizeOf] — Weight of one entry (default 1).
+   * @param {number} [opts.ttl=0] — Default time-to-live in ms (0 = never expires).
+   * @param {(value: *, key: *, reason: 'capacity'|'expired') => void} [opts.onEvict]
+   * @param {() => number} [opts.now=Date.now] — Clock used for TTL checks.
+   */
+  constructor(opts = {}) {
+    const {
+      maxEntries = Infinity,
+      maxWeight = Infinity,
+      sizeOf = () => 1,
+      ttl = 0,
+      onEvict = null,
+      now = Date.now,
+    } = opts;
+
+    if (!(maxEntries >= 1)) throw new RangeError('LRUCache: maxEntries must be >= 1');
+    if (!(maxWeight > 0)) throw new RangeError('LRUCache: maxWeight must be > 0');
+    if (typeof sizeOf !== 'function') throw new TypeError('LRUCache: sizeOf must be a function');
+    if (!(ttl >= 0)) throw new RangeError('LRUCache: ttl must be >= 0');
+
+    this.#map = new HashMap();
+    this.#list = new DoublyLinkedList();
+    this.#maxEntries = maxEntries;
+    this.#maxWeight = maxWeight;
+    this.#sizeOf = sizeOf;
+    this.#ttl = ttl;
+    this.#onEvict = onEvict;
+    this.#now = now;
+    this.#weight = 0;
+    this.#hits = 0;
+    this.#misses = 0;
+    this.#evictions = 0;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  #isExpired(entry) {
+    return entry.expiresAt !== Infinity && this.#now() >= entry.expiresAt;
+  }
+
+  /** Drop a node from both indexes; notify `onEvict` when `reason` is given. */
+  #remove(node, reason = null) {
+    const entry = this.#list.removeNode(node);
+    this.#map.delete(entry.key);
+    this.#weight -= entry.weight;
+    if (reason !== null) {
+      this.#evictions++;
+      if (typeof this.#onEvict === 'function') this.#onEvict(entry.value, entry.key, reason);
+    }
+  }
+
+  /** Live node for `key`, removing it first if it has expired. */
+  #lookup(key) {
+    const node = this.#map.get(key);
+    if (node === undefined) return null;
+    if (this.#isExpired(node.value)) {
+      this.#remove(node, 'expired');
+      return null;
+    }
+    return node;
+  }
+
+  /** Evict from the tail until both bounds hold. */
+  #enforceBounds() {
+    while (
+      this.#list.size() > this.#maxEntries ||
+      (this.#weight > this.#maxWeight && this.#list.size() > 0)
+    ) {
+      this.#remove(this.#list.tail, 'capacity');
+    }
+  }
+
+  /** Store `key` as most-recently used with an absolute expiry, then enforce bounds. */
+  #insert(key, value, expiresAt) {
+    const weight = this.#sizeOf(value, key);
+    if (!(weight >= 0)) throw new RangeError('LRUCache.set: sizeOf must return a number >= 0');
+    if (weight > this.#maxWeight) {
+      throw new RangeError(`LRUCache.set: entry weight ${weight} exceeds maxWeight ${this.#maxWeight}`);
+    }
+
+    const existing = this.#map.get(key);
+    if (existing !== undefined) this.#remove(existing);
+
+    this.#map.set(key, this.#list.prepend({ key, value, weight, expiresAt }));
+    this.#weight += weight;
+    this.#enforceBounds();
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Return the value for `key` and mark it most-recently used.
+   * @param {*} key
+   * @returns {*} The value, or `undefined` on a miss.
+   * @time O(1) average
+   */
+  get(key) {
+    const node = this.#lookup(key);
+    if (node === null) {
+      this.#misses++;
+      return undefined;
+    }
+    this.#hits++;
+    this.#list.moveToFront(node);
+    return node.value.value;
+  }
+
+  /**
+   * Return the value for `key` without touching recency or statistics.
+   * @param {*} key
+   * @returns {*} The value, or `undefined` if absent or expired.
+   * @time O(1) average
+   */
+  peek(key) {
+    const node = this.#lookup(key);
+    return node === null ? undefined : node.value.value;
+  }
+
+  /**
+   * Insert or replace `key`, making it most-recently used, then evict
+   * least-recently-used entries until the bounds hold again.
+   * @param {*} key
+   * @param {*} value
+   * @param {object} [opts={}]
+   * @param {number} [opts.ttl] — Per-entry TTL in ms, overriding the default (0 = never).
+   * @returns {LRUCache} `this` for chaining.
+   * @throws {RangeError} If this single entry outweighs `maxWeight`.
+   * @time O(1) amortised
+   */
+  set(key, value, opts = {}) {
+    const { ttl = this.#ttl } = opts;
+    this.#insert(key, value, ttl > 0 ? this.#now() + ttl : Infinity);
+    return this;
+  }
+
+  /**
+   * Check whether a live (non-expired) entry exists. Does not affect recency.
+   * @param {*} key
+   * @returns {boolean}
+   * @time O(1) average
+   */
+  has(key) {
+    return this.#lookup(key) !== null;
+  }
+
+  /**
+   * Remove `key` from the cache (does not call `onEvict`).
+   * @param {*} key
+   * @returns {boolean} `true` if the key was present.
+   * @time O(1) average
+   */
+  delete(key) {
+    const node = this.#map.get(key);
+    if (node === undefined) return false;
+    this.#remove(node);
+    return true;
+  }
+
+  /**
+   * Eagerly remove every expired entry.
+   * @returns {number} How many entries were removed.
+   * @time O(n)
+   */
+  prune() {
+    let removed = 0;
+    for (const node of this.#list.nodes()) {
+      if (this.#isExpired(node.value)) {
+        this.#remove(node, 'expired');
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Number of entries currently stored (expired entries not yet pruned included).
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#list.size();
+  }
+
+  /**
+   * Sum of entry weights currently stored.
+   * @returns {number}
+   * @time O(1)
+   */
+  weight() {
+    return this.#weight;
+  }
+
+  /**
+   * Check whether the cache holds no entries.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#list.size() === 0;
+  }
+
+  /**
+   * Keys ordered most → least recently used.
+   * @returns {Array}
+   * @time O(n)
+   */
+  keys() {
+    return this.#list.map((entry) => entry.key).toArray();
+  }
+
+  /**
+   * Values ordered most → least recently used.
+   * @returns {Array}
+   * @time O(n)
+   */
+  values() {
+    return this.#list.map((entry) => entry.value).toArray();
+  }
+
+  /**
+   * `[key, value]` pairs ordered most → least recently used.
+   * @returns {Array<[*, *]>}
+   * @time O(n)
+   */
+  entries() {
+    return [...this];
+  }
+
+  /**
+   * Iterate `[key, value]` pairs most → least recently used without bumping recency.
+   * @returns {Iterator<[*, *]>}
+   */
+  *[Symbol.iterator]() {
+    for (const entry of this.#list) yield [entry.key, entry.value];
+  }
+
+  /**
+   * Hit/miss counters since construction or the last `resetStats()`.
+   * @returns {{ hits: number, misses: number, evictions: number, hitRate: number, size: number, weight: number }}
+   * @time O(1)
+   */
+  stats() {
+    const lookups = this.#hits + this.#misses;
+    return {
+      hits: this.#hits,
+      misses: this.#misses,
+      evictions: this.#evictions,
+      hitRate: lookups === 0 ? 0 : this.#hits / lookups,
+      size: this.#list.size(),
+      weight: this.#weight,
+    };
+  }
+
+  /**
+   * Zero the hit/miss/eviction counters.
+   * @returns {void}
+   */
+  resetStats() {
+    this.#hits = 0;
+    this.#misses = 0;
+    this.#evictions = 0;
+  }
+
+  /**
+   * Remove all entries (does not call `onEvict` or reset statistics).
+   * @returns {void}
+   * @time O(n)
+   */
+  clear() {
+    this.#map.clear();
+    this.#list.clear();
+    this.#weight = 0;
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot of bounds and entries (most → least recent, with
+   * absolute expiry times). Functions (`sizeOf`, `onEvict`, `now`) and
+   * statistics are not included.
+   * @returns {{ $type: 'LRUCache', maxEntries: *, maxWeight: *, ttl: number, entries: Array }}
+   * @time O(n)
+   */
+  toJSON() {
+    return {
+      $type: 'LRUCache',
+      maxEntries: encode(this.#maxEntries),
+      maxWeight: encode(this.#maxWeight),
+      ttl: this.#ttl,
+      entries: Array.from(this.#list, (e) => [encode(e.key), encode(e.value), encode(e.expiresAt)]),
+    };
+  }
+
+  /**
+   * Rebuild a cache from `toJSON()` output or its JSON string. Recency order
+   * is restored; entries that expired in the meantime are dropped.
+   * @param {object|string} json
+   * @param {object} [opts] — Constructor options, e.g. `sizeOf`, `onEvict`, `now`
+   *   (serialized bounds are used unless overridden).
+   * @returns {LRUCache}
+   * @throws {TypeError} If `json` is not a serialized LRUCache.
+   * @time O(n)
+   */
+  static fromJSON(json, opts = {}) {
+    const data = expectType(json, 'LRUCache');
+    const cache = new LRUCache({
+      maxEntries: decode(data.maxEntries),
+      maxWeight: decode(data.maxWeight),
+      ttl: data.ttl,
+      ...opts,
+    });
+    const now = cache.#now();
+    for (let i = data.entries.length - 1; i >= 0; i--) {
+      const [key, value, expiresAt] = data.entries[i].map(decode);
+      if (expiresAt > now) cache.#insert(key, value, expiresAt);
+    }
+    return cache;
+  }
+}
+
+registerType('LRUCache', LRUCache);
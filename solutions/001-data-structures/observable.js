@@ -0,0 +1,233 @@
+/**
+ * Observable collections — HashMap, LinkedList and Queue that report changes.
+ *
+ * Design decisions:
+ *  - Opt-in: each observable is a subclass of the plain structure, so every
+ *    read, iteration and functional helper is inherited unchanged and code
+ *    that does not need events keeps using the plain class at no cost.
+ *  - Listeners receive an array of change records. A single mutation delivers
+ *    an array of one; `batch(fn)` collects everything `fn` changes and
+ *    delivers it as one notification once `fn` returns (batches nest).
+ *  - Change records:
+ *      HashMap:          { type: 'add' | 'set' | 'delete', key, value?, oldValue? }
+ *      LinkedList/Queue: { type: 'add' | 'set' | 'delete', index, value?, oldValue? }
+ *      all:              { type: 'clear', oldValue: entries or values before }
+ *    `reverse()` on a list is reported as the 'set' records of the positions
+ *    whose value changed.
+ *  - Listeners run synchronously after the mutation has been applied. With
+ *    no listener attached no records are built at all.
+ *  - Serialization stores the data only (`$type` of the base class);
+ *    listeners are not persisted.
+ */
+
+import { HashMap } from './hash-map.js';
+import { LinkedList } from './linked-list.js';
+import { Queue } from './queue.js';
+
+/** Listener registry plus batching, shared by the observable classes. */
+class ChangeFeed {
+  #listeners = new Set();
+  #pending = null;
+  #depth = 0;
+
+  get active() {
+    return this.#listeners.size > 0;
+  }
+
+  subscribe(listener, owner) {
+    if (typeof listener !== 'function') throw new TypeError(`${owner}.subscribe: listener must be a function`);
+    // Wrap so the same function can be subscribed twice and removed independently.
+    const entry = (changes) => listener(changes);
+    this.#listeners.add(entry);
+    return () => {
+      this.#listeners.delete(entry);
+    };
+  }
+
+  emit(change) {
+    if (this.#pending !== null) this.#pending.push(change);
+    else this.#deliver([change]);
+  }
+
+  batch(fn) {
+    if (this.#depth++ === 0) this.#pending = [];
+    try {
+      return fn();
+    } finally {
+      if (--this.#depth === 0) {
+        const changes = this.#pending;
+        this.#pending = null;
+        if (changes.length > 0) this.#deliver(changes);
+      }
+    }
+  }
+
+  #deliver(changes) {
+    for (const listener of [...this.#listeners]) listener(changes);
+  }
+}
+
+export class ObservableHashMap extends HashMap {
+  #feed = new ChangeFeed();
+
+  /**
+   * Call `listener(changes)` after every mutation (or batch of mutations).
+   * @param {(changes: Array<object>) => void} listener
+   * @returns {() => void} Unsubscribe function.
+   * @throws {TypeError} If `listener` is not a function.
+   */
+  subscribe(listener) {
+    return this.#feed.subscribe(listener, 'ObservableHashMap');
+  }
+
+  /**
+   * Run `fn(map)` and deliver all its changes as a single notification.
+   * @param {(map: ObservableHashMap) => *} fn — Synchronous.
+   * @returns {*} Whatever `fn` returns.
+   */
+  batch(fn) {
+    return this.#feed.batch(() => fn(this));
+  }
+
+  /** `HashMap#set`, then emit 'add' for a new key or 'set' (with `oldValue`). */
+  set(key, value) {
+    if (!this.#feed.active) return super.set(key, value);
+    const existed = this.has(key);
+    const oldValue = this.get(key);
+    super.set(key, value);
+    this.#feed.emit(existed ? { type: 'set', key, value, oldValue } : { type: 'add', key, value });
+    return this;
+  }
+
+  /** `HashMap#delete`, then emit 'delete' with `oldValue` if the key existed. */
+  delete(key) {
+    if (!this.#feed.active) return super.delete(key);
+    const oldValue = this.get(key);
+    if (!super.delete(key)) return false;
+    this.#feed.emit({ type: 'delete', key, oldValue });
+    return true;
+  }
+
+  /** `HashMap#clear`, then emit 'clear' with the previous entries (if any). */
+  clear() {
+    if (!this.#feed.active || this.size() === 0) return super.clear();
+    const oldValue = this.entries();
+    super.clear();
+    this.#feed.emit({ type: 'clear', oldValue });
+  }
+}
+
+export class ObservableLinkedList extends LinkedList {
+  #feed = new ChangeFeed();
+
+  /**
+   * Call `listener(changes)` after every mutation (or batch of mutations).
+   * @param {(changes: Array<object>) => void} listener
+   * @returns {() => void} Unsubscribe function.
+   * @throws {TypeError} If `listener` is not a function.
+   */
+  subscribe(listener) {
+    return this.#feed.subscribe(listener, 'ObservableLinkedList');
+  }
+
+  /**
+   * Run `fn(list)` and deliver all its changes as a single notification.
+   * @param {(list: ObservableLinkedList) => *} fn — Synchronous.
+   * @returns {*} Whatever `fn` returns.
+   */
+  batch(fn) {
+    return this.#feed.batch(() => fn(this));
+  }
+
+  /** `LinkedList#append`, then emit 'add' at the last index. */
+  append(value) {
+    super.append(value);
+    if (this.#feed.active) this.#feed.emit({ type: 'add', index: this.size() - 1, value });
+    return this;
+  }
+
+  /** `LinkedList#prepend`, then emit 'add' at index 0. */
+  prepend(value) {
+    super.prepend(value);
+    if (this.#feed.active) this.#feed.emit({ type: 'add', index: 0, value });
+    return this;
+  }
+
+  /** `LinkedList#delete`, then emit 'delete' with the removed position and value. */
+  delete(value) {
+    if (!this.#feed.active) return super.delete(value);
+    const index = this.toArray().indexOf(value);
+    if (!super.delete(value)) return false;
+    this.#feed.emit({ type: 'delete', index, oldValue: value });
+    return true;
+  }
+
+  /** `LinkedList#reverse`, then emit one batch of 'set' records for the positions that changed. */
+  reverse() {
+    if (!this.#feed.active) return super.reverse();
+    const before = this.toArray();
+    super.reverse();
+    this.#feed.batch(() => {
+      const n = before.length;
+      for (let i = 0; i < n; i++) {
+        const value = before[n - 1 - i];
+        if (value !== before[i]) this.#feed.emit({ type: 'set', index: i, value, oldValue: before[i] });
+      }
+    });
+    return this;
+  }
+
+  /** `LinkedList#clear`, then emit 'clear' with the previous values (if any). */
+  clear() {
+    if (!this.#feed.active || this.size() === 0) return super.clear();
+    const oldValue = this.toArray();
+    super.clear();
+    this.#feed.emit({ type: 'clear', oldValue });
+  }
+}
+
+export class ObservableQueue extends Queue {
+  #feed = new ChangeFeed();
+
+  /**
+   * Call `listener(changes)` after every mutation (or batch of mutations).
+   * @param {(changes: Array<object>) => void} listener
+   * @returns {() => void} Unsubscribe function.
+   * @throws {TypeError} If `listener` is not a function.
+   */
+  subscribe(listener) {
+    return this.#feed.subscribe(listener, 'ObservableQueue');
+  }
+
+  /**
+   * Run `fn(queue)` and deliver all its changes as a single notification.
+   * @param {(queue: ObservableQueue) => *} fn — Synchronous.
+   * @returns {*} Whatever `fn` returns.
+   */
+  batch(fn) {
+    return this.#feed.batch(() => fn(this));
+  }
+
+  /** `Queue#enqueue`, then emit 'add' at the back index. */
+  enqueue(value) {
+    const size = super.enqueue(value);
+    if (this.#feed.active) this.#feed.emit({ type: 'add', index: size - 1, value });
+    return size;
+  }
+
+  /** `Queue#dequeue`, then emit 'delete' at index 0 if something was removed. */
+  dequeue() {
+    if (this.isEmpty()) return undefined;
+    const oldValue = super.dequeue();
+    if (this.#feed.active) this.#feed.emit({ type: 'delete', index: 0, oldValue });
+    return oldValue;
+  }
+
+  /** `Queue#clear`, then emit 'clear' with the previous values (if any). */
+  clear() {
+    if (!this.#feed.active || this.isEmpty()) return super.clear();
+    const oldValue = this.toArray();
+    super.clear();
+    this.#feed.emit({ type: 'clear', oldValue });
+  }
+}
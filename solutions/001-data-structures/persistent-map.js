@@ -0,0 +1,407 @@
+/**
+ * PersistentMap — immutable key/value map (hash array mapped trie, HAMT).
+ *
+ * Design decisions:
+ *  - 32-way trie indexed by 5-bit slices of the key hash. Each branch stores
+ *    a 32-bit bitmap plus a dense child array, so sparse levels stay small.
+ *  - `set`/`delete` copy only the O(log32 n) nodes on the path to the key;
+ *    every other node is shared with the previous version.
+ *  - Keys whose full 32-bit hashes collide live together in a collision node.
+ *  - Hashing and equality match `HashMap` (identity for objects, SameValueZero),
+ *    and accept the same custom `{ hash, equals }` pair.
+ *  - Iteration order follows the trie (hash order), not insertion order.
+ */
+
+import { hashKey, sameValueZero } from './hash-map.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+const BITS = 5;
+const MASK = (1 << BITS) - 1;
+
+class Leaf {
+  constructor(hash, key, value) {
+    this.hash = hash;
+    this.key = key;
+    this.value = value;
+    Object.freeze(this);
+  }
+}
+
+class Collision {
+  constructor(hash, leaves) {
+    this.hash = hash;
+    this.leaves = leaves;
+    Object.freeze(this);
+  }
+}
+
+class Branch {
+  constructor(bitmap, children) {
+    this.bitmap = bitmap;
+    this.children = children;
+    Object.freeze(this);
+  }
+}
+
+const EMPTY_ROOT = new Branch(0, []);
+
+function popcount(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  x = (x + (x >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(x, 0x01010101) >>> 24;
+}
+
+function fragment(hash, shift) {
+  return (hash >>> shift) & MASK;
+}
+
+function withReplaced(array, i, item) {
+  const copy = array.slice();
+  copy[i] = item;
+  return copy;
+}
+
+function withInserted(array, i, item) {
+  return [...array.slice(0, i), item, ...array.slice(i)];
+}
+
+function withRemoved(array, i) {
+  return [...array.slice(0, i), ...array.slice(i + 1)];
+}
+
+/** Combine two nodes with different hashes into the smallest distinguishing subtree. */
+function merge(a, b, shift) {
+  const fa = fragment(a.hash, shift);
+  const fb = fragment(b.hash, shift);
+  if (fa === fb) return new Branch(1 << fa, [merge(a, b, shift + BITS)]);
+  return new Branch((1 << fa) | (1 << fb), fa < fb ? [a, b] : [b, a]);
+}
+
+/**
+ * Path-copying insert. Returns `node` itself when nothing changed.
+ * `state.added` is set when the key was not present before.
+ */
+function insert(node, shift, leaf, equals, state) {
+  if (node instanceof Leaf) {
+    if (node.hash === leaf.hash) {
+      if (equals(node.key, leaf.key)) {
+        return Object.is(node.value, leaf.value) ? node : new Leaf(node.hash, node.key, leaf.value);
+      }
+      state.added = true;
+      return new Collision(leaf.hash, [node, leaf]);
+    }
+    state.added = true;
+    return merge(node, leaf, shift);
+  }
+
+  if (node instanceof Collision) {
+    if (node.hash !== leaf.hash) {
+      state.added = true;
+      return merge(node, leaf, shift);
+    }
+    const i = node.leaves.findIndex((l) => equals(l.key, leaf.key));
+    if (i === -1) {
+      state.added = true;
+      return new Collision(node.hash, [...node.leaves, leaf]);
+    }
+    if (Object.is(node.leaves[i].value, leaf.value)) return node;
+    return new Collision(node.hash, withReplaced(node.leaves, i, new Leaf(leaf.hash, node.leaves[i].key, leaf.value)));
+  }
+
+  const bit = 1 << fragment(leaf.hash, shift);
+  const i = popcount(node.bitmap & (bit - 1));
+  if ((node.bitmap & bit) === 0) {
+    state.added = true;
+    return new Branch(node.bitmap | bit, withInserted(node.children, i, leaf));
+  }
+  const child = node.children[i];
+  const updated = insert(child, shift + BITS, leaf, equals, state);
+  return updated === child ? node : new Branch(node.bitmap, withReplaced(node.children, i, updated));
+}
+
+/**
+ * Path-copying delete. Returns `node` itself when the key is absent and
+ * `null` when the subtree becomes empty. Single-leaf branches below the
+ * root collapse into their parent so the trie stays shallow.
+ */
+function remove(node, shift, hash, key, equals) {
+  if (node instanceof Leaf) {
+    return node.hash === hash && equals(node.key, key) ? null : node;
+  }
+
+  if (node instanceof Collision) {
+    if (node.hash !== hash) return node;
+    const i = node.leaves.findIndex((l) => equals(l.key, key));
+    if (i === -1) return node;
+    const leaves = withRemoved(node.leaves, i);
+    return leaves.length === 1 ? leaves[0] : new Collision(hash, leaves);
+  }
+
+  const bit = 1 << fragment(hash, shift);
+  if ((node.bitmap & bit) === 0) return node;
+  const i = popcount(node.bitmap & (bit - 1));
+  const child = node.children[i];
+  const updated = remove(child, shift + BITS, hash, key, equals);
+  if (updated === child) return node;
+
+  if (updated === null) {
+    if (node.children.length === 1) return null;
+    const children = withRemoved(node.children, i);
+    if (shift > 0 && children.length === 1 && !(children[0] instanceof Branch)) return children[0];
+    return new Branch(node.bitmap & ~bit, children);
+  }
+  if (shift > 0 && node.children.length === 1 && !(updated instanceof Branch)) return updated;
+  return new Branch(node.bitmap, withReplaced(node.children, i, updated));
+}
+
+function lookup(root, hash, key, equals) {
+  let node = root;
+  for (let shift = 0; ; shift += BITS) {
+    if (node instanceof Leaf) {
+      return node.hash === hash && equals(node.key, key) ? node : null;
+    }
+    if (node instanceof Collision) {
+      if (node.hash !== hash) return null;
+      return node.leaves.find((l) => equals(l.key, key)) ?? null;
+    }
+    const bit = 1 << fragment(hash, shift);
+    if ((node.bitmap & bit) === 0) return null;
+    node = node.children[popcount(node.bitmap & (bit - 1))];
+  }
+}
+
+function* leavesOf(node) {
+  if (node instanceof Leaf) {
+    yield node;
+  } else if (node instanceof Collision) {
+    yield* node.leaves;
+  } else {
+    for (const child of node.children) yield* leavesOf(child);
+  }
+}
+
+export class PersistentMap {
+  #root;
+  #size;
+  #hashFn;
+  #equals;
+
+  /**
+   * Create an empty map.
+   * @param {object} [opts={}]
+   * @param {(key: *) => number} [opts.hash] — Integer hash for a key.
+   * @param {(a: *, b: *) => boolean} [opts.equals] — Key equality (must agree with `hash`).
+   */
+  constructor(opts = {}) {
+    const { hash = hashKey, equals = sameValueZero } = opts;
+    if (typeof hash !== 'function') throw new TypeError('PersistentMap: hash must be a function');
+    if (typeof equals !== 'function') throw new TypeError('PersistentMap: equals must be a function');
+    this.#root = EMPTY_ROOT;
+    this.#size = 0;
+    this.#hashFn = hash;
+    this.#equals = equals;
+    Object.freeze(this);
+  }
+
+  static #EMPTY = new PersistentMap();
+
+  /** New version sharing this version's hash/equality. */
+  #derive(root, size) {
+    if (root === this.#root) return this;
+    const map = new PersistentMap({ hash: this.#hashFn, equals: this.#equals });
+    map.#root = root;
+    map.#size = size;
+    return map;
+  }
+
+  /**
+   * The shared empty map (default hashing and equality).
+   * @returns {PersistentMap}
+   * @time O(1)
+   */
+  static empty() {
+    return PersistentMap.#EMPTY;
+  }
+
+  /**
+   * Build a map from `[key, value]` pairs — arrays, a `HashMap`, a native
+   * `Map`, or any iterable of entries.
+   * @param {Iterable<[*, *]>} entries
+   * @param {object} [opts] — Same options as the constructor.
+   * @returns {PersistentMap}
+   * @time O(n log32 n)
+   */
+  static from(entries, opts) {
+    let map = opts === undefined ? PersistentMap.#EMPTY : new PersistentMap(opts);
+    for (const [key, value] of entries) map = map.set(key, value);
+    return map;
+  }
+
+  /**
+   * Return a new map with `key` bound to `value`. Returns `this` when the key
+   * already holds an identical (`Object.is`) value.
+   * @param {*} key
+   * @param {*} value
+   * @returns {PersistentMap}
+   * @time O(log32 n)
+   */
+  set(key, value) {
+    const state = { added: false };
+    const hash = this.#hashFn(key) | 0;
+    const root = insert(this.#root, 0, new Leaf(hash, key, value), this.#equals, state);
+    return this.#derive(root, this.#size + (state.added ? 1 : 0));
+  }
+
+  /**
+   * Return a new map without `key` (or `this` if the key is absent).
+   * @param {*} key
+   * @returns {PersistentMap}
+   * @time O(log32 n)
+   */
+  delete(key) {
+    const root = remove(this.#root, 0, this.#hashFn(key) | 0, key, this.#equals);
+    return this.#derive(root ?? EMPTY_ROOT, this.#size - 1);
+  }
+
+  /**
+   * Retrieve the value stored under `key`.
+   * @param {*} key
+   * @returns {*} The stored value, or `undefined` if not found.
+   * @time O(log32 n)
+   */
+  get(key) {
+    return lookup(this.#root, this.#hashFn(key) | 0, key, this.#equals)?.value;
+  }
+
+  /**
+   * Check whether `key` exists (even if its value is `undefined`).
+   * @param {*} key
+   * @returns {boolean}
+   * @time O(log32 n)
+   */
+  has(key) {
+    return lookup(this.#root, this.#hashFn(key) | 0, key, this.#equals) !== null;
+  }
+
+  /**
+   * Number of entries in this version.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#size;
+  }
+
+  /**
+   * Check whether the map holds no entries.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#size === 0;
+  }
+
+  /**
+   * Return all keys (trie order).
+   * @returns {Array}
+   * @time O(n)
+   */
+  keys() {
+    return Array.from(leavesOf(this.#root), (leaf) => leaf.key);
+  }
+
+  /**
+   * Return all values (order mirrors `keys()`).
+   * @returns {Array}
+   * @time O(n)
+   */
+  values() {
+    return Array.from(leavesOf(this.#root), (leaf) => leaf.value);
+  }
+
+  /**
+   * Return all `[key, value]` pairs (order mirrors `keys()`).
+   * @returns {Array<[*, *]>}
+   * @time O(n)
+   */
+  entries() {
+    return [...this];
+  }
+
+  /**
+   * Iterate `[key, value]` pairs lazily.
+   * @returns {Iterator<[*, *]>}
+   */
+  *[Symbol.iterator]() {
+    for (const leaf of leavesOf(this.#root)) yield [leaf.key, leaf.value];
+  }
+
+  /**
+   * Structural equality: same key set and pairwise-equal values. Shared
+   * subtrees are not revisited, so comparing close versions is cheap.
+   * @param {PersistentMap} other
+   * @param {(a: *, b: *) => boolean} [eq=sameValueZero] — Value equality.
+   * @returns {boolean}
+   * @time O(n) worst case, O(1) for identical versions
+   */
+  equals(other, eq = sameValueZero) {
+    if (!(other instanceof PersistentMap) || other.#size !== this.#size) return false;
+    if (other.#root === this.#root) return true;
+    if (other.#hashFn !== this.#hashFn || other.#equals !== this.#equals) {
+      for (const leaf of leavesOf(this.#root)) {
+        const match = lookup(other.#root, other.#hashFn(leaf.key) | 0, leaf.key, other.#equals);
+        if (match === null || !eq(leaf.value, match.value)) return false;
+      }
+      return true;
+    }
+    return nodesEqual(this.#root, other.#root, 0, this.#equals, eq);
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(map)` uses it. Custom `hash`/`equals`
+   * functions cannot be serialized; pass them again to `fromJSON`.
+   * @returns {{ $type: 'PersistentMap', entries: Array<[*, *]> }}
+   * @time O(n)
+   */
+  toJSON() {
+    const entries = [];
+    for (const [key, value] of this) entries.push([encode(key), encode(value)]);
+    return { $type: 'PersistentMap', entries };
+  }
+
+  /**
+   * Rebuild a PersistentMap from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @param {object} [opts] — Constructor options (`hash`/`equals`).
+   * @returns {PersistentMap}
+   * @throws {TypeError} If `json` is not a serialized PersistentMap.
+   * @time O(n log32 n)
+   */
+  static fromJSON(json, opts) {
+    const { entries } = expectType(json, 'PersistentMap');
+    return PersistentMap.from(entries.map(([k, v]) => [decode(k), decode(v)]), opts);
+  }
+}
+
+/** Compare two subtrees built with the same hash function, skipping shared nodes. */
+function nodesEqual(a, b, shift, keyEq, valueEq) {
+  if (a === b) return true;
+  if (a instanceof Branch && b instanceof Branch) {
+    if (a.bitmap !== b.bitmap) return false;
+    return a.children.every((child, i) => nodesEqual(child, b.children[i], shift + BITS, keyEq, valueEq));
+  }
+  // Same hash function ⇒ equal maps have identical trie shapes, so any
+  // leaf/collision mismatch reduces to comparing their leaf sets.
+  const left = [...leavesOf(a)];
+  const right = [...leavesOf(b)];
+  if (left.length !== right.length) return false;
+  return left.every((leaf) => {
+    const match = right.find((r) => r.hash === leaf.hash && keyEq(r.key, leaf.key));
+    return match !== undefined && valueEq(leaf.value, match.value);
+  });
+}
+
+registerType('PersistentMap', PersistentMap);
@@ -0,0 +1,242 @@
+/**
+ * PersistentQueue — immutable FIFO queue (Okasaki's banker's queue).
+ *
+ * Design decisions:
+ *  - `front` is a lazy, memoised stream; `rear` is a cons list in reverse
+ *    order. Whenever the rear grows longer than the front, the queue is
+ *    rebuilt as `front ++ reverse(rear)` — but lazily, so the work is only
+ *    done as elements are reached.
+ *  - Memoisation is what makes this safe under persistence: when several
+ *    versions share a suspended rotation, it is evaluated at most once, so
+ *    `enqueue`/`dequeue` stay O(1) amortised no matter which old version
+ *    they are applied to.
+ *  - Every "mutation" returns a new queue; each version is a snapshot.
+ */
+
+import { sameValueZero } from './hash-map.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+/** Memoised suspension: `force()` evaluates the thunk at most once. */
+class Lazy {
+  #thunk;
+  #value;
+
+  constructor(thunk) {
+    this.#thunk = thunk;
+    this.#value = undefined;
+  }
+
+  static resolved(value) {
+    const lazy = new Lazy(null);
+    lazy.#value = value;
+    return lazy;
+  }
+
+  /** @returns {{ head: *, tail: Lazy } | null} Stream cell, or `null` at the end. */
+  force() {
+    if (this.#thunk !== null) {
+      this.#value = this.#thunk();
+      this.#thunk = null;
+    }
+    return this.#value;
+  }
+}
+
+const EMPTY_STREAM = Lazy.resolved(null);
+
+/** Lazy `s ++ t`: one cell of work per cell forced. */
+function append(s, t) {
+  return new Lazy(() => {
+    const cell = s.force();
+    return cell === null ? t.force() : { head: cell.head, tail: append(cell.tail, t) };
+  });
+}
+
+/** Lazy (monolithic) reversal of a cons list into a stream. */
+function reverse(list) {
+  return new Lazy(() => {
+    let stream = EMPTY_STREAM;
+    for (let cell = list; cell !== null; cell = cell.next) {
+      stream = Lazy.resolved({ head: cell.value, tail: stream });
+    }
+    return stream.force();
+  });
+}
+
+export class PersistentQueue {
+  #front;
+  #frontSize;
+  /** Cons list `{ value, next }` holding the back of the queue, newest first. */
+  #rear;
+  #rearSize;
+
+  /** Create an empty queue. Prefer `PersistentQueue.empty()` / `from()`. */
+  constructor() {
+    this.#front = EMPTY_STREAM;
+    this.#frontSize = 0;
+    this.#rear = null;
+    this.#rearSize = 0;
+    Object.freeze(this);
+  }
+
+  static #EMPTY = new PersistentQueue();
+
+  /** Build a version, restoring the |rear| <= |front| invariant. */
+  static #create(front, frontSize, rear, rearSize) {
+    if (frontSize + rearSize === 0) return PersistentQueue.#EMPTY;
+    if (rearSize > frontSize) {
+      front = append(front, reverse(rear));
+      frontSize += rearSize;
+      rear = null;
+      rearSize = 0;
+    }
+    const queue = new PersistentQueue();
+    queue.#front = front;
+    queue.#frontSize = frontSize;
+    queue.#rear = rear;
+    queue.#rearSize = rearSize;
+    return queue;
+  }
+
+  /**
+   * The shared empty queue.
+   * @returns {PersistentQueue}
+   * @time O(1)
+   */
+  static empty() {
+    return PersistentQueue.#EMPTY;
+  }
+
+  /**
+   * Build a queue by enqueuing each value in order.
+   * Works with arrays, a mutable `Queue`, or any iterable.
+   * @param {Iterable<*>} iterable
+   * @returns {PersistentQueue}
+   * @time O(n)
+   */
+  static from(iterable) {
+    let queue = PersistentQueue.#EMPTY;
+    for (const value of iterable) queue = queue.enqueue(value);
+    return queue;
+  }
+
+  /**
+   * Return a new queue with `value` added at the back.
+   * @param {*} value
+   * @returns {PersistentQueue}
+   * @time O(1) amortised
+   */
+  enqueue(value) {
+    return PersistentQueue.#create(
+      this.#front,
+      this.#frontSize,
+      Object.freeze({ value, next: this.#rear }),
+      this.#rearSize + 1,
+    );
+  }
+
+  /**
+   * Return a new queue without the front element (empty stays empty).
+   * Read the removed value with `front()` first.
+   * @returns {PersistentQueue}
+   * @time O(1) amortised
+   */
+  dequeue() {
+    const cell = this.#front.force();
+    if (cell === null) return this;
+    return PersistentQueue.#create(cell.tail, this.#frontSize - 1, this.#rear, this.#rearSize);
+  }
+
+  /**
+   * Return the front element.
+   * @returns {*} The front value, or `undefined` if empty.
+   * @time O(1) amortised
+   */
+  front() {
+    const cell = this.#front.force();
+    return cell === null ? undefined : cell.head;
+  }
+
+  /**
+   * Check whether the queue contains no elements.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#frontSize + this.#rearSize === 0;
+  }
+
+  /**
+   * Number of elements in this version.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#frontSize + this.#rearSize;
+  }
+
+  /**
+   * Return all elements front → back (same order as `Queue#toArray`).
+   * @returns {Array}
+   * @time O(n)
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Iterate values front → back.
+   * @returns {Iterator<*>}
+   * @time O(1) amortised per step (the rear is materialised once at the switch)
+   */
+  *[Symbol.iterator]() {
+    for (let cell = this.#front.force(); cell !== null; cell = cell.tail.force()) {
+      yield cell.head;
+    }
+    const rear = new Array(this.#rearSize);
+    let i = this.#rearSize - 1;
+    for (let cell = this.#rear; cell !== null; cell = cell.next) rear[i--] = cell.value;
+    yield* rear;
+  }
+
+  /**
+   * Structural equality: same size and pairwise-equal elements in order.
+   * @param {PersistentQueue} other
+   * @param {(a: *, b: *) => boolean} [eq=sameValueZero] — Element equality.
+   * @returns {boolean}
+   * @time O(n) worst case, O(1) for identical versions
+   */
+  equals(other, eq = sameValueZero) {
+    if (!(other instanceof PersistentQueue) || other.size() !== this.size()) return false;
+    if (other === this) return true;
+    const b = other[Symbol.iterator]();
+    for (const value of this) {
+      if (!eq(value, b.next().value)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(queue)` uses it. Nested structures and
+   * non-JSON values are tagged (see `codec.js`) so `fromJSON` restores them.
+   * @returns {{ $type: 'PersistentQueue', items: Array }} Items front → back.
+   * @time O(n)
+   */
+  toJSON() {
+    return { $type: 'PersistentQueue', items: Array.from(this, encode) };
+  }
+
+  /**
+   * Rebuild a PersistentQueue from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {PersistentQueue}
+   * @throws {TypeError} If `json` is not a serialized PersistentQueue.
+   * @time O(n)
+   */
+  static fromJSON(json) {
+    const { items } = expectType(json, 'PersistentQueue');
+    return PersistentQueue.from(items.map(decode));
+  }
+}
+
+registerType('PersistentQueue', PersistentQueue);
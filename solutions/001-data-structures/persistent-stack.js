@@ -0,0 +1,169 @@
+/**
+ * PersistentStack — immutable LIFO stack backed by a cons list.
+ *
+ * Every "mutation" returns a new stack and leaves the receiver untouched.
+ * Versions share their common tail, so `push`/`pop` are O(1) in time and
+ * space and keeping thousands of versions (undo history) costs one cell per
+ * push, never a copy. Each version is itself a snapshot.
+ */
+
+import { sameValueZero } from './hash-map.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+
+export class PersistentStack {
+  /** Top cons cell `{ value, next }` (frozen), or `null`. */
+  #head;
+  #size;
+
+  /** Create an empty stack. Prefer `PersistentStack.empty()` / `from()`. */
+  constructor() {
+    this.#head = null;
+    this.#size = 0;
+    Object.freeze(this);
+  }
+
+  static #EMPTY = new PersistentStack();
+
+  static #create(head, size) {
+    if (head === null) return PersistentStack.#EMPTY;
+    const stack = new PersistentStack();
+    stack.#head = head;
+    stack.#size = size;
+    return stack;
+  }
+
+  /**
+   * The shared empty stack.
+   * @returns {PersistentStack}
+   * @time O(1)
+   */
+  static empty() {
+    return PersistentStack.#EMPTY;
+  }
+
+  /**
+   * Build a stack by pushing each value in order (last value ends on top).
+   * Works with arrays, a mutable `Stack`, or any iterable.
+   * @param {Iterable<*>} iterable
+   * @returns {PersistentStack}
+   * @time O(n)
+   */
+  static from(iterable) {
+    let stack = PersistentStack.#EMPTY;
+    for (const value of iterable) stack = stack.push(value);
+    return stack;
+  }
+
+  /**
+   * Return a new stack with `value` on top.
+   * @param {*} value
+   * @returns {PersistentStack}
+   * @time O(1)
+   */
+  push(value) {
+    return PersistentStack.#create(Object.freeze({ value, next: this.#head }), this.#size + 1);
+  }
+
+  /**
+   * Return a new stack without the top element (empty stays empty).
+   * Read the removed value with `peek()` first.
+   * @returns {PersistentStack}
+   * @time O(1)
+   */
+  pop() {
+    if (this.#head === null) return this;
+    return PersistentStack.#create(this.#head.next, this.#size - 1);
+  }
+
+  /**
+   * Return the top element.
+   * @returns {*} The top value, or `undefined` if empty.
+   * @time O(1)
+   */
+  peek() {
+    return this.#head === null ? undefined : this.#head.value;
+  }
+
+  /**
+   * Check whether the stack contains no elements.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#size === 0;
+  }
+
+  /**
+   * Number of elements in this version.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#size;
+  }
+
+  /**
+   * Return all elements bottom → top (same order as `Stack#toArray`).
+   * @returns {Array}
+   * @time O(n)
+   */
+  toArray() {
+    const result = new Array(this.#size);
+    let i = this.#size - 1;
+    for (let cell = this.#head; cell !== null; cell = cell.next) result[i--] = cell.value;
+    return result;
+  }
+
+  /**
+   * Iterate values bottom → top (same order as `toArray()`).
+   * @returns {Iterator<*>}
+   * @time O(n) to start, O(1) per step
+   */
+  *[Symbol.iterator]() {
+    yield* this.toArray();
+  }
+
+  /**
+   * Structural equality: same size and pairwise-equal elements. Versions
+   * that share a tail short-circuit as soon as the shared cell is reached.
+   * @param {PersistentStack} other
+   * @param {(a: *, b: *) => boolean} [eq=sameValueZero] — Element equality.
+   * @returns {boolean}
+   * @time O(n) worst case, O(1) for identical versions
+   */
+  equals(other, eq = sameValueZero) {
+    if (!(other instanceof PersistentStack) || other.#size !== this.#size) return false;
+    let a = this.#head;
+    let b = other.#head;
+    while (a !== b) {
+      if (!eq(a.value, b.value)) return false;
+      a = a.next;
+      b = b.next;
+    }
+    return true;
+  }
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(stack)` uses it. Nested structures and
+   * non-JSON values are tagged (see `codec.js`) so `fromJSON` restores them.
+   * @returns {{ $type: 'PersistentStack', items: Array }} Items bottom → top.
+   * @time O(n)
+   */
+  toJSON() {
+    return { $type: 'PersistentStack', items: Array.from(this, encode) };
+  }
+
+  /**
+   * Rebuild a PersistentStack from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {PersistentStack}
+   * @throws {TypeError} If `json` is not a serialized PersistentStack.
+   * @time O(n)
+   */
+  static fromJSON(json) {
+    const { items } = expectType(json, 'PersistentStack');
+    return PersistentStack.from(items.map(decode));
+  }
+}
+
+registerType('PersistentStack', PersistentStack);
@@ -0,0 +1,266 @@
+/**
+ * PriorityQueue — binary heap ordered by a comparator.
+ *
+ * Design decisions:
+ *  - Min-heap by default; pass `{ max: true }` to invert the ordering.
+ *  - Each entry stores `{ value, priority, seq }`. `priority` defaults to the
+ *    value itself, so plain numbers "just work".
+ *  - Ties are broken by insertion sequence, so equal priorities dequeue in
+ *    FIFO order (schedulers rely on this).
+ *  - Heap lives in a flat array: children of i are 2i+1 and 2i+2.
+ */
+
+import { encode, decode, expectType, registerType } from './codec.js';
+
+/** Natural ordering for numbers, strings, Dates, etc. */
+function defaultCompare(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+export class PriorityQueue {
+  #heap;
+  #compare;
+  #max;
+  #seq;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {(a: *, b: *) => number} [opts.comparator] — Negative when `a`
+   *   should leave the queue before `b`. Applied to priorities.
+   * @param {boolean} [opts.max=false] — Highest priority first instead of lowest.
+   */
+  constructor(opts = {}) {
+    const { comparator = defaultCompare, max = false } = opts;
+    if (typeof comparator !== 'function') {
+      throw new TypeError('PriorityQueue: comparator must be a function');
+    }
+    this.#compare = max ? (a, b) => comparator(b, a) : comparator;
+    this.#max = max;
+    this.#heap = [];
+    this.#seq = 0;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  /** True when entry `a` should sit above entry `b`. */
+  #before(a, b) {
+    const cmp = this.#compare(a.priority, b.priority);
+    return cmp < 0 || (cmp === 0 && a.seq < b.seq);
+  }
+
+  #swap(i, j) {
+    const heap = this.#heap;
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  }
+
+  /** Move the entry at `i` up until its parent precedes it. O(log n) */
+  #siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.#before(this.#heap[i], this.#heap[parent])) break;
+      this.#swap(i, parent);
+      i = parent;
+    }
+    return i;
+  }
+
+  /** Move the entry at `i` down until both children follow it. O(log n) */
+  #siftDown(i) {
+    const n = this.#heap.length;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let best = i;
+      if (left < n && this.#before(this.#heap[left], this.#heap[best])) best = left;
+      if (right < n && this.#before(this.#heap[right], this.#heap[best])) best = right;
+      if (best === i) return i;
+      this.#swap(i, best);
+      i = best;
+    }
+  }
+
+  /** Index of the first entry whose value strictly equals `value`, or -1. */
+  #indexOf(value) {
+    return this.#heap.findIndex((entry) => entry.value === value);
+  }
+
+  /** Remove the entry at `i` and restore the heap property. */
+  #removeAt(i) {
+    const heap = this.#heap;
+    const removed = heap[i];
+    const last = heap.pop();
+    if (i < heap.length) {
+      heap[i] = last;
+      if (this.#siftUp(i) === i) this.#siftDown(i);
+    }
+    return removed;
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Insert `value` with the given priority.
+   * @param {*} value
+   * @param {*} [priority=value] — Compared with the queue's comparator.
+   * @returns {number} New size of the queue.
+   * @time O(log n)
+   */
+  push(value, priority = value) {
+    this.#heap.push({ value, priority, seq: this.#seq++ });
+    this.#siftUp(this.#heap.length - 1);
+    return this.#heap.length;
+  }
+
+  /**
+   * Remove and return the highest-priority value.
+   * @returns {*} The value, or `undefined` if the queue is empty.
+   * @time O(log n)
+   */
+  pop() {
+    if (this.#heap.length === 0) return undefined;
+    return this.#removeAt(0).value;
+  }
+
+  /**
+   * Return the highest-priority value without removing it.
+   * @returns {*} The value, or `undefined` if empty.
+   * @time O(1)
+   */
+  peek() {
+    return this.#heap.length === 0 ? undefined : this.#heap[0].value;
+  }
+
+  /**
+   * Return the priority of the head entry without removing it.
+   * @returns {*} The priority, or `undefined` if empty.
+   * @time O(1)
+   */
+  peekPriority() {
+    return this.#heap.length === 0 ? undefined : this.#heap[0].priority;
+  }
+
+  /**
+   * Change the priority of the first entry whose value strictly equals `value`.
+   * @param {*} value
+   * @param {*} priority
+   * @returns {boolean} `true` if the value was found and re-ordered.
+   * @time O(n) to locate + O(log n) to re-heapify
+   */
+  updatePriority(value, priority) {
+    const i = this.#indexOf(value);
+    if (i === -1) return false;
+    this.#heap[i].priority = priority;
+    if (this.#siftUp(i) === i) this.#siftDown(i);
+    return true;
+  }
+
+  /**
+   * Remove the first entry whose value strictly equals `value`.
+   * @param {*} value
+   * @returns {boolean} `true` if an entry was removed.
+   * @time O(n) to locate + O(log n) to re-heapify
+   */
+  remove(value) {
+    const i = this.#indexOf(value);
+    if (i === -1) return false;
+    this.#removeAt(i);
+    return true;
+  }
+
+  /**
+   * Check whether any entry's value strictly equals `value`.
+   * @param {*} value
+   * @returns {boolean}
+   * @time O(n)
+   */
+  has(value) {
+    return this.#indexOf(value) !== -1;
+  }
+
+  /**
+   * Check whether the queue contains no elements.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#heap.length === 0;
+  }
+
+  /**
+   * Number of elements currently in the queue.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#heap.length;
+  }
+
+  /**
+   * Return all values in priority order (the queue is not modified).
+   * @returns {Array}
+   * @time O(n log n)
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Remove all elements.
+   * @returns {void}
+   * @time O(1)
+   */
+  clear() {
+    this.#heap = [];
+  }
+
+  /**
+   * Iterate values in priority order without draining the queue.
+   * Works on a copy of the heap, so mutating the queue mid-iteration is safe.
+   * @returns {Iterator<*>}
+   * @time O(n log n) for a full pass
+   */
+  *[Symbol.iterator]() {
+    const copy = new PriorityQueue();
+    copy.#compare = this.#compare;
+    copy.#heap = this.#heap.map((entry) => ({ ...entry }));
+    while (!copy.isEmpty()) yield copy.pop();
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot: `[value, priority]` pairs in priority order plus the
+   * `max` flag. A custom comparator cannot be serialized; pass it again to
+   * `fromJSON`.
+   * @returns {{ $type: 'PriorityQueue', max: boolean, entries: Array<[*, *]> }}
+   * @time O(n log n)
+   */
+  toJSON() {
+    const ordered = this.#heap.slice().sort((a, b) => (this.#before(a, b) ? -1 : 1));
+    return {
+      $type: 'PriorityQueue',
+      max: this.#max,
+      entries: ordered.map((e) => [encode(e.value), encode(e.priority)]),
+    };
+  }
+
+  /**
+   * Rebuild a queue from `toJSON()` output or its JSON string. Tie order
+   * between equal priorities is preserved.
+   * @param {object|string} json
+   * @param {object} [opts] — Constructor options (`comparator`; `max` overrides the serialized flag).
+   * @returns {PriorityQueue}
+   * @throws {TypeError} If `json` is not a serialized PriorityQueue.
+   * @time O(n log n)
+   */
+  static fromJSON(json, opts = {}) {
+    const { max, entries } = expectType(json, 'PriorityQueue');
+    const pq = new PriorityQueue({ max, ...opts });
+    for (const [value, priority] of entries) pq.push(decode(value), decode(priority));
+    return pq;
+  }
+}
+
+registerType('PriorityQueue', PriorityQueue);
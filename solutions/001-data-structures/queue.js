@@ -5,6 +5,9 @@
  * are O(1) — no array shifting required.
  */
 
+import { encode, decode, expectType, registerType } from './codec.js';
+import { mixinIterable } from './iterable.js';
+
 class Node {
   constructor(value) {
     this.value = value;
@@ -108,4 +111,55 @@ export class Queue {
     this.#tail = null;
     this.#length = 0;
   }
+
+  /**
+   * Iterate values front → back (same order as `toArray()`), without copying.
+   * @returns {Iterator<*>}
+   * @time O(1) per step
+   */
+  *[Symbol.iterator]() {
+    let current = this.#head;
+    while (current !== null) {
+      yield current.value;
+      current = current.next;
+    }
+  }
+
+  // forEach / map / filter / reduce / some / every: see iterable.js.
+  static {
+    mixinIterable(this, {
+      noun: 'queue',
+      collect: (self, items) => {
+        const result = new Queue();
+        for (const value of items) result.enqueue(value);
+        return result;
+      },
+    });
+  }
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(queue)` uses it. Nested structures and
+   * non-JSON values are tagged (see `codec.js`) so `fromJSON` restores them.
+   * @returns {{ $type: 'Queue', items: Array }} Items front → back.
+   * @time O(n)
+   */
+  toJSON() {
+    return { $type: 'Queue', items: Array.from(this, encode) };
+  }
+
+  /**
+   * Rebuild a Queue from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {Queue}
+   * @throws {TypeError} If `json` is not a serialized Queue.
+   * @time O(n)
+   */
+  static fromJSON(json) {
+    const { items } = expectType(json, 'Queue');
+    const queue = new Queue();
+    for (const item of items) queue.enqueue(decode(item));
+    return queue;
+  }
 }
+
+registerType('Queue', Queue);
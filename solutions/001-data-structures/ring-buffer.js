@@ -0,0 +1,325 @@
+/**
+ * RingBuffer — fixed-capacity double-ended queue over a circular array.
+ *
+ * Design decisions:
+ *  - Storage is a preallocated array plus a head index and a length, so every
+ *    push/pop at either end and every indexed read is O(1) with no shifting
+ *    and no allocation after construction.
+ *  - What happens when a push meets a full buffer is chosen once, up front:
+ *      'overwrite' — drop the element at the opposite end (log tailing,
+ *                    sliding metrics windows); the push always succeeds.
+ *      'reject'    — leave the buffer untouched and return `false`.
+ *      'block'     — return a promise that settles once the value has been
+ *                    stored; pending pushes are admitted in FIFO order as
+ *                    pops make room (a bounded producer/consumer hand-off).
+ *  - Index 0 is the front. `at()` accepts negative indexes like `Array#at`.
+ */
+
+import { Queue } from './queue.js';
+import { encode, decode, expectType, registerType } from './codec.js';
+import { mixinIterable } from './iterable.js';
+
+const OVERFLOW_POLICIES = ['overwrite', 'reject', 'block'];
+
+export class RingBuffer {
+  #items;
+  #head;
+  #length;
+  #overflow;
+  /** Pushes waiting for room under the 'block' policy: `{ value, atFront, resolve }`. */
+  #waiting;
+
+  /**
+   * @param {number} capacity — Maximum number of elements (integer >= 1).
+   * @param {object} [opts={}]
+   * @param {'overwrite'|'reject'|'block'} [opts.overflow='overwrite'] — Behaviour of a push on a full buffer.
+   */
+  constructor(capacity, opts = {}) {
+    const { overflow = 'overwrite' } = opts;
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new RangeError('RingBuffer: capacity must be a positive integer');
+    }
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new RangeError(`RingBuffer: overflow must be one of ${OVERFLOW_POLICIES.join(', ')}`);
+    }
+
+    this.#items = new Array(capacity);
+    this.#head = 0;
+    this.#length = 0;
+    this.#overflow = overflow;
+    this.#waiting = new Queue();
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  /** Physical slot of logical index `i` (0 = front). */
+  #slot(i) {
+    return (this.#head + i) % this.#items.length;
+  }
+
+  /** Store `value` at one end; the caller guarantees there is room. */
+  #place(value, atFront) {
+    if (atFront) {
+      this.#head = (this.#head + this.#items.length - 1) % this.#items.length;
+      this.#items[this.#head] = value;
+    } else {
+      this.#items[this.#slot(this.#length)] = value;
+    }
+    this.#length++;
+  }
+
+  #takeFront() {
+    const value = this.#items[this.#head];
+    this.#items[this.#head] = undefined;
+    this.#head = (this.#head + 1) % this.#items.length;
+    this.#length--;
+    return value;
+  }
+
+  #takeBack() {
+    const slot = this.#slot(this.#length - 1);
+    const value = this.#items[slot];
+    this.#items[slot] = undefined;
+    this.#length--;
+    return value;
+  }
+
+  /** Shared overflow handling for `pushFront`/`pushBack`. */
+  #push(value, atFront) {
+    const block = this.#overflow === 'block';
+    if (this.#length < this.#items.length) {
+      this.#place(value, atFront);
+      return block ? Promise.resolve() : true;
+    }
+    switch (this.#overflow) {
+      case 'overwrite':
+        if (atFront) this.#takeBack(); else this.#takeFront();
+        this.#place(value, atFront);
+        return true;
+      case 'reject':
+        return false;
+      default:
+        return new Promise((resolve) => this.#waiting.enqueue({ value, atFront, resolve }));
+    }
+  }
+
+  /** Move blocked pushes into the buffer while there is room. */
+  #admit() {
+    while (this.#length < this.#items.length && !this.#waiting.isEmpty()) {
+      const { value, atFront, resolve } = this.#waiting.dequeue();
+      this.#place(value, atFront);
+      resolve();
+    }
+  }
+
+  /** Normalise an `Array#at`-style index; -1 when out of range. */
+  #index(index) {
+    const i = Math.trunc(index) + (index < 0 ? this.#length : 0);
+    return i >= 0 && i < this.#length ? i : -1;
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Add `value` at the back. On a full buffer the overflow policy decides.
+   * @param {*} value
+   * @returns {boolean|Promise<void>} `true` once stored, `false` if rejected;
+   *   with the 'block' policy always a promise resolving once stored.
+   * @time O(1)
+   */
+  pushBack(value) {
+    return this.#push(value, false);
+  }
+
+  /**
+   * Add `value` at the front. On a full buffer the overflow policy decides
+   * ('overwrite' drops the back element).
+   * @param {*} value
+   * @returns {boolean|Promise<void>} As for `pushBack`.
+   * @time O(1)
+   */
+  pushFront(value) {
+    return this.#push(value, true);
+  }
+
+  /**
+   * Remove and return the front element.
+   * @returns {*} The value, or `undefined` if empty.
+   * @time O(1)
+   */
+  popFront() {
+    if (this.#length === 0) return undefined;
+    const value = this.#takeFront();
+    this.#admit();
+    return value;
+  }
+
+  /**
+   * Remove and return the back element.
+   * @returns {*} The value, or `undefined` if empty.
+   * @time O(1)
+   */
+  popBack() {
+    if (this.#length === 0) return undefined;
+    const value = this.#takeBack();
+    this.#admit();
+    return value;
+  }
+
+  /**
+   * Return the front element without removing it.
+   * @returns {*} The value, or `undefined` if empty.
+   * @time O(1)
+   */
+  peekFront() {
+    return this.#length === 0 ? undefined : this.#items[this.#head];
+  }
+
+  /**
+   * Return the back element without removing it.
+   * @returns {*} The value, or `undefined` if empty.
+   * @time O(1)
+   */
+  peekBack() {
+    return this.#length === 0 ? undefined : this.#items[this.#slot(this.#length - 1)];
+  }
+
+  /**
+   * Element at `index` (0 = front; negative counts from the back).
+   * @param {number} index
+   * @returns {*} The value, or `undefined` if out of range.
+   * @time O(1)
+   */
+  at(index) {
+    const i = this.#index(index);
+    return i === -1 ? undefined : this.#items[this.#slot(i)];
+  }
+
+  /**
+   * Replace the element at `index` (negative counts from the back).
+   * @param {number} index
+   * @param {*} value
+   * @returns {RingBuffer} `this` for chaining.
+   * @throws {RangeError} If `index` is out of range.
+   * @time O(1)
+   */
+  set(index, value) {
+    const i = this.#index(index);
+    if (i === -1) throw new RangeError(`RingBuffer.set: index ${index} out of range for size ${this.#length}`);
+    this.#items[this.#slot(i)] = value;
+    return this;
+  }
+
+  /**
+   * Maximum number of elements.
+   * @returns {number}
+   * @time O(1)
+   */
+  capacity() {
+    return this.#items.length;
+  }
+
+  /**
+   * Number of elements currently stored (blocked pushes not included).
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#length;
+  }
+
+  /**
+   * Check whether the buffer contains no elements.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#length === 0;
+  }
+
+  /**
+   * Check whether the next push will hit the overflow policy.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isFull() {
+    return this.#length === this.#items.length;
+  }
+
+  /**
+   * Return a shallow-copy array of all elements, front → back.
+   * @returns {Array}
+   * @time O(n)
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Remove all elements, then admit blocked pushes that now fit.
+   * @returns {void}
+   * @time O(capacity)
+   */
+  clear() {
+    this.#items.fill(undefined);
+    this.#head = 0;
+    this.#length = 0;
+    this.#admit();
+  }
+
+  // ─── Iteration ───────────────────────────────────────────────────
+
+  /**
+   * Iterate values front → back.
+   * @returns {Iterator<*>}
+   * @time O(1) per step
+   */
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.#length; i++) yield this.#items[this.#slot(i)];
+  }
+
+  // forEach / map / filter / reduce / some / every: see iterable.js.
+  static {
+    mixinIterable(this, {
+      noun: 'buffer',
+      collect: (self, items) => {
+        const result = new RingBuffer(self.#items.length, { overflow: self.#overflow });
+        for (const value of items) result.#place(value, false);
+        return result;
+      },
+    });
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot of capacity, policy and items (front → back).
+   * Pushes still blocked waiting for room are not included.
+   * @returns {{ $type: 'RingBuffer', capacity: number, overflow: string, items: Array }}
+   * @time O(n)
+   */
+  toJSON() {
+    return {
+      $type: 'RingBuffer',
+      capacity: this.#items.length,
+      overflow: this.#overflow,
+      items: Array.from(this, encode),
+    };
+  }
+
+  /**
+   * Rebuild a RingBuffer from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {RingBuffer}
+   * @throws {TypeError} If `json` is not a serialized RingBuffer.
+   * @time O(n)
+   */
+  static fromJSON(json) {
+    const { capacity, overflow, items } = expectType(json, 'RingBuffer');
+    const buffer = new RingBuffer(capacity, { overflow });
+    for (const item of items.slice(-capacity)) buffer.#place(decode(item), false);
+    return buffer;
+  }
+}
+
+registerType('RingBuffer', RingBuffer);
@@ -0,0 +1,368 @@
+/**
+ * SortedMap — ordered key/value map backed by a skip list.
+ *
+ * Design decisions:
+ *  - Keys are kept in comparator order (natural `<`/`>` ordering by default);
+ *    two keys the comparator reports as 0 are the same key.
+ *  - A skip list rather than a balanced tree: O(log n) expected search,
+ *    insert and delete with no rebalancing, and the bottom level is a plain
+ *    sorted linked list, which makes ordered iteration and range scans a walk.
+ *  - Node heights are geometric with p = 1/4 (about 1.33 pointers per node),
+ *    capped at MAX_LEVEL — ample for 4^16 ≈ 4 billion keys.
+ *  - `floor`/`ceiling`/`lower`/`higher` return `[key, value]` pairs, or
+ *    `undefined` when no key qualifies.
+ */
+
+import { encode, decode, expectType, registerType } from './codec.js';
+
+const MAX_LEVEL = 16;
+const P = 0.25;
+
+/** Natural ordering for numbers, strings, Dates, etc. */
+function defaultCompare(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+class SkipNode {
+  constructor(key, value, level) {
+    this.key = key;
+    this.value = value;
+    /** `next[i]` is the following node on level i. */
+    this.next = new Array(level).fill(null);
+  }
+}
+
+export class SortedMap {
+  #head;
+  #level;
+  #size;
+  #compare;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {(a: *, b: *) => number} [opts.comparator] — Key ordering (negative, 0, positive).
+   */
+  constructor(opts = {}) {
+    const { comparator = defaultCompare } = opts;
+    if (typeof comparator !== 'function') throw new TypeError('SortedMap: comparator must be a function');
+
+    this.#head = new SkipNode(undefined, undefined, MAX_LEVEL);
+    this.#level = 1;
+    this.#size = 0;
+    this.#compare = comparator;
+  }
+
+  /**
+   * Build a map from `[key, value]` pairs (arrays, a native Map, a HashMap, ...).
+   * @param {Iterable<[*, *]>} entries
+   * @param {object} [opts] — Constructor options.
+   * @returns {SortedMap}
+   * @time O(n log n) expected
+   */
+  static from(entries, opts) {
+    const map = new SortedMap(opts);
+    for (const [key, value] of entries) map.set(key, value);
+    return map;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  #randomLevel() {
+    let level = 1;
+    while (level < MAX_LEVEL && Math.random() < P) level++;
+    return level;
+  }
+
+  /**
+   * Rightmost node on level 0 whose key is below `key` (or, when `inclusive`,
+   * not above it); the head sentinel if there is none. Fills `update[i]` with
+   * the corresponding node on every level when given.
+   */
+  #descend(key, inclusive, update = null) {
+    let node = this.#head;
+    for (let i = this.#level - 1; i >= 0; i--) {
+      for (let next = node.next[i]; next !== null; next = node.next[i]) {
+        const cmp = this.#compare(next.key, key);
+        if (cmp > 0 || (cmp === 0 && !inclusive)) break;
+        node = next;
+      }
+      if (update !== null) update[i] = node;
+    }
+    return node;
+  }
+
+  /** Node holding `key`, or `null`. */
+  #find(key) {
+    const next = this.#descend(key, false).next[0];
+    return next !== null && this.#compare(next.key, key) === 0 ? next : null;
+  }
+
+  /** `[key, value]` of a node, `undefined` for null or the head sentinel. */
+  #pair(node) {
+    return node === null || node === this.#head ? undefined : [node.key, node.value];
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Insert or update a key/value pair.
+   * @param {*} key
+   * @param {*} value
+   * @returns {SortedMap} `this` for chaining.
+   * @time O(log n) expected
+   */
+  set(key, value) {
+    const update = new Array(MAX_LEVEL);
+    const next = this.#descend(key, false, update).next[0];
+    if (next !== null && this.#compare(next.key, key) === 0) {
+      next.value = value;
+      return this;
+    }
+
+    const level = this.#randomLevel();
+    for (let i = this.#level; i < level; i++) update[i] = this.#head;
+    if (level > this.#level) this.#level = level;
+
+    const node = new SkipNode(key, value, level);
+    for (let i = 0; i < level; i++) {
+      node.next[i] = update[i].next[i];
+      update[i].next[i] = node;
+    }
+    this.#size++;
+    return this;
+  }
+
+  /**
+   * Retrieve the value associated with `key`.
+   * @param {*} key
+   * @returns {*} The value, or `undefined` if the key does not exist.
+   * @time O(log n) expected
+   */
+  get(key) {
+    const node = this.#find(key);
+    return node === null ? undefined : node.value;
+  }
+
+  /**
+   * Check whether `key` exists in the map.
+   * @param {*} key
+   * @returns {boolean}
+   * @time O(log n) expected
+   */
+  has(key) {
+    return this.#find(key) !== null;
+  }
+
+  /**
+   * Remove the entry for `key`.
+   * @param {*} key
+   * @returns {boolean} `true` if the key existed and was removed.
+   * @time O(log n) expected
+   */
+  delete(key) {
+    const update = new Array(MAX_LEVEL);
+    const node = this.#descend(key, false, update).next[0];
+    if (node === null || this.#compare(node.key, key) !== 0) return false;
+
+    for (let i = 0; i < node.next.length; i++) update[i].next[i] = node.next[i];
+    while (this.#level > 1 && this.#head.next[this.#level - 1] === null) this.#level--;
+    this.#size--;
+    return true;
+  }
+
+  /**
+   * Smallest entry.
+   * @returns {[*, *]|undefined}
+   * @time O(1)
+   */
+  first() {
+    return this.#pair(this.#head.next[0]);
+  }
+
+  /**
+   * Largest entry.
+   * @returns {[*, *]|undefined}
+   * @time O(log n) expected
+   */
+  last() {
+    let node = this.#head;
+    for (let i = this.#level - 1; i >= 0; i--) {
+      while (node.next[i] !== null) node = node.next[i];
+    }
+    return this.#pair(node);
+  }
+
+  /**
+   * Greatest entry whose key is <= `key`.
+   * @param {*} key
+   * @returns {[*, *]|undefined}
+   * @time O(log n) expected
+   */
+  floor(key) {
+    return this.#pair(this.#descend(key, true));
+  }
+
+  /**
+   * Least entry whose key is >= `key`.
+   * @param {*} key
+   * @returns {[*, *]|undefined}
+   * @time O(log n) expected
+   */
+  ceiling(key) {
+    return this.#pair(this.#descend(key, false).next[0]);
+  }
+
+  /**
+   * Greatest entry whose key is strictly < `key`.
+   * @param {*} key
+   * @returns {[*, *]|undefined}
+   * @time O(log n) expected
+   */
+  lower(key) {
+    return this.#pair(this.#descend(key, false));
+  }
+
+  /**
+   * Least entry whose key is strictly > `key`.
+   * @param {*} key
+   * @returns {[*, *]|undefined}
+   * @time O(log n) expected
+   */
+  higher(key) {
+    return this.#pair(this.#descend(key, true).next[0]);
+  }
+
+  /**
+   * Iterate `[key, value]` pairs with keys between `from` and `to`, in order.
+   * An omitted bound is unbounded; by default the range is half-open `[from, to)`.
+   * @param {object} [opts={}]
+   * @param {*} [opts.from] — Lower bound.
+   * @param {*} [opts.to] — Upper bound.
+   * @param {boolean} [opts.fromInclusive=true]
+   * @param {boolean} [opts.toInclusive=false]
+   * @returns {Iterator<[*, *]>}
+   * @time O(log n + k) expected for k yielded entries
+   */
+  *range(opts = {}) {
+    const { fromInclusive = true, toInclusive = false } = opts;
+    const hasFrom = Object.hasOwn(opts, 'from');
+    const hasTo = Object.hasOwn(opts, 'to');
+
+    let node = hasFrom ? this.#descend(opts.from, !fromInclusive).next[0] : this.#head.next[0];
+    for (; node !== null; node = node.next[0]) {
+      if (hasTo) {
+        const cmp = this.#compare(node.key, opts.to);
+        if (cmp > 0 || (cmp === 0 && !toInclusive)) return;
+      }
+      yield [node.key, node.value];
+    }
+  }
+
+  /**
+   * Keys in ascending order.
+   * @returns {Array}
+   * @time O(n)
+   */
+  keys() {
+    return Array.from(this, ([key]) => key);
+  }
+
+  /**
+   * Values in ascending key order.
+   * @returns {Array}
+   * @time O(n)
+   */
+  values() {
+    return Array.from(this, ([, value]) => value);
+  }
+
+  /**
+   * `[key, value]` pairs in ascending key order.
+   * @returns {Array<[*, *]>}
+   * @time O(n)
+   */
+  entries() {
+    return [...this];
+  }
+
+  /**
+   * Number of entries in the map.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#size;
+  }
+
+  /**
+   * Check whether the map contains no entries.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#size === 0;
+  }
+
+  /**
+   * Remove all entries.
+   * @returns {void}
+   * @time O(1)
+   */
+  clear() {
+    this.#head.next.fill(null);
+    this.#level = 1;
+    this.#size = 0;
+  }
+
+  // ─── Iteration ───────────────────────────────────────────────────
+
+  /**
+   * Iterate `[key, value]` pairs in ascending key order.
+   * @returns {Iterator<[*, *]>}
+   * @time O(1) per step
+   */
+  *[Symbol.iterator]() {
+    for (let node = this.#head.next[0]; node !== null; node = node.next[0]) {
+      yield [node.key, node.value];
+    }
+  }
+
+  /**
+   * Call `fn(value, key, map)` for every entry in ascending key order.
+   * @param {(value: *, key: *, map: SortedMap) => void} fn
+   * @returns {void}
+   * @time O(n)
+   */
+  forEach(fn) {
+    for (const [key, value] of this) fn(value, key, this);
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot of the entries in key order. A custom comparator
+   * cannot be serialized; pass it again to `fromJSON`.
+   * @returns {{ $type: 'SortedMap', entries: Array<[*, *]> }}
+   * @time O(n)
+   */
+  toJSON() {
+    return { $type: 'SortedMap', entries: Array.from(this, ([k, v]) => [encode(k), encode(v)]) };
+  }
+
+  /**
+   * Rebuild a SortedMap from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @param {object} [opts] — Constructor options (e.g. `comparator`).
+   * @returns {SortedMap}
+   * @throws {TypeError} If `json` is not a serialized SortedMap.
+   * @time O(n log n) expected
+   */
+  static fromJSON(json, opts) {
+    const { entries } = expectType(json, 'SortedMap');
+    return SortedMap.from(entries.map(([k, v]) => [decode(k), decode(v)]), opts);
+  }
+}
+
+registerType('SortedMap', SortedMap);
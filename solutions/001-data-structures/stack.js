@@ -3,6 +3,10 @@
  *
  * Internal storage: Array (items pushed/popped from the end).
  */
+
+import { encode, decode, expectType, registerType } from './codec.js';
+import { mixinIterable } from './iterable.js';
+
 export class Stack {
   #items;
 
@@ -74,4 +78,51 @@ export class Stack {
   clear() {
     this.#items = [];
   }
+
+  /**
+   * Iterate values bottom → top (same order as `toArray()`), without copying.
+   * @returns {Iterator<*>}
+   * @time O(1) per step
+   */
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.#items.length; i++) yield this.#items[i];
+  }
+
+  // forEach / map / filter / reduce / some / every: see iterable.js.
+  static {
+    mixinIterable(this, {
+      noun: 'stack',
+      collect: (self, items) => {
+        const result = new Stack();
+        for (const value of items) result.push(value);
+        return result;
+      },
+    });
+  }
+
+  /**
+   * JSON-safe snapshot; `JSON.stringify(stack)` uses it. Nested structures and
+   * non-JSON values are tagged (see `codec.js`) so `fromJSON` restores them.
+   * @returns {{ $type: 'Stack', items: Array }} Items bottom → top.
+   * @time O(n)
+   */
+  toJSON() {
+    return { $type: 'Stack', items: Array.from(this, encode) };
+  }
+
+  /**
+   * Rebuild a Stack from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {Stack}
+   * @throws {TypeError} If `json` is not a serialized Stack.
+   * @time O(n)
+   */
+  static fromJSON(json) {
+    const { items } = expectType(json, 'Stack');
+    const stack = new Stack();
+    for (const item of items) stack.push(decode(item));
+    return stack;
+  }
 }
+
+registerType('Stack', Stack);
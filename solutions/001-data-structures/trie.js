@@ -0,0 +1,317 @@
+/**
+ * Trie — prefix tree mapping string keys to values.
+ *
+ * Design decisions:
+ *  - A key is a sequence of segments. With the default `separator` ('') every
+ *    character is a segment (command names, autocomplete); with '/' the
+ *    segments are path parts, so `'/users/42'` is `['users', '42']` and empty
+ *    segments from doubled or trailing separators are ignored.
+ *  - Children live in a Map per node; listing operations sort segments so
+ *    results come back in lexicographic order.
+ *  - Stored keys are plain data for `get`/`has`/`delete`/prefix search.
+ *    `match()` additionally reads two kinds of pattern segment in stored keys:
+ *    `:name` matches exactly one segment and captures it, and `*` matches
+ *    all remaining segments (at least one). Precedence mirrors the HTTP
+ *    Router: static > `:param` > `*`, with backtracking.
+ */
+
+import { encode, decode, expectType, registerType } from './codec.js';
+
+const WILDCARD = '*';
+
+class TrieNode {
+  constructor() {
+    /** @type {Map<string, TrieNode>} */
+    this.children = new Map();
+    this.terminal = false;
+    this.key = undefined;
+    this.value = undefined;
+  }
+}
+
+export class Trie {
+  #root;
+  #size;
+  #separator;
+
+  /**
+   * @param {object} [opts={}]
+   * @param {string} [opts.separator=''] — Segment separator ('' = per character).
+   */
+  constructor(opts = {}) {
+    const { separator = '' } = opts;
+    if (typeof separator !== 'string') throw new TypeError('Trie: separator must be a string');
+
+    this.#root = new TrieNode();
+    this.#size = 0;
+    this.#separator = separator;
+  }
+
+  // ─── Internal helpers ────────────────────────────────────────────
+
+  /** Split `key` into segments. */
+  #segments(key, method) {
+    if (typeof key !== 'string') throw new TypeError(`Trie.${method}: key must be a string`);
+    if (this.#separator === '') return [...key];
+    return key.split(this.#separator).filter((s) => s !== '');
+  }
+
+  /** Node reached by following `segments` exactly, or `null`. */
+  #walk(segments) {
+    let node = this.#root;
+    for (const segment of segments) {
+      node = node.children.get(segment);
+      if (node === undefined) return null;
+    }
+    return node;
+  }
+
+  /** Yield terminal nodes under `node` in lexicographic segment order. */
+  *#terminals(node) {
+    if (node.terminal) yield node;
+    const segments = [...node.children.keys()].sort();
+    for (const segment of segments) yield* this.#terminals(node.children.get(segment));
+  }
+
+  /** Depth-first pattern match with static > param > wildcard precedence. */
+  #match(node, segments, i, params) {
+    if (i === segments.length) return node.terminal ? node : null;
+
+    const exact = node.children.get(segments[i]);
+    if (exact !== undefined) {
+      const found = this.#match(exact, segments, i + 1, params);
+      if (found !== null) return found;
+    }
+
+    for (const [segment, child] of node.children) {
+      if (segment.length < 2 || segment[0] !== ':') continue;
+      const name = segment.slice(1);
+      const found = this.#match(child, segments, i + 1, params);
+      if (found !== null) {
+        params[name] = segments[i];
+        return found;
+      }
+    }
+
+    const rest = node.children.get(WILDCARD);
+    if (rest !== undefined && rest.terminal) {
+      params[WILDCARD] = segments.slice(i).join(this.#separator);
+      return rest;
+    }
+    return null;
+  }
+
+  // ─── Public API ──────────────────────────────────────────────────
+
+  /**
+   * Insert or update `key`.
+   * @param {string} key
+   * @param {*} value
+   * @returns {Trie} `this` for chaining.
+   * @time O(k) for k segments
+   */
+  set(key, value) {
+    let node = this.#root;
+    for (const segment of this.#segments(key, 'set')) {
+      let child = node.children.get(segment);
+      if (child === undefined) {
+        child = new TrieNode();
+        node.children.set(segment, child);
+      }
+      node = child;
+    }
+    if (!node.terminal) this.#size++;
+    node.terminal = true;
+    node.key = key;
+    node.value = value;
+    return this;
+  }
+
+  /**
+   * Retrieve the value stored under exactly `key` (patterns are not expanded).
+   * @param {string} key
+   * @returns {*} The value, or `undefined` if absent.
+   * @time O(k)
+   */
+  get(key) {
+    const node = this.#walk(this.#segments(key, 'get'));
+    return node !== null && node.terminal ? node.value : undefined;
+  }
+
+  /**
+   * Check whether exactly `key` is stored.
+   * @param {string} key
+   * @returns {boolean}
+   * @time O(k)
+   */
+  has(key) {
+    const node = this.#walk(this.#segments(key, 'has'));
+    return node !== null && node.terminal;
+  }
+
+  /**
+   * Remove `key`, pruning branches left without keys.
+   * @param {string} key
+   * @returns {boolean} `true` if the key existed.
+   * @time O(k)
+   */
+  delete(key) {
+    const segments = this.#segments(key, 'delete');
+    const path = [this.#root];
+    for (const segment of segments) {
+      const child = path[path.length - 1].children.get(segment);
+      if (child === undefined) return false;
+      path.push(child);
+    }
+    const node = path[path.length - 1];
+    if (!node.terminal) return false;
+
+    node.terminal = false;
+    node.key = undefined;
+    node.value = undefined;
+    for (let i = segments.length; i > 0 && !path[i].terminal && path[i].children.size === 0; i--) {
+      path[i - 1].children.delete(segments[i - 1]);
+    }
+    this.#size--;
+    return true;
+  }
+
+  /**
+   * Check whether any stored key starts with `prefix`.
+   * @param {string} prefix
+   * @returns {boolean}
+   * @time O(k)
+   */
+  hasPrefix(prefix) {
+    return this.#walk(this.#segments(prefix, 'hasPrefix')) !== null;
+  }
+
+  /**
+   * Stored keys starting with `prefix` (whole segments), in lexicographic order.
+   * @param {string} prefix
+   * @returns {string[]}
+   * @time O(k + m log m) for m matching nodes
+   */
+  keysWithPrefix(prefix) {
+    return this.entriesWithPrefix(prefix).map(([key]) => key);
+  }
+
+  /**
+   * `[key, value]` pairs whose key starts with `prefix`, in lexicographic order.
+   * @param {string} prefix
+   * @returns {Array<[string, *]>}
+   * @time O(k + m log m) for m matching nodes
+   */
+  entriesWithPrefix(prefix) {
+    const start = this.#walk(this.#segments(prefix, 'entriesWithPrefix'));
+    if (start === null) return [];
+    return Array.from(this.#terminals(start), (node) => [node.key, node.value]);
+  }
+
+  /**
+   * The longest stored key that is a prefix of `key` (whole segments).
+   * @param {string} key
+   * @returns {{ key: string, value: * }|undefined}
+   * @time O(k)
+   */
+  longestPrefix(key) {
+    let node = this.#root;
+    let best = node.terminal ? node : null;
+    for (const segment of this.#segments(key, 'longestPrefix')) {
+      node = node.children.get(segment);
+      if (node === undefined) break;
+      if (node.terminal) best = node;
+    }
+    return best === null ? undefined : { key: best.key, value: best.value };
+  }
+
+  /**
+   * Match `key` against stored keys, treating `:name` and `*` segments in
+   * them as patterns.
+   * @param {string} key
+   * @returns {{ key: string, value: *, params: Record<string, string> }|undefined}
+   *   `key` is the stored pattern; `params['*']` holds the wildcard remainder.
+   * @time O(k) without patterns; backtracking is bounded by the patterns stored
+   */
+  match(key) {
+    const params = {};
+    const node = this.#match(this.#root, this.#segments(key, 'match'), 0, params);
+    return node === null ? undefined : { key: node.key, value: node.value, params };
+  }
+
+  /**
+   * Number of stored keys.
+   * @returns {number}
+   * @time O(1)
+   */
+  size() {
+    return this.#size;
+  }
+
+  /**
+   * Check whether the trie holds no keys.
+   * @returns {boolean}
+   * @time O(1)
+   */
+  isEmpty() {
+    return this.#size === 0;
+  }
+
+  /**
+   * Remove all keys.
+   * @returns {void}
+   * @time O(1)
+   */
+  clear() {
+    this.#root = new TrieNode();
+    this.#size = 0;
+  }
+
+  /**
+   * All stored keys in lexicographic order.
+   * @returns {string[]}
+   * @time O(n log n)
+   */
+  keys() {
+    return Array.from(this, ([key]) => key);
+  }
+
+  /**
+   * Iterate `[key, value]` pairs in lexicographic order.
+   * @returns {Iterator<[string, *]>}
+   */
+  *[Symbol.iterator]() {
+    for (const node of this.#terminals(this.#root)) yield [node.key, node.value];
+  }
+
+  // ─── Serialization ───────────────────────────────────────────────
+
+  /**
+   * JSON-safe snapshot of the separator and entries.
+   * @returns {{ $type: 'Trie', separator: string, entries: Array<[string, *]> }}
+   * @time O(n)
+   */
+  toJSON() {
+    return {
+      $type: 'Trie',
+      separator: this.#separator,
+      entries: Array.from(this, ([key, value]) => [key, encode(value)]),
+    };
+  }
+
+  /**
+   * Rebuild a Trie from `toJSON()` output or its JSON string.
+   * @param {object|string} json
+   * @returns {Trie}
+   * @throws {TypeError} If `json` is not a serialized Trie.
+   * @time O(total key length)
+   */
+  static fromJSON(json) {
+    const { separator, entries } = expectType(json, 'Trie');
+    const trie = new Trie({ separator });
+    for (const [key, value] of entries) trie.set(key, decode(value));
+    return trie;
+  }
+}
+
+registerType('Trie', Trie);
@@ -0,0 +1,170 @@
+/**
+ * abort.js — Shared cancellation model: AbortError and signal helpers
+ *
+ * Every utility in this library takes an optional `signal` (AbortSignal).
+ * When it aborts, pending work is dropped, timers are cleared and the
+ * affected promises reject with an `AbortError` whose `cause` is the
+ * signal's `reason`. The signal is also forwarded to the user function so
+ * the work itself can stop early: task factories (`retry`, `pool`,
+ * `poolIterable`, `createQueue`) get it as their argument, and wrapped
+ * functions (`withTimeout`, `debounce`, `throttle`, `circuitBreaker`,
+ * `rateLimit`) get it after the call's own arguments — only when a `signal`
+ * option was given, so existing call signatures are unchanged otherwise.
+ *
+ * @module abort
+ */
+
+import { systemClock } from './clock.js';
+
+/**
+ * The error every utility rejects with when its signal aborts.
+ * `name` is 'AbortError', so `err.name === 'AbortError'` checks keep working.
+ */
+export class AbortError extends Error {
+  /**
+   * @param {string} [message='The operation was aborted']
+   * @param {{ cause?: any }} [options] - `cause` is usually the signal's `reason`.
+   */
+  constructor(message = 'The operation was aborted', options) {
+    super(message, options);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Build the AbortError for `signal`, prefixed with the utility's name.
+ * @param {AbortSignal | null | undefined} signal
+ * @param {string} label - e.g. 'retry'.
+ * @returns {AbortError}
+ */
+export function abortError(signal, label) {
+  return new AbortError(`${label}: aborted`, { cause: signal?.reason });
+}
+
+/**
+ * Throw an AbortError if `signal` has already aborted.
+ * @param {AbortSignal | null | undefined} signal
+ * @param {string} label
+ * @throws {AbortError}
+ */
+export function throwIfAborted(signal, label) {
+  if (signal?.aborted) throw abortError(signal, label);
+}
+
+/**
+ * Settle like `promise`, unless `signal` aborts first, in which case reject
+ * with an AbortError. The listener is removed either way. The underlying
+ * work is not stopped — it has to watch the signal itself.
+ *
+ * @param {Promise<any>} promise
+ * @param {AbortSignal | null | undefined} signal
+ * @param {string} [label='abortable']
+ * @returns {Promise<any>}
+ */
+export function abortable(promise, signal, label = 'abortable') {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError(signal, label));
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(abortError(signal, label));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+/**
+ * Wait `ms` milliseconds; rejects with an AbortError (and clears the timer)
+ * if `signal` aborts first.
+ *
+ * @param {number} ms
+ * @param {AbortSignal | null | undefined} [signal]
+ * @param {string} [label='delay']
+ * @param {import('./clock.js').Clock} [clock=systemClock]
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal, label = 'delay', clock = systemClock) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError(signal, label));
+      return;
+    }
+    const onAbort = () => {
+      clock.clearTimeout(timer);
+      reject(abortError(signal, label));
+    };
+    const timer = clock.setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * A signal that aborts as soon as any of `signals` does, with that signal's
+ * reason. `null`/`undefined` entries are ignored (with none left, the result
+ * never aborts). Listeners on the inputs are removed once it aborts.
+ *
+ * @param {...(AbortSignal | null | undefined)} signals
+ * @returns {AbortSignal}
+ */
+export function anySignal(...signals) {
+  return linkSignals(signals).signal ?? new AbortController().signal;
+}
+
+/**
+ * `anySignal` plus a `dispose()` that detaches from the inputs early, for
+ * short-lived combinations of a long-lived signal (e.g. one per task).
+ * With a single input that signal is returned as is.
+ *
+ * @param {Array<AbortSignal | null | undefined>} signals
+ * @returns {{ signal: AbortSignal | undefined, dispose: () => void }}
+ */
+export function linkSignals(signals) {
+  const inputs = signals.filter(Boolean);
+  if (inputs.length <= 1) return { signal: inputs[0], dispose() {} };
+
+  const controller = new AbortController();
+  const already = inputs.find((signal) => signal.aborted);
+  if (already) {
+    controller.abort(already.reason);
+    return { signal: controller.signal, dispose() {} };
+  }
+
+  const dispose = () => {
+    for (const [input, listener] of listeners) input.removeEventListener('abort', listener);
+  };
+  const listeners = inputs.map((signal) => {
+    const onAbort = () => {
+      dispose();
+      controller.abort(signal.reason);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    return [signal, onAbort];
+  });
+  return { signal: controller.signal, dispose };
+}
+
+/**
+ * A signal that aborts after `ms` milliseconds with a TimeoutError reason
+ * (`name` 'TimeoutError', `timeout` = ms, like `withTimeout`). The timer is
+ * unref'd, so it does not keep the process alive on its own.
+ *
+ * @param {number} ms
+ * @param {object} [opts={}] - Options.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source.
+ * @returns {AbortSignal}
+ */
+export function timeoutSignal(ms, opts = {}) {
+  if (typeof ms !== 'number' || ms < 0) throw new RangeError('timeoutSignal: ms must be >= 0');
+  const { clock = systemClock } = opts;
+  const controller = new AbortController();
+  const timer = clock.setTimeout(() => {
+    const err = new Error(`Timed out after ${ms}ms`);
+    err.name = 'TimeoutError';
+    err.timeout = ms;
+    controller.abort(err);
+  }, ms);
+  timer.unref?.();
+  return controller.signal;
+}
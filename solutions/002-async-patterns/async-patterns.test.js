@@ -4,29 +4,71 @@
  * Run: node --test solutions/002-async-patterns/async-patterns.test.js
  */
 
-import { describe, it, before, beforeEach } from 'node:test';
+import { describe, it, before, beforeEach, after } from 'node:test';
+import { getEventListeners } from 'node:events';
+import { appendFile, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import assert from 'node:assert/strict';
 
 import { retry } from './retry.js';
-import { pool } from './pool.js';
+import { pool, poolIterable } from './pool.js';
 import { withTimeout, raceTimeout } from './timeout.js';
 import { debounce } from './debounce.js';
+import { throttle } from './throttle.js';
+import { memoizeAsync, singleFlight } from './memoize.js';
 import { createQueue } from './queue.js';
+import { createDurableQueue, createMemoryStore, createFileStore } from './durable-queue.js';
+import { circuitBreaker } from './circuit-breaker.js';
+import { rateLimit, createRateLimiter } from './rate-limit.js';
+import { createConcurrencyLimit } from './concurrency.js';
+import { workerPool } from './worker-pool.js';
+import { parseCron } from './cron.js';
+import { createScheduler } from './scheduler.js';
+import { Semaphore, Mutex, RWLock, Barrier, Latch } from './sync.js';
+import { Channel, select } from './channel.js';
+import { AbortError, anySignal, timeoutSignal, abortable } from './abort.js';
+import { createFakeClock } from './clock.js';
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+/** Real-time sleep, only for the worker-thread tests. */
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+/** Let pending promise callbacks and I/O run. */
+const nextTurn = () => new Promise((r) => setImmediate(r));
+
+/** Fake-clock `sleep`: resolves once `clock` has been advanced by `ms`. */
+const sleepOn = (clock, ms) => new Promise((r) => clock.setTimeout(r, ms));
+
 /**
- * Assert elapsed time is within [expected - tol, expected + tol] ms.
+ * Fire every timer on `clock` until none are left, then settle like `promise`.
+ * The rejection (if any) is left for the caller to assert.
  */
-function assertTiming(elapsed, expected, tol = 80, label = '') {
-  const lo = expected - tol;
-  const hi = expected + tol;
-  assert.ok(
-    elapsed >= lo && elapsed <= hi,
-    `${label} timing: expected ~${expected}ms, got ${elapsed}ms (±${tol}ms)`
-  );
+async function settleWith(clock, promise) {
+  promise.catch(() => {});
+  await clock.runAll();
+  return promise;
+}
+
+/**
+ * Run `fn` with uncaught exceptions collected instead of failing the test.
+ * @returns {Promise<Error[]>}
+ */
+async function captureUncaught(fn) {
+  const errors = [];
+  const collect = (err) => errors.push(err);
+  const saved = process.rawListeners('uncaughtException');
+  process.removeAllListeners('uncaughtException');
+  process.on('uncaughtException', collect);
+  try {
+    await fn();
+    await nextTurn();
+  } finally {
+    process.off('uncaughtException', collect);
+    for (const listener of saved) process.on('uncaughtException', listener);
+  }
+  return errors;
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -40,43 +82,49 @@ describe('retry', () => {
   });
 
   it('succeeds after transient failures', async () => {
+    const clock = createFakeClock();
     let calls = 0;
-    const result = await retry(() => {
+    const result = await settleWith(clock, retry(() => {
       calls++;
       if (calls < 3) throw new Error('transient');
       return Promise.resolve('ok');
-    }, { retries: 5, delay: 5 });
+    }, { retries: 5, delay: 5, clock }));
     assert.equal(result, 'ok');
     assert.equal(calls, 3);
+    assert.equal(clock.now(), 15); // 5 + 10
   });
 
   it('throws after exhausting retries', async () => {
+    const clock = createFakeClock();
     let calls = 0;
     await assert.rejects(
-      retry(() => { calls++; throw new Error('always fails'); }, { retries: 2, delay: 5 }),
+      settleWith(clock, retry(() => { calls++; throw new Error('always fails'); }, { retries: 2, delay: 5, clock })),
       /always fails/
     );
     assert.equal(calls, 3); // 1 initial + 2 retries
   });
 
   it('receives attempt index', async () => {
+    const clock = createFakeClock();
     const attempts = [];
     await assert.rejects(
-      retry((n) => { attempts.push(n); throw new Error('x'); }, { retries: 2, delay: 5 }),
+      settleWith(clock, retry((n) => { attempts.push(n); throw new Error('x'); }, { retries: 2, delay: 5, clock })),
     );
     assert.deepEqual(attempts, [0, 1, 2]);
   });
 
   it('calls onRetry before each retry', async () => {
+    const clock = createFakeClock();
     const log = [];
     await assert.rejects(
-      retry(() => { throw new Error('e'); }, {
+      settleWith(clock, retry(() => { throw new Error('e'); }, {
         retries: 2,
         delay: 5,
-        onRetry: (err, n) => log.push(n),
-      })
+        onRetry: (err, n) => log.push([n, clock.now()]),
+        clock,
+      }))
     );
-    assert.deepEqual(log, [1, 2]);
+    assert.deepEqual(log, [[1, 0], [2, 5]]);
   });
 
   it('filter aborts retry when returning false', async () => {
@@ -87,6 +135,7 @@ describe('retry', () => {
         retries: 5,
         delay: 5,
         filter: (err) => err !== nonRetryable,
+        clock: createFakeClock(),
       }),
       /fatal/
     );
@@ -94,61 +143,67 @@ describe('retry', () => {
   });
 
   it('filter allows retry when returning true', async () => {
+    const clock = createFakeClock();
     let calls = 0;
     await assert.rejects(
-      retry(() => { calls++; throw new Error('retryable'); }, {
+      settleWith(clock, retry(() => { calls++; throw new Error('retryable'); }, {
         retries: 2,
         delay: 5,
         filter: () => true,
-      })
+        clock,
+      }))
     );
     assert.equal(calls, 3);
   });
 
   it('respects exponential backoff timing', async () => {
-    let calls = 0;
-    const start = Date.now();
+    const clock = createFakeClock();
+    const calledAt = [];
     await assert.rejects(
-      retry(() => { calls++; throw new Error('x'); }, {
+      settleWith(clock, retry(() => { calledAt.push(clock.now()); throw new Error('x'); }, {
         retries: 2,
         delay: 30,
         factor: 2,
-      })
+        clock,
+      }))
     );
-    const elapsed = Date.now() - start;
-    // delay for attempt 0→1: 30ms; attempt 1→2: 60ms. Total ~90ms
-    assertTiming(elapsed, 90, 100, 'exponential backoff');
+    // delay for attempt 0→1: 30ms; attempt 1→2: 60ms.
+    assert.deepEqual(calledAt, [0, 30, 90]);
   });
 
   it('respects maxDelay cap', async () => {
-    const start = Date.now();
+    const clock = createFakeClock();
+    const calledAt = [];
     await assert.rejects(
-      retry(() => { throw new Error('x'); }, {
+      settleWith(clock, retry(() => { calledAt.push(clock.now()); throw new Error('x'); }, {
         retries: 3,
         delay: 50,
         factor: 10,
         maxDelay: 60,
-      })
+        clock,
+      }))
     );
-    const elapsed = Date.now() - start;
-    // delays: 50, 60(cap), 60(cap) = 170ms max
-    assert.ok(elapsed < 250, `maxDelay not respected: ${elapsed}ms`);
+    // delays: 50, 60 (cap), 60 (cap)
+    assert.deepEqual(calledAt, [0, 50, 110, 170]);
   });
 
   it('aborts via AbortSignal', async () => {
+    const clock = createFakeClock();
     const ac = new AbortController();
     let calls = 0;
     const p = retry(() => { calls++; throw new Error('x'); }, {
       retries: 10,
       delay: 50,
       signal: ac.signal,
+      clock,
     });
-    // Abort after first retry delay starts
-    await sleep(60);
+    const aborted = assert.rejects(p, { name: 'AbortError' });
+    // Abort during the second backoff (50ms → 150ms).
+    await clock.tick(60);
     ac.abort();
-    const err = await p.catch((e) => e);
-    assert.equal(err.name, 'AbortError');
-    assert.ok(calls <= 3, `too many calls: ${calls}`);
+    await aborted;
+    assert.equal(calls, 2);
+    assert.equal(clock.pending, 0, 'backoff timer cleared');
   });
 
   it('throws TypeError for non-function fn', async () => {
@@ -160,9 +215,10 @@ describe('retry', () => {
   });
 
   it('handles synchronous errors in fn', async () => {
+    const clock = createFakeClock();
     let n = 0;
     await assert.rejects(
-      retry(() => { n++; throw new SyntaxError('syn'); }, { retries: 1, delay: 5 })
+      settleWith(clock, retry(() => { n++; throw new SyntaxError('syn'); }, { retries: 1, delay: 5, clock }))
     );
     assert.equal(n, 2);
   });
@@ -181,36 +237,40 @@ describe('retry', () => {
 
 describe('pool', () => {
   it('returns results in original order', async () => {
+    const clock = createFakeClock();
     const tasks = [
-      async () => { await sleep(30); return 'c'; },
-      async () => { await sleep(10); return 'a'; },
-      async () => { await sleep(20); return 'b'; },
+      async () => { await sleepOn(clock, 30); return 'c'; },
+      async () => { await sleepOn(clock, 10); return 'a'; },
+      async () => { await sleepOn(clock, 20); return 'b'; },
     ];
-    const results = await pool(tasks, 3);
+    const results = await settleWith(clock, pool(tasks, 3));
     assert.deepEqual(results, ['c', 'a', 'b']);
   });
 
   it('respects concurrency limit', async () => {
+    const clock = createFakeClock();
     let running = 0;
     let maxRunning = 0;
     const tasks = Array.from({ length: 10 }, () => async () => {
       running++;
       maxRunning = Math.max(maxRunning, running);
-      await sleep(20);
+      await sleepOn(clock, 20);
       running--;
     });
-    await pool(tasks, 3);
-    assert.ok(maxRunning <= 3, `max concurrency exceeded: ${maxRunning}`);
+    await settleWith(clock, pool(tasks, 3));
+    assert.equal(maxRunning, 3);
+    assert.equal(clock.now(), 80); // 4 rounds of 20ms
   });
 
   it('concurrency=1 runs tasks serially', async () => {
+    const clock = createFakeClock();
     const order = [];
     const tasks = [1, 2, 3].map((n) => async () => {
-      await sleep(10);
-      order.push(n);
+      await sleepOn(clock, 10);
+      order.push([n, clock.now()]);
     });
-    await pool(tasks, 1);
-    assert.deepEqual(order, [1, 2, 3]);
+    await settleWith(clock, pool(tasks, 1));
+    assert.deepEqual(order, [[1, 10], [2, 20], [3, 30]]);
   });
 
   it('returns [] for empty tasks', async () => {
@@ -238,12 +298,11 @@ describe('pool', () => {
   });
 
   it('is faster than serial with concurrency > 1', async () => {
-    const start = Date.now();
-    // 4 tasks each 50ms; serial = 200ms; concurrent = ~50ms
-    const tasks = Array.from({ length: 4 }, () => () => sleep(50));
-    await pool(tasks, 4);
-    const elapsed = Date.now() - start;
-    assertTiming(elapsed, 50, 80, 'pool concurrency speed');
+    const clock = createFakeClock();
+    // 4 tasks each 50ms; serial = 200ms; concurrent = 50ms
+    const tasks = Array.from({ length: 4 }, () => () => sleepOn(clock, 50));
+    await settleWith(clock, pool(tasks, 4));
+    assert.equal(clock.now(), 50);
   });
 
   it('reports progress', async () => {
@@ -260,17 +319,19 @@ describe('pool', () => {
   });
 
   it('stops queuing on AbortSignal', async () => {
+    const clock = createFakeClock();
     const ac = new AbortController();
     let started = 0;
     const tasks = Array.from({ length: 20 }, () => async () => {
       started++;
-      await sleep(20);
+      await sleepOn(clock, 20);
     });
     const p = pool(tasks, 2, { signal: ac.signal });
-    await sleep(25); // let first batch start
+    const aborted = assert.rejects(p, { name: 'AbortError' });
+    await clock.tick(25); // the second batch is running
     ac.abort();
-    await p.catch(() => {}); // may or may not throw depending on whether any task erred
-    assert.ok(started < 20, `expected some tasks skipped, started=${started}`);
+    await aborted;
+    assert.equal(started, 4);
   });
 
   // ── Stress test ────────────────────────────────────────────────────────────
@@ -281,7 +342,7 @@ describe('pool', () => {
       running++;
       if (running > maxRunning) maxRunning = running;
       // Simulate tiny async work
-      await sleep(0);
+      await Promise.resolve();
       running--;
       return i;
     });
@@ -293,55 +354,205 @@ describe('pool', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// POOL ITERABLE
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('poolIterable', () => {
+  /** Async source that records how many items have been pulled. */
+  function counted(n) {
+    const stats = { pulled: 0, closed: false };
+    async function* gen() {
+      try {
+        for (let i = 0; i < n; i++) {
+          stats.pulled++;
+          yield i;
+        }
+      } finally {
+        stats.closed = true;
+      }
+    }
+    return { stats, source: gen() };
+  }
+
+  async function collect(iterable) {
+    const out = [];
+    for await (const value of iterable) out.push(value);
+    return out;
+  }
+
+  it('yields results in source order by default', async () => {
+    const clock = createFakeClock();
+    const { source } = counted(6);
+    const results = await settleWith(clock, collect(poolIterable(source, async (i) => {
+      await sleepOn(clock, (6 - i) * 5); // later items finish first
+      return i * 10;
+    }, { concurrency: 3 })));
+    assert.deepEqual(results, [0, 10, 20, 30, 40, 50]);
+  });
+
+  it('ordered: false yields in completion order', async () => {
+    const clock = createFakeClock();
+    const delays = [30, 5, 15];
+    const results = await settleWith(clock, collect(poolIterable(delays, async (ms, i) => {
+      await sleepOn(clock, ms);
+      return i;
+    }, { concurrency: 3, ordered: false })));
+    assert.deepEqual(results, [1, 2, 0]);
+  });
+
+  it('accepts plain (sync) iterables', async () => {
+    const results = await collect(poolIterable(new Set(['a', 'b']), async (s) => s.toUpperCase()));
+    assert.deepEqual(results, ['A', 'B']);
+  });
+
+  it('never runs more than `concurrency` workers', async () => {
+    let running = 0;
+    let peak = 0;
+    const clock = createFakeClock();
+    const { source } = counted(30);
+    await settleWith(clock, collect(poolIterable(source, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleepOn(clock, 2);
+      running--;
+    }, { concurrency: 4, ordered: false })));
+    assert.equal(peak, 4);
+  });
+
+  it('applies backpressure when the consumer is slow', async () => {
+    const { stats, source } = counted(1000);
+    const it = poolIterable(source, async (i) => i, { concurrency: 3 });
+    assert.deepEqual(await it.next(), { value: 0, done: false });
+    await nextTurn();
+    // Only the items that fit in the in-flight/buffer budget were pulled.
+    assert.ok(stats.pulled <= 4, `pulled ${stats.pulled}`);
+    await it.return();
+    assert.equal(stats.closed, true);
+  });
+
+  it('breaking out of for-await closes the source', async () => {
+    const { stats, source } = counted(100);
+    for await (const value of poolIterable(source, async (i) => i, { concurrency: 2 })) {
+      if (value === 3) break;
+    }
+    assert.equal(stats.closed, true);
+    assert.ok(stats.pulled < 10);
+  });
+
+  it('a worker error ends the iteration and stops pulling', async () => {
+    const { stats, source } = counted(100);
+    const seen = [];
+    await assert.rejects(async () => {
+      for await (const v of poolIterable(source, async (i) => {
+        if (i === 2) throw new Error('bad item');
+        return i;
+      }, { concurrency: 2 })) seen.push(v);
+    }, /bad item/);
+    assert.deepEqual(seen, [0, 1]);
+    assert.equal(stats.closed, true);
+    assert.ok(stats.pulled < 10);
+  });
+
+  it('signal aborts with AbortError', async () => {
+    const clock = createFakeClock();
+    const ac = new AbortController();
+    const { stats, source } = counted(100);
+    clock.setTimeout(() => ac.abort(), 15);
+    await assert.rejects(
+      settleWith(clock, collect(poolIterable(source, () => sleepOn(clock, 10), { concurrency: 2, signal: ac.signal }))),
+      { name: 'AbortError' }
+    );
+    assert.equal(stats.closed, true);
+    assert.ok(stats.pulled < 10);
+  });
+
+  it('reports progress', async () => {
+    const progress = [];
+    await collect(poolIterable([1, 2, 3], async (x) => x, {
+      concurrency: 1, onProgress: (done, pulled) => progress.push([done, pulled]),
+    }));
+    assert.deepEqual(progress, [[1, 1], [2, 2], [3, 3]]);
+  });
+
+  it('validates arguments', async () => {
+    await assert.rejects(collect(poolIterable(42, async () => {})), TypeError);
+    await assert.rejects(collect(poolIterable([], null)), TypeError);
+    await assert.rejects(collect(poolIterable([], async () => {}, { concurrency: Infinity })), RangeError);
+  });
+
+  it('stress: 10000 items with bounded buffering', async () => {
+    let sum = 0;
+    let count = 0;
+    for await (const v of poolIterable(counted(10000).source, async (i) => i, { concurrency: 16 })) {
+      sum += v;
+      count++;
+    }
+    assert.equal(count, 10000);
+    assert.equal(sum, (9999 * 10000) / 2);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // TIMEOUT
 // ─────────────────────────────────────────────────────────────────────────────
 
 describe('withTimeout', () => {
   it('resolves when fn completes in time', async () => {
-    const wrapped = withTimeout(async () => { await sleep(20); return 99; }, 200);
-    assert.equal(await wrapped(), 99);
+    const clock = createFakeClock();
+    const wrapped = withTimeout(async () => { await sleepOn(clock, 20); return 99; }, 200, { clock });
+    assert.equal(await settleWith(clock, wrapped()), 99);
+    assert.equal(clock.now(), 20);
   });
 
   it('rejects with TimeoutError when fn is too slow', async () => {
-    const wrapped = withTimeout(() => sleep(500), 50);
-    const err = await wrapped().catch((e) => e);
-    assert.equal(err.name, 'TimeoutError');
-    assert.ok(/50ms/.test(err.message));
+    const clock = createFakeClock();
+    const wrapped = withTimeout(() => new Promise(() => {}), 50, { clock });
+    const err = wrapped().catch((e) => e);
+    await clock.tick(50);
+    assert.equal((await err).name, 'TimeoutError');
+    assert.ok(/50ms/.test((await err).message));
   });
 
   it('clears timer on success (no leak)', async () => {
-    const wrapped = withTimeout(async () => 'fast', 1000);
+    const clock = createFakeClock();
+    const wrapped = withTimeout(async () => 'fast', 1000, { clock });
     const result = await wrapped();
     assert.equal(result, 'fast');
-    // If timer leaked, the process would hang — test passing proves clean-up
+    assert.equal(clock.pending, 0);
   });
 
   it('clears timer on rejection (no leak)', async () => {
-    const wrapped = withTimeout(async () => { throw new Error('oops'); }, 1000);
+    const clock = createFakeClock();
+    const wrapped = withTimeout(async () => { throw new Error('oops'); }, 1000, { clock });
     await assert.rejects(wrapped(), /oops/);
+    assert.equal(clock.pending, 0);
   });
 
   it('passes arguments to fn', async () => {
-    const wrapped = withTimeout(async (a, b) => a + b, 100);
+    const wrapped = withTimeout(async (a, b) => a + b, 100, { clock: createFakeClock() });
     assert.equal(await wrapped(3, 4), 7);
   });
 
   it('uses custom error message', async () => {
-    const wrapped = withTimeout(() => sleep(500), 30, { message: 'custom msg' });
-    const err = await wrapped().catch((e) => e);
-    assert.ok(err.message.includes('custom msg'), err.message);
+    const clock = createFakeClock();
+    const wrapped = withTimeout(() => new Promise(() => {}), 30, { message: 'custom msg', clock });
+    const err = wrapped().catch((e) => e);
+    await clock.tick(30);
+    assert.ok((await err).message.includes('custom msg'), (await err).message);
   });
 
   it('propagates non-timeout errors', async () => {
-    const wrapped = withTimeout(async () => { throw new TypeError('type err'); }, 500);
+    const wrapped = withTimeout(async () => { throw new TypeError('type err'); }, 500, { clock: createFakeClock() });
     await assert.rejects(wrapped(), /type err/);
   });
 
   it('attaches timeout ms to error', async () => {
-    const wrapped = withTimeout(() => sleep(500), 50);
-    const err = await wrapped().catch((e) => e);
-    assert.equal(err.timeout, 50);
+    const clock = createFakeClock();
+    const wrapped = withTimeout(() => new Promise(() => {}), 50, { clock });
+    const err = wrapped().catch((e) => e);
+    await clock.tick(50);
+    assert.equal((await err).timeout, 50);
   });
 
   it('throws TypeError for non-function', () => {
@@ -353,23 +564,31 @@ describe('withTimeout', () => {
     assert.throws(() => withTimeout(async () => {}, -1), /ms must be a positive number/);
   });
 
-  it('timing: rejects at ~correct time', async () => {
-    const wrapped = withTimeout(() => sleep(1000), 60);
-    const start = Date.now();
-    await wrapped().catch(() => {});
-    assertTiming(Date.now() - start, 60, 80, 'timeout timing');
+  it('timing: rejects at exactly the timeout', async () => {
+    const clock = createFakeClock();
+    const wrapped = withTimeout(() => new Promise(() => {}), 60, { clock });
+    let settled = false;
+    const p = wrapped().catch((e) => { settled = true; return e; });
+    await clock.tick(59);
+    assert.equal(settled, false);
+    await clock.tick(1);
+    assert.equal((await p).name, 'TimeoutError');
   });
 });
 
 describe('raceTimeout', () => {
   it('resolves when promise wins', async () => {
-    const result = await raceTimeout(Promise.resolve('win'), 1000);
+    const clock = createFakeClock();
+    const result = await raceTimeout(Promise.resolve('win'), 1000, { clock });
     assert.equal(result, 'win');
+    assert.equal(clock.pending, 0);
   });
 
   it('rejects when timeout wins', async () => {
-    const err = await raceTimeout(sleep(500), 30).catch((e) => e);
-    assert.equal(err.name, 'TimeoutError');
+    const clock = createFakeClock();
+    const err = raceTimeout(new Promise(() => {}), 30, { clock }).catch((e) => e);
+    await clock.tick(30);
+    assert.equal((await err).name, 'TimeoutError');
   });
 
   it('ms=0 passes through immediately', async () => {
@@ -384,73 +603,88 @@ describe('raceTimeout', () => {
 
 describe('debounce', () => {
   it('calls fn once after delay when called once', async () => {
+    const clock = createFakeClock();
     let calls = 0;
-    const d = debounce(async () => { calls++; return 'v'; }, 40);
-    const result = await d.call();
-    assert.equal(result, 'v');
+    const d = debounce(async () => { calls++; return 'v'; }, 40, { clock });
+    const p = d.call();
+    await clock.tick(39);
+    assert.equal(calls, 0);
+    await clock.tick(1);
+    assert.equal(await p, 'v');
     assert.equal(calls, 1);
   });
 
   it('calls fn once for rapid repeated calls (trailing)', async () => {
+    const clock = createFakeClock();
     let calls = 0;
-    const d = debounce(async (x) => { calls++; return x; }, 50);
+    const d = debounce(async (x) => { calls++; return x; }, 50, { clock });
     const p1 = d.call(1);
     const p2 = d.call(2);
     const p3 = d.call(3);
+    await clock.tick(50);
     const results = await Promise.all([p1, p2, p3]);
     assert.equal(calls, 1, 'should only call fn once');
     assert.deepEqual(results, [3, 3, 3], 'all callers get last arg result');
   });
 
   it('debounce window resets on each call', async () => {
+    const clock = createFakeClock();
     let calls = 0;
-    const d = debounce(async () => { calls++; }, 60);
+    const d = debounce(async () => { calls++; }, 60, { clock });
     d.call();
-    await sleep(30);
+    await clock.tick(30);
     d.call();
-    await sleep(30);
+    await clock.tick(30);
     d.call();
-    await sleep(100); // wait for final call to fire
-    assert.equal(calls, 1, 'timer should have reset each time');
+    await clock.tick(59);
+    assert.equal(calls, 0, 'timer should have reset each time');
+    await clock.tick(1);
+    assert.equal(calls, 1);
   });
 
   it('allows a second invocation after first settles', async () => {
+    const clock = createFakeClock();
     let calls = 0;
-    const d = debounce(async (x) => { calls++; return x; }, 30);
-    const r1 = await d.call('a');
-    const r2 = await d.call('b');
+    const d = debounce(async (x) => { calls++; return x; }, 30, { clock });
+    const r1 = await settleWith(clock, d.call('a'));
+    const r2 = await settleWith(clock, d.call('b'));
     assert.equal(r1, 'a');
     assert.equal(r2, 'b');
     assert.equal(calls, 2);
+    assert.equal(clock.now(), 60);
   });
 
   it('propagates fn errors to all callers', async () => {
-    const d = debounce(async () => { throw new Error('bad'); }, 30);
+    const clock = createFakeClock();
+    const d = debounce(async () => { throw new Error('bad'); }, 30, { clock });
     const p1 = d.call().catch((e) => e);
     const p2 = d.call().catch((e) => e);
+    await clock.tick(30);
     const [e1, e2] = await Promise.all([p1, p2]);
     assert.equal(e1.message, 'bad');
     assert.equal(e2.message, 'bad');
   });
 
   it('cancel() rejects pending callers', async () => {
-    const d = debounce(async () => 'ok', 200);
+    const clock = createFakeClock();
+    const d = debounce(async () => 'ok', 200, { clock });
     const p = d.call().catch((e) => e);
     d.cancel();
     const err = await p;
     assert.equal(err.name, 'CancelError');
+    assert.equal(clock.pending, 0);
   });
 
   it('flush() fires immediately without waiting', async () => {
+    const clock = createFakeClock();
     let calls = 0;
-    const d = debounce(async () => { calls++; return 'flushed'; }, 500);
+    const d = debounce(async () => { calls++; return 'flushed'; }, 500, { clock });
     const p = d.call();
-    const start = Date.now();
     const result = await d.flush();
-    const elapsed = Date.now() - start;
     assert.equal(result, 'flushed');
     assert.equal(calls, 1);
-    assert.ok(elapsed < 100, `flush took too long: ${elapsed}ms`);
+    assert.equal(clock.now(), 0);
+    assert.equal(clock.pending, 0, 'the timer is cleared');
     // Original promise also resolves
     assert.equal(await p, 'flushed');
   });
@@ -462,25 +696,25 @@ describe('debounce', () => {
   });
 
   it('isPending() tracks timer state', async () => {
-    const d = debounce(async () => {}, 100);
+    const clock = createFakeClock();
+    const d = debounce(async () => {}, 100, { clock });
     assert.equal(d.isPending(), false);
     d.call();
     assert.equal(d.isPending(), true);
-    await sleep(150);
+    await clock.tick(100);
     assert.equal(d.isPending(), false);
   });
 
-  it('timing: fn fires ~ms after last call', async () => {
+  it('timing: fn fires ms after last call', async () => {
+    const clock = createFakeClock();
     let firedAt;
-    const d = debounce(async () => { firedAt = Date.now(); }, 60);
-    const start = Date.now();
+    const d = debounce(async () => { firedAt = clock.now(); }, 60, { clock });
     d.call();
-    await sleep(20);
+    await clock.tick(20);
     d.call(); // reset timer
-    await sleep(120);
-    // Should have fired ~60ms after second call (at start+80ms)
-    const elapsed = firedAt - (start + 20);
-    assertTiming(elapsed, 60, 80, 'debounce timing');
+    await clock.tick(120);
+    // Fired 60ms after the second call
+    assert.equal(firedAt, 80);
   });
 
   it('throws TypeError for non-function fn', () => {
@@ -488,15 +722,251 @@ describe('debounce', () => {
   });
 
   it('leading option fires on first call immediately', async () => {
+    const clock = createFakeClock();
     let calls = 0;
-    const d = debounce(async (x) => { calls++; return x; }, 100, { leading: true });
-    const start = Date.now();
-    const p = d.call('A');
-    const result = await p;
-    const elapsed = Date.now() - start;
+    const d = debounce(async (x) => { calls++; return x; }, 100, { leading: true, clock });
+    const result = await d.call('A');
     assert.equal(result, 'A');
     assert.equal(calls, 1);
-    assert.ok(elapsed < 50, `leading should fire fast, took ${elapsed}ms`);
+    assert.equal(clock.now(), 0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// THROTTLE
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('throttle', () => {
+  it('runs the first call immediately and a trailing call with the last args', async () => {
+    const clock = createFakeClock();
+    const calls = [];
+    const t = throttle(async (x) => { calls.push(x); return x; }, 40, { clock });
+    const p1 = t.call(1);
+    const p2 = t.call(2);
+    const p3 = t.call(3);
+    assert.equal(p2, p3, 'calls during the cooldown share one trailing run');
+    assert.equal(t.isPending(), true);
+    assert.equal(await p1, 1);
+    await clock.tick(40);
+    assert.equal(await p3, 3);
+    assert.deepEqual(calls, [1, 3]);
+  });
+
+  it('spaces runs exactly `ms` apart', async () => {
+    const clock = createFakeClock();
+    const times = [];
+    const t = throttle(async () => { times.push(clock.now()); }, 30, { clock });
+    for (let i = 0; i < 10; i++) {
+      t.call();
+      await clock.tick(10);
+    }
+    await clock.tick(70);
+    assert.deepEqual(times, [0, 30, 60, 90, 120]);
+  });
+
+  it('trailing: false drops calls during the cooldown', async () => {
+    const clock = createFakeClock();
+    let calls = 0;
+    const t = throttle(async () => ++calls, 30, { trailing: false, clock });
+    const p1 = t.call();
+    const p2 = t.call();
+    assert.equal(p1, p2, 'dropped calls get the promise of the last run');
+    assert.equal(await p2, 1);
+    await clock.tick(30);
+    assert.equal(calls, 1);
+    assert.equal(await t.call(), 2);
+  });
+
+  it('leading: false waits for the end of the cooldown', async () => {
+    const clock = createFakeClock();
+    const calls = [];
+    const t = throttle(async (x) => { calls.push(x); return x; }, 30, { leading: false, clock });
+    const p = t.call('a');
+    t.call('b');
+    await clock.tick(29);
+    assert.deepEqual(calls, []);
+    await clock.tick(1);
+    assert.equal(await p, 'b');
+    assert.deepEqual(calls, ['b']);
+  });
+
+  it('cancel() rejects the pending trailing run; flush() runs it now', async () => {
+    const clock = createFakeClock();
+    const calls = [];
+    const t = throttle(async (x) => { calls.push(x); return x; }, 1000, { clock });
+    await t.call(1);
+    const cancelled = t.call(2);
+    t.cancel();
+    await assert.rejects(cancelled, { name: 'CancelError' });
+
+    await t.call(3); // idle again after cancel()
+    const flushed = t.call(4);
+    assert.equal(await t.flush(), 4);
+    assert.equal(await flushed, 4);
+    assert.deepEqual(calls, [1, 3, 4]);
+    assert.equal(await t.flush(), undefined);
+    t.cancel();
+    assert.equal(clock.pending, 0);
+  });
+
+  it('propagates rejections to every caller of a run', async () => {
+    const clock = createFakeClock();
+    const t = throttle(async () => { throw new Error('nope'); }, 20, { clock });
+    await assert.rejects(t.call(), /nope/);
+    const a = assert.rejects(t.call(), /nope/);
+    const b = assert.rejects(t.call(), /nope/);
+    await clock.tick(20);
+    await Promise.all([a, b]);
+  });
+
+  it('validates arguments', () => {
+    assert.throws(() => throttle(null, 10), TypeError);
+    assert.throws(() => throttle(async () => {}, -1), RangeError);
+    assert.throws(() => throttle(async () => {}, 10, { leading: false, trailing: false }), RangeError);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MEMOIZE / SINGLE-FLIGHT
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('singleFlight', () => {
+  it('collapses concurrent calls with the same key into one promise', async () => {
+    const clock = createFakeClock();
+    let calls = 0;
+    const load = singleFlight(async (id) => { calls++; await sleepOn(clock, 10); return `user-${id}`; });
+    const [a, b, c] = await settleWith(clock, Promise.all([load(1), load(1), load(2)]));
+    assert.deepEqual([a, b, c], ['user-1', 'user-1', 'user-2']);
+    assert.equal(calls, 2);
+    assert.equal(load.inFlight, 0);
+    // Nothing is cached after settling.
+    await settleWith(clock, load(1));
+    assert.equal(calls, 3);
+  });
+
+  it('shares rejections and then lets the key retry', async () => {
+    const clock = createFakeClock();
+    let calls = 0;
+    const load = singleFlight(async () => { calls++; await sleepOn(clock, 5); throw new Error('down'); });
+    const results = await settleWith(clock, Promise.allSettled([load(), load()]));
+    assert.ok(results.every((r) => r.status === 'rejected'));
+    assert.equal(calls, 1);
+    await assert.rejects(settleWith(clock, load()), /down/);
+    assert.equal(calls, 2);
+  });
+
+  it('uses a custom key and preserves this', async () => {
+    const obj = {
+      prefix: '>',
+      get: singleFlight(async function (req) { return this.prefix + req.path; }, { key: (req) => req.path }),
+    };
+    const [a, b] = await Promise.all([obj.get({ path: '/x', t: 1 }), obj.get({ path: '/x', t: 2 })]);
+    assert.equal(a, '>/x');
+    assert.equal(b, '>/x');
+  });
+});
+
+describe('memoizeAsync', () => {
+  it('caches resolved values and dedupes in-flight calls', async () => {
+    const clock = createFakeClock();
+    let calls = 0;
+    const square = memoizeAsync(async (n) => { calls++; await sleepOn(clock, 5); return n * n; }, { clock });
+    const [a, b] = await settleWith(clock, Promise.all([square(3), square(3)]));
+    assert.equal(a, 9);
+    assert.equal(b, 9);
+    assert.equal(await square(3), 9);
+    assert.equal(calls, 1);
+    assert.equal(square.size, 1);
+  });
+
+  it('does not cache rejections', async () => {
+    let calls = 0;
+    const flaky = memoizeAsync(async () => { if (++calls === 1) throw new Error('first'); return 'ok'; });
+    await assert.rejects(flaky(), /first/);
+    assert.equal(flaky.size, 0);
+    assert.equal(await flaky(), 'ok');
+  });
+
+  it('expires entries after ttl', async () => {
+    const clock = createFakeClock();
+    let calls = 0;
+    const get = memoizeAsync(async () => ++calls, { ttl: 100, clock });
+    assert.equal(await get(), 1);
+    await clock.tick(99);
+    assert.equal(await get(), 1);
+    await clock.tick(1);
+    assert.equal(await get(), 2);
+  });
+
+  it('still accepts a bare `now` function', async () => {
+    let t = 0;
+    let calls = 0;
+    const get = memoizeAsync(async () => ++calls, { ttl: 100, now: () => t });
+    assert.equal(await get(), 1);
+    t = 100;
+    assert.equal(await get(), 2);
+  });
+
+  it('serves stale values while revalidating in the background', async () => {
+    const clock = createFakeClock();
+    let version = 0;
+    let fail = false;
+    const get = memoizeAsync(async () => {
+      await sleepOn(clock, 5);
+      if (fail) throw new Error('refresh failed');
+      return ++version;
+    }, { ttl: 100, staleWhileRevalidate: 50, clock });
+
+    assert.equal(await settleWith(clock, get()), 1); // fresh until 105, stale until 155
+    await clock.tick(120); // stale
+    assert.equal(await get(), 1, 'stale value returned immediately');
+    assert.equal(await get(), 1, 'only one refresh in flight');
+    assert.equal(clock.pending, 1);
+    await clock.tick(5);
+    assert.equal(await get(), 2, 'refreshed value swapped in');
+    assert.equal(version, 2);
+
+    await clock.tick(120);
+    fail = true;
+    assert.equal(await get(), 2);
+    await clock.tick(5);
+    assert.equal(await get(), 2, 'failed refresh keeps the stale value');
+    await clock.tick(60); // past the stale window
+    await assert.rejects(settleWith(clock, get()), /refresh failed/);
+  });
+
+  it('evicts least recently used keys beyond maxSize', async () => {
+    let calls = 0;
+    const id = memoizeAsync(async (x) => { calls++; return x; }, { maxSize: 2 });
+    await id('a');
+    await id('b');
+    await id('a'); // a is now most recent
+    await id('c'); // evicts b
+    assert.equal(id.size, 2);
+    assert.equal(calls, 3);
+    await id('a');
+    assert.equal(calls, 3);
+    await id('b');
+    assert.equal(calls, 4);
+  });
+
+  it('delete() and clear() forget entries; custom keys group calls', async () => {
+    let calls = 0;
+    const get = memoizeAsync(async (user) => { calls++; return user.name; }, { key: (user) => user.id });
+    await get({ id: 1, name: 'a' });
+    assert.equal(await get({ id: 1, name: 'ignored' }), 'a');
+    assert.equal(get.delete({ id: 1 }), true);
+    await get({ id: 1, name: 'a' });
+    assert.equal(calls, 2);
+    get.clear();
+    assert.equal(get.size, 0);
+  });
+
+  it('validates arguments', () => {
+    assert.throws(() => memoizeAsync(null), TypeError);
+    assert.throws(() => memoizeAsync(async () => {}, { ttl: 0 }), RangeError);
+    assert.throws(() => memoizeAsync(async () => {}, { maxSize: 0 }), RangeError);
+    assert.throws(() => singleFlight('x'), TypeError);
   });
 });
 
@@ -506,12 +976,13 @@ describe('debounce', () => {
 
 describe('createQueue', () => {
   it('runs tasks in order with concurrency=1', async () => {
+    const clock = createFakeClock();
     const order = [];
     const q = createQueue(1);
-    const p1 = q.add(async () => { await sleep(20); order.push(1); });
+    const p1 = q.add(async () => { await sleepOn(clock, 20); order.push(1); });
     const p2 = q.add(async () => { order.push(2); });
     const p3 = q.add(async () => { order.push(3); });
-    await Promise.all([p1, p2, p3]);
+    await settleWith(clock, Promise.all([p1, p2, p3]));
     assert.deepEqual(order, [1, 2, 3]);
   });
 
@@ -522,6 +993,7 @@ describe('createQueue', () => {
   });
 
   it('respects concurrency limit', async () => {
+    const clock = createFakeClock();
     let running = 0;
     let maxRunning = 0;
     const q = createQueue(3);
@@ -529,12 +1001,13 @@ describe('createQueue', () => {
       q.add(async () => {
         running++;
         maxRunning = Math.max(maxRunning, running);
-        await sleep(20);
+        await sleepOn(clock, 20);
         running--;
       })
     );
-    await Promise.all(tasks);
-    assert.ok(maxRunning <= 3, `concurrency exceeded: ${maxRunning}`);
+    await settleWith(clock, Promise.all(tasks));
+    assert.equal(maxRunning, 3);
+    assert.equal(clock.now(), 80, 'four rounds of 20ms');
   });
 
   it('propagates errors without stopping queue', async () => {
@@ -554,20 +1027,22 @@ describe('createQueue', () => {
   });
 
   it('drain() resolves after all tasks complete', async () => {
+    const clock = createFakeClock();
     const q = createQueue(2);
     const done = [];
     for (let i = 0; i < 5; i++) {
-      q.add(async () => { await sleep(20); done.push(i); });
+      q.add(async () => { await sleepOn(clock, 20); done.push(i); });
     }
-    await q.drain();
+    await settleWith(clock, q.drain());
     assert.equal(done.length, 5);
   });
 
   it('multiple drain() calls all resolve', async () => {
+    const clock = createFakeClock();
     const q = createQueue(1);
-    q.add(() => sleep(30));
+    q.add(() => sleepOn(clock, 30));
     const promises = [q.drain(), q.drain(), q.drain()];
-    await assert.doesNotReject(Promise.all(promises));
+    await assert.doesNotReject(settleWith(clock, Promise.all(promises)));
   });
 
   it('pause() stops task dispatch', async () => {
@@ -576,7 +1051,7 @@ describe('createQueue', () => {
     q.pause();
     const p1 = q.add(async () => { order.push(1); });
     const p2 = q.add(async () => { order.push(2); });
-    await sleep(50);
+    await nextTurn();
     assert.deepEqual(order, [], 'tasks should not run while paused');
     q.resume();
     await Promise.all([p1, p2]);
@@ -594,13 +1069,14 @@ describe('createQueue', () => {
   });
 
   it('size reflects waiting tasks', async () => {
+    const clock = createFakeClock();
     const q = createQueue(1);
     q.pause();
-    q.add(() => sleep(10));
-    q.add(() => sleep(10));
+    q.add(() => sleepOn(clock, 10));
+    q.add(() => sleepOn(clock, 10));
     assert.equal(q.size, 2);
     q.resume();
-    await q.drain();
+    await settleWith(clock, q.drain());
     assert.equal(q.size, 0);
   });
 
@@ -608,7 +1084,7 @@ describe('createQueue', () => {
     const q = createQueue(2);
     let seen = 0;
     const check = q.add(async () => {
-      await sleep(0); // yield
+      await nextTurn(); // yield
     });
     // After adding, one task is running
     assert.equal(q.pending + q.size, 1);
@@ -617,23 +1093,26 @@ describe('createQueue', () => {
   });
 
   it('clear() removes pending tasks and rejects their promises', async () => {
+    const clock = createFakeClock();
     const q = createQueue(1);
     // block the queue with one long task
-    q.add(() => sleep(200));
-    const p1 = q.add(() => sleep(10)).catch((e) => e);
-    const p2 = q.add(() => sleep(10)).catch((e) => e);
+    q.add(() => sleepOn(clock, 200));
+    const p1 = q.add(() => sleepOn(clock, 10)).catch((e) => e);
+    const p2 = q.add(() => sleepOn(clock, 10)).catch((e) => e);
     q.clear();
     const [e1, e2] = await Promise.all([p1, p2]);
     assert.equal(e1.name, 'CancelError');
     assert.equal(e2.name, 'CancelError');
+    await clock.runAll();
   });
 
   it('clear() does not affect running tasks', async () => {
+    const clock = createFakeClock();
     const q = createQueue(1);
     let ran = false;
-    const p = q.add(async () => { await sleep(30); ran = true; return 'done'; });
+    const p = q.add(async () => { await sleepOn(clock, 30); ran = true; return 'done'; });
     q.clear(); // nothing pending yet; the running one is fine
-    assert.equal(await p, 'done');
+    assert.equal(await settleWith(clock, p), 'done');
     assert.equal(ran, true);
   });
 
@@ -656,6 +1135,174 @@ describe('createQueue', () => {
     assert.equal(q.paused, false);
   });
 
+  // ── Priority, delay, keys, signals, events ─────────────────────────────────
+  it('higher priority tasks start first, FIFO within a priority', async () => {
+    const order = [];
+    const q = createQueue(1);
+    q.pause();
+    q.add(async () => order.push('low'), { priority: -1 });
+    q.add(async () => order.push('a'));
+    q.add(async () => order.push('urgent'), { priority: 10 });
+    q.add(async () => order.push('b'));
+    q.add(async () => order.push('urgent2'), { priority: 10 });
+    q.resume();
+    await q.drain();
+    assert.deepEqual(order, ['urgent', 'urgent2', 'a', 'b', 'low']);
+  });
+
+  it('delay schedules a task for later and drain() waits for it', async () => {
+    const clock = createFakeClock();
+    const q = createQueue(2, { clock });
+    let ranAt = -1;
+    const p = q.add(async () => { ranAt = clock.now(); return 'later'; }, { delay: 50, key: 'd' });
+    assert.equal(q.size, 1);
+    assert.equal(q.status('d'), 'delayed');
+    let drained = false;
+    q.drain().then(() => { drained = true; });
+    await clock.tick(49);
+    assert.equal(ranAt, -1);
+    assert.equal(drained, false);
+    await clock.tick(1);
+    assert.equal(await p, 'later');
+    assert.equal(ranAt, 50);
+    assert.equal(drained, true);
+  });
+
+  it('tasks with a pending key are coalesced into one run', async () => {
+    const clock = createFakeClock();
+    const q = createQueue(1);
+    let runs = 0;
+    const task = async () => { runs++; await sleepOn(clock, 10); return runs; };
+    const p1 = q.add(task, { key: 'refresh' });
+    const p2 = q.add(task, { key: 'refresh' });
+    assert.equal(p1, p2);
+    assert.equal(q.status('refresh'), 'running');
+    assert.equal(await settleWith(clock, p1), 1);
+    assert.equal(q.status('refresh'), undefined);
+    // Once settled the key is free again.
+    assert.equal(await settleWith(clock, q.add(task, { key: 'refresh' })), 2);
+  });
+
+  it('status() and list() report queued, delayed and running tasks', async () => {
+    const clock = createFakeClock();
+    const q = createQueue(1, { clock });
+    q.add(() => sleepOn(clock, 20), { key: 'r' });
+    q.add(async () => {}, { key: 'q', priority: 1 });
+    q.add(async () => {}, { key: 'l', delay: 5 });
+    assert.equal(q.status('r'), 'running');
+    assert.equal(q.status('q'), 'queued');
+    assert.deepEqual(q.list(), [
+      { key: 'r', priority: 0, status: 'running' },
+      { key: 'q', priority: 1, status: 'queued' },
+      { key: 'l', priority: 0, status: 'delayed' },
+    ]);
+    await settleWith(clock, q.drain());
+    assert.deepEqual(q.list(), []);
+  });
+
+  it('an AbortSignal cancels a task that has not started', async () => {
+    const clock = createFakeClock();
+    const q = createQueue(1, { clock });
+    const ac = new AbortController();
+    q.add(() => sleepOn(clock, 20));
+    let ran = false;
+    const p = q.add(async () => { ran = true; }, { signal: ac.signal, key: 'k' });
+    const delayedP = q.add(async () => { ran = true; }, { signal: ac.signal, delay: 10 });
+    ac.abort();
+    await assert.rejects(p, { name: 'AbortError' });
+    await assert.rejects(delayedP, { name: 'AbortError' });
+    assert.equal(q.size, 0);
+    assert.equal(q.status('k'), undefined);
+    await settleWith(clock, q.drain());
+    assert.equal(ran, false);
+    await assert.rejects(q.add(async () => {}, { signal: ac.signal }), { name: 'AbortError' });
+  });
+
+  it('aborting after a task started does not cancel it', async () => {
+    const clock = createFakeClock();
+    const q = createQueue(1);
+    const ac = new AbortController();
+    const p = q.add(async () => { await sleepOn(clock, 10); return 'finished'; }, { signal: ac.signal });
+    ac.abort();
+    assert.equal(await settleWith(clock, p), 'finished');
+  });
+
+  it('clear() also cancels delayed tasks', async () => {
+    const q = createQueue(1);
+    const p = q.add(async () => 'never', { delay: 20 });
+    q.clear();
+    await assert.rejects(p, { name: 'CancelError' });
+    assert.equal(q.size, 0);
+    await q.drain();
+  });
+
+  it('emits active, error and idle events', async () => {
+    const q = createQueue(1);
+    const events = [];
+    q.on('active', (key) => events.push(`active:${key}`));
+    q.on('error', (err, key) => events.push(`error:${key}:${err.message}`));
+    const offIdle = q.on('idle', () => events.push('idle'));
+    q.add(async () => 1, { key: 'a' });
+    q.add(async () => { throw new Error('boom'); }, { key: 'b' }).catch(() => {});
+    await q.drain();
+    offIdle();
+    await q.add(async () => 2, { key: 'c' });
+    assert.deepEqual(events, ['active:a', 'active:b', 'error:b:boom', 'idle', 'active:c']);
+  });
+
+  it('keeps running when an event listener throws', async () => {
+    const q = createQueue(1);
+    q.on('active', () => { throw new Error('active listener'); });
+    q.on('error', () => { throw new Error('error listener'); });
+    const errors = await captureUncaught(async () => {
+      const failed = q.add(async () => { throw new Error('boom'); });
+      const second = q.add(async () => 'second');
+      await assert.rejects(failed, /boom/);
+      assert.equal(await second, 'second');
+      await q.drain();
+    });
+    assert.deepEqual(errors.map((err) => err.message), ['active listener', 'error listener', 'active listener']);
+    assert.equal(q.size + q.pending, 0);
+  });
+
+  it("emits 'idle' only when going from busy to idle", async () => {
+    const q = createQueue(1);
+    let idles = 0;
+    q.on('idle', () => idles++);
+    q.clear();
+    await q.drain();
+    assert.equal(idles, 0);
+    await q.add(async () => 1);
+    assert.equal(idles, 1);
+    q.clear();
+    assert.equal(idles, 1);
+    const p = q.add(async () => 'never', { delay: 10 });
+    q.clear();
+    await assert.rejects(p, { name: 'CancelError' });
+    assert.equal(idles, 2);
+  });
+
+  it('a coalesced add still rejects an aborted signal and promotes priority', async () => {
+    const q = createQueue(1);
+    const order = [];
+    let release;
+    q.add(() => new Promise((resolve) => { release = resolve; }));
+    const low = q.add(async () => order.push('low'), { key: 'k' });
+    q.add(async () => order.push('mid'), { priority: 5 });
+    await assert.rejects(q.add(async () => {}, { key: 'k', signal: AbortSignal.abort() }), { name: 'AbortError' });
+    assert.equal(q.add(async () => {}, { key: 'k', priority: 10 }), low);
+    assert.deepEqual(q.list().map(({ key, priority }) => [key, priority]), [[undefined, 0], ['k', 10], [undefined, 5]]);
+    release();
+    await q.drain();
+    assert.deepEqual(order, ['low', 'mid']);
+  });
+
+  it('rejects invalid task options', async () => {
+    const q = createQueue(1);
+    await assert.rejects(q.add(async () => {}, { delay: -1 }), RangeError);
+    await assert.rejects(q.add(async () => {}, { priority: 'high' }), TypeError);
+  });
+
   // ── Stress test ────────────────────────────────────────────────────────────
   it('stress: 1000 tasks with concurrency=10', async () => {
     const q = createQueue(10);
@@ -667,7 +1314,7 @@ describe('createQueue', () => {
       q.add(async () => {
         running++;
         if (running > maxRunning) maxRunning = running;
-        await sleep(0);
+        await nextTurn();
         running--;
         results.push(i);
       });
@@ -682,7 +1329,7 @@ describe('createQueue', () => {
     const q = createQueue(5);
     for (let cycle = 0; cycle < 10; cycle++) {
       for (let i = 0; i < 20; i++) {
-        q.add(async () => { await sleep(0); });
+        q.add(async () => { await nextTurn(); });
       }
       await q.drain();
       assert.equal(q.size, 0);
@@ -691,6 +1338,1809 @@ describe('createQueue', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// CIRCUIT BREAKER
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('circuitBreaker', () => {
+  const fail = async () => { throw new Error('down'); };
+
+  it('passes calls, arguments and this through while closed', async () => {
+    const obj = {
+      base: 10,
+      add: circuitBreaker(async function (a, b) { return this.base + a + b; }),
+    };
+    assert.equal(await obj.add(1, 2), 13);
+    assert.equal(obj.add.state, 'closed');
+    assert.equal(obj.add.stats().successes, 1);
+  });
+
+  it('opens after consecutive failures and rejects without calling fn', async () => {
+    let calls = 0;
+    const cb = circuitBreaker(async () => { calls++; throw new Error('down'); }, { failureThreshold: 3 });
+    for (let i = 0; i < 3; i++) await assert.rejects(cb(), /down/);
+    assert.equal(cb.state, 'open');
+
+    await assert.rejects(cb(), (err) => err.name === 'CircuitOpenError' && err.retryAfter > 0);
+    assert.equal(calls, 3);
+    assert.equal(cb.stats().rejections, 1);
+  });
+
+  it('a success resets the consecutive-failure count', async () => {
+    let ok = false;
+    const cb = circuitBreaker(async () => { if (!ok) throw new Error('down'); return 'up'; }, {
+      failureThreshold: 3,
+      minimumCalls: 100,
+    });
+    await assert.rejects(cb());
+    await assert.rejects(cb());
+    ok = true;
+    await cb();
+    ok = false;
+    await assert.rejects(cb());
+    await assert.rejects(cb());
+    assert.equal(cb.state, 'closed');
+    assert.equal(cb.stats().consecutiveFailures, 2);
+  });
+
+  it('opens on failure rate once minimumCalls is reached', async () => {
+    let n = 0;
+    // Alternates success/failure: never two failures in a row, 50% failure rate.
+    const cb = circuitBreaker(async () => { if (n++ % 2 === 1) throw new Error('flaky'); return n; }, {
+      failureThreshold: Infinity,
+      failureRateThreshold: 0.5,
+      minimumCalls: 6,
+    });
+    for (let i = 0; i < 5; i++) await cb().catch(() => {});
+    assert.equal(cb.state, 'closed');
+    assert.equal(cb.stats().windowCalls, 5);
+    await cb().catch(() => {});
+    assert.equal(cb.state, 'open');
+  });
+
+  it('forgets outcomes that fall out of the rolling window', async () => {
+    const clock = createFakeClock();
+    const cb = circuitBreaker(fail, {
+      failureThreshold: Infinity, minimumCalls: 3, window: 1000, clock,
+    });
+    await assert.rejects(cb());
+    await assert.rejects(cb());
+    await clock.tick(1500);
+    assert.equal(cb.stats().windowCalls, 0);
+    await assert.rejects(cb());
+    assert.equal(cb.state, 'closed');
+    assert.equal(cb.stats().windowFailures, 1);
+  });
+
+  it('goes half-open after resetTimeout and closes after successful trials', async () => {
+    const clock = createFakeClock();
+    let healthy = false;
+    const cb = circuitBreaker(async () => { if (!healthy) throw new Error('down'); return 'ok'; }, {
+      failureThreshold: 1, resetTimeout: 1000, halfOpenMaxCalls: 2, clock,
+    });
+    await assert.rejects(cb());
+    assert.equal(cb.state, 'open');
+    await clock.tick(999);
+    assert.equal(cb.state, 'open');
+    await clock.tick(1);
+    assert.equal(cb.state, 'half-open');
+
+    healthy = true;
+    assert.equal(await cb(), 'ok');
+    assert.equal(cb.state, 'half-open');
+    assert.equal(await cb(), 'ok');
+    assert.equal(cb.state, 'closed');
+  });
+
+  it('a failed trial re-opens the circuit and restarts the timeout', async () => {
+    const clock = createFakeClock();
+    const cb = circuitBreaker(fail, { failureThreshold: 1, resetTimeout: 1000, clock });
+    await assert.rejects(cb());
+    await clock.tick(1000);
+    await assert.rejects(cb(), /down/);
+    assert.equal(cb.state, 'open');
+    assert.equal(cb.stats().openedAt, 1000);
+    await clock.tick(500);
+    await assert.rejects(cb(), { name: 'CircuitOpenError' });
+  });
+
+  it('calls that started before the circuit opened do not judge the half-open state', async () => {
+    const clock = createFakeClock();
+    const cb = circuitBreaker(async (ms, outcome) => {
+      await sleepOn(clock, ms);
+      if (outcome === 'ok') return outcome;
+      const err = new Error(outcome);
+      err.status = outcome === 'not found' ? 404 : 500;
+      throw err;
+    }, { failureThreshold: 1, resetTimeout: 1000, clock, isFailure: (err) => err.status >= 500 });
+
+    const slowOk = cb(5000, 'ok');
+    const slowIgnored = assert.rejects(cb(5000, 'not found'), /not found/);
+    const failed = assert.rejects(cb(10, 'down'), /down/);
+    await clock.tick(10);
+    await failed;
+    await clock.tick(1000);
+    assert.equal(cb.state, 'half-open');
+    const trial = cb(10000, 'ok');
+
+    await clock.tick(3990);
+    assert.equal(await slowOk, 'ok');
+    await slowIgnored;
+    assert.equal(cb.state, 'half-open', 'a success from before the open period is not a trial');
+    await assert.rejects(cb(1, 'ok'), { name: 'CircuitOpenError' }, 'the trial slot is still taken');
+    assert.equal(await settleWith(clock, trial), 'ok');
+    assert.equal(cb.state, 'closed');
+  });
+
+  it('limits concurrent trial calls while half-open', async () => {
+    const clock = createFakeClock();
+    let healthy = false;
+    const cb = circuitBreaker(async () => {
+      if (!healthy) throw new Error('down');
+      await sleepOn(clock, 20);
+      return 'ok';
+    }, { failureThreshold: 1, resetTimeout: 100, clock });
+    await assert.rejects(cb());
+    await clock.tick(100);
+    healthy = true;
+
+    const [first, second] = await settleWith(clock, Promise.allSettled([cb(), cb()]));
+    assert.equal(first.value, 'ok');
+    assert.equal(second.reason.name, 'CircuitOpenError');
+    assert.equal(cb.state, 'closed');
+  });
+
+  it('fallback answers both failures and open-circuit rejections', async () => {
+    const seen = [];
+    const cb = circuitBreaker(fail, {
+      failureThreshold: 1,
+      fallback: (err, id) => { seen.push(err.name); return `cached-${id}`; },
+    });
+    assert.equal(await cb(1), 'cached-1');
+    assert.equal(await cb(2), 'cached-2');
+    assert.deepEqual(seen, ['Error', 'CircuitOpenError']);
+    assert.equal(cb.stats().fallbacks, 2);
+  });
+
+  it('isFailure excludes errors from the statistics', async () => {
+    const cb = circuitBreaker(async () => {
+      const err = new Error('not found');
+      err.status = 404;
+      throw err;
+    }, { failureThreshold: 1, isFailure: (err) => err.status >= 500 });
+    await assert.rejects(cb(), /not found/);
+    await assert.rejects(cb(), /not found/);
+    assert.equal(cb.state, 'closed');
+    assert.equal(cb.stats().failures, 0);
+  });
+
+  it('emits state changes and call events', async () => {
+    const clock = createFakeClock();
+    const changes = [];
+    const events = [];
+    const cb = circuitBreaker(async (ok) => { if (!ok) throw new Error('down'); return ok; }, {
+      failureThreshold: 1,
+      resetTimeout: 10,
+      clock,
+      onStateChange: (to, from) => changes.push(`${from}->${to}`),
+    });
+    const off = cb.on('failure', () => events.push('failure'));
+    cb.on('reject', () => events.push('reject'));
+    cb.on('success', (value) => events.push(`success:${value}`));
+
+    await assert.rejects(cb(false));
+    await assert.rejects(cb(true));
+    await clock.tick(10);
+    await cb(true);
+    off();
+    cb.open();
+    assert.deepEqual(changes, ['closed->open', 'open->half-open', 'half-open->closed', 'closed->open']);
+    assert.deepEqual(events, ['failure', 'reject', 'success:true']);
+  });
+
+  it('open() and reset() force the state', async () => {
+    const cb = circuitBreaker(async () => 'ok');
+    cb.open();
+    await assert.rejects(cb(), { name: 'CircuitOpenError' });
+    cb.reset();
+    assert.equal(await cb(), 'ok');
+    assert.deepEqual(
+      { ...cb.stats(), openedAt: null },
+      {
+        state: 'closed', successes: 1, failures: 0, rejections: 0, fallbacks: 0,
+        consecutiveFailures: 0, windowCalls: 1, windowFailures: 0, failureRate: 0, openedAt: null,
+      }
+    );
+  });
+
+  it('validates arguments', () => {
+    assert.throws(() => circuitBreaker(null), TypeError);
+    assert.throws(() => circuitBreaker(fail, { failureRateThreshold: 0 }), RangeError);
+    assert.throws(() => circuitBreaker(fail, { halfOpenMaxCalls: 0 }), RangeError);
+    assert.throws(() => circuitBreaker(fail, { window: 0 }), RangeError);
+  });
+
+  it('composes with withTimeout: timeouts count as failures', async () => {
+    const clock = createFakeClock();
+    const slow = withTimeout(async () => { await sleepOn(clock, 100); return 'late'; }, 20, { clock });
+    const cb = circuitBreaker(slow, { failureThreshold: 2, clock });
+    await assert.rejects(settleWith(clock, cb()), { name: 'TimeoutError' });
+    await assert.rejects(settleWith(clock, cb()), { name: 'TimeoutError' });
+    const rejected = assert.rejects(cb(), { name: 'CircuitOpenError' });
+    assert.equal(clock.pending, 0, 'open circuit should reject without starting a timer');
+    await rejected;
+  });
+
+  it('composes with retry: stops retrying once the circuit opens', async () => {
+    let calls = 0;
+    const cb = circuitBreaker(async () => { calls++; throw new Error('down'); }, { failureThreshold: 3 });
+    await assert.rejects(
+      retry(() => cb(), { retries: 10, delay: 0, filter: (err) => err.name !== 'CircuitOpenError' }),
+      { name: 'CircuitOpenError' }
+    );
+    assert.equal(calls, 3);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// RATE LIMIT
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('rateLimit', () => {
+  it('token bucket allows a burst, then refills at the given rate', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ rate: 2, interval: 100, burst: 4, clock });
+    assert.equal(limiter.available(), 4);
+    for (let i = 0; i < 4; i++) assert.equal(limiter.tryAcquire(), true);
+    assert.equal(limiter.tryAcquire(), false);
+    await clock.tick(50); // one token back
+    assert.equal(limiter.tryAcquire(), true);
+    assert.equal(limiter.tryAcquire(), false);
+    await clock.tick(1000); // refill is capped at burst
+    assert.equal(limiter.available(), 4);
+  });
+
+  it('sliding window never exceeds rate within any interval', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ rate: 3, interval: 100, algorithm: 'sliding-window', clock });
+    assert.equal(limiter.tryAcquire(), true);  // t=0
+    await clock.tick(60);
+    assert.equal(limiter.tryAcquire(), true);  // t=60
+    assert.equal(limiter.tryAcquire(), true);  // t=60
+    assert.equal(limiter.tryAcquire(), false);
+    await clock.tick(40);                         // t=100: the t=0 call leaves the window
+    assert.equal(limiter.tryAcquire(), true);
+    assert.equal(limiter.tryAcquire(), false);
+  });
+
+  it('reject mode throws RateLimitError with retryAfter', async () => {
+    const clock = createFakeClock();
+    const limited = rateLimit(async (x) => x * 2, { rate: 1, interval: 100, mode: 'reject', clock });
+    assert.equal(await limited(2), 4);
+    await assert.rejects(limited(3), (err) => err.name === 'RateLimitError' && err.retryAfter === 100);
+    await clock.tick(30);
+    await assert.rejects(limited(3), (err) => err.retryAfter === 70);
+    await clock.tick(70);
+    assert.equal(await limited(3), 6);
+  });
+
+  it('reject mode in a sliding window reports when the oldest call expires', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({
+      rate: 2, interval: 100, algorithm: 'sliding-window', mode: 'reject', clock,
+    });
+    await limiter.acquire();
+    await clock.tick(40);
+    await limiter.acquire();
+    await assert.rejects(limiter.acquire(), (err) => err.retryAfter === 60);
+  });
+
+  it('queue mode delays calls in order instead of rejecting', async () => {
+    const clock = createFakeClock();
+    const limited = rateLimit(async (i) => ({ i, at: clock.now() }), { rate: 1, interval: 40, burst: 1, clock });
+    const results = await settleWith(clock, Promise.all([0, 1, 2, 3].map((i) => limited(i))));
+    assert.deepEqual(results.map((r) => r.i), [0, 1, 2, 3]);
+    assert.deepEqual(results.map((r) => r.at), [0, 40, 80, 120]);
+    assert.equal(limited.limiter.pending, 0);
+  });
+
+  it('a shared limiter budgets several functions together', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ rate: 2, interval: 1000, mode: 'reject', clock });
+    const a = rateLimit(async () => 'a', { limiter });
+    const b = limiter.wrap(async () => 'b');
+    assert.equal(await a(), 'a');
+    assert.equal(await b(), 'b');
+    await assert.rejects(a(), { name: 'RateLimitError' });
+    await assert.rejects(b(), { name: 'RateLimitError' });
+  });
+
+  it('cost can depend on the call arguments', async () => {
+    const clock = createFakeClock();
+    const send = rateLimit(async (bytes) => bytes.length, {
+      rate: 10, interval: 1000, mode: 'reject', clock, cost: (bytes) => bytes.length,
+    });
+    assert.equal(await send('hello'), 5);
+    assert.equal(send.limiter.available(), 5);
+    await assert.rejects(send('toolong'), { name: 'RateLimitError' });
+    await assert.rejects(send('x'.repeat(11)), RangeError);
+  });
+
+  it('maxQueue rejects once the queue is full; clear() cancels waiters', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ rate: 1, interval: 10000, maxQueue: 1, clock });
+    await limiter.acquire();
+    const waiting = limiter.acquire();
+    assert.equal(limiter.pending, 1);
+    await assert.rejects(limiter.acquire(), { name: 'RateLimitError' });
+    limiter.clear();
+    await assert.rejects(waiting, { name: 'CancelError' });
+    assert.equal(limiter.pending, 0);
+  });
+
+  it('queued callers are not overtaken by tryAcquire', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ rate: 1, interval: 30, clock });
+    await limiter.acquire();
+    const queued = limiter.acquire();
+    await clock.tick(30);
+    // The queued call was granted when the token arrived, so none is left.
+    assert.equal(limiter.tryAcquire(), false);
+    await queued;
+  });
+
+  it('validates arguments', () => {
+    assert.throws(() => rateLimit(null, { rate: 1 }), TypeError);
+    assert.throws(() => rateLimit(async () => {}), RangeError);
+    assert.throws(() => createRateLimiter({ rate: 1, mode: 'drop' }), TypeError);
+    assert.throws(() => createRateLimiter({ rate: 1, algorithm: 'leaky' }), TypeError);
+    assert.throws(() => createRateLimiter({ rate: 1, burst: 0 }), RangeError);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DYNAMIC / ADAPTIVE CONCURRENCY
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('dynamic and adaptive concurrency', () => {
+  /** Track the peak number of simultaneously running tasks. */
+  function tracker(clock) {
+    const t = { running: 0, peak: 0 };
+    t.task = (ms = 10, fail = false) => async () => {
+      t.running++;
+      t.peak = Math.max(t.peak, t.running);
+      await sleepOn(clock, ms);
+      t.running--;
+      if (fail) throw new Error('fail');
+    };
+    return t;
+  }
+
+  it('queue.concurrency can be raised and lowered at runtime', async () => {
+    const clock = createFakeClock();
+    const t = tracker(clock);
+    const q = createQueue(1);
+    for (let i = 0; i < 6; i++) q.add(t.task(20));
+    assert.equal(q.pending, 1);
+    q.concurrency = 3; // starts two more immediately
+    assert.equal(q.concurrency, 3);
+    assert.equal(q.pending, 3);
+    await clock.tick(25);
+    q.concurrency = 1;
+    await settleWith(clock, q.drain());
+    assert.equal(t.peak, 3);
+  });
+
+  it('a shared limit changes pool concurrency mid-run', async () => {
+    const clock = createFakeClock();
+    const t = tracker(clock);
+    const limit = createConcurrencyLimit(1);
+    const changes = [];
+    const tasks = Array.from({ length: 8 }, () => t.task(15));
+    const p = pool(tasks, limit, { onConcurrencyChange: (n, prev) => changes.push([prev, n]) });
+    await clock.tick(5);
+    assert.equal(t.running, 1);
+    limit.value = 4;
+    assert.equal(t.running, 4);
+    await settleWith(clock, p);
+    assert.deepEqual(changes, [[1, 4]]);
+  });
+
+  it('a queue unsubscribes from a shared limit on dispose() or abort', async () => {
+    const limit = createConcurrencyLimit(1);
+    const changes = [];
+    const ac = new AbortController();
+    const q1 = createQueue(limit, { onConcurrencyChange: (n) => changes.push(['q1', n]) });
+    const q2 = createQueue(limit, { onConcurrencyChange: (n) => changes.push(['q2', n]), signal: ac.signal });
+    limit.value = 2;
+    q1.dispose();
+    ac.abort();
+    limit.value = 3;
+    assert.deepEqual(changes, [['q1', 2], ['q2', 2]]);
+    await assert.rejects(q1.add(async () => {}), /queue is disposed/);
+    await assert.rejects(q2.add(async () => {}), { name: 'AbortError' });
+  });
+
+  it('limit values are clamped to [min, max] and floored', () => {
+    const limit = createConcurrencyLimit(2, { min: 2, max: 5 });
+    limit.value = 100;
+    assert.equal(limit.value, 5);
+    limit.value = 0;
+    assert.equal(limit.value, 2);
+    limit.value = 3.7;
+    assert.equal(limit.value, 3);
+    assert.throws(() => { limit.value = 'x'; }, TypeError);
+  });
+
+  it('adaptive: additive increase while healthy and saturated', () => {
+    const limit = createConcurrencyLimit(2, { adaptive: true, sampleSize: 4, increase: 1 });
+    for (let i = 0; i < 4; i++) limit.record(5, true, true);
+    assert.equal(limit.value, 3);
+    // Healthy but never saturated: stays put.
+    for (let i = 0; i < 4; i++) limit.record(5, true, false);
+    assert.equal(limit.value, 3);
+  });
+
+  it('adaptive: multiplicative decrease on errors or slow latency', () => {
+    const seen = [];
+    const limit = createConcurrencyLimit(16, {
+      adaptive: true, sampleSize: 4, maxErrorRate: 0.25, targetLatency: 50, onChange: (n) => seen.push(n),
+    });
+    for (let i = 0; i < 4; i++) limit.record(5, i > 1, true); // 50% errors
+    assert.equal(limit.value, 8);
+    for (let i = 0; i < 4; i++) limit.record(100, true, true); // too slow
+    assert.equal(limit.value, 4);
+    assert.deepEqual(seen, [8, 4]);
+  });
+
+  it('adaptive queue backs off when tasks fail', async () => {
+    const clock = createFakeClock();
+    const t = tracker(clock);
+    const limits = [];
+    const q = createQueue(8, {
+      adaptive: { sampleSize: 8, maxErrorRate: 0.1, min: 2 },
+      onConcurrencyChange: (n) => limits.push(n),
+    });
+    for (let i = 0; i < 24; i++) q.add(t.task(5, true)).catch(() => {});
+    await settleWith(clock, q.drain());
+    assert.deepEqual(limits, [4, 2]);
+    assert.equal(q.concurrency, 2);
+  });
+
+  it('adaptive pool grows while healthy, up to max', async () => {
+    const clock = createFakeClock();
+    const t = tracker(clock);
+    const limits = [];
+    const tasks = Array.from({ length: 60 }, () => t.task(2));
+    await settleWith(clock, pool(tasks, 2, {
+      adaptive: { sampleSize: 5, max: 6 },
+      onConcurrencyChange: (n) => limits.push(n),
+    }));
+    assert.deepEqual(limits, [3, 4, 5, 6]);
+    assert.ok(t.peak <= 6);
+  });
+
+  it('adaptive queue and pool back off from slow tasks timed by the injected clock', async () => {
+    const clock = createFakeClock();
+    const t = tracker(clock);
+    const queueLimits = [];
+    const q = createQueue(8, {
+      adaptive: { sampleSize: 4, targetLatency: 50 },
+      onConcurrencyChange: (n) => queueLimits.push(n),
+      clock,
+    });
+    for (let i = 0; i < 16; i++) q.add(t.task(500));
+    await settleWith(clock, q.drain());
+    assert.deepEqual(queueLimits, [4, 2, 1]);
+
+    const poolLimits = [];
+    const tasks = Array.from({ length: 16 }, () => t.task(500));
+    await settleWith(clock, pool(tasks, 8, {
+      adaptive: { sampleSize: 4, targetLatency: 50 },
+      onConcurrencyChange: (n) => poolLimits.push(n),
+      clock,
+    }));
+    assert.deepEqual(poolLimits, [4, 2, 1]);
+  });
+
+  it('validates limit options', () => {
+    assert.throws(() => createConcurrencyLimit(0), RangeError);
+    assert.throws(() => createConcurrencyLimit(Infinity, { adaptive: true }), RangeError);
+    assert.throws(() => createConcurrencyLimit(4, { decrease: 1 }), RangeError);
+    assert.throws(() => createConcurrencyLimit(4, { min: 5, max: 2 }), RangeError);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CANCELLATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('cancellation', () => {
+  const isAbort = (err) => err instanceof AbortError && err.name === 'AbortError';
+
+  // --- Signal helpers ---
+
+  it('anySignal aborts with the first reason and ignores empty entries', () => {
+    const a = new AbortController();
+    const b = new AbortController();
+    const any = anySignal(a.signal, null, b.signal);
+    assert.equal(any.aborted, false);
+    b.abort('b went first');
+    assert.equal(any.aborted, true);
+    assert.equal(any.reason, 'b went first');
+    assert.equal(anySignal().aborted, false);
+    assert.equal(anySignal(AbortSignal.abort('x')).reason, 'x');
+  });
+
+  it('timeoutSignal aborts with a TimeoutError reason', async () => {
+    const clock = createFakeClock();
+    const signal = timeoutSignal(20, { clock });
+    await clock.tick(19);
+    assert.equal(signal.aborted, false);
+    await clock.tick(1);
+    assert.equal(signal.aborted, true);
+    assert.equal(signal.reason.name, 'TimeoutError');
+    assert.equal(signal.reason.timeout, 20);
+  });
+
+  it('abortable rejects with an AbortError carrying the reason as cause', async () => {
+    const ac = new AbortController();
+    const p = abortable(new Promise(() => {}), ac.signal);
+    ac.abort('stop');
+    await assert.rejects(p, (err) => isAbort(err) && err.cause === 'stop');
+    assert.equal(await abortable(Promise.resolve(7), new AbortController().signal), 7);
+  });
+
+  // --- Utilities ---
+
+  it('retry forwards the signal and aborts mid-attempt', async () => {
+    const ac = new AbortController();
+    let received;
+    const p = retry((attempt, signal) => {
+      received = signal;
+      return new Promise(() => {});
+    }, { signal: ac.signal });
+    await nextTurn();
+    ac.abort();
+    await assert.rejects(p, (err) => isAbort(err) && /^retry:/.test(err.message));
+    assert.equal(received, ac.signal);
+  });
+
+  it('retry rejects immediately with an already-aborted signal', async () => {
+    let calls = 0;
+    await assert.rejects(retry(async () => { calls++; }, { signal: AbortSignal.abort() }), isAbort);
+    assert.equal(calls, 0);
+  });
+
+  it('pool forwards the signal to tasks and rejects with AbortError', async () => {
+    const ac = new AbortController();
+    const seen = [];
+    const tasks = Array.from({ length: 10 }, () => async (signal) => {
+      seen.push(signal);
+      await new Promise(() => {}); // never settles: the abort must not wait for running tasks
+    });
+    const p = pool(tasks, 2, { signal: ac.signal });
+    await nextTurn();
+    ac.abort();
+    await assert.rejects(p, isAbort);
+    assert.equal(seen.length, 2);
+    assert.ok(seen.every((s) => s === ac.signal));
+  });
+
+  it('poolIterable forwards the signal to the worker', async () => {
+    const ac = new AbortController();
+    const signals = [];
+    for await (const _ of poolIterable([1, 2], async (x, i, signal) => signals.push(signal), { signal: ac.signal })) {
+      // drain
+    }
+    assert.deepEqual(signals, [ac.signal, ac.signal]);
+  });
+
+  it('withTimeout rejects pending calls on abort and clears its timer', async () => {
+    const clock = createFakeClock();
+    const ac = new AbortController();
+    const fn = withTimeout(() => new Promise(() => {}), 500, { signal: ac.signal, clock });
+    const p = fn();
+    assert.equal(clock.pending, 1);
+    ac.abort();
+    await assert.rejects(p, isAbort);
+    assert.equal(clock.pending, 0);
+    await assert.rejects(fn(), isAbort);
+  });
+
+  it('raceTimeout accepts a signal in its options', async () => {
+    const clock = createFakeClock();
+    const ac = new AbortController();
+    const p = raceTimeout(new Promise(() => {}), 500, { signal: ac.signal, clock });
+    ac.abort();
+    await assert.rejects(p, isAbort);
+    assert.equal(clock.pending, 0);
+    const slow = assert.rejects(raceTimeout(sleepOn(clock, 50), 10, { message: 'slow', clock }), /slow/);
+    await clock.tick(10);
+    await slow;
+  });
+
+  it('debounce rejects the pending window on abort and later calls immediately', async () => {
+    const clock = createFakeClock();
+    const ac = new AbortController();
+    let calls = 0;
+    const d = debounce(async () => { calls++; }, 20, { signal: ac.signal, clock });
+    const p = d.call();
+    ac.abort();
+    await assert.rejects(p, isAbort);
+    assert.equal(d.isPending(), false);
+    assert.equal(clock.pending, 0);
+    await assert.rejects(d.call(), isAbort);
+    await clock.tick(30);
+    assert.equal(calls, 0);
+  });
+
+  it('createQueue signal aborts pending tasks and reaches running ones', async () => {
+    const ac = new AbortController();
+    const q = createQueue(1, { signal: ac.signal });
+    let runningSignal;
+    const running = q.add((signal) => {
+      runningSignal = signal;
+      return abortable(new Promise(() => {}), signal);
+    });
+    const waiting = q.add(async () => 'never');
+    ac.abort();
+    await assert.rejects(running, isAbort);
+    await assert.rejects(waiting, isAbort);
+    assert.equal(runningSignal.aborted, true);
+    await assert.rejects(q.add(async () => {}), isAbort);
+  });
+
+  it('queue tasks receive their own signal combined with the queue signal', async () => {
+    const queueAc = new AbortController();
+    const taskAc = new AbortController();
+    const q = createQueue(1, { signal: queueAc.signal });
+    let received;
+    const p = q.add((signal) => {
+      received = signal;
+      return abortable(new Promise(() => {}), signal);
+    }, { signal: taskAc.signal });
+    await nextTurn();
+    assert.equal(received.aborted, false);
+    // Once running, aborting the task's own signal reaches it through the combined signal.
+    taskAc.abort('task');
+    assert.equal(received.aborted, true);
+    assert.equal(received.reason, 'task');
+    await assert.rejects(p, isAbort);
+  });
+
+  it('circuitBreaker does not count aborts as failures', async () => {
+    const ac = new AbortController();
+    const cb = circuitBreaker(() => new Promise(() => {}), { failureThreshold: 1, signal: ac.signal, fallback: () => 'fb' });
+    const p = cb();
+    ac.abort();
+    await assert.rejects(p, isAbort);
+    assert.equal(cb.state, 'closed');
+    assert.equal(cb.stats().failures, 0);
+    await assert.rejects(cb(), isAbort);
+  });
+
+  it('rateLimit waiters can be aborted individually or all at once', async () => {
+    const limiterAc = new AbortController();
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ rate: 1, interval: 10000, signal: limiterAc.signal, clock });
+    await limiter.acquire();
+
+    const callAc = new AbortController();
+    const first = limiter.acquire(1, { signal: callAc.signal });
+    const second = limiter.acquire();
+    callAc.abort();
+    await assert.rejects(first, isAbort);
+    assert.equal(limiter.pending, 1);
+
+    limiterAc.abort();
+    await assert.rejects(second, isAbort);
+    assert.equal(limiter.pending, 0);
+    await assert.rejects(limiter.acquire(), isAbort);
+  });
+
+  it('wrapped functions receive the signal after their own arguments', async () => {
+    const signal = new AbortController().signal;
+    const seen = [];
+    const record = async (...args) => { seen.push(args); return args.length; };
+    await circuitBreaker(record, { signal })(1, 2);
+    await rateLimit(record, { rate: 10, interval: 1000, signal })(1, 2);
+    await debounce(record, 0, { signal }).call(1, 2);
+    await throttle(record, 0, { signal }).call(1, 2);
+    assert.deepEqual(seen, Array(4).fill([1, 2, signal]));
+    // Without a signal option the arguments are left alone.
+    assert.equal(await circuitBreaker(record)(1, 2), 2);
+  });
+
+  it('withTimeout hands fn a signal aborted by the timeout or the caller', async () => {
+    const clock = createFakeClock();
+    const ac = new AbortController();
+    const signals = [];
+    const fn = withTimeout((x, signal) => { signals.push(signal); return new Promise(() => {}); }, 50, { signal: ac.signal, clock });
+    const timedOut = assert.rejects(fn('a'), { name: 'TimeoutError' });
+    await clock.tick(50);
+    await timedOut;
+    assert.equal(signals[0].reason.name, 'TimeoutError');
+
+    const aborted = assert.rejects(fn('b'), isAbort);
+    ac.abort('stop');
+    await aborted;
+    assert.equal(signals[1].aborted, true);
+    assert.equal(signals[1].reason, 'stop');
+    assert.equal(getEventListeners(ac.signal, 'abort').length, 0);
+  });
+
+  it('debounce only listens on its signal while a call is pending', async () => {
+    const clock = createFakeClock();
+    const signal = new AbortController().signal;
+    const d = debounce(async () => 'done', 10, { signal, clock });
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+    const p = d.call();
+    assert.equal(getEventListeners(signal, 'abort').length, 1);
+    await clock.tick(10);
+    assert.equal(await p, 'done');
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+    d.call().catch(() => {});
+    d.cancel();
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+  });
+
+  it('throttle only listens on its signal while cooling down', async () => {
+    const clock = createFakeClock();
+    const signal = new AbortController().signal;
+    const t = throttle(async () => 'ran', 10, { signal, clock });
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+    assert.equal(await t.call(), 'ran');
+    assert.equal(getEventListeners(signal, 'abort').length, 1);
+    await clock.tick(10);
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+    t.call();
+    t.cancel();
+    assert.equal(getEventListeners(signal, 'abort').length, 0);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DURABLE QUEUE
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('createDurableQueue', () => {
+  const fast = { retries: 2, delay: 5, factor: 1 };
+
+  it('runs jobs by name and acknowledges them', async () => {
+    const store = createMemoryStore();
+    const seen = [];
+    const q = await createDurableQueue({
+      store,
+      handlers: { email: async (payload, job) => { seen.push([payload.to, job.attempt]); return 'sent'; } },
+    });
+    const completed = [];
+    q.on('completed', (job, result) => completed.push([job.name, result]));
+
+    const id = await q.add('email', { to: 'a@example.com' });
+    await q.add('email', { to: 'b@example.com' });
+    assert.equal(typeof id, 'string');
+    assert.deepEqual(q.stats(), { waiting: 2, active: 0, dead: 0 });
+
+    q.start();
+    await q.drain();
+    assert.deepEqual(seen, [['a@example.com', 1], ['b@example.com', 1]]);
+    assert.deepEqual(completed, [['email', 'sent'], ['email', 'sent']]);
+    assert.equal(q.get(id), undefined);
+    assert.equal(store.records.filter((r) => r.type === 'ack').length, 2);
+    await q.stop();
+  });
+
+  it('passes the payload as JSON would replay it', async () => {
+    let received;
+    const q = await createDurableQueue({ store: createMemoryStore(), handlers: { job: async (p) => { received = p; } } });
+    q.start();
+    await q.add('job', { at: new Date(0), skip: undefined, n: 1 });
+    await q.drain();
+    assert.deepEqual(received, { at: '1970-01-01T00:00:00.000Z', n: 1 });
+    await q.stop();
+  });
+
+  it('retries with backoff, then dead-letters after retries + 1 attempts', async () => {
+    const clock = createFakeClock();
+    let attempts = 0;
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      retry: fast,
+      clock,
+      handlers: { flaky: async () => { attempts++; throw new Error('nope'); } },
+    });
+    const failed = [];
+    const dead = [];
+    q.on('failed', (job) => failed.push(job.attempts));
+    q.on('dead', (job, err) => dead.push([job.attempts, err.message]));
+    q.start();
+
+    const id = await q.add('flaky');
+    await settleWith(clock, q.drain());
+    assert.equal(attempts, 3);
+    assert.equal(clock.now(), 10, 'two 5ms backoffs');
+    assert.deepEqual(failed, [1, 2]);
+    assert.deepEqual(dead, [[3, 'nope']]);
+    assert.deepEqual(q.stats(), { waiting: 0, active: 0, dead: 1 });
+    const [letter] = q.deadLetters();
+    assert.equal(letter.id, id);
+    assert.deepEqual(letter.lastError, { name: 'Error', message: 'nope' });
+    await q.stop();
+  });
+
+  it('per-job retry options override the defaults; filter dead-letters at once', async () => {
+    let calls = 0;
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      retry: { ...fast, filter: (err) => err.message !== 'fatal' },
+      handlers: {
+        flaky: async () => { calls++; throw new Error('again'); },
+        fatal: async () => { calls++; throw new Error('fatal'); },
+      },
+    });
+    q.start();
+    await q.add('flaky', null, { retry: { retries: 0 } });
+    await q.add('fatal');
+    await q.drain();
+    assert.equal(calls, 2);
+    assert.equal(q.deadLetters().length, 2);
+    await q.stop();
+  });
+
+  it('requeue gives a dead job fresh attempts', async () => {
+    let fail = true;
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      retry: { retries: 0 },
+      handlers: { job: async () => { if (fail) throw new Error('down'); return 'ok'; } },
+    });
+    q.start();
+    const id = await q.add('job');
+    await q.drain();
+    assert.equal(q.get(id).status, 'dead');
+
+    fail = false;
+    assert.equal(await q.requeue(id), true);
+    assert.equal(await q.requeue('missing'), false);
+    await q.drain();
+    assert.equal(q.get(id), undefined);
+    assert.equal(q.stats().dead, 0);
+    await q.stop();
+  });
+
+  it('respects delay and concurrency', async () => {
+    const clock = createFakeClock();
+    let running = 0;
+    let peak = 0;
+    const order = [];
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      concurrency: 2,
+      clock,
+      handlers: {
+        work: async (n) => {
+          running++;
+          peak = Math.max(peak, running);
+          await sleepOn(clock, 10);
+          order.push(n);
+          running--;
+        },
+      },
+    });
+    q.start();
+    await q.add('work', 'late', { delay: 60 });
+    for (let i = 0; i < 4; i++) await q.add('work', i);
+    await settleWith(clock, q.drain());
+    assert.equal(peak, 2);
+    assert.equal(order.at(-1), 'late');
+    await q.stop();
+  });
+
+  it('does not poll while due jobs wait for a free slot', async () => {
+    const clock = createFakeClock();
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      clock,
+      handlers: { job: () => sleepOn(clock, 10) },
+    });
+    q.start();
+    await q.add('job');
+    await q.add('job');
+    // The next timer is the running handler's, not a 0ms re-check for the waiting job.
+    await clock.runNext();
+    assert.equal(clock.now(), 10);
+    await clock.runAll();
+    assert.deepEqual(q.stats(), { waiting: 0, active: 0, dead: 0 });
+    await q.stop();
+  });
+
+  it('expires the lease of a hung handler, aborts its signal and ignores its late ack', async () => {
+    const clock = createFakeClock();
+    const signals = [];
+    let release;
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      visibilityTimeout: 30,
+      retry: fast,
+      clock,
+      handlers: {
+        slow: async (payload, job) => {
+          signals.push(job.signal);
+          if (job.attempt === 1) await new Promise((r) => { release = r; });
+          return job.attempt;
+        },
+      },
+    });
+    const completed = [];
+    q.on('completed', (job, result) => completed.push(result));
+    const failed = [];
+    q.on('failed', (job, err) => failed.push(err.name));
+    q.start();
+    await q.add('slow');
+    await settleWith(clock, q.drain());
+
+    assert.deepEqual(failed, ['TimeoutError']);
+    assert.equal(signals[0].aborted, true);
+    assert.equal(signals[0].reason.name, 'TimeoutError');
+    assert.deepEqual(completed, [2]);
+
+    release();
+    await nextTurn();
+    assert.deepEqual(completed, [2]);
+    await q.stop();
+  });
+
+  it('autoAck: false waits for job.ack(); nack fails the attempt', async () => {
+    const clock = createFakeClock();
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      autoAck: false,
+      retry: fast,
+      clock,
+      handlers: {
+        job: async (payload, job) => {
+          if (job.attempt === 1) job.nack(new Error('not yet'));
+          else clock.setTimeout(job.ack, 10);
+        },
+      },
+    });
+    const failed = [];
+    q.on('failed', (job, err) => failed.push(err.message));
+    q.start();
+    const id = await q.add('job');
+    await clock.tick(10); // the retry starts at 5; its ack is due at 15
+    assert.equal(q.get(id).status, 'active');
+    await settleWith(clock, q.drain());
+    assert.deepEqual(failed, ['not yet']);
+    await q.stop();
+  });
+
+  it('keeps running when an event listener throws', async () => {
+    const clock = createFakeClock();
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      autoAck: false,
+      retry: { retries: 1, delay: 5 },
+      clock,
+      handlers: { job: async (payload, job) => (payload === 'fail' ? job.nack(new Error('nope')) : job.ack()) },
+    });
+    for (const event of ['completed', 'failed', 'dead']) q.on(event, () => { throw new Error(`${event} listener`); });
+    const errors = await captureUncaught(async () => {
+      q.start();
+      await q.add('job', 'fail');
+      await q.add('job', 'ok');
+      await settleWith(clock, q.drain());
+    });
+    assert.deepEqual(errors.map((err) => err.message), ['failed listener', 'completed listener', 'dead listener']);
+    assert.deepEqual(q.stats(), { waiting: 0, active: 0, dead: 1 });
+    await q.stop();
+  });
+
+  it('a job without a handler fails like a throwing handler', async () => {
+    const q = await createDurableQueue({ store: createMemoryStore(), retry: { retries: 0 } });
+    const dead = [];
+    q.on('dead', (job, err) => dead.push(err.message));
+    q.start();
+    await q.add('unknown');
+    await q.drain();
+    assert.deepEqual(dead, ['durableQueue: no handler for job "unknown"']);
+    await q.stop();
+  });
+
+  it('stop waits for running jobs and does not start new ones', async () => {
+    const clock = createFakeClock();
+    let done = 0;
+    const q = await createDurableQueue({
+      store: createMemoryStore(),
+      clock,
+      handlers: { job: async () => { await sleepOn(clock, 20); done++; } },
+    });
+    q.start();
+    await q.add('job');
+    await q.add('job');
+    await clock.tick(5);
+    await settleWith(clock, q.stop());
+    assert.equal(done, 1);
+    assert.deepEqual(q.stats(), { waiting: 1, active: 0, dead: 0 });
+  });
+
+  it('replays unfinished jobs after a crash, including ones that were running', async () => {
+    const clock = createFakeClock();
+    const store = createMemoryStore();
+    const crash = new AbortController();
+    const first = await createDurableQueue({
+      store,
+      signal: crash.signal,
+      visibilityTimeout: 30,
+      clock,
+      handlers: { job: (payload, job) => new Promise((_, reject) => job.signal.addEventListener('abort', () => reject(job.signal.reason))) },
+    });
+    first.start();
+    const running = await first.add('job', 'was running');
+    const waiting = await first.add('job', 'was waiting', { delay: 1000 });
+    await clock.tick(5);
+    crash.abort(new Error('power cut'));
+
+    const seen = [];
+    const second = await createDurableQueue({
+      store,
+      retry: fast,
+      clock,
+      handlers: { job: async (payload, job) => { seen.push([payload, job.attempt]); } },
+    });
+    assert.deepEqual(second.stats(), { waiting: 1, active: 1, dead: 0 });
+    assert.equal(second.get(running).attempts, 1);
+    assert.equal(second.get(waiting).runAt, first.get(waiting).runAt);
+    // The history was compacted to one snapshot per live job.
+    assert.deepEqual(store.records.map((r) => r.type), ['add', 'add']);
+
+    second.start();
+    await clock.tick(29);
+    assert.deepEqual(seen, [], 'the lease expires at 30 and the retry is due 5ms later');
+    await clock.tick(1);
+    assert.deepEqual(seen, [['was running', 2]]);
+    await second.stop();
+  });
+
+  it('rejects bad options', async () => {
+    await assert.rejects(createDurableQueue(), TypeError);
+    await assert.rejects(createDurableQueue({ store: createMemoryStore(), concurrency: 0 }), RangeError);
+    const q = await createDurableQueue({ store: createMemoryStore() });
+    await assert.rejects(q.add(''), TypeError);
+    await assert.rejects(q.add('job', null, { delay: -1 }), RangeError);
+    assert.throws(() => q.handle('job', null), TypeError);
+  });
+
+  describe('file store', () => {
+    let dir;
+    before(async () => { dir = await mkdtemp(join(tmpdir(), 'durable-queue-')); });
+    after(async () => { await rm(dir, { recursive: true, force: true }); });
+
+    it('persists jobs across restarts and compacts the log', async () => {
+      const path = join(dir, 'jobs.log');
+      const first = await createDurableQueue({ path });
+      await first.add('job', { n: 1 });
+      await first.add('job', { n: 2 });
+      await first.add('other', { n: 3 }, { delay: 1000 });
+      await first.stop();
+
+      const seen = [];
+      const store = createFileStore(path);
+      const second = await createDurableQueue({ store, handlers: { job: async ({ n }) => { seen.push(n); } } });
+      const ranBoth = new Promise((resolve) => second.on('completed', () => seen.length === 2 && resolve()));
+      second.start();
+      await ranBoth;
+      assert.deepEqual(seen, [1, 2]);
+      assert.deepEqual(second.stats(), { waiting: 1, active: 0, dead: 0 });
+      await second.stop();
+      await store.close();
+
+      const lines = (await readFile(path, 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+      assert.deepEqual(lines.map((r) => r.type), ['add', 'add', 'add', 'start', 'ack', 'start', 'ack']);
+    });
+
+    it('ignores a torn last line', async () => {
+      const path = join(dir, 'torn.log');
+      const store = createFileStore(path);
+      const q = await createDurableQueue({ store });
+      await q.add('job', 'kept');
+      await store.close();
+      await appendFile(path, '{"type":"add","job":{"id":"x"');
+
+      const records = await createFileStore(path).load();
+      assert.equal(records.length, 1);
+      assert.equal(records[0].job.payload, 'kept');
+    });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// WORKER POOL
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('workerPool', () => {
+  let dir;
+  let module;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'worker-pool-'));
+    module = join(dir, 'tasks.js');
+    await writeFile(module, `
+      import { transfer } from ${JSON.stringify(new URL('./worker-pool.js', import.meta.url).href)};
+      export default (n) => n * 2;
+      export function fail(message) { const err = new Error(message); err.code = 'E_TASK'; throw err; }
+      export function spin(ms) { const end = Date.now() + ms; while (Date.now() < end); return ms; }
+      export function exit(code) { process.exit(code); }
+      export function crash() { setTimeout(() => { throw new Error('boom'); }); return new Promise(() => {}); }
+      export function fill(buffer) { new Uint8Array(buffer).fill(7); return transfer(buffer, [buffer]); }
+    `);
+  });
+  after(async () => { await rm(dir, { recursive: true, force: true }); });
+
+  it('runs the default and named exports on at most `size` threads', async () => {
+    const workers = workerPool({ module, size: 2 });
+    const results = await Promise.all([1, 2, 3, 4].map((n) => workers.run(n)));
+    assert.deepEqual(results, [2, 4, 6, 8]);
+    assert.equal(await workers.run(5, { name: 'spin' }), 5);
+    assert.equal(workers.threads, 2);
+    await workers.terminate();
+    assert.equal(workers.threads, 0);
+  });
+
+  it('rejects with the task error, keeping name, message and code', async () => {
+    const workers = workerPool({ module, size: 1 });
+    await assert.rejects(workers.run('bad input', { name: 'fail' }), (err) => {
+      return err.name === 'Error' && err.message === 'bad input' && err.code === 'E_TASK';
+    });
+    await assert.rejects(workers.run(null, { name: 'missing' }), /no function export "missing"/);
+    await workers.terminate();
+  });
+
+  it('moves transferred buffers both ways', async () => {
+    const workers = workerPool({ module, size: 1 });
+    const buffer = new ArrayBuffer(8);
+    const result = await workers.run(buffer, { name: 'fill', transfer: [buffer] });
+    assert.equal(buffer.byteLength, 0);
+    assert.deepEqual([...new Uint8Array(result)], [7, 7, 7, 7, 7, 7, 7, 7]);
+    await workers.terminate();
+  });
+
+  it('times out like withTimeout and replaces the stuck worker', async () => {
+    const workers = workerPool({ module, size: 1, timeout: 50 });
+    const start = Date.now();
+    await assert.rejects(workers.run(5000, { name: 'spin' }), (err) => err.name === 'TimeoutError' && err.timeout === 50);
+    assert.ok(Date.now() - start < 1000);
+    assert.equal(await workers.run(21, { timeout: 0 }), 42);
+    await workers.terminate();
+  });
+
+  it('restarts workers that crash and rejects only the task they were running', async () => {
+    const workers = workerPool({ module, size: 1 });
+    const queued = workers.run(1);
+    await assert.rejects(workers.run(3, { name: 'exit' }), (err) => err.name === 'WorkerExitError' && err.code === 3);
+    await assert.rejects(workers.run(null, { name: 'crash' }), /boom/);
+    assert.equal(await queued, 2);
+    assert.equal(await workers.run(2), 4);
+    await workers.terminate();
+  });
+
+  it('rejects when the module cannot be loaded', async () => {
+    const workers = workerPool({ module: join(dir, 'missing.js'), size: 1 });
+    await assert.rejects(workers.run(1), (err) => err.code === 'ERR_MODULE_NOT_FOUND');
+    await workers.terminate();
+  });
+
+  it('aborts a queued or running task through its signal', async () => {
+    const workers = workerPool({ module, size: 1 });
+    const ac = new AbortController();
+    const running = workers.run(5000, { name: 'spin', signal: ac.signal });
+    const queued = workers.run(5000, { name: 'spin', signal: ac.signal });
+    await sleep(20);
+    ac.abort();
+    await assert.rejects(running, (err) => err instanceof AbortError && /^workerPool:/.test(err.message));
+    await assert.rejects(queued, AbortError);
+    assert.equal(workers.size, 0);
+    assert.equal(await workers.run(1), 2);
+    await workers.terminate();
+  });
+
+  it('terminate() finishes queued work first; force cancels it', async () => {
+    const workers = workerPool({ module, size: 1 });
+    const results = [workers.run(1), workers.run(2)];
+    await workers.terminate();
+    assert.deepEqual(await Promise.all(results), [2, 4]);
+    await assert.rejects(workers.run(3), /terminated/);
+
+    const forced = workerPool({ module, size: 2 });
+    const running = [forced.run(5000, { name: 'spin' }), forced.run(5000, { name: 'spin' })].map((p) => p.catch((e) => e));
+    const queued = forced.run(1).catch((e) => e);
+    const terminated = forced.terminate({ force: true });
+    assert.equal(forced.threads, 2, 'busy workers still count until they exit');
+    await terminated;
+    assert.equal(forced.threads, 0);
+    assert.ok(!process.getActiveResourcesInfo().includes('MessagePort'), 'every worker has exited');
+    assert.deepEqual((await Promise.all([...running, queued])).map((err) => err.name), ['CancelError', 'CancelError', 'CancelError']);
+  });
+
+  it('validates options', () => {
+    assert.throws(() => workerPool({}), TypeError);
+    assert.throws(() => workerPool({ module, size: 0 }), RangeError);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// CRON / SCHEDULER
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('parseCron', () => {
+  const at = (iso) => Date.parse(iso);
+  const iso = (ms) => new Date(ms).toISOString();
+  const next = (expr, from) => iso(parseCron(expr, { utc: true }).next(at(from)));
+
+  it('finds the next match for five-field expressions', () => {
+    assert.equal(next('*/15 * * * *', '2024-01-01T00:07:30Z'), '2024-01-01T00:15:00.000Z');
+    assert.equal(next('*/15 * * * *', '2024-01-01T00:15:00Z'), '2024-01-01T00:30:00.000Z');
+    assert.equal(next('30 2 * * *', '2024-01-01T03:00:00Z'), '2024-01-02T02:30:00.000Z');
+    assert.equal(next('0 0 1 * *', '2024-12-15T00:00:00Z'), '2025-01-01T00:00:00.000Z');
+  });
+
+  it('supports a seconds field', () => {
+    assert.equal(next('*/10 * * * * *', '2024-01-01T00:00:05Z'), '2024-01-01T00:00:10.000Z');
+    assert.equal(next('5 0 12 * * *', '2024-01-01T12:00:05Z'), '2024-01-02T12:00:05.000Z');
+  });
+
+  it('supports ranges, lists, steps and names', () => {
+    // 2024-01-06 is a Saturday.
+    assert.equal(next('0 9 * * MON-FRI', '2024-01-06T10:00:00Z'), '2024-01-08T09:00:00.000Z');
+    assert.equal(next('0 0 1 jan,JUL *', '2024-02-01T00:00:00Z'), '2024-07-01T00:00:00.000Z');
+    assert.equal(next('10/20 * * * *', '2024-01-01T00:11:00Z'), '2024-01-01T00:30:00.000Z');
+    assert.equal(next('0 8-18/5 * * *', '2024-01-01T09:00:00Z'), '2024-01-01T13:00:00.000Z');
+    assert.equal(next('0 0 * * 7', '2024-01-01T00:00:00Z'), '2024-01-07T00:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // Friday the 5th comes before the 13th.
+    assert.equal(next('0 0 13 * FRI', '2024-01-01T00:00:00Z'), '2024-01-05T00:00:00.000Z');
+    assert.equal(next('0 0 13 * ?', '2024-01-01T00:00:00Z'), '2024-01-13T00:00:00.000Z');
+  });
+
+  it('expands macros and reports impossible dates as null', () => {
+    assert.equal(next('@daily', '2024-02-28T12:00:00Z'), '2024-02-29T00:00:00.000Z');
+    assert.equal(next('@weekly', '2024-01-01T00:00:00Z'), '2024-01-07T00:00:00.000Z');
+    assert.equal(parseCron('0 0 30 2 *', { utc: true }).next(at('2024-01-01T00:00:00Z')), null);
+  });
+
+  it('matches() checks a single instant', () => {
+    const cron = parseCron('0 */2 * * *', { utc: true });
+    assert.equal(cron.matches(at('2024-01-01T04:00:00Z')), true);
+    assert.equal(cron.matches(at('2024-01-01T05:00:00Z')), false);
+    assert.equal(cron.source, '0 */2 * * *');
+  });
+
+  it('rejects malformed expressions', () => {
+    assert.throws(() => parseCron('* * * *'), SyntaxError);
+    assert.throws(() => parseCron('60 * * * *'), RangeError);
+    assert.throws(() => parseCron('*/0 * * * *'), SyntaxError);
+    assert.throws(() => parseCron('5-1 * * * *'), RangeError);
+    assert.throws(() => parseCron('* * * FOO *'), SyntaxError);
+  });
+});
+
+describe('createScheduler', () => {
+  it('runs interval jobs at a fixed rate and reports the next due time', async () => {
+    const clock = createFakeClock({ now: 1000 });
+    const scheduler = createScheduler({ clock });
+    const runs = [];
+    scheduler.add('tick', 100, async ({ name, scheduledAt }) => { runs.push([name, scheduledAt]); });
+    assert.equal(scheduler.next('tick'), 1100);
+    await clock.tick(250);
+    assert.deepEqual(runs, [['tick', 1100], ['tick', 1200]]);
+    assert.equal(scheduler.next('tick'), 1300);
+    assert.deepEqual(scheduler.list(), [{ name: 'tick', schedule: 100, next: 1300, running: 0, runs: 2 }]);
+    await scheduler.stop();
+    assert.equal(scheduler.next('tick'), null);
+  });
+
+  it('runs cron jobs', async () => {
+    const clock = createFakeClock({ now: Date.parse('2024-01-01T00:00:30Z') });
+    const scheduler = createScheduler({ clock, utc: true });
+    const runs = [];
+    scheduler.add('report', '0 */5 * * * *', async ({ scheduledAt }) => { runs.push(new Date(scheduledAt).toISOString()); });
+    await clock.tick(11 * 60_000);
+    assert.deepEqual(runs, ['2024-01-01T00:05:00.000Z', '2024-01-01T00:10:00.000Z']);
+    await scheduler.stop();
+  });
+
+  it('skips due times missed while blocked instead of replaying them', async () => {
+    const clock = createFakeClock({ now: 0 });
+    const scheduler = createScheduler({ clock });
+    const runs = [];
+    scheduler.add('tick', 100, async ({ scheduledAt }) => { runs.push(scheduledAt); });
+    // Fire the first timer late, as after a long synchronous block.
+    clock.now = () => 450;
+    await clock.tick(100);
+    assert.deepEqual(runs, [100]);
+    assert.equal(scheduler.next('tick'), 500);
+    await scheduler.stop();
+  });
+
+  it('overlap policies: skip, queue and allow', async () => {
+    const clock = createFakeClock({ now: 0 });
+    const scheduler = createScheduler({ clock });
+    const started = { skip: 0, queue: 0, allow: 0 };
+    const releases = [];
+    const job = (policy) => () => {
+      started[policy]++;
+      return new Promise((r) => releases.push(r));
+    };
+    const skipped = [];
+    scheduler.on('skip', (name, scheduledAt) => skipped.push([name, scheduledAt]));
+    for (const policy of ['skip', 'queue', 'allow']) scheduler.add(policy, 100, job(policy), { overlap: policy });
+
+    await clock.tick(300);
+    assert.deepEqual(started, { skip: 1, queue: 1, allow: 3 });
+    assert.deepEqual(skipped, [['skip', 200], ['skip', 300]]);
+
+    for (const release of releases.splice(0)) release();
+    await new Promise((r) => setImmediate(r));
+    // The queued job ran once more for the coalesced due times.
+    assert.deepEqual(started, { skip: 1, queue: 2, allow: 3 });
+
+    for (const release of releases.splice(0)) release();
+    await scheduler.stop();
+  });
+
+  it('bounds concurrency through createQueue', async () => {
+    const clock = createFakeClock({ now: 0 });
+    const queue = createQueue(1);
+    const scheduler = createScheduler({ clock, queue });
+    let running = 0;
+    let peak = 0;
+    const releases = [];
+    const work = () => {
+      running++;
+      peak = Math.max(peak, running);
+      return new Promise((r) => releases.push(() => { running--; r(); }));
+    };
+    scheduler.add('a', 100, work, { overlap: 'allow' });
+    scheduler.add('b', 100, work, { overlap: 'allow' });
+    await clock.tick(100);
+    assert.equal(queue.pending, 1);
+    assert.equal(queue.size, 1);
+    while (releases.length) {
+      releases.shift()();
+      await new Promise((r) => setImmediate(r));
+    }
+    assert.equal(peak, 1);
+    await scheduler.stop();
+  });
+
+  it('reports results and errors, runs jobs on demand, and removes jobs', async () => {
+    const clock = createFakeClock({ now: 0 });
+    const scheduler = createScheduler({ clock });
+    const events = [];
+    scheduler.on('done', (name, result) => events.push(['done', name, result]));
+    scheduler.on('error', (name, err) => events.push(['error', name, err.message]));
+    scheduler.add('ok', 100, async () => 'fine', { immediate: true });
+    scheduler.add('bad', 100, async () => { throw new Error('broken'); });
+
+    await clock.tick(100);
+    assert.deepEqual(events, [['done', 'ok', 'fine'], ['done', 'ok', 'fine'], ['error', 'bad', 'broken']]);
+    assert.equal(await scheduler.run('ok'), 'fine');
+    await assert.rejects(scheduler.run('missing'), /no job named "missing"/);
+
+    assert.equal(scheduler.remove('ok'), true);
+    assert.equal(scheduler.remove('ok'), false);
+    events.length = 0;
+    await clock.tick(100);
+    assert.deepEqual(events, [['error', 'bad', 'broken']]);
+    await scheduler.stop();
+  });
+
+  it('stop() waits for running jobs and prevents new runs', async () => {
+    const clock = createFakeClock({ now: 0 });
+    const scheduler = createScheduler({ clock });
+    let finished = false;
+    let release;
+    scheduler.add('slow', 100, () => new Promise((r) => { release = () => { finished = true; r(); }; }));
+    await clock.tick(100);
+    const stopped = scheduler.stop();
+    release();
+    await stopped;
+    assert.equal(finished, true);
+    await clock.tick(1000);
+    assert.throws(() => scheduler.add('late', 100, async () => {}), /stopped/);
+  });
+
+  it('validates jobs', () => {
+    const scheduler = createScheduler({ clock: createFakeClock() });
+    assert.throws(() => scheduler.add('x', 0, async () => {}), RangeError);
+    assert.throws(() => scheduler.add('x', {}, async () => {}), TypeError);
+    assert.throws(() => scheduler.add('x', 'bad cron', async () => {}), SyntaxError);
+    assert.throws(() => scheduler.add('x', 100, async () => {}, { overlap: 'never' }), RangeError);
+    scheduler.add('x', 100, async () => {});
+    assert.throws(() => scheduler.add('x', 100, async () => {}), /already exists/);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// COORDINATION PRIMITIVES
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('Semaphore / Mutex / RWLock', () => {
+  it('Semaphore admits at most `permits` holders, FIFO', async () => {
+    const clock = createFakeClock();
+    const sem = new Semaphore(2);
+    const order = [];
+    let running = 0;
+    let peak = 0;
+    await settleWith(clock, Promise.all([1, 2, 3, 4, 5].map((n) => sem.run(async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleepOn(clock, 5);
+      order.push(n);
+      running--;
+    }))));
+    assert.equal(peak, 2);
+    assert.deepEqual(order, [1, 2, 3, 4, 5]);
+    assert.equal(sem.available, 2);
+  });
+
+  it('Semaphore acquire times out or aborts without taking a permit', async () => {
+    const clock = createFakeClock();
+    const sem = new Semaphore(1);
+    assert.equal(sem.tryAcquire(), true);
+    assert.equal(sem.tryAcquire(), false);
+    const timedOut = assert.rejects(sem.acquire({ timeout: 20, clock }), (err) => err.name === 'TimeoutError' && err.timeout === 20);
+    await clock.tick(20);
+    await timedOut;
+    const ac = new AbortController();
+    const aborted = sem.acquire({ signal: ac.signal });
+    assert.equal(sem.waiting, 1);
+    ac.abort();
+    await assert.rejects(aborted, (err) => err instanceof AbortError && /^semaphore.acquire:/.test(err.message));
+    assert.equal(sem.waiting, 0);
+    sem.release();
+    assert.equal(sem.available, 1);
+    assert.throws(() => sem.release(), /no permit is held/);
+  });
+
+  it('Mutex.runExclusive serializes critical sections and unlocks on error', async () => {
+    const clock = createFakeClock();
+    const mutex = new Mutex();
+    let balance = 0;
+    const deposit = () => mutex.runExclusive(async () => {
+      const read = balance;
+      await sleepOn(clock, 1);
+      balance = read + 1;
+    });
+    await settleWith(clock, Promise.all(Array.from({ length: 10 }, deposit)));
+    assert.equal(balance, 10);
+
+    await assert.rejects(mutex.runExclusive(async () => { throw new Error('inside'); }), /inside/);
+    assert.equal(mutex.locked, false);
+    assert.throws(() => mutex.unlock(), /not locked/);
+  });
+
+  it('Mutex.lock honours timeout and signal', async () => {
+    const clock = createFakeClock();
+    const mutex = new Mutex();
+    await mutex.lock();
+    const timedOut = assert.rejects(mutex.lock({ timeout: 10, clock }), (err) => err.name === 'TimeoutError');
+    await clock.tick(10);
+    await timedOut;
+    await assert.rejects(mutex.lock({ signal: AbortSignal.abort() }), AbortError);
+    mutex.unlock();
+    assert.equal(mutex.tryLock(), true);
+  });
+
+  it('RWLock allows concurrent readers but exclusive writers', async () => {
+    const clock = createFakeClock();
+    const lock = new RWLock();
+    const log = [];
+    const read = (id) => lock.runRead(async () => { log.push(`r${id}+`); await sleepOn(clock, 10); log.push(`r${id}-`); });
+    const write = (id) => lock.runWrite(async () => { log.push(`w${id}+`); await sleepOn(clock, 10); log.push(`w${id}-`); });
+    await settleWith(clock, Promise.all([read(1), read(2), write(1), read(3)]));
+    // r1 and r2 overlap; w1 waits for both; r3 arrived after w1, so it waits too.
+    assert.deepEqual(log, ['r1+', 'r2+', 'r1-', 'r2-', 'w1+', 'w1-', 'r3+', 'r3-']);
+  });
+
+  it('RWLock lets readers through when a waiting writer gives up', async () => {
+    const clock = createFakeClock();
+    const lock = new RWLock();
+    await lock.acquireRead();
+    const writer = assert.rejects(lock.acquireWrite({ timeout: 20, clock }), (err) => err.name === 'TimeoutError');
+    const reader = lock.acquireRead();
+    assert.equal(lock.waiting, 2);
+    await clock.tick(20);
+    await writer;
+    await reader;
+    assert.equal(lock.readers, 2);
+    lock.releaseRead();
+    lock.releaseRead();
+    assert.throws(() => lock.releaseRead(), /no read lock/);
+    assert.throws(() => lock.releaseWrite(), /not held/);
+  });
+
+  it('an already-aborted signal rejects even when the lock is free', async () => {
+    const signal = AbortSignal.abort();
+    const sem = new Semaphore(1);
+    const mutex = new Mutex();
+    const lock = new RWLock();
+    await assert.rejects(sem.acquire({ signal }), AbortError);
+    await assert.rejects(mutex.lock({ signal }), AbortError);
+    await assert.rejects(lock.acquireRead({ signal }), AbortError);
+    await assert.rejects(lock.acquireWrite({ signal }), AbortError);
+    await assert.rejects(new Barrier(1).wait({ signal }), AbortError);
+    await assert.rejects(new Latch(0).wait({ signal }), AbortError);
+    assert.equal(sem.available, 1);
+    assert.equal(mutex.locked, false);
+    assert.equal(lock.readers, 0);
+    assert.equal(lock.writing, false);
+  });
+});
+
+describe('Barrier / Latch', () => {
+  it('Barrier releases each round once all parties arrive', async () => {
+    const clock = createFakeClock();
+    const barrier = new Barrier(3);
+    const rounds = [];
+    const party = async (id) => {
+      for (let round = 0; round < 2; round++) {
+        await sleepOn(clock, id * 3);
+        await barrier.wait();
+        rounds.push(round);
+      }
+    };
+    await settleWith(clock, Promise.all([party(1), party(2), party(3)]));
+    assert.deepEqual(rounds, [0, 0, 0, 1, 1, 1]);
+    assert.equal(barrier.waiting, 0);
+  });
+
+  it('Barrier.wait resolves with the arrival index; leavers drop out', async () => {
+    const clock = createFakeClock();
+    const barrier = new Barrier(2);
+    const timedOut = assert.rejects(barrier.wait({ timeout: 10, clock }), (err) => err.name === 'TimeoutError');
+    await clock.tick(10);
+    await timedOut;
+    assert.equal(barrier.waiting, 0);
+    const results = await Promise.all([barrier.wait(), barrier.wait()]);
+    assert.deepEqual(results, [0, 1]);
+  });
+
+  it('Latch opens after count-downs and stays open', async () => {
+    const latch = new Latch(2);
+    let opened = false;
+    const waiting = latch.wait().then(() => { opened = true; });
+    latch.countDown();
+    await nextTurn();
+    assert.equal(opened, false);
+    latch.countDown();
+    await waiting;
+    assert.equal(latch.count, 0);
+    await latch.wait();
+    await new Latch(0).wait();
+    await assert.rejects(new Latch(1).wait({ signal: AbortSignal.abort() }), AbortError);
+  });
+});
+
+describe('Channel / select', () => {
+  it('unbuffered send waits for a receiver', async () => {
+    const ch = new Channel();
+    let sent = false;
+    const sending = ch.send('hi').then(() => { sent = true; });
+    await nextTurn();
+    assert.equal(sent, false);
+    assert.deepEqual(await ch.receive(), { value: 'hi', done: false });
+    await sending;
+    assert.equal(sent, true);
+  });
+
+  it('buffered channel holds `capacity` values, then blocks senders', async () => {
+    const ch = new Channel(2);
+    await ch.send(1);
+    await ch.send(2);
+    assert.equal(ch.trySend(3), false);
+    const third = ch.send(3);
+    assert.equal(ch.size, 2);
+    assert.deepEqual(ch.tryReceive(), { value: 1, done: false });
+    await third;
+    assert.deepEqual([(await ch.receive()).value, (await ch.receive()).value], [2, 3]);
+    assert.equal(ch.tryReceive(), null);
+  });
+
+  it('close drains buffered values, ends iteration and rejects senders', async () => {
+    const ch = new Channel(1);
+    await ch.send('a');
+    const blocked = ch.send('b');
+    const waitingReceiver = new Channel();
+    const pending = waitingReceiver.receive();
+    waitingReceiver.close();
+    assert.deepEqual(await pending, { value: undefined, done: true });
+
+    ch.close();
+    await assert.rejects(blocked, (err) => err.name === 'ChannelClosedError');
+    await assert.rejects(ch.send('c'), (err) => err.name === 'ChannelClosedError');
+    const received = [];
+    for await (const value of ch) received.push(value);
+    assert.deepEqual(received, ['a']);
+  });
+
+  it('for await consumes until close', async () => {
+    const ch = new Channel();
+    const producer = (async () => {
+      for (let i = 0; i < 5; i++) await ch.send(i);
+      ch.close();
+    })();
+    const received = [];
+    for await (const value of ch) received.push(value);
+    await producer;
+    assert.deepEqual(received, [0, 1, 2, 3, 4]);
+  });
+
+  it('receive and send accept a signal', async () => {
+    const ch = new Channel();
+    const ac = new AbortController();
+    const receiving = ch.receive({ signal: ac.signal });
+    ac.abort();
+    await assert.rejects(receiving, (err) => err instanceof AbortError && /^channel.receive:/.test(err.message));
+    // The aborted receiver no longer takes values.
+    assert.equal(ch.trySend('x'), false);
+  });
+
+  it('select takes the ready case, or waits for the first one', async () => {
+    const a = new Channel(1);
+    const b = new Channel(1);
+    await b.send('from b');
+    assert.deepEqual(await select([{ receive: a }, { receive: b }]), { index: 1, value: 'from b', done: false });
+
+    const clock = createFakeClock();
+    const waiting = select([{ receive: a }, { receive: b }]);
+    clock.setTimeout(() => a.send('from a'), 5);
+    await clock.tick(5);
+    assert.deepEqual(await waiting, { index: 0, value: 'from a', done: false });
+    // Only one operation happened: b's registration was withdrawn.
+    await b.send('later');
+    assert.deepEqual(b.tryReceive(), { value: 'later', done: false });
+  });
+
+  it('select can send, not block, and abort', async () => {
+    const out = new Channel(1);
+    const idle = new Channel();
+    assert.deepEqual(await select([{ receive: idle }, { send: out, value: 42 }]), { index: 1 });
+    assert.equal(out.tryReceive().value, 42);
+    assert.deepEqual(await select([{ receive: idle }], { default: true }), { index: -1 });
+
+    const ac = new AbortController();
+    const waiting = select([{ receive: idle }], { signal: ac.signal });
+    ac.abort();
+    await assert.rejects(waiting, AbortError);
+    assert.equal(idle.trySend('x'), false);
+    await assert.rejects(select([]), TypeError);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// FAKE CLOCK
+// ─────────────────────────────────────────────────────────────────────────────
+
+describe('createFakeClock', () => {
+  it('fires timers in due order only when time is advanced', async () => {
+    const clock = createFakeClock({ now: 1000 });
+    const fired = [];
+    clock.setTimeout(() => fired.push(['b', clock.now()]), 20);
+    clock.setTimeout(() => fired.push(['a', clock.now()]), 10);
+    clock.setTimeout(() => fired.push(['c', clock.now()]), 20);
+    const cancelled = clock.setTimeout(() => fired.push(['x', clock.now()]), 15);
+    clock.clearTimeout(cancelled);
+    assert.equal(clock.pending, 3);
+
+    await clock.tick(15);
+    assert.deepEqual(fired, [['a', 1010]]);
+    assert.equal(clock.now(), 1015);
+    await clock.tick(5);
+    assert.deepEqual(fired, [['a', 1010], ['b', 1020], ['c', 1020]]);
+    assert.equal(clock.pending, 0);
+  });
+
+  it('follows timers scheduled from promise callbacks within one tick', async () => {
+    const clock = createFakeClock();
+    const seen = [];
+    (async () => {
+      for (let i = 0; i < 3; i++) {
+        await new Promise((r) => clock.setTimeout(r, 10));
+        seen.push(clock.now());
+      }
+    })();
+    await clock.tick(30);
+    assert.deepEqual(seen, [10, 20, 30]);
+  });
+
+  it('runAll and runNext drain timers; runAll stops runaway rescheduling', async () => {
+    const clock = createFakeClock();
+    clock.setTimeout(() => {}, 50);
+    clock.setTimeout(() => {}, 500);
+    assert.equal(await clock.runNext(), true);
+    assert.equal(clock.now(), 50);
+    await clock.runAll();
+    assert.equal(clock.now(), 500);
+    assert.equal(await clock.runNext(), false);
+
+    const forever = () => clock.setTimeout(forever, 1);
+    forever();
+    await assert.rejects(clock.runAll({ limit: 10 }), /more than 10 timers/);
+    await assert.rejects(clock.tick(-1), RangeError);
+  });
+
+  it('asserts a retry backoff schedule exactly', async () => {
+    const clock = createFakeClock();
+    const attempts = [];
+    const result = retry(async () => {
+      attempts.push(clock.now());
+      if (attempts.length < 4) throw new Error('flaky');
+      return 'ok';
+    }, { retries: 3, delay: 100, factor: 2, clock });
+
+    await clock.tick(299);
+    assert.deepEqual(attempts, [0, 100]);
+    await clock.runAll();
+    assert.deepEqual(attempts, [0, 100, 300, 700]);
+    assert.equal(await result, 'ok');
+  });
+
+  it('drives debounce and throttle windows', async () => {
+    const clock = createFakeClock();
+    const calls = [];
+    const debounced = debounce(async (v) => { calls.push(['d', v, clock.now()]); }, 100, { clock });
+    const throttled = throttle(async (v) => { calls.push(['t', v, clock.now()]); }, 100, { clock });
+    debounced.call(1);
+    throttled.call(1);
+    await clock.tick(50);
+    debounced.call(2);
+    throttled.call(2);
+    await clock.tick(200);
+    assert.deepEqual(calls, [['t', 1, 0], ['t', 2, 100], ['d', 2, 150]]);
+  });
+
+  it('drives withTimeout, raceTimeout and timeoutSignal', async () => {
+    const clock = createFakeClock();
+    const never = () => new Promise(() => {});
+    const settled = [];
+    const track = (promise) => promise.catch((err) => settled.push([err.timeout, clock.now()]));
+    track(withTimeout(never, 1000, { clock })());
+    track(raceTimeout(never(), 500, { clock }));
+    const signal = timeoutSignal(200, { clock });
+
+    await clock.tick(200);
+    assert.equal(signal.aborted, true);
+    assert.equal(signal.reason.name, 'TimeoutError');
+    assert.deepEqual(settled, []);
+    await clock.tick(800);
+    assert.deepEqual(settled, [[500, 500], [1000, 1000]]);
+  });
+
+  it('drives queue delays, lock timeouts and time-based state', async () => {
+    const clock = createFakeClock();
+    const queue = createQueue(1, { clock });
+    const ran = [];
+    queue.add(async () => ran.push(clock.now()), { delay: 250 });
+    const mutex = new Mutex();
+    await mutex.lock();
+    const waiting = assert.rejects(mutex.lock({ timeout: 100, clock }), (err) => err.name === 'TimeoutError');
+    const breaker = circuitBreaker(async () => { throw new Error('down'); }, { failureThreshold: 1, resetTimeout: 1000, clock });
+    await assert.rejects(breaker(), /down/);
+    assert.equal(breaker.state, 'open');
+
+    await clock.tick(100);
+    await waiting;
+    await clock.tick(150);
+    assert.deepEqual(ran, [250]);
+    await clock.tick(750);
+    assert.equal(breaker.state, 'half-open');
+  });
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CROSS-UTILITY STRESS TESTS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -711,13 +3161,13 @@ describe('cross-utility stress tests', () => {
   });
 
   it('queue + timeout: tasks respect per-task timeouts', async () => {
+    const clock = createFakeClock();
     const q = createQueue(5);
-    const results = [];
 
     const timedTask = withTimeout(async (ms, val) => {
-      await sleep(ms);
+      await sleepOn(clock, ms);
       return val;
-    }, 100);
+    }, 100, { clock });
 
     const promises = [
       q.add(() => timedTask(20, 'a')),  // fast: ok
@@ -726,7 +3176,7 @@ describe('cross-utility stress tests', () => {
       q.add(() => timedTask(20, 'd')),  // fast: ok
     ];
 
-    const settled = await Promise.allSettled(promises);
+    const settled = await settleWith(clock, Promise.allSettled(promises));
     assert.equal(settled[0].status, 'fulfilled');
     assert.equal(settled[0].value, 'a');
     assert.equal(settled[1].status, 'fulfilled');
@@ -740,7 +3190,7 @@ describe('cross-utility stress tests', () => {
   it('pool stress: 1000 tasks, concurrency 100, all complete', async () => {
     let completed = 0;
     const tasks = Array.from({ length: 1000 }, (_, i) => async () => {
-      await sleep(0);
+      await nextTurn();
       completed++;
       return i * 2;
     });
@@ -751,13 +3201,15 @@ describe('cross-utility stress tests', () => {
   });
 
   it('debounce under rapid concurrent calls: no memory growth', async () => {
-    const d = debounce(async (n) => n, 20);
+    const clock = createFakeClock();
+    const d = debounce(async (n) => n, 20, { clock });
     const promises = [];
     for (let i = 0; i < 200; i++) {
       promises.push(d.call(i).catch(() => {}));
-      if (i % 50 === 49) await sleep(30); // let batches fire
+      if (i % 50 === 49) await clock.tick(30); // let batches fire
     }
     await Promise.allSettled(promises);
-    assert.equal(d.isPending(), false, 'no timer should remain');
+    assert.equal(d.isPending(), false);
+    assert.equal(clock.pending, 0, 'no timer should remain');
   });
 });
@@ -0,0 +1,277 @@
+/**
+ * channel.js — Go-style channels and select
+ *
+ * A channel with capacity 0 is unbuffered: `send` waits until a receiver takes
+ * the value. With capacity N, up to N values are buffered before `send` waits.
+ * `close()` stops further sends; receivers drain what is buffered and then get
+ * `{ done: true }`, so a channel can be consumed with `for await`.
+ *
+ *   const jobs = new Channel(10);
+ *   (async () => { for await (const job of jobs) await handle(job); })();
+ *   await jobs.send(job);
+ *   jobs.close();
+ *
+ * @module channel
+ */
+
+import { abortError } from './abort.js';
+
+function closedError(label) {
+  const err = new Error(`${label}: channel is closed`);
+  err.name = 'ChannelClosedError';
+  return err;
+}
+
+/**
+ * One pending operation. Waiters from a `select` share a `state` object, so
+ * the first channel to claim one of them claims them all (the rest are then
+ * removed from their queues).
+ *
+ * @typedef {Object} Waiter
+ * @property {{ claimed: boolean }} state
+ * @property {*} [value] - Value to send (send waiters).
+ * @property {(result: any) => void} resolve
+ * @property {(err: Error) => void} reject
+ */
+
+/** Remove and return the first waiter still unclaimed, claiming it. */
+function claimNext(waiters) {
+  while (waiters.length > 0) {
+    const waiter = waiters.shift();
+    if (!waiter.state.claimed) {
+      waiter.state.claimed = true;
+      return waiter;
+    }
+  }
+  return null;
+}
+
+export class Channel {
+  #capacity;
+  #buffer = [];
+  #closed = false;
+  /** @type {Waiter[]} */
+  #receivers = [];
+  /** @type {Waiter[]} */
+  #senders = [];
+
+  /**
+   * @param {number} [capacity=0] - Values buffered before `send` waits (0 = unbuffered).
+   */
+  constructor(capacity = 0) {
+    if (!(Number.isInteger(capacity) && capacity >= 0) && capacity !== Infinity) {
+      throw new RangeError('Channel: capacity must be a non-negative integer');
+    }
+    this.#capacity = capacity;
+  }
+
+  get capacity() {
+    return this.#capacity;
+  }
+
+  /** Values currently buffered. */
+  get size() {
+    return this.#buffer.length;
+  }
+
+  get closed() {
+    return this.#closed;
+  }
+
+  /**
+   * Send `value`, waiting for a receiver or buffer space.
+   * @param {*} value
+   * @param {{ signal?: AbortSignal }} [opts={}]
+   * @returns {Promise<void>} Rejects with a ChannelClosedError if the channel is (or gets) closed first.
+   */
+  send(value, opts = {}) {
+    const { signal = null } = opts;
+    if (signal?.aborted) return Promise.reject(abortError(signal, 'channel.send'));
+    try {
+      if (this.trySend(value)) return Promise.resolve();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return wait(signal, 'channel.send', (waiter) => [[this.#senders, { ...waiter, value }]]);
+  }
+
+  /**
+   * Send only if it can complete right now.
+   * @param {*} value
+   * @returns {boolean}
+   * @throws {Error} ChannelClosedError if the channel is closed.
+   */
+  trySend(value) {
+    if (this.#closed) throw closedError('channel.send');
+    const receiver = claimNext(this.#receivers);
+    if (receiver) {
+      receiver.resolve({ value, done: false });
+      return true;
+    }
+    if (this.#buffer.length < this.#capacity) {
+      this.#buffer.push(value);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Receive the next value, waiting for one if needed.
+   * @param {{ signal?: AbortSignal }} [opts={}]
+   * @returns {Promise<{ value: any, done: boolean }>} `done` is true once the channel is closed and drained.
+   */
+  receive(opts = {}) {
+    const { signal = null } = opts;
+    if (signal?.aborted) return Promise.reject(abortError(signal, 'channel.receive'));
+    const result = this.tryReceive();
+    if (result !== null) return Promise.resolve(result);
+    return wait(signal, 'channel.receive', (waiter) => [[this.#receivers, waiter]]);
+  }
+
+  /**
+   * Receive only if a value (or the end of the channel) is available right now.
+   * @returns {{ value: any, done: boolean } | null}
+   */
+  tryReceive() {
+    if (this.#buffer.length > 0) {
+      const value = this.#buffer.shift();
+      // Room was made: the longest-waiting sender moves into the buffer.
+      const sender = claimNext(this.#senders);
+      if (sender) {
+        this.#buffer.push(sender.value);
+        sender.resolve();
+      }
+      return { value, done: false };
+    }
+    const sender = claimNext(this.#senders);
+    if (sender) {
+      sender.resolve();
+      return { value: sender.value, done: false };
+    }
+    if (this.#closed) return { value: undefined, done: true };
+    return null;
+  }
+
+  /**
+   * Close the channel. Waiting receivers get `{ done: true }`, waiting senders
+   * reject with a ChannelClosedError; buffered values can still be received.
+   * Closing twice is a no-op.
+   */
+  close() {
+    if (this.#closed) return;
+    this.#closed = true;
+    for (let r = claimNext(this.#receivers); r; r = claimNext(this.#receivers)) r.resolve({ value: undefined, done: true });
+    for (let s = claimNext(this.#senders); s; s = claimNext(this.#senders)) s.reject(closedError('channel.send'));
+  }
+
+  /** Yield received values until the channel is closed and drained. */
+  async *[Symbol.asyncIterator]() {
+    for (;;) {
+      const { value, done } = await this.receive();
+      if (done) return;
+      yield value;
+    }
+  }
+
+  /**
+   * Wait for whichever of several channel operations can proceed first.
+   * Used by `select`; see there.
+   */
+  static select(cases, opts = {}) {
+    const { signal = null, default: nonBlocking = false } = opts;
+    if (!Array.isArray(cases) || cases.length === 0) {
+      return Promise.reject(new TypeError('select: cases must be a non-empty array'));
+    }
+    for (const c of cases) {
+      if (!(c?.receive instanceof Channel) && !(c?.send instanceof Channel)) {
+        return Promise.reject(new TypeError('select: each case needs a `receive` or `send` channel'));
+      }
+    }
+    if (signal?.aborted) return Promise.reject(abortError(signal, 'select'));
+
+    // Ready cases are chosen at random, as in Go, so no case can starve the others.
+    const ready = [];
+    cases.forEach((c, index) => {
+      if (c.send ? c.send.#canSend() : c.receive.#canReceive()) ready.push(index);
+    });
+    if (ready.length > 0) {
+      const index = ready[Math.floor(Math.random() * ready.length)];
+      const c = cases[index];
+      try {
+        if (c.send) {
+          c.send.trySend(c.value);
+          return Promise.resolve({ index });
+        }
+        return Promise.resolve({ index, ...c.receive.tryReceive() });
+      } catch (err) {
+        return Promise.reject(err);
+      }
+    }
+    if (nonBlocking) return Promise.resolve({ index: -1 });
+
+    // Wait on every case; the shared state lets only one of them complete.
+    return wait(signal, 'select', (waiter) =>
+      cases.map((c, index) => {
+        const entry = { ...waiter, resolve: (result) => waiter.resolve({ index, ...result }) };
+        return c.send ? [c.send.#senders, { ...entry, value: c.value }] : [c.receive.#receivers, entry];
+      })
+    );
+  }
+
+  #canSend() {
+    if (this.#closed) return true; // trySend throws, as sending on a closed channel should
+    return this.#receivers.length > 0 || this.#buffer.length < this.#capacity;
+  }
+
+  #canReceive() {
+    return this.#buffer.length > 0 || this.#senders.length > 0 || this.#closed;
+  }
+}
+
+/**
+ * Park an operation until a channel completes it, or `signal` aborts.
+ * `register(waiter)` returns the `[queue, entry]` pairs to join; once the
+ * operation settles either way, the entries still queued are removed.
+ */
+function wait(signal, label, register) {
+  return new Promise((resolve, reject) => {
+    const state = { claimed: false };
+    let entries = [];
+    const finish = (settle) => (result) => {
+      signal?.removeEventListener('abort', onAbort);
+      for (const [queue, entry] of entries) {
+        const index = queue.indexOf(entry);
+        if (index !== -1) queue.splice(index, 1);
+      }
+      settle(result);
+    };
+    const onAbort = () => {
+      if (state.claimed) return;
+      state.claimed = true;
+      finish(reject)(abortError(signal, label));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    entries = register({ state, resolve: finish(resolve), reject: finish(reject) });
+    for (const [queue, entry] of entries) queue.push(entry);
+  });
+}
+
+/**
+ * Wait for the first of several channel operations that can proceed, like
+ * Go's `select`. Exactly one operation happens.
+ *
+ *   const { index, value, done } = await select([
+ *     { receive: results },
+ *     { send: logs, value: entry },
+ *   ]);
+ *
+ * @param {Array<{ receive: Channel } | { send: Channel, value: any }>} cases
+ * @param {object} [opts={}] - Options.
+ * @param {AbortSignal} [opts.signal] - Stop waiting (AbortError); no operation happens.
+ * @param {boolean} [opts.default=false] - Don't wait: resolve `{ index: -1 }` if no case is ready.
+ * @returns {Promise<{ index: number, value?: any, done?: boolean }>} The case that ran; receive
+ *   cases add `value` and `done`. Rejects with a ChannelClosedError if a send case's channel is closed.
+ */
+export function select(cases, opts = {}) {
+  return Channel.select(cases, opts);
+}
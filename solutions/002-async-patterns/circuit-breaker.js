@@ -0,0 +1,308 @@
+/**
+ * circuit-breaker.js — Stop calling a failing dependency until it recovers
+ *
+ * @module circuit-breaker
+ */
+
+import { abortable, abortError } from './abort.js';
+import { systemClock } from './clock.js';
+
+/**
+ * Wrap an async function in a circuit breaker.
+ *
+ * - **closed**: calls pass through. Outcomes are recorded in a rolling time
+ *   window; the circuit opens after `failureThreshold` consecutive failures, or
+ *   once the window holds at least `minimumCalls` outcomes and the failure rate
+ *   reaches `failureRateThreshold`.
+ * - **open**: calls are rejected immediately with a `CircuitOpenError` (or
+ *   answered by `fallback`) without calling `fn`.
+ * - **half-open**: after `resetTimeout` ms up to `halfOpenMaxCalls` trial calls
+ *   go through. If they all succeed the circuit closes; any failure re-opens it.
+ *
+ * State changes are evaluated lazily on each call using `now()`, so the
+ * breaker never holds a timer. The wrapper preserves `this` and arguments, so
+ * it composes either way with `withTimeout` (a timeout counts as a failure) and
+ * with `retry` (pass `filter: (err) => err.name !== 'CircuitOpenError'` to stop
+ * retrying once the circuit opens).
+ *
+ * @param {(...args: any[]) => Promise<any>} fn - The async function to protect.
+ * @param {object} [opts={}] - Options.
+ * @param {number} [opts.failureThreshold=5] - Consecutive failures that open the circuit (Infinity to disable).
+ * @param {number} [opts.failureRateThreshold=0.5] - Failure rate in (0, 1] over the window that opens the circuit.
+ * @param {number} [opts.minimumCalls=10] - Outcomes the window needs before the failure rate is considered.
+ * @param {number} [opts.window=60000] - Rolling window length in ms.
+ * @param {number} [opts.resetTimeout=30000] - Time in ms the circuit stays open before going half-open.
+ * @param {number} [opts.halfOpenMaxCalls=1] - Trial calls allowed (and successes needed) while half-open.
+ * @param {(err: Error, ...args: any[]) => any} [opts.fallback] - Result to use instead of rejecting,
+ *   both when the circuit is open and when `fn` fails.
+ * @param {(err: Error) => boolean} [opts.isFailure] - Return false for errors that should not count
+ *   against the circuit; they are re-thrown but not recorded.
+ * @param {(to: string, from: string) => void} [opts.onStateChange] - Shorthand for `on('stateChange', ...)`.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source.
+ * @param {() => number} [opts.now=clock.now] - Current time in ms (overrides `clock.now`).
+ * @param {AbortSignal} [opts.signal] - Passed to `fn` after the call's arguments. Once aborted,
+ *   pending and later calls reject with an AbortError.
+ *   Aborts (including an AbortError thrown by `fn`) never count as failures and skip `fallback`.
+ * @returns {CircuitBreakerFn}
+ *
+ * @typedef {((...args: any[]) => Promise<any>) & CircuitBreakerApi} CircuitBreakerFn
+ *
+ * @typedef {Object} CircuitBreakerApi
+ * @property {'closed' | 'open' | 'half-open'} state - Current state.
+ * @property {() => CircuitStats} stats - Counters and the current window.
+ * @property {(event: string, listener: Function) => () => void} on - Subscribe; returns an unsubscribe function.
+ *   Events: 'stateChange' (to, from), 'success' (result), 'failure' (err), 'reject' (err), 'fallback' (result, err).
+ * @property {(event: string, listener: Function) => void} off - Unsubscribe.
+ * @property {() => void} open - Force the circuit open (the reset timeout starts now).
+ * @property {() => void} reset - Close the circuit and clear the window and counters.
+ *
+ * @typedef {Object} CircuitStats
+ * @property {string} state
+ * @property {number} successes - Successful calls of `fn` since creation or `reset()`.
+ * @property {number} failures - Failed calls of `fn` that counted against the circuit.
+ * @property {number} rejections - Calls short-circuited while open or half-open.
+ * @property {number} fallbacks - Calls answered by `fallback`.
+ * @property {number} consecutiveFailures
+ * @property {number} windowCalls - Outcomes currently in the rolling window.
+ * @property {number} windowFailures - Failures currently in the rolling window.
+ * @property {number} failureRate - `windowFailures / windowCalls` (0 when empty).
+ * @property {number | null} openedAt - `now()` when the circuit last opened, or null while closed.
+ */
+export function circuitBreaker(fn, opts = {}) {
+  if (typeof fn !== 'function') throw new TypeError('circuitBreaker: fn must be a function');
+
+  const {
+    failureThreshold = 5,
+    failureRateThreshold = 0.5,
+    minimumCalls = 10,
+    window = 60000,
+    resetTimeout = 30000,
+    halfOpenMaxCalls = 1,
+    fallback = null,
+    isFailure = null,
+    onStateChange = null,
+    clock = systemClock,
+    now = clock.now,
+    signal = null,
+  } = opts;
+
+  if (!(failureThreshold >= 1)) throw new RangeError('circuitBreaker: failureThreshold must be >= 1');
+  if (!(failureRateThreshold > 0 && failureRateThreshold <= 1)) {
+    throw new RangeError('circuitBreaker: failureRateThreshold must be in (0, 1]');
+  }
+  if (!(minimumCalls >= 1)) throw new RangeError('circuitBreaker: minimumCalls must be >= 1');
+  if (!(window > 0)) throw new RangeError('circuitBreaker: window must be a positive number');
+  if (!(resetTimeout >= 0)) throw new RangeError('circuitBreaker: resetTimeout must be >= 0');
+  if (!Number.isInteger(halfOpenMaxCalls) || halfOpenMaxCalls < 1) {
+    throw new RangeError('circuitBreaker: halfOpenMaxCalls must be a positive integer');
+  }
+
+  let state = 'closed';
+  let openedAt = null;
+
+  /** Outcomes in the rolling window, oldest first. */
+  let outcomes = [];
+  let windowFailures = 0;
+  let consecutiveFailures = 0;
+
+  /** Trial calls started / succeeded in the current half-open period. */
+  let trials = 0;
+  let trialSuccesses = 0;
+
+  /** Bumped on every state change, so a call can tell the circuit moved on while it ran. */
+  let period = 0;
+
+  const counters = { successes: 0, failures: 0, rejections: 0, fallbacks: 0 };
+
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map();
+
+  function emit(event, ...args) {
+    const set = listeners.get(event);
+    if (!set) return;
+    for (const listener of [...set]) listener(...args);
+  }
+
+  function transition(to) {
+    const from = state;
+    if (from === to) return;
+    state = to;
+    period++;
+    if (to === 'open') openedAt = now();
+    if (to === 'closed') openedAt = null;
+    if (to === 'half-open') {
+      trials = 0;
+      trialSuccesses = 0;
+    }
+    if (to === 'closed' || to === 'open') {
+      outcomes = [];
+      windowFailures = 0;
+      consecutiveFailures = 0;
+    }
+    emit('stateChange', to, from);
+  }
+
+  /** Drop outcomes older than the window. */
+  function prune(time) {
+    let expired = 0;
+    while (expired < outcomes.length && outcomes[expired].time <= time - window) {
+      if (outcomes[expired].failed) windowFailures--;
+      expired++;
+    }
+    if (expired > 0) outcomes.splice(0, expired);
+  }
+
+  /** Move open → half-open once the reset timeout has passed. */
+  function refresh() {
+    if (state === 'open' && now() - openedAt >= resetTimeout) transition('half-open');
+  }
+
+  /**
+   * Whether `call` may judge the circuit: it started in the current period.
+   * Calls that straddle a state change only count in `counters`.
+   */
+  function isCurrent(call) {
+    return call.period === period;
+  }
+
+  function recordSuccess(result, call) {
+    counters.successes++;
+    if (isCurrent(call)) {
+      consecutiveFailures = 0;
+      if (call.trial) {
+        if (++trialSuccesses >= halfOpenMaxCalls) transition('closed');
+      } else {
+        const time = now();
+        prune(time);
+        outcomes.push({ time, failed: false });
+      }
+    }
+    emit('success', result);
+  }
+
+  function recordFailure(err, call) {
+    counters.failures++;
+    emit('failure', err);
+    if (!isCurrent(call)) return;
+    if (call.trial) {
+      transition('open');
+      return;
+    }
+
+    const time = now();
+    prune(time);
+    outcomes.push({ time, failed: true });
+    windowFailures++;
+    consecutiveFailures++;
+
+    if (
+      consecutiveFailures >= failureThreshold ||
+      (outcomes.length >= minimumCalls && windowFailures / outcomes.length >= failureRateThreshold)
+    ) {
+      transition('open');
+    }
+  }
+
+  async function handleError(err, self, args) {
+    if (typeof fallback !== 'function') throw err;
+    counters.fallbacks++;
+    const result = await fallback.call(self, err, ...args);
+    emit('fallback', result, err);
+    return result;
+  }
+
+  async function breaker(...args) {
+    if (signal?.aborted) throw abortError(signal, 'circuitBreaker');
+    refresh();
+
+    if (state === 'open' || (state === 'half-open' && trials >= halfOpenMaxCalls)) {
+      counters.rejections++;
+      const err = new Error('circuitBreaker: circuit is open');
+      err.name = 'CircuitOpenError';
+      err.retryAfter = state === 'open' ? Math.max(0, openedAt + resetTimeout - now()) : 0;
+      emit('reject', err);
+      return handleError(err, this, args);
+    }
+
+    // Only a call that took a trial slot can close (or re-open) a half-open circuit.
+    const call = { period, trial: state === 'half-open' };
+    if (call.trial) trials++;
+
+    let result;
+    try {
+      result = await abortable(fn.apply(this, signal ? [...args, signal] : args), signal, 'circuitBreaker');
+    } catch (err) {
+      if (err?.name === 'AbortError' || (isFailure !== null && !isFailure(err))) {
+        // Not the dependency's fault: free the trial slot without judging it.
+        if (call.trial && isCurrent(call)) trials--;
+        throw err;
+      }
+      recordFailure(err, call);
+      return handleError(err, this, args);
+    }
+    recordSuccess(result, call);
+    return result;
+  }
+
+  Object.defineProperty(breaker, 'state', {
+    get() {
+      refresh();
+      return state;
+    },
+    enumerable: true,
+  });
+
+  /** @returns {CircuitStats} */
+  breaker.stats = function stats() {
+    refresh();
+    if (state === 'closed') prune(now());
+    return {
+      state,
+      ...counters,
+      consecutiveFailures,
+      windowCalls: outcomes.length,
+      windowFailures,
+      failureRate: outcomes.length === 0 ? 0 : windowFailures / outcomes.length,
+      openedAt,
+    };
+  };
+
+  /**
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {() => void} Unsubscribe function.
+   */
+  breaker.on = function on(event, listener) {
+    if (typeof listener !== 'function') throw new TypeError('circuitBreaker.on: listener must be a function');
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(listener);
+    return () => breaker.off(event, listener);
+  };
+
+  /**
+   * @param {string} event
+   * @param {Function} listener
+   */
+  breaker.off = function off(event, listener) {
+    listeners.get(event)?.delete(listener);
+  };
+
+  /** Force the circuit open; calls are rejected until the reset timeout passes. */
+  breaker.open = function open() {
+    if (state === 'open') openedAt = now();
+    else transition('open');
+  };
+
+  /** Close the circuit and clear the rolling window and all counters. */
+  breaker.reset = function reset() {
+    transition('closed');
+    outcomes = [];
+    windowFailures = 0;
+    consecutiveFailures = 0;
+    for (const key of Object.keys(counters)) counters[key] = 0;
+  };
+
+  if (typeof onStateChange === 'function') breaker.on('stateChange', onStateChange);
+
+  return breaker;
+}
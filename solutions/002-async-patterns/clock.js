@@ -0,0 +1,140 @@
+/**
+ * clock.js — Time source shared by every utility, and a fake one for tests
+ *
+ * Utilities that wait or read the time take an optional `clock` (a `Clock`)
+ * instead of calling `setTimeout` and `Date.now` directly. The default is
+ * `systemClock`; `createFakeClock()` gives tests a clock that only moves when
+ * told to, so a retry backoff of 100, 200, 400 ms runs instantly and can be
+ * asserted exactly:
+ *
+ *   const clock = createFakeClock();
+ *   const result = retry(fn, { delay: 100, clock });
+ *   await clock.tick(100);   // first retry happens here
+ *   await clock.runAll();    // ...and the rest
+ *
+ * Utilities that only read the time also keep their older `now` option; it
+ * overrides `clock.now`.
+ *
+ * @module clock
+ */
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => number} now - Current time in ms.
+ * @property {(fn: () => void, ms: number) => any} setTimeout - Call `fn` after `ms`; returns a handle.
+ * @property {(handle: any) => void} clearTimeout - Cancel a `setTimeout` handle.
+ */
+
+/**
+ * The real clock. Calls go through the globals at call time, so tools that
+ * patch them (e.g. `node:test` mock timers) keep working.
+ *
+ * @type {Clock}
+ */
+export const systemClock = Object.freeze({
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (handle) => clearTimeout(handle),
+});
+
+/** Let pending promise callbacks run before the next timer fires. */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * A clock whose time stands still until advanced with `tick` or `runAll`.
+ *
+ * Timers fire in due-time order (insertion order for equal times), each at
+ * its own due time, and pending promise callbacks are flushed before every
+ * timer — so async code that schedules its next timer after an `await` (a
+ * retry loop, a rate limiter) is followed through in one `tick`.
+ *
+ * @param {object} [opts={}] - Options.
+ * @param {number} [opts.now=0] - Starting time in ms.
+ * @returns {FakeClock}
+ *
+ * @typedef {Clock & FakeClockApi} FakeClock
+ *
+ * @typedef {Object} FakeClockApi
+ * @property {(ms: number) => Promise<void>} tick - Advance time by `ms`, firing every timer due on the way.
+ * @property {(opts?: { limit?: number }) => Promise<void>} runAll - Fire timers until none are left,
+ *   advancing time to each; throws after `limit` (1000) timers, in case something reschedules forever.
+ * @property {() => Promise<boolean>} runNext - Advance to the next timer and fire it; false if there is none.
+ * @property {number} pending - Timers waiting to fire.
+ */
+export function createFakeClock(opts = {}) {
+  const { now: start = 0 } = opts;
+  if (typeof start !== 'number' || !Number.isFinite(start)) throw new TypeError('createFakeClock: now must be a finite number');
+
+  let time = start;
+  let nextId = 1;
+  /** @type {Map<number, { fn: () => void, at: number }>} Insertion order breaks ties. */
+  const timers = new Map();
+
+  /** The earliest timer due at or before `limit`, or null. */
+  function earliest(limit) {
+    let found = null;
+    for (const [id, timer] of timers) {
+      if (timer.at <= limit && (found === null || timer.at < found.at)) found = { id, ...timer };
+    }
+    return found;
+  }
+
+  function fire(timer) {
+    timers.delete(timer.id);
+    time = Math.max(time, timer.at);
+    timer.fn();
+  }
+
+  const clock = {
+    now: () => time,
+
+    setTimeout(fn, ms = 0) {
+      if (typeof fn !== 'function') throw new TypeError('fakeClock.setTimeout: fn must be a function');
+      const id = nextId++;
+      timers.set(id, { fn, at: time + Math.max(0, Number(ms) || 0) });
+      return id;
+    },
+
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+
+    async tick(ms) {
+      if (typeof ms !== 'number' || !(ms >= 0)) throw new RangeError('fakeClock.tick: ms must be >= 0');
+      const end = time + ms;
+      for (;;) {
+        await settle();
+        const timer = earliest(end);
+        if (timer === null) break;
+        fire(timer);
+      }
+      time = end;
+      await settle();
+    },
+
+    async runAll(runOpts = {}) {
+      const { limit = 1000 } = runOpts;
+      for (let fired = 0; ; fired++) {
+        await settle();
+        const timer = earliest(Infinity);
+        if (timer === null) return;
+        if (fired >= limit) throw new Error(`fakeClock.runAll: more than ${limit} timers fired; is something rescheduling forever?`);
+        fire(timer);
+      }
+    },
+
+    async runNext() {
+      await settle();
+      const timer = earliest(Infinity);
+      if (timer === null) return false;
+      fire(timer);
+      await settle();
+      return true;
+    },
+
+    get pending() {
+      return timers.size;
+    },
+  };
+  return clock;
+}
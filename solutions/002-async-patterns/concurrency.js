@@ -0,0 +1,146 @@
+/**
+ * concurrency.js — Adjustable and adaptive (AIMD) concurrency limits
+ *
+ * @module concurrency
+ */
+
+/**
+ * Create a concurrency limit that `createQueue` and `pool` read on every
+ * dispatch, so changing `value` takes effect immediately. One limit may be
+ * shared by several queues/pools; it then caps each of them separately.
+ *
+ * In adaptive mode the limit is tuned AIMD-style (additive increase,
+ * multiplicative decrease) from the outcomes the queue/pool reports via
+ * `record()`. Every `sampleSize` completions:
+ *  - if the error rate exceeded `maxErrorRate` or the mean latency exceeded
+ *    `targetLatency`, the limit is multiplied by `decrease`;
+ *  - otherwise, if the limit was actually reached during the sample, it is
+ *    raised by `increase` (an unused limit is not raised, so it cannot drift
+ *    upwards while the workload is light).
+ *
+ * @param {number} [initial=1] - Starting limit (Infinity allowed unless adaptive).
+ * @param {object} [opts={}] - Options.
+ * @param {number} [opts.min=1] - Lowest limit.
+ * @param {number} [opts.max=Infinity] - Highest limit.
+ * @param {boolean} [opts.adaptive=false] - Tune the limit from recorded outcomes.
+ * @param {number} [opts.targetLatency=Infinity] - Mean task latency (ms) above which the limit backs off.
+ * @param {number} [opts.maxErrorRate=0.1] - Error rate above which the limit backs off.
+ * @param {number} [opts.sampleSize=10] - Completions per adjustment.
+ * @param {number} [opts.increase=1] - Added when healthy.
+ * @param {number} [opts.decrease=0.5] - Multiplier when degraded, in (0, 1).
+ * @param {(limit: number, previous: number) => void} [opts.onChange] - Called whenever the limit changes.
+ * @returns {ConcurrencyLimit}
+ *
+ * @typedef {Object} ConcurrencyLimit
+ * @property {number} value - Current limit; assignable (clamped to [min, max]).
+ * @property {boolean} adaptive - Whether `record()` tunes the limit.
+ * @property {(latency: number, ok: boolean, saturated: boolean) => void} record - Report one completed task.
+ * @property {(listener: (limit: number, previous: number) => void) => () => void} subscribe - Listen for changes.
+ */
+export function createConcurrencyLimit(initial = 1, opts = {}) {
+  const {
+    min = 1,
+    max = Infinity,
+    adaptive = false,
+    targetLatency = Infinity,
+    maxErrorRate = 0.1,
+    sampleSize = 10,
+    increase = 1,
+    decrease = 0.5,
+    onChange = null,
+  } = opts;
+
+  if (typeof initial !== 'number' || !(initial >= 1)) {
+    throw new RangeError('createConcurrencyLimit: initial must be >= 1');
+  }
+  if (!(min >= 1) || !(max >= min)) throw new RangeError('createConcurrencyLimit: expected 1 <= min <= max');
+  if (adaptive && initial === Infinity) {
+    throw new RangeError('createConcurrencyLimit: an adaptive limit needs a finite initial value');
+  }
+  if (!(sampleSize >= 1)) throw new RangeError('createConcurrencyLimit: sampleSize must be >= 1');
+  if (!(increase > 0)) throw new RangeError('createConcurrencyLimit: increase must be > 0');
+  if (!(decrease > 0 && decrease < 1)) throw new RangeError('createConcurrencyLimit: decrease must be in (0, 1)');
+
+  const clamp = (n) => Math.min(max, Math.max(min, Math.floor(n)));
+
+  let value = clamp(initial);
+  const listeners = new Set();
+  if (typeof onChange === 'function') listeners.add(onChange);
+
+  /** Current sample. */
+  let samples = 0;
+  let errors = 0;
+  let latencySum = 0;
+  let saturated = false;
+
+  function resetSample() {
+    samples = 0;
+    errors = 0;
+    latencySum = 0;
+    saturated = false;
+  }
+
+  function set(next) {
+    next = clamp(next);
+    const previous = value;
+    if (next === previous) return;
+    value = next;
+    // Outcomes gathered under the old limit say nothing about the new one.
+    resetSample();
+    for (const listener of [...listeners]) listener(value, previous);
+  }
+
+  return {
+    get value() { return value; },
+    set value(next) {
+      if (typeof next !== 'number' || Number.isNaN(next)) throw new TypeError('concurrency: value must be a number');
+      set(next);
+    },
+
+    get adaptive() { return adaptive; },
+
+    /**
+     * Report one completed task. Ignored unless adaptive.
+     * @param {number} latency - Task duration in ms.
+     * @param {boolean} ok - Whether it succeeded.
+     * @param {boolean} wasSaturated - Whether the limit was fully used while it ran.
+     */
+    record(latency, ok, wasSaturated) {
+      if (!adaptive) return;
+      samples++;
+      latencySum += latency;
+      if (!ok) errors++;
+      if (wasSaturated) saturated = true;
+      if (samples < sampleSize) return;
+
+      if (errors / samples > maxErrorRate || latencySum / samples > targetLatency) set(value * decrease);
+      else if (saturated) set(value + increase);
+      resetSample();
+    },
+
+    /**
+     * @param {(limit: number, previous: number) => void} listener
+     * @returns {() => void} Unsubscribe function.
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+/**
+ * Resolve the `concurrency` argument of `createQueue`/`pool`: either a shared
+ * ConcurrencyLimit, or a number turned into a private one.
+ *
+ * @param {number | ConcurrencyLimit} concurrency
+ * @param {boolean | object} adaptive - `true` or adaptive options for a private limit.
+ * @returns {ConcurrencyLimit}
+ */
+export function toConcurrencyLimit(concurrency, adaptive) {
+  if (typeof concurrency === 'object' && concurrency !== null && typeof concurrency.subscribe === 'function') {
+    return concurrency;
+  }
+  if (!adaptive) return createConcurrencyLimit(concurrency);
+  return createConcurrencyLimit(concurrency, { ...(typeof adaptive === 'object' ? adaptive : {}), adaptive: true });
+}
@@ -0,0 +1,182 @@
+/**
+ * cron.js — Cron expression parsing and next-run computation
+ *
+ * Supported syntax, per field:
+ *   *  ?  5  1-5  1,15,30  *\/10  0-30/5  10/15  MON-FRI  JAN,JUL
+ *
+ * Five fields (minute hour day-of-month month day-of-week) or six (with a
+ * leading seconds field). Day-of-week accepts 0–7 (0 and 7 are Sunday). As
+ * in Vixie cron, when both day fields are restricted a day matches if EITHER
+ * does. Macros: @yearly (@annually), @monthly, @weekly, @daily (@midnight),
+ * @hourly.
+ *
+ * @module cron
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+/** Field layout of a six-field expression; five-field ones drop `second`. */
+const FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAYS, offset: 0 },
+];
+
+/** How far ahead `next` searches before deciding an expression never matches (e.g. `0 0 30 2 *`). */
+const SEARCH_YEARS = 8;
+
+function parseValue(text, field, expr) {
+  const upper = text.toUpperCase();
+  const named = field.names?.indexOf(upper) ?? -1;
+  if (named !== -1) return named + field.offset;
+  if (!/^\d+$/.test(text)) throw new SyntaxError(`parseCron: invalid ${field.name} "${text}" in "${expr}"`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new RangeError(`parseCron: ${field.name} ${value} is out of range ${field.min}-${field.max} in "${expr}"`);
+  }
+  return value;
+}
+
+/** @returns {Set<number>} */
+function parseField(text, field, expr) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || range === '') throw new SyntaxError(`parseCron: invalid ${field.name} "${part}" in "${expr}"`);
+
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || Number(stepText) === 0) {
+        throw new SyntaxError(`parseCron: invalid step "${stepText}" in "${expr}"`);
+      }
+      step = Number(stepText);
+    }
+
+    let lo;
+    let hi;
+    if (range === '*' || range === '?') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      lo = parseValue(from, field, expr);
+      hi = parseValue(to, field, expr);
+      if (lo > hi) throw new RangeError(`parseCron: ${field.name} range "${range}" is reversed in "${expr}"`);
+    } else {
+      lo = parseValue(range, field, expr);
+      // `10/15` means every 15 starting at 10.
+      hi = stepText !== undefined ? field.max : lo;
+    }
+
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  if (field.name === 'dayOfWeek' && values.delete(7)) values.add(0);
+  return values;
+}
+
+/** Date getters/setters in local time or UTC. */
+function accessors(utc) {
+  const p = utc ? 'UTC' : '';
+  return {
+    get: (d, unit) => d[`get${p}${unit}`](),
+    set: (d, unit, ...args) => d[`set${p}${unit}`](...args),
+  };
+}
+
+/**
+ * Parse a cron expression.
+ *
+ * @param {string} expr - Five or six fields, or a macro such as '@daily'.
+ * @param {object} [opts={}] - Options.
+ * @param {boolean} [opts.utc=false] - Interpret fields in UTC instead of local time.
+ * @returns {CronExpression}
+ * @throws {SyntaxError | RangeError} If the expression is malformed or a value is out of range.
+ *
+ * @typedef {Object} CronExpression
+ * @property {string} source - The expression as given.
+ * @property {(from?: number | Date) => number | null} next - First matching time strictly after
+ *   `from` (default now), in ms, or null if there is none within the next few years.
+ * @property {(date: number | Date) => boolean} matches - Whether `date` (to the second) matches.
+ */
+export function parseCron(expr, opts = {}) {
+  if (typeof expr !== 'string') throw new TypeError('parseCron: expression must be a string');
+  const { utc = false } = opts;
+
+  const source = expr;
+  const expanded = MACROS[expr.trim().toLowerCase()] ?? expr;
+  const parts = expanded.trim().split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new SyntaxError(`parseCron: expected 5 or 6 fields, got ${parts.length} in "${expr}"`);
+  }
+  const hasSeconds = parts.length === 6;
+  if (!hasSeconds) parts.unshift('0');
+
+  const [seconds, minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i], expr));
+  // A day field written as * or ? does not restrict; see the module comment for the OR rule.
+  const domRestricted = !/^[*?]/.test(parts[3]);
+  const dowRestricted = !/^[*?]/.test(parts[5]);
+
+  const { get, set } = accessors(utc);
+
+  function dayMatches(d) {
+    const dom = daysOfMonth.has(get(d, 'Date'));
+    const dow = daysOfWeek.has(get(d, 'Day'));
+    if (domRestricted && dowRestricted) return dom || dow;
+    return dom && dow;
+  }
+
+  function matches(date) {
+    const d = new Date(date);
+    return (
+      seconds.has(get(d, 'Seconds')) &&
+      minutes.has(get(d, 'Minutes')) &&
+      hours.has(get(d, 'Hours')) &&
+      months.has(get(d, 'Month') + 1) &&
+      dayMatches(d)
+    );
+  }
+
+  function next(from = Date.now()) {
+    const d = new Date(from);
+    set(d, 'Milliseconds', 0);
+    if (hasSeconds) set(d, 'Seconds', get(d, 'Seconds') + 1);
+    else set(d, 'Minutes', get(d, 'Minutes') + 1, 0);
+
+    const limit = get(d, 'FullYear') + SEARCH_YEARS;
+    // Advance the coarsest field that does not match, resetting the finer ones.
+    while (get(d, 'FullYear') <= limit) {
+      if (!months.has(get(d, 'Month') + 1)) {
+        set(d, 'Month', get(d, 'Month') + 1, 1);
+        set(d, 'Hours', 0, 0, 0);
+      } else if (!dayMatches(d)) {
+        set(d, 'Date', get(d, 'Date') + 1);
+        set(d, 'Hours', 0, 0, 0);
+      } else if (!hours.has(get(d, 'Hours'))) {
+        set(d, 'Hours', get(d, 'Hours') + 1, 0, 0);
+      } else if (!minutes.has(get(d, 'Minutes'))) {
+        set(d, 'Minutes', get(d, 'Minutes') + 1, 0);
+      } else if (!seconds.has(get(d, 'Seconds'))) {
+        set(d, 'Seconds', get(d, 'Seconds') + 1);
+      } else {
+        return d.getTime();
+      }
+    }
+    return null;
+  }
+
+  return { source, next, matches };
+}
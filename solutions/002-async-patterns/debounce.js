@@ -4,6 +4,9 @@
  * @module debounce
  */
 
+import { abortError } from './abort.js';
+import { systemClock } from './clock.js';
+
 /**
  * Create an async-safe debounced version of `fn`.
  *
@@ -17,6 +20,9 @@
  * @param {number} ms - Debounce delay in milliseconds.
  * @param {object} [opts={}] - Options.
  * @param {boolean} [opts.leading=false] - Fire on the leading edge instead of trailing.
+ * @param {AbortSignal} [opts.signal] - Passed to `fn` after the call's arguments. On abort the timer
+ *   is cleared, pending callers reject with an AbortError, and later calls reject immediately.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source for the timer.
  * @returns {DebouncedFn}
  *
  * @typedef {Object} DebouncedFn
@@ -29,7 +35,7 @@ export function debounce(fn, ms, opts = {}) {
   if (typeof fn !== 'function') throw new TypeError('debounce: fn must be a function');
   if (typeof ms !== 'number' || ms < 0) throw new RangeError('debounce: ms must be >= 0');
 
-  const { leading = false } = opts;
+  const { leading = false, signal = null, clock = systemClock } = opts;
 
   /** @type {ReturnType<typeof setTimeout> | null} */
   let timer = null;
@@ -43,14 +49,23 @@ export function debounce(fn, ms, opts = {}) {
     return { args, promise, resolve, reject };
   }
 
+  const onAbort = () => cancel(abortError(signal, 'debounce'));
+
+  /** Listen for abort only while something is pending, so the signal does not keep an idle debounce alive. */
+  function watchAbort() {
+    if (timer !== null || window !== null) signal?.addEventListener('abort', onAbort, { once: true });
+    else signal?.removeEventListener('abort', onAbort);
+  }
+
   async function invoke(win) {
     try {
-      win.resolve(await fn(...win.args));
+      win.resolve(await (signal ? fn(...win.args, signal) : fn(...win.args)));
     } catch (err) {
       win.reject(err);
     } finally {
       // If this window is still the active one, clear it
       if (window === win) window = null;
+      watchAbort();
     }
   }
 
@@ -62,6 +77,8 @@ export function debounce(fn, ms, opts = {}) {
    * @returns {Promise<any>}
    */
   function debouncedFn(...args) {
+    if (signal?.aborted) return Promise.reject(abortError(signal, 'debounce'));
+
     if (leading) {
       // Leading edge: fire immediately on first call, suppress subsequent calls in window
       if (!window) {
@@ -75,14 +92,16 @@ export function debounce(fn, ms, opts = {}) {
       }
 
       // Clear any previous timer
-      if (timer) clearTimeout(timer);
+      if (timer) clock.clearTimeout(timer);
 
       const win = window;
-      timer = setTimeout(() => {
+      timer = clock.setTimeout(() => {
         timer = null;
         window = null; // Close the window so next call fires immediately
+        watchAbort();
       }, ms);
 
+      watchAbort();
       return win.promise;
     }
 
@@ -94,14 +113,15 @@ export function debounce(fn, ms, opts = {}) {
       window.args = args;
     }
 
-    if (timer) clearTimeout(timer);
+    if (timer) clock.clearTimeout(timer);
 
     const win = window;
-    timer = setTimeout(() => {
+    timer = clock.setTimeout(() => {
       timer = null;
       invoke(win);
     }, ms);
 
+    watchAbort();
     return win.promise;
   }
 
@@ -109,17 +129,20 @@ export function debounce(fn, ms, opts = {}) {
    * Cancel any pending debounced invocation.
    * Callers awaiting the current window's promise will receive a rejection.
    */
-  function cancel() {
+  function cancel(err = null) {
     if (timer) {
-      clearTimeout(timer);
+      clock.clearTimeout(timer);
       timer = null;
     }
     if (window) {
-      const err = new Error('debounce: cancelled');
-      err.name = 'CancelError';
+      if (err === null) {
+        err = new Error('debounce: cancelled');
+        err.name = 'CancelError';
+      }
       window.reject(err);
       window = null;
     }
+    watchAbort();
   }
 
   /**
@@ -129,10 +152,11 @@ export function debounce(fn, ms, opts = {}) {
    * @returns {Promise<any>}
    */
   function flush() {
+    if (signal?.aborted) return Promise.reject(abortError(signal, 'debounce'));
     if (!window) return Promise.resolve(undefined);
 
     if (timer) {
-      clearTimeout(timer);
+      clock.clearTimeout(timer);
       timer = null;
     }
 
@@ -148,5 +172,5 @@ export function debounce(fn, ms, opts = {}) {
     return timer !== null;
   }
 
-  return { call: debouncedFn, cancel, flush, isPending };
+  return { call: debouncedFn, cancel: () => cancel(), flush, isPending };
 }
@@ -0,0 +1,550 @@
+/**
+ * durable-queue.js — Persistent job queue with crash recovery
+ *
+ * Jobs are serializable descriptors (`name` + JSON `payload`) run by handlers
+ * registered per name. Every state change is appended to a store as a small
+ * record, and replaying the records on startup rebuilds the queue, so jobs
+ * that were waiting or running when the process died run again.
+ *
+ * Delivery is at-least-once:
+ *  - A started job holds a lease for `visibilityTimeout` ms. If it is not
+ *    acknowledged in time (handler hung, process crashed) it counts as a
+ *    failed attempt and becomes available again.
+ *  - Failed attempts are retried with `retry()`'s backoff options; once the
+ *    retries are used up the job moves to the dead-letter list.
+ *
+ * An event listener that throws does not stop the queue; its error is
+ * rethrown on a later microtask (an uncaught exception, as with `EventTarget`).
+ *
+ * Store records (one JSON object per line in the file store):
+ *   { type: 'add', job }                    job snapshot (new job, or compacted state)
+ *   { type: 'start', id, attempt, leaseUntil }
+ *   { type: 'ack', id, attempt }
+ *   { type: 'fail', id, attempt, error, runAt }
+ *   { type: 'dead', id, attempt, error }
+ *   { type: 'requeue', id, runAt }
+ *
+ * @module durable-queue
+ */
+
+import { randomUUID } from 'node:crypto';
+import { open, readFile, rename, writeFile } from 'node:fs/promises';
+
+import { systemClock } from './clock.js';
+import { backoffDelay } from './retry.js';
+
+// ─── Stores ──────────────────────────────────────────────────────────────────
+
+/**
+ * In-memory store. Share one between two queues to simulate a restart.
+ *
+ * @param {object[]} [records=[]] - Initial records.
+ * @returns {JobStore & { records: object[] }}
+ *
+ * @typedef {Object} JobStore
+ * @property {() => Promise<object[]>} load - All records, oldest first.
+ * @property {(record: object) => Promise<void>} append - Persist one record.
+ * @property {(records: object[]) => Promise<void>} compact - Replace everything with `records`.
+ */
+export function createMemoryStore(records = []) {
+  const store = {
+    records: records.map((r) => structuredClone(r)),
+    async load() {
+      return store.records.map((r) => structuredClone(r));
+    },
+    async append(record) {
+      store.records.push(structuredClone(record));
+    },
+    async compact(next) {
+      store.records = next.map((r) => structuredClone(r));
+    },
+  };
+  return store;
+}
+
+/**
+ * Append-only JSON-lines file store. Each append is written and flushed to
+ * disk before it resolves; `compact` rewrites the file atomically (write to a
+ * temporary file, then rename). A torn last line from a crash is ignored.
+ *
+ * @param {string} path
+ * @param {object} [opts={}]
+ * @param {boolean} [opts.sync=true] - `fdatasync` after each append.
+ * @returns {JobStore}
+ */
+export function createFileStore(path, opts = {}) {
+  if (typeof path !== 'string' || path === '') throw new TypeError('createFileStore: path must be a non-empty string');
+  const { sync = true } = opts;
+
+  /** @type {import('node:fs/promises').FileHandle | null} */
+  let handle = null;
+
+  /** Serializes writes so records land in call order. */
+  let tail = Promise.resolve();
+
+  function enqueue(write) {
+    const result = tail.then(write);
+    tail = result.catch(() => {});
+    return result;
+  }
+
+  async function closeHandle() {
+    if (handle === null) return;
+    const h = handle;
+    handle = null;
+    await h.close();
+  }
+
+  return {
+    async load() {
+      let text;
+      try {
+        text = await readFile(path, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      const records = [];
+      for (const line of text.split('\n')) {
+        if (line === '') continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          // Torn write from a crash; everything before it is intact.
+          break;
+        }
+      }
+      return records;
+    },
+
+    append(record) {
+      return enqueue(async () => {
+        handle ??= await open(path, 'a');
+        await handle.appendFile(`${JSON.stringify(record)}\n`);
+        if (sync) await handle.datasync();
+      });
+    },
+
+    compact(records) {
+      return enqueue(async () => {
+        await closeHandle();
+        const tmp = `${path}.tmp`;
+        await writeFile(tmp, records.map((r) => `${JSON.stringify(r)}\n`).join(''));
+        await rename(tmp, path);
+      });
+    },
+
+    /** Wait for pending writes and release the file handle. */
+    close() {
+      return enqueue(closeHandle);
+    },
+  };
+}
+
+// ─── Queue ───────────────────────────────────────────────────────────────────
+
+/** Job fields persisted in snapshots. */
+const SNAPSHOT_FIELDS = ['id', 'name', 'payload', 'retry', 'seq', 'status', 'attempts', 'runAt', 'leaseUntil', 'lastError'];
+
+function snapshot(job) {
+  const out = {};
+  for (const field of SNAPSHOT_FIELDS) if (job[field] !== undefined) out[field] = job[field];
+  return out;
+}
+
+/** Per-job retry overrides that can be persisted (`filter` is a function, so only the queue default has one). */
+function pickRetryOptions(retry) {
+  const out = {};
+  for (const field of ['retries', 'delay', 'factor', 'maxDelay', 'jitter']) {
+    if (retry[field] !== undefined) out[field] = retry[field];
+  }
+  return out;
+}
+
+/** Errors are persisted as `{ name, message }`. */
+function describeError(err) {
+  return { name: err?.name ?? 'Error', message: err?.message ?? String(err) };
+}
+
+/**
+ * Open a durable job queue: loads and replays the store, compacts it, and
+ * returns the queue (call `start()` to begin processing).
+ *
+ * @param {object} [opts={}] - Options.
+ * @param {JobStore} [opts.store] - Where records go.
+ * @param {string} [opts.path] - Shorthand for `store: createFileStore(path)`; `stop()` closes that store.
+ * @param {Record<string, JobHandler>} [opts.handlers={}] - Handlers by job name (see `handle`).
+ * @param {number} [opts.concurrency=1] - Max jobs running at once.
+ * @param {number} [opts.visibilityTimeout=30000] - Lease length in ms.
+ * @param {object} [opts.retry={}] - Default retry options for jobs, as in `retry()`: `retries` (3),
+ *   `delay`, `factor`, `maxDelay`, `jitter`, and the non-persisted `filter(err)` (false = dead-letter now).
+ * @param {boolean} [opts.autoAck=true] - Acknowledge when the handler resolves. When false, the
+ *   handler must call `job.ack()`; resolving without it leaves the job to its visibility timeout.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source.
+ * @param {() => number} [opts.now=clock.now] - Current time in ms (overrides `clock.now`).
+ * @param {AbortSignal} [opts.signal] - Aborting stops the queue and aborts running handlers. Their
+ *   jobs are left as they would be after a crash: still leased, and run again once the lease expires.
+ * @returns {Promise<DurableQueue>}
+ *
+ * @callback JobHandler
+ * @param {*} payload
+ * @param {JobContext} job
+ * @returns {Promise<any>}
+ *
+ * @typedef {Object} JobContext
+ * @property {string} id
+ * @property {string} name
+ * @property {number} attempt - 1 for the first delivery.
+ * @property {AbortSignal} signal - Aborted when the lease expires or the queue's `signal` aborts.
+ * @property {() => void} ack - Acknowledge (only needed with `autoAck: false`).
+ * @property {(err?: Error) => void} nack - Fail this attempt now.
+ *
+ * @typedef {Object} DurableQueue
+ * @property {(name: string, payload?: any, opts?: { delay?: number, retry?: object }) => Promise<string>} add
+ *   Persist a new job; resolves with its id once stored. `payload` must be JSON-serializable;
+ *   `retry` overrides `retries`, `delay`, `factor`, `maxDelay` and `jitter` for this job.
+ * @property {(name: string, handler: JobHandler) => void} handle - Register the handler for `name`.
+ * @property {() => void} start - Begin (or resume) processing.
+ * @property {() => Promise<void>} stop - Stop taking new jobs; resolves once running jobs settle and
+ *   pending writes are flushed.
+ * @property {() => Promise<void>} drain - Resolve when no job is waiting or running.
+ * @property {(id: string) => object | undefined} get - Snapshot of a job.
+ * @property {() => object[]} deadLetters - Snapshots of dead-lettered jobs.
+ * @property {(id: string) => Promise<boolean>} requeue - Move a dead job back to the queue with fresh attempts.
+ * @property {() => { waiting: number, active: number, dead: number }} stats
+ * @property {(event: string, listener: Function) => () => void} on - 'completed' (job, result),
+ *   'failed' (job, err), 'dead' (job, err), 'error' (err) for store failures.
+ * @property {(event: string, listener: Function) => void} off
+ */
+export async function createDurableQueue(opts = {}) {
+  const ownsStore = opts.store === undefined && opts.path !== undefined;
+  const {
+    store = ownsStore ? createFileStore(opts.path) : null,
+    handlers = {},
+    concurrency = 1,
+    visibilityTimeout = 30000,
+    retry: retryDefaults = {},
+    autoAck = true,
+    clock = systemClock,
+    now = clock.now,
+    signal = null,
+  } = opts;
+
+  if (store === null) throw new TypeError('createDurableQueue: a store or path is required');
+  if (!(concurrency >= 1)) throw new RangeError('createDurableQueue: concurrency must be >= 1');
+  if (!(visibilityTimeout > 0)) throw new RangeError('createDurableQueue: visibilityTimeout must be > 0');
+
+  /** @type {Map<string, JobHandler>} */
+  const handlerMap = new Map(Object.entries(handlers));
+
+  /** @type {Map<string, object>} Every job not yet acknowledged, dead ones included. */
+  const jobs = new Map();
+  /** @type {Map<string, AbortController>} Jobs whose handler is running in this process. */
+  const inFlight = new Map();
+
+  let seq = 0;
+  let running = false;
+  let scheduled = false;
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null;
+  let drainResolvers = [];
+  let stopResolvers = [];
+  /** @type {Promise<void>} Latest store write; stores apply writes in order. */
+  let writes = Promise.resolve();
+
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map();
+
+  /** Call the listeners for `event`; a throwing one must not skip the scheduling that follows. */
+  function emit(event, ...args) {
+    const set = listeners.get(event);
+    if (!set) return;
+    for (const listener of [...set]) {
+      try {
+        listener(...args);
+      } catch (err) {
+        queueMicrotask(() => { throw err; });
+      }
+    }
+  }
+
+  // ─── Replay ────────────────────────────────────────────────────────────
+
+  for (const record of await store.load()) {
+    const job = jobs.get(record.id);
+    switch (record.type) {
+      case 'add':
+        jobs.set(record.job.id, { ...record.job });
+        seq = Math.max(seq, record.job.seq + 1);
+        break;
+      case 'start':
+        if (job) Object.assign(job, { status: 'active', attempts: record.attempt, leaseUntil: record.leaseUntil });
+        break;
+      case 'ack':
+        jobs.delete(record.id);
+        break;
+      case 'fail':
+        if (job) Object.assign(job, { status: 'waiting', runAt: record.runAt, leaseUntil: null, lastError: record.error });
+        break;
+      case 'dead':
+        if (job) Object.assign(job, { status: 'dead', leaseUntil: null, lastError: record.error });
+        break;
+      case 'requeue':
+        if (job) Object.assign(job, { status: 'waiting', attempts: 0, runAt: record.runAt, lastError: null });
+        break;
+      default:
+        break;
+    }
+  }
+  // Replace the history with one snapshot per live job.
+  await store.compact([...jobs.values()].map((job) => ({ type: 'add', job: snapshot(job) })));
+
+  function persist(record) {
+    const write = store.append(record);
+    writes = write.catch((err) => emit('error', err));
+    return write;
+  }
+
+  // ─── Scheduling ────────────────────────────────────────────────────────
+
+  /** Run `tick` once after the current batch of state changes. */
+  function schedule() {
+    if (scheduled) return;
+    scheduled = true;
+    queueMicrotask(() => {
+      scheduled = false;
+      tick();
+    });
+  }
+
+  /** Expire lapsed leases, start ready jobs, and set a timer for the next due time. */
+  function tick() {
+    if (timer !== null) {
+      clock.clearTimeout(timer);
+      timer = null;
+    }
+
+    const t = now();
+    for (const job of jobs.values()) {
+      // Leases replayed from the store are only expired while running.
+      if (job.status !== 'active' || job.leaseUntil > t || !(running || inFlight.has(job.id))) continue;
+      const err = new Error(`durableQueue: visibility timeout of ${visibilityTimeout}ms expired`);
+      err.name = 'TimeoutError';
+      inFlight.get(job.id)?.abort(err);
+      fail(job, job.attempts, err);
+    }
+
+    if (running && inFlight.size < concurrency) {
+      const ready = [...jobs.values()]
+        .filter((job) => job.status === 'waiting' && job.runAt <= t)
+        .sort((a, b) => a.runAt - b.runAt || a.seq - b.seq);
+      for (const job of ready.slice(0, concurrency - inFlight.size)) begin(job, t);
+    }
+
+    // Jobs already due but left waiting for a slot start from `release`, not a timer.
+    let next = Infinity;
+    for (const job of jobs.values()) {
+      if (job.status === 'active' && (running || inFlight.has(job.id))) next = Math.min(next, job.leaseUntil);
+      else if (job.status === 'waiting' && running && job.runAt > t) next = Math.min(next, job.runAt);
+    }
+    if (next !== Infinity) timer = clock.setTimeout(tick, Math.max(0, next - now()));
+  }
+
+  function checkDrain() {
+    for (const job of jobs.values()) if (job.status !== 'dead') return;
+    for (const resolve of drainResolvers) resolve();
+    drainResolvers = [];
+  }
+
+  function checkStopped() {
+    if (running || inFlight.size > 0) return;
+    for (const resolve of stopResolvers) resolve();
+    stopResolvers = [];
+  }
+
+  /** Deliver `job`: take a lease and call its handler. */
+  function begin(job, t) {
+    const attempt = job.attempts + 1;
+    const leaseUntil = t + visibilityTimeout;
+    Object.assign(job, { status: 'active', attempts: attempt, leaseUntil });
+    persist({ type: 'start', id: job.id, attempt, leaseUntil });
+
+    const controller = new AbortController();
+    inFlight.set(job.id, controller);
+
+    /** @type {JobContext} */
+    const context = {
+      id: job.id,
+      name: job.name,
+      attempt,
+      signal: controller.signal,
+      ack: () => ack(job, attempt),
+      nack: (err = new Error('durableQueue: job nacked')) => fail(job, attempt, err),
+    };
+
+    Promise.resolve()
+      .then(() => {
+        const handler = handlerMap.get(job.name);
+        if (!handler) throw new Error(`durableQueue: no handler for job "${job.name}"`);
+        return handler(job.payload, context);
+      })
+      .then(
+        (result) => {
+          if (autoAck) ack(job, attempt, result);
+        },
+        (err) => fail(job, attempt, err)
+      )
+      .finally(() => {
+        // Returned without settling the job (autoAck off, or aborted): the lease decides.
+        if (inFlight.get(job.id) === controller) release(job);
+      });
+  }
+
+  /** True if `attempt` is still the live delivery of `job` in this process. */
+  function isCurrent(job, attempt) {
+    return jobs.get(job.id) === job && job.status === 'active' && job.attempts === attempt;
+  }
+
+  function release(job) {
+    inFlight.delete(job.id);
+    checkStopped();
+    schedule();
+  }
+
+  function ack(job, attempt, result) {
+    if (!isCurrent(job, attempt) || signal?.aborted) return;
+    jobs.delete(job.id);
+    persist({ type: 'ack', id: job.id, attempt });
+    release(job);
+    emit('completed', snapshot(job), result);
+    schedule();
+    checkDrain();
+  }
+
+  function fail(job, attempt, err) {
+    // After the queue's signal aborts, running jobs are left leased, as in a crash.
+    if (!isCurrent(job, attempt) || signal?.aborted) return;
+    const options = { ...retryDefaults, ...job.retry };
+    const { retries = 3, filter = null } = options;
+    const error = describeError(err);
+    Object.assign(job, { leaseUntil: null, lastError: error });
+
+    if (attempt > retries || (filter !== null && !filter(err))) {
+      job.status = 'dead';
+      persist({ type: 'dead', id: job.id, attempt, error });
+      release(job);
+      emit('dead', snapshot(job), err);
+    } else {
+      job.status = 'waiting';
+      job.runAt = now() + backoffDelay(attempt - 1, options);
+      persist({ type: 'fail', id: job.id, attempt, error, runAt: job.runAt });
+      release(job);
+      emit('failed', snapshot(job), err);
+    }
+    schedule();
+    checkDrain();
+  }
+
+  // ─── Public API ────────────────────────────────────────────────────────
+
+  const queue = {
+    async add(name, payload = null, addOpts = {}) {
+      if (typeof name !== 'string' || name === '') throw new TypeError('durableQueue.add: name must be a non-empty string');
+      const { delay = 0, retry } = addOpts;
+      if (!(delay >= 0)) throw new RangeError('durableQueue.add: delay must be >= 0');
+
+      const job = {
+        id: randomUUID(),
+        name,
+        // Round-trip now so the handler sees exactly what a restart would replay.
+        payload: JSON.parse(JSON.stringify(payload)),
+        retry: retry && pickRetryOptions(retry),
+        seq: seq++,
+        status: 'waiting',
+        attempts: 0,
+        runAt: now() + delay,
+        leaseUntil: null,
+        lastError: null,
+      };
+      await persist({ type: 'add', job: snapshot(job) });
+      jobs.set(job.id, job);
+      schedule();
+      return job.id;
+    },
+
+    handle(name, handler) {
+      if (typeof handler !== 'function') throw new TypeError('durableQueue.handle: handler must be a function');
+      handlerMap.set(name, handler);
+    },
+
+    start() {
+      if (running || signal?.aborted) return;
+      running = true;
+      schedule();
+    },
+
+    stop() {
+      running = false;
+      tick();
+      const settled = new Promise((resolve) => {
+        stopResolvers.push(resolve);
+        checkStopped();
+      });
+      return settled.then(() => writes).then(() => (ownsStore ? store.close() : undefined));
+    },
+
+    drain() {
+      return new Promise((resolve) => {
+        drainResolvers.push(resolve);
+        checkDrain();
+      });
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job && snapshot(job);
+    },
+
+    deadLetters() {
+      return [...jobs.values()].filter((job) => job.status === 'dead').map(snapshot);
+    },
+
+    async requeue(id) {
+      const job = jobs.get(id);
+      if (!job || job.status !== 'dead') return false;
+      const runAt = now();
+      await persist({ type: 'requeue', id, runAt });
+      Object.assign(job, { status: 'waiting', attempts: 0, runAt, lastError: null });
+      schedule();
+      return true;
+    },
+
+    stats() {
+      const counts = { waiting: 0, active: 0, dead: 0 };
+      for (const job of jobs.values()) counts[job.status]++;
+      return counts;
+    },
+
+    on(event, listener) {
+      if (typeof listener !== 'function') throw new TypeError('durableQueue.on: listener must be a function');
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return () => queue.off(event, listener);
+    },
+
+    off(event, listener) {
+      listeners.get(event)?.delete(listener);
+    },
+  };
+
+  signal?.addEventListener(
+    'abort',
+    () => {
+      queue.stop();
+      for (const controller of inFlight.values()) controller.abort(signal.reason);
+    },
+    { once: true }
+  );
+
+  return queue;
+}
@@ -8,7 +8,20 @@
  */
 
 export { retry } from './retry.js';
-export { pool } from './pool.js';
+export { pool, poolIterable } from './pool.js';
 export { withTimeout, raceTimeout } from './timeout.js';
 export { debounce } from './debounce.js';
+export { throttle } from './throttle.js';
+export { memoizeAsync, singleFlight } from './memoize.js';
 export { createQueue } from './queue.js';
+export { createDurableQueue, createMemoryStore, createFileStore } from './durable-queue.js';
+export { circuitBreaker } from './circuit-breaker.js';
+export { rateLimit, createRateLimiter } from './rate-limit.js';
+export { createConcurrencyLimit } from './concurrency.js';
+export { workerPool, transfer } from './worker-pool.js';
+export { parseCron } from './cron.js';
+export { createScheduler } from './scheduler.js';
+export { Semaphore, Mutex, RWLock, Barrier, Latch } from './sync.js';
+export { Channel, select } from './channel.js';
+export { AbortError, anySignal, timeoutSignal, abortable } from './abort.js';
+export { createFakeClock, systemClock } from './clock.js';
@@ -0,0 +1,178 @@
+/**
+ * memoize.js — Async memoization and single-flight request collapsing
+ *
+ * @module memoize
+ */
+
+import { systemClock } from './clock.js';
+
+/** Default cache key: the JSON form of the argument list. */
+const defaultKey = (...args) => JSON.stringify(args);
+
+/** Call `fn` and always get a Promise back, even if it throws synchronously. */
+function invoke(fn, self, args) {
+  try {
+    return Promise.resolve(fn.apply(self, args));
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Collapse concurrent calls with the same key into one: while a call is in
+ * flight, further calls with its key get the same Promise instead of calling
+ * `fn` again. Nothing is cached once it settles.
+ *
+ * @param {(...args: any[]) => Promise<any>} fn - The async function to wrap.
+ * @param {object} [opts={}] - Options.
+ * @param {(...args: any[]) => any} [opts.key] - Key for a call; defaults to `JSON.stringify(args)`.
+ * @returns {((...args: any[]) => Promise<any>) & { inFlight: number }} Wrapper preserving `this`;
+ *   `inFlight` is the number of distinct calls currently running.
+ */
+export function singleFlight(fn, opts = {}) {
+  if (typeof fn !== 'function') throw new TypeError('singleFlight: fn must be a function');
+
+  const { key = defaultKey } = opts;
+
+  /** @type {Map<any, Promise<any>>} */
+  const calls = new Map();
+
+  function collapsed(...args) {
+    const k = key(...args);
+    const existing = calls.get(k);
+    if (existing) return existing;
+
+    const promise = invoke(fn, this, args).finally(() => calls.delete(k));
+    calls.set(k, promise);
+    return promise;
+  }
+
+  Object.defineProperty(collapsed, 'inFlight', { get: () => calls.size, enumerable: true });
+  return collapsed;
+}
+
+/**
+ * Memoize an async function.
+ *
+ * - Concurrent calls with the same key share one in-flight Promise.
+ * - Resolved values are cached for `ttl` ms; rejections are never cached.
+ * - With `staleWhileRevalidate`, a value up to that many ms past its `ttl` is
+ *   still returned immediately while a single background call refreshes it.
+ *   If the refresh fails the stale value is kept until its stale window ends.
+ * - With `maxSize`, the least recently used entries are evicted.
+ *
+ * @param {(...args: any[]) => Promise<any>} fn - The async function to memoize.
+ * @param {object} [opts={}] - Options.
+ * @param {(...args: any[]) => any} [opts.key] - Cache key for a call; defaults to `JSON.stringify(args)`.
+ * @param {number} [opts.ttl=Infinity] - How long a value stays fresh, in ms.
+ * @param {number} [opts.staleWhileRevalidate=0] - How long past `ttl` a stale value may still be served.
+ * @param {number} [opts.maxSize=Infinity] - Maximum cached keys (LRU eviction).
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source.
+ * @param {() => number} [opts.now=clock.now] - Current time in ms (overrides `clock.now`).
+ * @returns {MemoizedFn}
+ *
+ * @typedef {((...args: any[]) => Promise<any>) & MemoizedApi} MemoizedFn
+ *
+ * @typedef {Object} MemoizedApi
+ * @property {(...args: any[]) => boolean} delete - Forget the entry for these arguments.
+ * @property {() => void} clear - Forget everything.
+ * @property {number} size - Number of cached (or in-flight) keys.
+ */
+export function memoizeAsync(fn, opts = {}) {
+  if (typeof fn !== 'function') throw new TypeError('memoizeAsync: fn must be a function');
+
+  const {
+    key = defaultKey,
+    ttl = Infinity,
+    staleWhileRevalidate = 0,
+    maxSize = Infinity,
+    clock = systemClock,
+    now = clock.now,
+  } = opts;
+
+  if (!(ttl > 0)) throw new RangeError('memoizeAsync: ttl must be > 0');
+  if (!(staleWhileRevalidate >= 0)) throw new RangeError('memoizeAsync: staleWhileRevalidate must be >= 0');
+  if (!(maxSize >= 1)) throw new RangeError('memoizeAsync: maxSize must be >= 1');
+
+  /**
+   * Insertion order doubles as recency order (entries are re-inserted on use).
+   * @type {Map<any, { promise: Promise<any>, settled: boolean, expiresAt: number, refreshing: boolean }>}
+   */
+  const cache = new Map();
+
+  function touch(k, entry) {
+    cache.delete(k);
+    cache.set(k, entry);
+  }
+
+  function store(k, entry) {
+    cache.set(k, entry);
+    while (cache.size > maxSize) cache.delete(cache.keys().next().value);
+  }
+
+  /** Start a call for `k`; the entry becomes fresh when it resolves. */
+  function load(k, self, args) {
+    const entry = { promise: null, settled: false, expiresAt: Infinity, refreshing: false };
+    entry.promise = invoke(fn, self, args).then(
+      (value) => {
+        entry.settled = true;
+        entry.expiresAt = now() + ttl;
+        return value;
+      },
+      (err) => {
+        // Evicted or replaced meanwhile? Then it is not ours to remove.
+        if (cache.get(k) === entry) cache.delete(k);
+        throw err;
+      }
+    );
+    return entry;
+  }
+
+  /** Refresh a stale entry in the background, swapping it in on success. */
+  function revalidate(k, stale, self, args) {
+    stale.refreshing = true;
+    const fresh = load(k, self, args);
+    fresh.promise.then(
+      () => {
+        if (cache.get(k) === stale) cache.set(k, fresh);
+      },
+      () => {
+        stale.refreshing = false;
+      }
+    );
+  }
+
+  function memoized(...args) {
+    const k = key(...args);
+    const entry = cache.get(k);
+
+    if (entry) {
+      const t = now();
+      if (!entry.settled || t < entry.expiresAt) {
+        touch(k, entry);
+        return entry.promise;
+      }
+      if (t < entry.expiresAt + staleWhileRevalidate) {
+        touch(k, entry);
+        if (!entry.refreshing) revalidate(k, entry, this, args);
+        return entry.promise;
+      }
+      cache.delete(k);
+    }
+
+    const fresh = load(k, this, args);
+    store(k, fresh);
+    return fresh.promise;
+  }
+
+  /**
+   * @param {...any} args
+   * @returns {boolean} True if an entry was removed.
+   */
+  memoized.delete = (...args) => cache.delete(key(...args));
+
+  memoized.clear = () => cache.clear();
+
+  Object.defineProperty(memoized, 'size', { get: () => cache.size, enumerable: true });
+  return memoized;
+}
@@ -1,65 +1,124 @@
 /**
- * pool.js — Concurrent task pool with max concurrency limit
+ * pool.js — Concurrent task pool with max concurrency limit, over arrays or streams
  *
  * @module pool
  */
 
+import { toConcurrencyLimit } from './concurrency.js';
+import { abortError, throwIfAborted } from './abort.js';
+import { systemClock } from './clock.js';
+
 /**
  * Run an array of async task-factory functions with a concurrency cap.
  * Results are returned in the same order as tasks, regardless of completion order.
  * If any task throws, remaining running tasks are still awaited before the error
  * is re-thrown (wrapped in AggregateError if multiple tasks failed).
  *
- * @param {Array<() => Promise<any>>} tasks - Array of zero-arg async functions.
- * @param {number} [concurrency=Infinity] - Max simultaneous tasks.
+ * The cap is read before every task starts, so passing a limit from
+ * `createConcurrencyLimit` lets it be changed while the pool runs; with
+ * `opts.adaptive` it is tuned from task latency and errors instead.
+ *
+ * @param {Array<(signal?: AbortSignal) => Promise<any>>} tasks - Array of async functions; each is
+ *   called with `opts.signal`.
+ * @param {number | import('./concurrency.js').ConcurrencyLimit} [concurrency=Infinity] - Max simultaneous
+ *   tasks, or a limit object to control from outside.
  * @param {object} [opts={}] - Options.
- * @param {AbortSignal} [opts.signal] - Abort running; queued tasks are skipped.
+ * @param {AbortSignal} [opts.signal] - Abort running: queued tasks are skipped and the pool rejects
+ *   at once with an AbortError (running tasks are not awaited; they received the signal).
  * @param {(completed: number, total: number) => void} [opts.onProgress] - Progress callback.
+ * @param {boolean | object} [opts.adaptive=false] - Adapt concurrency to latency and errors (needs a
+ *   finite `concurrency` to start from); an object passes `createConcurrencyLimit` options.
+ * @param {(limit: number, previous: number) => void} [opts.onConcurrencyChange] - Called when the limit changes.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source for the task latencies `adaptive` reacts to.
  * @returns {Promise<any[]>} - Resolves with results array in original task order.
  */
 export async function pool(tasks, concurrency = Infinity, opts = {}) {
   if (!Array.isArray(tasks)) throw new TypeError('pool: tasks must be an array');
   if (tasks.length === 0) return [];
 
-  const { signal = null, onProgress = null } = opts;
+  const { signal = null, onProgress = null, adaptive = false, onConcurrencyChange = null, clock = systemClock } = opts;
+  throwIfAborted(signal, 'pool');
 
-  const cap = concurrency < 1 ? 1 : Math.floor(concurrency);
+  const limit = toConcurrencyLimit(
+    typeof concurrency === 'number' && concurrency < 1 ? 1 : concurrency,
+    adaptive
+  );
   const results = new Array(tasks.length);
   const errors = [];
   let taskIndex = 0;
   let completed = 0;
+  let running = 0;
   const total = tasks.length;
 
-  async function worker() {
-    while (taskIndex < total) {
-      if (signal?.aborted) break;
+  function progress() {
+    completed++;
+    if (typeof onProgress === 'function') onProgress(completed, total);
+  }
 
-      const idx = taskIndex++;
-      const fn = tasks[idx];
+  await new Promise((resolve) => {
+    let finished = false;
+    function finish() {
+      if (finished) return;
+      finished = true;
+      for (const unsubscribe of subscriptions) unsubscribe();
+      signal?.removeEventListener('abort', finish);
+      resolve();
+    }
 
-      if (typeof fn !== 'function') {
-        errors.push(new TypeError(`pool: task[${idx}] is not a function`));
-        completed++;
-        if (typeof onProgress === 'function') onProgress(completed, total);
-        continue;
-      }
+    function launch() {
+      if (finished) return;
+      while (running < limit.value && taskIndex < total && !signal?.aborted) {
+        const idx = taskIndex++;
+        const fn = tasks[idx];
+
+        if (typeof fn !== 'function') {
+          errors.push(new TypeError(`pool: task[${idx}] is not a function`));
+          progress();
+          continue;
+        }
 
-      try {
-        results[idx] = await fn();
-      } catch (err) {
-        // Tag the error with its index for ordering info
-        err._poolIndex = idx;
-        errors.push(err);
+        running++;
+        const started = clock.now();
+        const saturated = running >= limit.value;
+        let promise;
+        try {
+          promise = Promise.resolve(fn(signal ?? undefined));
+        } catch (err) {
+          promise = Promise.reject(err);
+        }
+        promise
+          .then(
+            (result) => {
+              results[idx] = result;
+              return true;
+            },
+            (err) => {
+              // Tag the error with its index for ordering info
+              if (err !== null && typeof err === 'object') err._poolIndex = idx;
+              errors.push(err);
+              return false;
+            }
+          )
+          .then((ok) => {
+            if (finished) return;
+            limit.record(clock.now() - started, ok, saturated || running >= limit.value);
+            running--;
+            progress();
+            launch();
+          });
       }
 
-      completed++;
-      if (typeof onProgress === 'function') onProgress(completed, total);
+      if (running === 0 && taskIndex >= total) finish();
     }
-  }
 
-  const workerCount = Math.min(cap, total);
-  const workers = Array.from({ length: workerCount }, worker);
-  await Promise.all(workers);
+    // A raised limit starts more tasks straight away.
+    const subscriptions = [limit.subscribe(() => launch())];
+    if (typeof onConcurrencyChange === 'function') subscriptions.push(limit.subscribe(onConcurrencyChange));
+    signal?.addEventListener('abort', finish, { once: true });
+    launch();
+  });
+
+  if (signal?.aborted) throw abortError(signal, 'pool');
 
   if (errors.length === 1) throw errors[0];
   if (errors.length > 1) {
@@ -69,3 +128,118 @@ export async function pool(tasks, concurrency = Infinity, opts = {}) {
 
   return results;
 }
+
+/**
+ * Map an (async) iterable through an async `worker` with a concurrency cap,
+ * yielding results as they become available.
+ *
+ * Items are pulled lazily: at most `concurrency` items are in flight or
+ * finished-but-not-yet-yielded at any time, so a slow consumer (or, in ordered
+ * mode, a slow item at the head of the line) stops the source from being
+ * read. Memory therefore stays bounded however long the source is.
+ *
+ * A worker error or an aborted signal ends the iteration with that error;
+ * nothing more is pulled and the source iterator is closed (`return()`), but
+ * tasks already running are not interrupted. Breaking out of a `for await`
+ * loop closes the source the same way.
+ *
+ * @param {Iterable<any> | AsyncIterable<any>} source - Items to process.
+ * @param {(item: any, index: number, signal?: AbortSignal) => Promise<any>} worker - Async mapper;
+ *   receives `opts.signal`.
+ * @param {object} [opts={}] - Options.
+ * @param {number} [opts.concurrency=1] - Max items in flight (and buffered).
+ * @param {boolean} [opts.ordered=true] - Yield in source order; false yields in completion order.
+ * @param {AbortSignal} [opts.signal] - Stop pulling and reject the iteration with an AbortError.
+ * @param {(completed: number, pulled: number) => void} [opts.onProgress] - Called after each item
+ *   completes, with the number of items pulled from the source so far.
+ * @returns {AsyncGenerator<any>}
+ */
+export async function* poolIterable(source, worker, opts = {}) {
+  const iterate = source?.[Symbol.asyncIterator] ?? source?.[Symbol.iterator];
+  if (typeof iterate !== 'function') throw new TypeError('poolIterable: source must be iterable');
+  if (typeof worker !== 'function') throw new TypeError('poolIterable: worker must be a function');
+
+  const { concurrency = 1, ordered = true, signal = null, onProgress = null } = opts;
+  if (typeof concurrency !== 'number' || !(concurrency >= 1) || concurrency === Infinity) {
+    throw new RangeError('poolIterable: concurrency must be a finite number >= 1');
+  }
+  const cap = Math.floor(concurrency);
+
+  const iterator = iterate.call(source);
+  let exhausted = false;
+  let pulled = 0;
+  let completed = 0;
+  let running = 0;
+  let nextToYield = 0;
+
+  /** @type {Map<number, { ok: boolean, value?: any, error?: any }>} settled, in completion order */
+  const settled = new Map();
+
+  /** Resolves the current wait when a task settles or the signal aborts. */
+  let wake = null;
+  const onAbort = () => wake?.();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  function start(item, index) {
+    running++;
+    let promise;
+    try {
+      promise = Promise.resolve(worker(item, index, signal ?? undefined));
+    } catch (err) {
+      promise = Promise.reject(err);
+    }
+    promise
+      .then((value) => ({ ok: true, value }), (error) => ({ ok: false, error }))
+      .then((outcome) => {
+        running--;
+        settled.set(index, outcome);
+        completed++;
+        if (typeof onProgress === 'function') onProgress(completed, pulled);
+        wake?.();
+      });
+  }
+
+  try {
+    while (true) {
+      throwIfAborted(signal, 'poolIterable');
+
+      // Pull while there is room; results not yet yielded count against the cap.
+      while (!exhausted && running + settled.size < cap) {
+        const step = await iterator.next();
+        if (step.done) {
+          exhausted = true;
+          break;
+        }
+        start(step.value, pulled++);
+        throwIfAborted(signal, 'poolIterable');
+      }
+
+      if (ordered) {
+        while (settled.has(nextToYield)) {
+          const outcome = settled.get(nextToYield);
+          settled.delete(nextToYield++);
+          if (!outcome.ok) throw outcome.error;
+          yield outcome.value;
+        }
+      } else {
+        for (const [index, outcome] of settled) {
+          settled.delete(index);
+          if (!outcome.ok) throw outcome.error;
+          yield outcome.value;
+        }
+      }
+
+      if (exhausted && running === 0 && settled.size === 0) return;
+
+      const ready = ordered ? settled.has(nextToYield) : settled.size > 0;
+      const canPull = !exhausted && running + settled.size < cap;
+      if (!ready && !canPull) {
+        await new Promise((resolve) => { wake = resolve; });
+        wake = null;
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+    if (!exhausted) await iterator.return?.();
+  }
+}
@@ -1,65 +1,195 @@
 /**
- * queue.js — Task queue with concurrency, drain, pause, resume
+ * queue.js — Task queue with concurrency, priorities, delays, keys, drain, pause, resume
  *
  * @module queue
  */
 
+import { toConcurrencyLimit } from './concurrency.js';
+import { abortError, linkSignals } from './abort.js';
+import { systemClock } from './clock.js';
+
 /**
  * Create a task queue that runs up to `concurrency` tasks simultaneously.
  *
- * @param {number} [concurrency=1] - Max simultaneous tasks.
+ * Tasks start in order of descending `priority`, FIFO within a priority.
+ * A task added with `delay` waits that long before it joins the line; one
+ * added with a `key` that is already waiting or running is coalesced: no new
+ * task is queued and the caller shares the existing task's promise. A higher
+ * `priority` on the coalesced add promotes the waiting task; its `delay` and
+ * `signal` are ignored (an already-aborted signal still rejects the add).
+ *
+ * Task status: 'delayed' → 'queued' → 'running', then the task is forgotten
+ * once it settles (or is cancelled).
+ *
+ * Events (`on(event, listener)` returns an unsubscribe function):
+ *  - 'active' (key) — a task started running.
+ *  - 'error' (err, key) — a task rejected. Its promise still rejects.
+ *  - 'idle' () — the queue went from busy to empty: the last task settled (or
+ *    was cancelled) and nothing is waiting or delayed.
+ * A listener that throws does not stop the queue; its error is rethrown on a
+ * later microtask (an uncaught exception, as with `EventTarget`).
+ *
+ * Concurrency can be changed at runtime through `queue.concurrency` (or a
+ * shared limit from `createConcurrencyLimit`), or tuned automatically with
+ * `opts.adaptive` (see `createConcurrencyLimit` for the AIMD rules). A queue
+ * stays subscribed to its limit until its signal aborts or `dispose()` is
+ * called, so dispose of queues that share a longer-lived limit.
+ *
+ * @param {number | import('./concurrency.js').ConcurrencyLimit} [concurrency=1] - Max simultaneous tasks,
+ *   or a limit object to share/control from outside.
+ * @param {object} [opts={}] - Options.
+ * @param {boolean | object} [opts.adaptive=false] - Adapt concurrency to latency and errors; an object
+ *   passes `min`, `max`, `targetLatency`, `maxErrorRate`, `sampleSize`, `increase`, `decrease`.
+ * @param {(limit: number, previous: number) => void} [opts.onConcurrencyChange] - Called when the limit changes.
+ * @param {AbortSignal} [opts.signal] - Aborts the whole queue: pending tasks reject with an AbortError,
+ *   later `add()` calls reject immediately, and running tasks see the signal.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source for task delays and for
+ *   the task latencies `adaptive` reacts to.
  * @returns {TaskQueue}
  *
+ * @typedef {Object} TaskOptions
+ * @property {number} [priority=0] - Higher runs first.
+ * @property {number} [delay=0] - Ms to wait before the task joins the line.
+ * @property {*} [key] - Coalescing key; also used by `status(key)`.
+ * @property {AbortSignal} [signal] - Abort to cancel the task if it has not started (AbortError).
+ *   Either way the task receives it (combined with the queue's signal) as its argument.
+ *
  * @typedef {Object} TaskQueue
- * @property {(fn: () => Promise<any>) => Promise<any>} add - Enqueue a task.
+ * @property {(fn: (signal?: AbortSignal) => Promise<any>, opts?: TaskOptions) => Promise<any>} add - Enqueue a task.
  * @property {() => Promise<void>} drain - Resolve when queue is empty and all tasks settled.
  * @property {() => void} pause - Pause processing (in-flight tasks still finish).
  * @property {() => void} resume - Resume processing.
  * @property {() => void} clear - Remove all pending (not yet started) tasks.
- * @property {number} size - Number of tasks waiting to start.
+ * @property {() => void} dispose - Clear pending tasks and unsubscribe from the concurrency limit.
+ * @property {(key: *) => ('delayed' | 'queued' | 'running' | undefined)} status - Status of the keyed task.
+ * @property {() => Array<{ key: *, priority: number, status: string }>} list - Snapshot of all unsettled tasks.
+ * @property {(event: string, listener: Function) => () => void} on - Subscribe to an event.
+ * @property {(event: string, listener: Function) => void} off - Unsubscribe.
+ * @property {number} size - Number of tasks waiting to start (including delayed ones).
  * @property {number} pending - Number of tasks currently running.
  * @property {boolean} paused - Whether the queue is paused.
+ * @property {number} concurrency - Current concurrency limit; assignable.
  */
-export function createQueue(concurrency = 1) {
-  if (typeof concurrency !== 'number' || concurrency < 1) {
+export function createQueue(concurrency = 1, opts = {}) {
+  if ((typeof concurrency !== 'number' || concurrency < 1) && typeof concurrency?.subscribe !== 'function') {
     throw new RangeError('createQueue: concurrency must be >= 1');
   }
-  concurrency = Math.floor(concurrency);
 
-  /** @type {{ fn: Function, resolve: Function, reject: Function }[]} */
+  const { adaptive = false, onConcurrencyChange = null, signal: queueSignal = null, clock = systemClock } = opts;
+  const limit = toConcurrencyLimit(concurrency, adaptive);
+  // Raising the limit should start waiting tasks right away.
+  const subscriptions = [limit.subscribe(() => tick())];
+  if (typeof onConcurrencyChange === 'function') subscriptions.push(limit.subscribe(onConcurrencyChange));
+
+  /**
+   * Tasks ready to start, sorted by descending priority (FIFO within one).
+   * @type {Task[]}
+   *
+   * @typedef {Object} Task
+   * @property {Function} fn
+   * @property {number} priority
+   * @property {*} key
+   * @property {string} status
+   * @property {Promise<any>} promise
+   * @property {Function} resolve
+   * @property {Function} reject
+   * @property {ReturnType<typeof setTimeout> | null} timer - Delay timer.
+   * @property {(() => void) | null} detach - Removes the abort listener.
+   * @property {{ signal: AbortSignal | undefined, dispose: () => void }} link - Task + queue signal.
+   */
   let tasks = [];
+  /** @type {Set<Task>} Tasks waiting out their delay. */
+  const delayed = new Set();
+  /** @type {Set<Task>} */
+  const active = new Set();
+  /** @type {Map<*, Task>} Unsettled tasks by key, for coalescing and status(). */
+  const byKey = new Map();
+
   let running = 0;
   let paused = false;
+  /** Whether tasks were added since the last 'idle'. */
+  let busy = false;
+  let disposed = false;
 
   /** Promises waiting for the drain event. */
   let drainResolvers = [];
 
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map();
+
+  /** Call the listeners for `event`; a throwing one must not leave the queue half-updated. */
+  function emit(event, ...args) {
+    const set = listeners.get(event);
+    if (!set) return;
+    for (const listener of [...set]) {
+      try {
+        listener(...args);
+      } catch (err) {
+        queueMicrotask(() => { throw err; });
+      }
+    }
+  }
+
   function checkDrain() {
-    if (running === 0 && tasks.length === 0) {
+    if (running === 0 && tasks.length === 0 && delayed.size === 0) {
       for (const resolve of drainResolvers) resolve();
       drainResolvers = [];
+      if (busy) {
+        busy = false;
+        emit('idle');
+      }
     }
   }
 
+  /** Insert after the last task with the same or higher priority. */
+  function enqueue(task) {
+    task.status = 'queued';
+    let i = tasks.length;
+    while (i > 0 && tasks[i - 1].priority < task.priority) i--;
+    tasks.splice(i, 0, task);
+  }
+
+  /** Forget a task that will not run again. */
+  function release(task) {
+    task.detach?.();
+    task.link.dispose();
+    if (task.key !== undefined && byKey.get(task.key) === task) byKey.delete(task.key);
+  }
+
   function tick() {
     if (paused) return;
-    while (running < concurrency && tasks.length > 0) {
-      const { fn, resolve, reject } = tasks.shift();
+    while (running < limit.value && tasks.length > 0) {
+      const task = tasks.shift();
+      task.status = 'running';
+      // Once started the signal no longer cancels the task; fn may still honour it.
+      task.detach?.();
+      task.detach = null;
+      active.add(task);
       running++;
+      emit('active', task.key);
+      const started = clock.now();
+      const saturated = running >= limit.value;
 
       // Start the task without awaiting — we drive concurrency manually
       Promise.resolve()
-        .then(() => fn())
+        .then(() => task.fn(task.link.signal))
         .then(
           (result) => {
+            limit.record(clock.now() - started, true, saturated || running >= limit.value);
             running--;
-            resolve(result);
+            active.delete(task);
+            release(task);
+            task.resolve(result);
             tick();
             checkDrain();
           },
           (err) => {
+            limit.record(clock.now() - started, false, saturated || running >= limit.value);
             running--;
-            reject(err);
+            active.delete(task);
+            release(task);
+            task.reject(err);
+            emit('error', err, task.key);
             tick();         // keep processing; one failure doesn't stop the queue
             checkDrain();
           }
@@ -67,28 +197,108 @@ export function createQueue(concurrency = 1) {
     }
   }
 
+  /** Raise a coalesced task's priority, re-sorting it if it is already in line. */
+  function promote(task, priority) {
+    if (priority <= task.priority || task.status === 'running') return;
+    task.priority = priority;
+    if (task.status === 'queued') {
+      tasks.splice(tasks.indexOf(task), 1);
+      enqueue(task);
+    }
+  }
+
+  /** Remove every task that has not started, rejecting it with `makeError()`. */
+  function cancelPending(makeError) {
+    for (const task of [...delayed, ...tasks]) cancel(task, makeError());
+    checkDrain();
+  }
+
+  /** Stop listening to the concurrency limit. */
+  function unsubscribe() {
+    for (const off of subscriptions.splice(0)) off();
+  }
+
+  /** Remove a task that has not started and reject it with `err`. */
+  function cancel(task, err) {
+    if (task.status === 'delayed') {
+      clock.clearTimeout(task.timer);
+      delayed.delete(task);
+    } else {
+      tasks.splice(tasks.indexOf(task), 1);
+    }
+    task.status = 'cancelled';
+    release(task);
+    task.reject(err);
+  }
+
   const queue = {
     /**
      * Add a task to the queue.
-     * @param {() => Promise<any>} fn - Zero-arg async function.
+     * @param {(signal?: AbortSignal) => Promise<any>} fn - Async function; receives the task's signal.
+     * @param {TaskOptions} [opts={}]
      * @returns {Promise<any>} Resolves/rejects with the task's result.
      */
-    add(fn) {
+    add(fn, opts = {}) {
       if (typeof fn !== 'function') return Promise.reject(new TypeError('queue.add: fn must be a function'));
-      return new Promise((resolve, reject) => {
-        tasks.push({ fn, resolve, reject });
-        tick();
+
+      const { priority = 0, delay = 0, key, signal = null } = opts;
+      if (typeof priority !== 'number' || Number.isNaN(priority)) {
+        return Promise.reject(new TypeError('queue.add: priority must be a number'));
+      }
+      if (!(delay >= 0)) return Promise.reject(new RangeError('queue.add: delay must be >= 0'));
+
+      if (queueSignal?.aborted) return Promise.reject(abortError(queueSignal, 'queue'));
+      if (signal?.aborted) return Promise.reject(abortError(signal, 'queue'));
+      if (disposed) return Promise.reject(new Error('queue.add: queue is disposed'));
+
+      const existing = key !== undefined ? byKey.get(key) : undefined;
+      if (existing) {
+        promote(existing, priority);
+        return existing.promise;
+      }
+
+      /** @type {Task} */
+      const task = { fn, priority, key, status: null, timer: null, detach: null };
+      task.link = linkSignals([queueSignal, signal]);
+      task.promise = new Promise((resolve, reject) => {
+        task.resolve = resolve;
+        task.reject = reject;
       });
+      if (key !== undefined) byKey.set(key, task);
+      busy = true;
+
+      if (signal) {
+        const onAbort = () => {
+          cancel(task, abortError(signal, 'queue'));
+          checkDrain();
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        task.detach = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      if (delay > 0) {
+        task.status = 'delayed';
+        delayed.add(task);
+        task.timer = clock.setTimeout(() => {
+          delayed.delete(task);
+          enqueue(task);
+          tick();
+        }, delay);
+      } else {
+        enqueue(task);
+        tick();
+      }
+      return task.promise;
     },
 
     /**
-     * Returns a Promise that resolves when the queue is fully empty (no tasks waiting
-     * and no tasks running). If already empty, resolves immediately.
+     * Returns a Promise that resolves when the queue is fully empty (no tasks waiting,
+     * delayed or running). If already empty, resolves immediately.
      *
      * @returns {Promise<void>}
      */
     drain() {
-      if (running === 0 && tasks.length === 0) return Promise.resolve();
+      if (running === 0 && tasks.length === 0 && delayed.size === 0) return Promise.resolve();
       return new Promise((resolve) => drainResolvers.push(resolve));
     },
 
@@ -110,27 +320,87 @@ export function createQueue(concurrency = 1) {
     },
 
     /**
-     * Remove all pending (not yet started) tasks from the queue.
+     * Remove all pending (not yet started) tasks from the queue, including delayed ones.
      * Their promises are rejected with a CancelError.
      */
     clear() {
-      const cancelled = tasks.splice(0);
-      for (const { reject } of cancelled) {
+      cancelPending(() => {
         const err = new Error('queue: task cancelled via clear()');
         err.name = 'CancelError';
-        reject(err);
-      }
+        return err;
+      });
+    },
+
+    /**
+     * Shut the queue down: pending tasks are cleared as by `clear()`, later
+     * `add()` calls reject, and the queue unsubscribes from its concurrency
+     * limit. In-flight tasks still finish. Calling it twice is a no-op.
+     */
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      unsubscribe();
+      queue.clear();
+    },
+
+    /**
+     * Status of the unsettled task added with `key`.
+     * @param {*} key
+     * @returns {'delayed' | 'queued' | 'running' | undefined} Undefined if no such task is waiting or running.
+     */
+    status(key) {
+      return byKey.get(key)?.status;
+    },
+
+    /**
+     * Snapshot of every unsettled task: running first, then queued in start order, then delayed.
+     * @returns {Array<{ key: *, priority: number, status: string }>}
+     */
+    list() {
+      return [...active, ...tasks, ...delayed].map(({ key, priority, status }) => ({ key, priority, status }));
+    },
+
+    /**
+     * @param {'active' | 'idle' | 'error'} event
+     * @param {Function} listener
+     * @returns {() => void} Unsubscribe function.
+     */
+    on(event, listener) {
+      if (typeof listener !== 'function') throw new TypeError('queue.on: listener must be a function');
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return () => queue.off(event, listener);
+    },
+
+    /**
+     * @param {'active' | 'idle' | 'error'} event
+     * @param {Function} listener
+     */
+    off(event, listener) {
+      listeners.get(event)?.delete(listener);
     },
 
-    /** @returns {number} Number of tasks waiting to start. */
-    get size() { return tasks.length; },
+    /** @returns {number} Number of tasks waiting to start (including delayed ones). */
+    get size() { return tasks.length + delayed.size; },
 
     /** @returns {number} Number of tasks currently running. */
     get pending() { return running; },
 
     /** @returns {boolean} */
     get paused() { return paused; },
+
+    /** @returns {number} Current concurrency limit. */
+    get concurrency() { return limit.value; },
+
+    /** Change the concurrency limit; raising it starts waiting tasks immediately. */
+    set concurrency(value) { limit.value = value; },
   };
 
+  if (queueSignal?.aborted) unsubscribe();
+  queueSignal?.addEventListener('abort', () => {
+    unsubscribe();
+    cancelPending(() => abortError(queueSignal, 'queue'));
+  }, { once: true });
+
   return queue;
 }
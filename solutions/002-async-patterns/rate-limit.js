@@ -0,0 +1,310 @@
+/**
+ * rate-limit.js — Limit calls per time interval (token bucket / sliding window)
+ *
+ * @module rate-limit
+ */
+
+import { abortError } from './abort.js';
+import { systemClock } from './clock.js';
+
+/**
+ * Token bucket: holds up to `burst` tokens and refills continuously at
+ * `rate` tokens per `interval`. Allows short bursts, smooth long-run rate.
+ */
+function tokenBucket(rate, interval, burst) {
+  let tokens = burst;
+  let last = null;
+
+  function refill(t) {
+    if (last !== null) tokens = Math.min(burst, tokens + ((t - last) * rate) / interval);
+    last = t;
+  }
+
+  return {
+    /** Ms until `cost` tokens exist (0 = now). */
+    wait(cost, t) {
+      refill(t);
+      return tokens >= cost ? 0 : Math.ceil(((cost - tokens) * interval) / rate);
+    },
+    /** Take `cost` tokens; only call after `wait()` returned 0. */
+    take(cost) {
+      tokens -= cost;
+    },
+    available(t) {
+      refill(t);
+      return Math.floor(tokens);
+    },
+  };
+}
+
+/**
+ * Sliding window log: at most `rate` units within any `interval` ms.
+ * Exact, but remembers every call inside the window.
+ */
+function slidingWindow(rate, interval) {
+  /** @type {{ time: number, cost: number }[]} oldest first */
+  let log = [];
+  let used = 0;
+
+  function prune(t) {
+    let expired = 0;
+    while (expired < log.length && log[expired].time <= t - interval) used -= log[expired++].cost;
+    if (expired > 0) log = log.slice(expired);
+  }
+
+  return {
+    wait(cost, t) {
+      prune(t);
+      if (used + cost <= rate) return 0;
+      // Wait for enough of the oldest entries to leave the window.
+      let freed = 0;
+      for (const entry of log) {
+        freed += entry.cost;
+        if (used - freed + cost <= rate) return entry.time + interval - t;
+      }
+      return interval;
+    },
+    take(cost, t) {
+      log.push({ time: t, cost });
+      used += cost;
+    },
+    available(t) {
+      prune(t);
+      return rate - used;
+    },
+  };
+}
+
+function rateLimitError(retryAfter) {
+  const err = new Error(`rateLimit: rate limit exceeded, retry after ${retryAfter}ms`);
+  err.name = 'RateLimitError';
+  err.retryAfter = retryAfter;
+  return err;
+}
+
+/**
+ * Create a rate limiter that can be shared by several functions.
+ *
+ * In `'queue'` mode, `acquire()` waits (FIFO) until capacity is available; in
+ * `'reject'` mode it rejects at once with a `RateLimitError` carrying
+ * `retryAfter` (ms).
+ *
+ * @param {object} opts - Options.
+ * @param {number} opts.rate - Calls (or cost units) allowed per `interval`.
+ * @param {number} [opts.interval=1000] - Interval in ms.
+ * @param {number} [opts.burst=rate] - Token-bucket capacity: calls allowed back-to-back after idling.
+ * @param {'token-bucket' | 'sliding-window'} [opts.algorithm='token-bucket'] - Limiting algorithm.
+ *   `'sliding-window'` never allows more than `rate` in any `interval` and ignores `burst`.
+ * @param {'queue' | 'reject'} [opts.mode='queue'] - Delay over-limit calls or reject them.
+ * @param {number} [opts.maxQueue=Infinity] - In queue mode, reject with `RateLimitError` beyond this many waiters.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source.
+ * @param {() => number} [opts.now=clock.now] - Current time in ms (overrides `clock.now`).
+ * @param {AbortSignal} [opts.signal] - Aborts the limiter: waiting and later acquisitions reject with an AbortError.
+ * @returns {RateLimiter}
+ *
+ * @typedef {Object} RateLimiter
+ * @property {(cost?: number, opts?: { signal?: AbortSignal }) => Promise<void>} acquire - Take capacity,
+ *   waiting or rejecting per `mode`.
+ * @property {(cost?: number) => boolean} tryAcquire - Take capacity now if available; never waits.
+ * @property {(fn: Function) => Function} wrap - Rate-limit `fn` with this limiter (see `rateLimit`).
+ * @property {() => number} available - Whole units that could be taken right now.
+ * @property {() => void} clear - Reject all waiting acquisitions with a CancelError.
+ * @property {number} pending - Number of acquisitions waiting in the queue.
+ */
+export function createRateLimiter(opts = {}) {
+  const {
+    rate,
+    interval = 1000,
+    burst = rate,
+    algorithm = 'token-bucket',
+    mode = 'queue',
+    maxQueue = Infinity,
+    clock = systemClock,
+    now = clock.now,
+    signal: limiterSignal = null,
+  } = opts;
+
+  if (!(rate > 0)) throw new RangeError('createRateLimiter: rate must be a positive number');
+  if (!(interval > 0)) throw new RangeError('createRateLimiter: interval must be a positive number');
+  if (!(burst >= 1)) throw new RangeError('createRateLimiter: burst must be >= 1');
+  if (mode !== 'queue' && mode !== 'reject') throw new TypeError(`createRateLimiter: unknown mode "${mode}"`);
+  if (!(maxQueue >= 0)) throw new RangeError('createRateLimiter: maxQueue must be >= 0');
+
+  let bucket;
+  if (algorithm === 'token-bucket') bucket = tokenBucket(rate, interval, burst);
+  else if (algorithm === 'sliding-window') bucket = slidingWindow(rate, interval);
+  else throw new TypeError(`createRateLimiter: unknown algorithm "${algorithm}"`);
+
+  const capacity = algorithm === 'token-bucket' ? burst : rate;
+
+  /** @type {{ cost: number, resolve: Function, reject: Function, detach: (() => void) | null }[]} */
+  let waiters = [];
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timer = null;
+
+  function checkCost(cost, method) {
+    if (!(cost > 0 && cost <= capacity)) {
+      throw new RangeError(`rateLimiter.${method}: cost must be in (0, ${capacity}]`);
+    }
+  }
+
+  /** Take `cost` if available; returns 0 on success or the ms to wait. */
+  function take(cost) {
+    const t = now();
+    const wait = bucket.wait(cost, t);
+    if (wait === 0) bucket.take(cost, t);
+    return wait;
+  }
+
+  /** Grant waiters in FIFO order; the head blocks everyone behind it. */
+  function pump() {
+    timer = null;
+    while (waiters.length > 0) {
+      const wait = take(waiters[0].cost);
+      if (wait > 0) {
+        timer = clock.setTimeout(pump, wait);
+        return;
+      }
+      const waiter = waiters.shift();
+      waiter.detach?.();
+      waiter.resolve();
+    }
+  }
+
+  /** Reject every waiter with `makeError()` and stop the timer. */
+  function rejectAll(makeError) {
+    if (timer !== null) {
+      clock.clearTimeout(timer);
+      timer = null;
+    }
+    const cancelled = waiters;
+    waiters = [];
+    for (const { reject, detach } of cancelled) {
+      detach?.();
+      reject(makeError());
+    }
+  }
+
+  const limiter = {
+    /**
+     * Take `cost` units of capacity.
+     * @param {number} [cost=1]
+     * @param {object} [acquireOpts={}]
+     * @param {AbortSignal} [acquireOpts.signal] - Give up waiting; rejects with an AbortError.
+     * @returns {Promise<void>} Resolves once granted; rejects with RateLimitError in reject mode.
+     */
+    acquire(cost = 1, acquireOpts = {}) {
+      const { signal = null } = acquireOpts;
+      try {
+        checkCost(cost, 'acquire');
+      } catch (err) {
+        return Promise.reject(err);
+      }
+      if (limiterSignal?.aborted) return Promise.reject(abortError(limiterSignal, 'rateLimit'));
+      if (signal?.aborted) return Promise.reject(abortError(signal, 'rateLimit'));
+
+      if (mode === 'reject') {
+        const wait = take(cost);
+        return wait === 0 ? Promise.resolve() : Promise.reject(rateLimitError(wait));
+      }
+
+      // Don't jump the queue: only take directly if nobody is waiting.
+      if (waiters.length === 0 && take(cost) === 0) return Promise.resolve();
+      if (waiters.length >= maxQueue) return Promise.reject(rateLimitError(bucket.wait(waiters[0]?.cost ?? cost, now())));
+
+      return new Promise((resolve, reject) => {
+        const waiter = { cost, resolve, reject, detach: null };
+        if (signal) {
+          const onAbort = () => {
+            const wasHead = waiters[0] === waiter;
+            waiters = waiters.filter((w) => w !== waiter);
+            reject(abortError(signal, 'rateLimit'));
+            // The timer was set for this waiter's cost; re-plan for the new head.
+            if (wasHead && timer !== null) {
+              clock.clearTimeout(timer);
+              pump();
+            }
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+          waiter.detach = () => signal.removeEventListener('abort', onAbort);
+        }
+        waiters.push(waiter);
+        if (timer === null) pump();
+      });
+    },
+
+    /**
+     * Take `cost` units if available right now, without waiting or queueing.
+     * @param {number} [cost=1]
+     * @returns {boolean} True if the capacity was taken.
+     */
+    tryAcquire(cost = 1) {
+      checkCost(cost, 'tryAcquire');
+      if (waiters.length > 0) return false;
+      return take(cost) === 0;
+    },
+
+    /**
+     * Rate-limit `fn` with this limiter.
+     * @param {(...args: any[]) => any} fn
+     * @param {object} [wrapOpts={}]
+     * @param {number | ((...args: any[]) => number)} [wrapOpts.cost=1] - Units per call, or a function of the call arguments.
+     * @returns {(...args: any[]) => Promise<any>}
+     */
+    wrap(fn, wrapOpts = {}) {
+      return rateLimit(fn, { ...wrapOpts, limiter });
+    },
+
+    /** @returns {number} Whole units that could be taken right now. */
+    available() {
+      return waiters.length > 0 ? 0 : Math.max(0, bucket.available(now()));
+    },
+
+    /**
+     * Reject every waiting acquisition with a CancelError.
+     */
+    clear() {
+      rejectAll(() => {
+        const err = new Error('rateLimiter: acquisition cancelled via clear()');
+        err.name = 'CancelError';
+        return err;
+      });
+    },
+
+    /** @returns {number} Number of acquisitions waiting in the queue. */
+    get pending() { return waiters.length; },
+  };
+
+  limiterSignal?.addEventListener('abort', () => rejectAll(() => abortError(limiterSignal, 'rateLimit')), { once: true });
+
+  return limiter;
+}
+
+/**
+ * Wrap a function so its calls respect a rate limit.
+ *
+ * Pass `limiter` to share one budget across several functions; otherwise a
+ * private limiter is created from the remaining options (see
+ * `createRateLimiter`). The wrapper preserves `this` and arguments, and
+ * appends `signal` (when given) so `fn` can stop early too.
+ *
+ * @param {(...args: any[]) => any} fn - The function to limit.
+ * @param {object} opts - `createRateLimiter` options, plus:
+ * @param {RateLimiter} [opts.limiter] - Shared limiter to draw from.
+ * @param {number | ((...args: any[]) => number)} [opts.cost=1] - Units per call, or a function of the call arguments.
+ * @param {AbortSignal} [opts.signal] - Calls waiting for (or made after) an abort reject with an AbortError.
+ * @returns {((...args: any[]) => Promise<any>) & { limiter: RateLimiter }}
+ */
+export function rateLimit(fn, opts = {}) {
+  if (typeof fn !== 'function') throw new TypeError('rateLimit: fn must be a function');
+
+  const { limiter = createRateLimiter(opts), cost = 1, signal = null } = opts;
+
+  async function limited(...args) {
+    await limiter.acquire(typeof cost === 'function' ? cost(...args) : cost, { signal });
+    return fn.apply(this, signal ? [...args, signal] : args);
+  }
+
+  limited.limiter = limiter;
+  return limited;
+}
@@ -4,12 +4,28 @@
  * @module retry
  */
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+import { abortable, abortError, delay as wait, throwIfAborted } from './abort.js';
+import { systemClock } from './clock.js';
+
+/**
+ * Delay before retry number `attempt + 1`, using `retry`'s backoff options.
+ * Shared with the durable queue, which schedules retries instead of sleeping.
+ *
+ * @param {number} attempt - Zero-based index of the attempt that just failed.
+ * @param {object} [opts={}] - `delay`, `factor`, `maxDelay`, `jitter` as in `retry`.
+ * @returns {number} Milliseconds.
+ */
+export function backoffDelay(attempt, opts = {}) {
+  const { delay = 100, factor = 2, maxDelay = Infinity, jitter = 0 } = opts;
+  const backoff = Math.min(delay * Math.pow(factor, attempt), maxDelay);
+  return backoff + (jitter > 0 ? Math.random() * jitter : 0);
+}
 
 /**
  * Retry an async function with exponential backoff.
  *
- * @param {() => Promise<any>} fn - Async function to retry (receives attempt index).
+ * @param {(attempt: number, signal?: AbortSignal) => Promise<any>} fn - Async function to retry
+ *   (receives the attempt index and `opts.signal`).
  * @param {object} [opts={}] - Options.
  * @param {number} [opts.retries=3] - Maximum number of retry attempts (not counting the first call).
  * @param {number} [opts.delay=100] - Base delay in ms between retries.
@@ -18,7 +34,9 @@ const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
  * @param {number} [opts.jitter=0] - Random jitter added (0–jitter ms) to each delay.
  * @param {(err: Error) => boolean} [opts.filter] - Return false to abort retrying immediately.
  * @param {(err: Error, attempt: number) => void} [opts.onRetry] - Called before each retry.
- * @param {AbortSignal} [opts.signal] - AbortSignal; if aborted, stops retrying immediately.
+ * @param {AbortSignal} [opts.signal] - AbortSignal; if aborted, stops retrying immediately
+ *   (even mid-attempt) and rejects with an AbortError.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source for the backoff waits.
  * @returns {Promise<any>}
  */
 export async function retry(fn, opts = {}) {
@@ -31,6 +49,7 @@ export async function retry(fn, opts = {}) {
     filter = null,
     onRetry = null,
     signal = null,
+    clock = systemClock,
   } = opts;
 
   if (typeof fn !== 'function') throw new TypeError('retry: fn must be a function');
@@ -40,15 +59,12 @@ export async function retry(fn, opts = {}) {
 
   for (let attempt = 0; attempt <= retries; attempt++) {
     // Abort check before each attempt
-    if (signal?.aborted) {
-      const err = new Error('retry: aborted');
-      err.name = 'AbortError';
-      throw err;
-    }
+    throwIfAborted(signal, 'retry');
 
     try {
-      return await fn(attempt);
+      return await abortable(fn(attempt, signal ?? undefined), signal, 'retry');
     } catch (err) {
+      if (signal?.aborted) throw abortError(signal, 'retry');
       lastError = err;
 
       // Don't retry if this is the last attempt
@@ -58,25 +74,12 @@ export async function retry(fn, opts = {}) {
       if (filter !== null && !filter(err)) throw err;
 
       // Compute backoff delay
-      const backoff = Math.min(delay * Math.pow(factor, attempt), maxDelay);
-      const wait = backoff + (jitter > 0 ? Math.random() * jitter : 0);
+      const pause = backoffDelay(attempt, { delay, factor, maxDelay, jitter });
 
       if (typeof onRetry === 'function') onRetry(err, attempt + 1);
 
       // Abortable sleep
-      await new Promise((resolve, reject) => {
-        const timer = setTimeout(resolve, wait);
-        if (signal) {
-          const onAbort = () => {
-            clearTimeout(timer);
-            const abortErr = new Error('retry: aborted');
-            abortErr.name = 'AbortError';
-            reject(abortErr);
-          };
-          if (signal.aborted) { onAbort(); return; }
-          signal.addEventListener('abort', onAbort, { once: true });
-        }
-      });
+      await wait(pause, signal, 'retry', clock);
     }
   }
 
@@ -0,0 +1,246 @@
+/**
+ * scheduler.js — Run jobs on cron schedules or fixed intervals
+ *
+ * @module scheduler
+ */
+
+import { systemClock } from './clock.js';
+import { parseCron } from './cron.js';
+import { createQueue } from './queue.js';
+
+/** setTimeout's upper bound; longer waits are done in several hops. */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const OVERLAP_POLICIES = ['skip', 'queue', 'allow'];
+
+/**
+ * Create a scheduler for periodic jobs.
+ *
+ * Each job has a schedule — a cron expression (see `parseCron`) or an
+ * interval in ms — and an overlap policy deciding what happens when it comes
+ * due while its previous run has not finished:
+ *  - 'skip': drop this run (a 'skip' event is emitted).
+ *  - 'queue': run once the previous run finishes; further due times
+ *    meanwhile are coalesced into that one pending run.
+ *  - 'allow': start another run alongside.
+ *
+ * Runs go through a `createQueue` queue, so `concurrency` (or a shared
+ * `queue`) bounds how many jobs run at once across the scheduler. Intervals
+ * run at a fixed rate (due times are start + k·interval); due times missed
+ * while the process was busy or asleep are skipped, not replayed.
+ *
+ * Events (`on(event, listener)` returns an unsubscribe function):
+ *  - 'run' (name, scheduledAt) — a run started.
+ *  - 'done' (name, result, scheduledAt) — a run resolved.
+ *  - 'error' (name, err, scheduledAt) — a run rejected.
+ *  - 'skip' (name, scheduledAt) — a run was dropped by the 'skip' policy.
+ *
+ * @param {object} [opts={}] - Options.
+ * @param {import('./queue.js').TaskQueue} [opts.queue] - Queue to run jobs on.
+ * @param {number} [opts.concurrency=Infinity] - Concurrency of the scheduler's own queue (when `queue` is not given).
+ * @param {boolean} [opts.utc=false] - Evaluate cron expressions in UTC instead of local time.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source and timers (see `createFakeClock`).
+ * @param {AbortSignal} [opts.signal] - Aborting stops the scheduler (see `stop`).
+ * @returns {Scheduler}
+ *
+ * @typedef {Object} JobOptions
+ * @property {'skip' | 'queue' | 'allow'} [overlap='skip'] - What to do when due while still running.
+ * @property {boolean} [immediate=false] - Also run once as soon as the job is added.
+ * @property {number} [priority=0] - Queue priority of this job's runs.
+ *
+ * @typedef {Object} Scheduler
+ * @property {(name: string, schedule: string | number, fn: JobFn, opts?: JobOptions) => void} add - Add a job.
+ * @property {(name: string) => boolean} remove - Remove a job; its running runs still finish.
+ * @property {(name: string) => number | null} next - When the job is next due (ms), or null.
+ * @property {(name: string) => Promise<any>} run - Run a job now, outside its schedule and overlap policy.
+ * @property {() => Array<{ name: string, schedule: string | number, next: number | null, running: number, runs: number }>} list
+ * @property {() => Promise<void>} stop - Stop scheduling; resolves once running runs have finished.
+ * @property {(event: string, listener: Function) => () => void} on - Subscribe to an event.
+ * @property {(event: string, listener: Function) => void} off - Unsubscribe.
+ *
+ * @callback JobFn
+ * @param {{ name: string, scheduledAt: number }} info
+ * @param {AbortSignal} [signal] - The queue's signal, if any.
+ * @returns {Promise<any>}
+ */
+export function createScheduler(opts = {}) {
+  const { queue = createQueue(opts.concurrency ?? Infinity), utc = false, clock = systemClock, signal = null } = opts;
+
+  /** @type {Map<string, Job>} */
+  const jobs = new Map();
+  /** Promises of unsettled runs, for stop(). */
+  const inFlight = new Set();
+  let stopped = false;
+
+  /** @type {Map<string, Set<Function>>} */
+  const listeners = new Map();
+
+  function emit(event, ...args) {
+    const set = listeners.get(event);
+    if (!set) return;
+    for (const listener of [...set]) listener(...args);
+  }
+
+  /**
+   * @typedef {Object} Job
+   * @property {string} name
+   * @property {string | number} schedule
+   * @property {(from: number, now: number) => number | null} nextDue
+   * @property {JobFn} fn
+   * @property {string} overlap
+   * @property {number} priority
+   * @property {number | null} due - Next due time.
+   * @property {any} timer
+   * @property {number} running - Runs queued or executing.
+   * @property {number | null} pendingAt - Due time of a run held back by the 'queue' policy.
+   * @property {number} runs - Runs started so far.
+   */
+
+  function arm(job) {
+    if (job.due === null || stopped) return;
+    const wait = Math.max(0, job.due - clock.now());
+    job.timer = clock.setTimeout(() => {
+      job.timer = null;
+      if (jobs.get(job.name) !== job) return;
+      if (clock.now() < job.due) {
+        // Woke early from a capped hop.
+        arm(job);
+        return;
+      }
+      fire(job, job.due);
+    }, Math.min(wait, MAX_TIMEOUT));
+  }
+
+  function fire(job, scheduledAt) {
+    job.due = job.nextDue(scheduledAt, clock.now());
+    arm(job);
+
+    if (job.running > 0) {
+      if (job.overlap === 'skip') {
+        emit('skip', job.name, scheduledAt);
+        return;
+      }
+      if (job.overlap === 'queue') {
+        job.pendingAt ??= scheduledAt;
+        return;
+      }
+    }
+    start(job, scheduledAt);
+  }
+
+  function start(job, scheduledAt) {
+    job.running++;
+    job.runs++;
+    const promise = queue.add(
+      (queueSignal) => {
+        emit('run', job.name, scheduledAt);
+        return job.fn({ name: job.name, scheduledAt }, queueSignal);
+      },
+      { priority: job.priority }
+    );
+    inFlight.add(promise);
+    promise.then(
+      (result) => emit('done', job.name, result, scheduledAt),
+      (err) => emit('error', job.name, err, scheduledAt)
+    ).finally(() => {
+      inFlight.delete(promise);
+      job.running--;
+      if (job.pendingAt !== null && job.running === 0) {
+        const pendingAt = job.pendingAt;
+        job.pendingAt = null;
+        if (jobs.get(job.name) === job && !stopped) start(job, pendingAt);
+      }
+    });
+    return promise;
+  }
+
+  /**
+   * Build `nextDue(from, now)`: the first due time after `from` that is also
+   * after `now`, so due times missed while busy or asleep are skipped.
+   */
+  function toNextDue(schedule) {
+    if (typeof schedule === 'number') {
+      if (!(schedule > 0) || schedule === Infinity) throw new RangeError('scheduler.add: interval must be a positive number');
+      return (from, now) => from + (Math.floor(Math.max(0, now - from) / schedule) + 1) * schedule;
+    }
+    if (typeof schedule === 'string') {
+      const cron = parseCron(schedule, { utc });
+      return (from, now) => cron.next(Math.max(from, now));
+    }
+    throw new TypeError('scheduler.add: schedule must be a cron expression or an interval in ms');
+  }
+
+  const scheduler = {
+    add(name, schedule, fn, jobOpts = {}) {
+      if (typeof name !== 'string' || name === '') throw new TypeError('scheduler.add: name must be a non-empty string');
+      if (jobs.has(name)) throw new Error(`scheduler.add: a job named "${name}" already exists`);
+      if (typeof fn !== 'function') throw new TypeError('scheduler.add: fn must be a function');
+      const { overlap = 'skip', immediate = false, priority = 0 } = jobOpts;
+      if (!OVERLAP_POLICIES.includes(overlap)) {
+        throw new RangeError(`scheduler.add: overlap must be one of ${OVERLAP_POLICIES.join(', ')}`);
+      }
+      if (stopped) throw new Error('scheduler.add: scheduler is stopped');
+
+      const nextDue = toNextDue(schedule);
+      const now = clock.now();
+      /** @type {Job} */
+      const job = {
+        name, schedule, nextDue, fn, overlap, priority,
+        due: nextDue(now, now), timer: null, running: 0, pendingAt: null, runs: 0,
+      };
+      jobs.set(name, job);
+      arm(job);
+      if (immediate) start(job, now);
+    },
+
+    remove(name) {
+      const job = jobs.get(name);
+      if (!job) return false;
+      if (job.timer !== null) clock.clearTimeout(job.timer);
+      job.pendingAt = null;
+      jobs.delete(name);
+      return true;
+    },
+
+    next(name) {
+      return jobs.get(name)?.due ?? null;
+    },
+
+    run(name) {
+      const job = jobs.get(name);
+      if (!job) return Promise.reject(new Error(`scheduler.run: no job named "${name}"`));
+      return start(job, clock.now());
+    },
+
+    list() {
+      return [...jobs.values()].map(({ name, schedule, due, running, runs }) => ({ name, schedule, next: due, running, runs }));
+    },
+
+    async stop() {
+      stopped = true;
+      for (const job of jobs.values()) {
+        if (job.timer !== null) clock.clearTimeout(job.timer);
+        job.timer = null;
+        job.due = null;
+        job.pendingAt = null;
+      }
+      await Promise.allSettled([...inFlight]);
+    },
+
+    on(event, listener) {
+      if (typeof listener !== 'function') throw new TypeError('scheduler.on: listener must be a function');
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return () => scheduler.off(event, listener);
+    },
+
+    off(event, listener) {
+      listeners.get(event)?.delete(listener);
+    },
+  };
+
+  if (signal?.aborted) scheduler.stop();
+  else signal?.addEventListener('abort', () => scheduler.stop(), { once: true });
+
+  return scheduler;
+}
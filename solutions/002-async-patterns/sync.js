@@ -0,0 +1,423 @@
+/**
+ * sync.js — Coordination primitives: Semaphore, Mutex, RWLock, Barrier, Latch
+ *
+ * All waits are FIFO and accept `{ timeout, signal }`: a timeout rejects with
+ * a `TimeoutError` (`timeout` = ms) and an abort with an `AbortError`; either
+ * way the caller leaves the line without acquiring anything. An already-aborted
+ * signal rejects even when the wait would not have been needed.
+ *
+ * @module sync
+ */
+
+import { abortError } from './abort.js';
+import { systemClock } from './clock.js';
+
+/**
+ * @typedef {Object} WaitOptions
+ * @property {number} [timeout=Infinity] - Give up after this many ms.
+ * @property {AbortSignal} [signal] - Give up when aborted.
+ * @property {import('./clock.js').Clock} [clock=systemClock] - Time source for the timeout.
+ */
+
+function timeoutError(label, ms) {
+  const err = new Error(`${label}: timed out after ${ms}ms`);
+  err.name = 'TimeoutError';
+  err.timeout = ms;
+  return err;
+}
+
+/**
+ * Join `queue` and wait to be granted. The entry gets a `grant(value)`
+ * method; whoever grants it must take it out of the queue first.
+ *
+ * @param {object[]} queue
+ * @param {object} entry - Extra fields for the waiter (e.g. its kind).
+ * @param {string} label - Error prefix, e.g. 'semaphore.acquire'.
+ * @param {WaitOptions} opts
+ * @param {() => void} [onCancel] - Called after a waiter gives up (the line may be able to move).
+ * @returns {Promise<any>}
+ */
+function enqueue(queue, entry, label, opts, onCancel) {
+  const { timeout = Infinity, signal = null, clock = systemClock } = opts;
+  if (!(timeout >= 0)) return Promise.reject(new RangeError(`${label}: timeout must be >= 0`));
+  if (signal?.aborted) return Promise.reject(abortError(signal, label));
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const cleanup = () => {
+      if (timer !== null) clock.clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const cancel = (err) => {
+      const index = queue.indexOf(waiter);
+      if (index === -1) return;
+      queue.splice(index, 1);
+      cleanup();
+      reject(err);
+      onCancel?.();
+    };
+    const onAbort = () => cancel(abortError(signal, label));
+    const waiter = {
+      ...entry,
+      grant(value) {
+        cleanup();
+        resolve(value);
+      },
+    };
+
+    queue.push(waiter);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (timeout !== Infinity) timer = clock.setTimeout(() => cancel(timeoutError(label, timeout)), timeout);
+  });
+}
+
+/**
+ * A counting semaphore: at most `permits` holders at a time.
+ *
+ *   const slots = new Semaphore(3);
+ *   await slots.acquire({ timeout: 1000 });
+ *   try { ... } finally { slots.release(); }
+ */
+export class Semaphore {
+  #permits;
+  #available;
+  /** @type {Array<{ grant: () => void }>} */
+  #waiters = [];
+
+  /**
+   * @param {number} [permits=1] - How many holders may hold the semaphore at once.
+   */
+  constructor(permits = 1) {
+    if (!Number.isInteger(permits) || permits < 1) throw new RangeError('Semaphore: permits must be a positive integer');
+    this.#permits = permits;
+    this.#available = permits;
+  }
+
+  /** Permits not currently held. */
+  get available() {
+    return this.#available;
+  }
+
+  /** Callers waiting to acquire. */
+  get waiting() {
+    return this.#waiters.length;
+  }
+
+  /**
+   * Take a permit, waiting for one if none is free.
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<void>}
+   */
+  acquire(opts = {}) {
+    if (opts.signal?.aborted) return Promise.reject(abortError(opts.signal, 'semaphore.acquire'));
+    if (this.tryAcquire()) return Promise.resolve();
+    return enqueue(this.#waiters, {}, 'semaphore.acquire', opts);
+  }
+
+  /**
+   * Take a permit only if one is free right now (and nobody is waiting).
+   * @returns {boolean}
+   */
+  tryAcquire() {
+    if (this.#available === 0 || this.#waiters.length > 0) return false;
+    this.#available--;
+    return true;
+  }
+
+  /**
+   * Give a permit back; the longest waiter (if any) gets it.
+   * @throws {Error} If no permit is held.
+   */
+  release() {
+    const next = this.#waiters.shift();
+    if (next) {
+      next.grant();
+      return;
+    }
+    if (this.#available === this.#permits) throw new Error('semaphore.release: no permit is held');
+    this.#available++;
+  }
+
+  /**
+   * Run `fn` while holding a permit, releasing it however `fn` settles.
+   * @param {() => Promise<any>} fn
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<any>}
+   */
+  async run(fn, opts = {}) {
+    await this.acquire(opts);
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+/**
+ * Mutual exclusion for async code — one holder at a time.
+ *
+ *   const mutex = new Mutex();
+ *   await mutex.runExclusive(async () => { ...critical section... });
+ */
+export class Mutex {
+  #locked = false;
+  /** @type {Array<{ grant: () => void }>} */
+  #waiters = [];
+
+  /** Whether someone holds the lock. */
+  get locked() {
+    return this.#locked;
+  }
+
+  /** Callers waiting for the lock. */
+  get waiting() {
+    return this.#waiters.length;
+  }
+
+  /**
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<void>}
+   */
+  lock(opts = {}) {
+    if (opts.signal?.aborted) return Promise.reject(abortError(opts.signal, 'mutex.lock'));
+    if (this.tryLock()) return Promise.resolve();
+    return enqueue(this.#waiters, {}, 'mutex.lock', opts);
+  }
+
+  /** @returns {boolean} True if the lock was free and is now held. */
+  tryLock() {
+    if (this.#locked) return false;
+    this.#locked = true;
+    return true;
+  }
+
+  /**
+   * Release the lock; the longest waiter (if any) takes it over.
+   * @throws {Error} If the lock is not held.
+   */
+  unlock() {
+    if (!this.#locked) throw new Error('mutex.unlock: mutex is not locked');
+    const next = this.#waiters.shift();
+    if (next) next.grant();
+    else this.#locked = false;
+  }
+
+  /**
+   * Run `fn` while holding the lock, unlocking however `fn` settles.
+   * @param {() => Promise<any>} fn
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<any>}
+   */
+  async runExclusive(fn, opts = {}) {
+    await this.lock(opts);
+    try {
+      return await fn();
+    } finally {
+      this.unlock();
+    }
+  }
+}
+
+/**
+ * Readers–writer lock: any number of readers, or one writer.
+ *
+ * Waiters are served in arrival order, so a waiting writer holds back readers
+ * that arrive after it (writers cannot starve); consecutive readers at the
+ * front of the line are let in together.
+ */
+export class RWLock {
+  #readers = 0;
+  #writing = false;
+  /** @type {Array<{ kind: 'read' | 'write', grant: () => void }>} */
+  #waiters = [];
+
+  /** Readers currently holding the lock. */
+  get readers() {
+    return this.#readers;
+  }
+
+  /** Whether a writer holds the lock. */
+  get writing() {
+    return this.#writing;
+  }
+
+  /** Callers waiting for the lock. */
+  get waiting() {
+    return this.#waiters.length;
+  }
+
+  /**
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<void>}
+   */
+  acquireRead(opts = {}) {
+    if (opts.signal?.aborted) return Promise.reject(abortError(opts.signal, 'rwlock.acquireRead'));
+    if (!this.#writing && this.#waiters.length === 0) {
+      this.#readers++;
+      return Promise.resolve();
+    }
+    return enqueue(this.#waiters, { kind: 'read' }, 'rwlock.acquireRead', opts, () => this.#dispatch());
+  }
+
+  /**
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<void>}
+   */
+  acquireWrite(opts = {}) {
+    if (opts.signal?.aborted) return Promise.reject(abortError(opts.signal, 'rwlock.acquireWrite'));
+    if (!this.#writing && this.#readers === 0 && this.#waiters.length === 0) {
+      this.#writing = true;
+      return Promise.resolve();
+    }
+    return enqueue(this.#waiters, { kind: 'write' }, 'rwlock.acquireWrite', opts, () => this.#dispatch());
+  }
+
+  /** @throws {Error} If no read lock is held. */
+  releaseRead() {
+    if (this.#readers === 0) throw new Error('rwlock.releaseRead: no read lock is held');
+    this.#readers--;
+    this.#dispatch();
+  }
+
+  /** @throws {Error} If the write lock is not held. */
+  releaseWrite() {
+    if (!this.#writing) throw new Error('rwlock.releaseWrite: write lock is not held');
+    this.#writing = false;
+    this.#dispatch();
+  }
+
+  /**
+   * @param {() => Promise<any>} fn
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<any>}
+   */
+  async runRead(fn, opts = {}) {
+    await this.acquireRead(opts);
+    try {
+      return await fn();
+    } finally {
+      this.releaseRead();
+    }
+  }
+
+  /**
+   * @param {() => Promise<any>} fn
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<any>}
+   */
+  async runWrite(fn, opts = {}) {
+    await this.acquireWrite(opts);
+    try {
+      return await fn();
+    } finally {
+      this.releaseWrite();
+    }
+  }
+
+  /** Let in whoever at the front of the line can go now. */
+  #dispatch() {
+    while (this.#waiters.length > 0 && !this.#writing) {
+      const head = this.#waiters[0];
+      if (head.kind === 'write') {
+        if (this.#readers > 0) return;
+        this.#waiters.shift();
+        this.#writing = true;
+        head.grant();
+        return;
+      }
+      this.#waiters.shift();
+      this.#readers++;
+      head.grant();
+    }
+  }
+}
+
+/**
+ * A reusable (cyclic) barrier: `wait()` blocks until `parties` callers are
+ * waiting, then releases them all and resets for the next round.
+ *
+ * A caller that times out or aborts leaves the round; the others keep waiting.
+ */
+export class Barrier {
+  #parties;
+  /** @type {Array<{ grant: (index: number) => void }>} */
+  #waiters = [];
+
+  /**
+   * @param {number} parties - Callers needed to trip the barrier.
+   */
+  constructor(parties) {
+    if (!Number.isInteger(parties) || parties < 1) throw new RangeError('Barrier: parties must be a positive integer');
+    this.#parties = parties;
+  }
+
+  /** Callers needed to trip the barrier. */
+  get parties() {
+    return this.#parties;
+  }
+
+  /** Callers waiting in the current round. */
+  get waiting() {
+    return this.#waiters.length;
+  }
+
+  /**
+   * Wait for the rest of the round.
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<number>} Arrival index in the round (the last arrival gets `parties - 1`).
+   */
+  wait(opts = {}) {
+    if (opts.signal?.aborted) return Promise.reject(abortError(opts.signal, 'barrier.wait'));
+    if (this.#waiters.length + 1 < this.#parties) {
+      return enqueue(this.#waiters, {}, 'barrier.wait', opts);
+    }
+    const round = this.#waiters.splice(0);
+    round.forEach((waiter, index) => waiter.grant(index));
+    return Promise.resolve(round.length);
+  }
+}
+
+/**
+ * A one-shot countdown latch: `wait()` blocks until `countDown()` has been
+ * called `count` times. Once open it stays open.
+ */
+export class Latch {
+  #count;
+  /** @type {Array<{ grant: () => void }>} */
+  #waiters = [];
+
+  /**
+   * @param {number} count - Count-downs needed to open the latch (0 = already open).
+   */
+  constructor(count) {
+    if (!Number.isInteger(count) || count < 0) throw new RangeError('Latch: count must be a non-negative integer');
+    this.#count = count;
+  }
+
+  /** Count-downs still needed. */
+  get count() {
+    return this.#count;
+  }
+
+  /**
+   * @param {number} [n=1]
+   */
+  countDown(n = 1) {
+    if (!Number.isInteger(n) || n < 1) throw new RangeError('latch.countDown: n must be a positive integer');
+    if (this.#count === 0) return;
+    this.#count = Math.max(0, this.#count - n);
+    if (this.#count === 0) for (const waiter of this.#waiters.splice(0)) waiter.grant();
+  }
+
+  /**
+   * Resolve once the count reaches zero.
+   * @param {WaitOptions} [opts={}]
+   * @returns {Promise<void>}
+   */
+  wait(opts = {}) {
+    if (opts.signal?.aborted) return Promise.reject(abortError(opts.signal, 'latch.wait'));
+    if (this.#count === 0) return Promise.resolve();
+    return enqueue(this.#waiters, {}, 'latch.wait', opts);
+  }
+}
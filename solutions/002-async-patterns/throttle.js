@@ -0,0 +1,162 @@
+/**
+ * throttle.js — Async-safe throttle
+ *
+ * @module throttle
+ */
+
+import { abortError } from './abort.js';
+import { systemClock } from './clock.js';
+
+/**
+ * Create an async-safe throttled version of `fn`: it runs at most once per
+ * `ms` milliseconds.
+ *
+ * - leading: a call while idle runs `fn` immediately and starts a cooldown.
+ * - trailing: calls during the cooldown are collapsed into one run with the
+ *   LAST set of arguments when the cooldown ends (which starts a new one).
+ *   All of them share that run's Promise.
+ * - With `trailing: false`, calls during the cooldown are dropped and get
+ *   the Promise of the most recent run instead.
+ *
+ * @param {(...args: any[]) => Promise<any>} fn - The async function to throttle.
+ * @param {number} ms - Minimum time between runs, in milliseconds.
+ * @param {object} [opts={}] - Options.
+ * @param {boolean} [opts.leading=true] - Run on the leading edge of the cooldown.
+ * @param {boolean} [opts.trailing=true] - Run once more at the end of the cooldown if called during it.
+ * @param {AbortSignal} [opts.signal] - Passed to `fn` after the call's arguments. On abort the timer
+ *   is cleared, a pending trailing run is rejected with an AbortError, and later calls reject immediately.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source for the cooldown timer.
+ * @returns {ThrottledFn}
+ *
+ * @typedef {Object} ThrottledFn
+ * @property {(...args: any[]) => Promise<any>} call - Invoke the throttled function.
+ * @property {() => void} cancel - Drop the pending trailing run (its promise is rejected) and end the cooldown.
+ * @property {() => Promise<any>} flush - Run the pending trailing call now, if any.
+ * @property {() => boolean} isPending - Returns true if a trailing run is scheduled.
+ */
+export function throttle(fn, ms, opts = {}) {
+  if (typeof fn !== 'function') throw new TypeError('throttle: fn must be a function');
+  if (typeof ms !== 'number' || ms < 0) throw new RangeError('throttle: ms must be >= 0');
+
+  const { leading = true, trailing = true, signal = null, clock = systemClock } = opts;
+  if (!leading && !trailing) throw new RangeError('throttle: leading and trailing cannot both be false');
+
+  /** @type {ReturnType<typeof setTimeout> | null} Active while cooling down. */
+  let timer = null;
+
+  /** Collected trailing call: latest args plus the promise its callers share. */
+  let window = null;
+
+  /** @type {Promise<any>} Promise of the most recent run. */
+  let last = Promise.resolve(undefined);
+
+  function createWindow(args) {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { args, promise, resolve, reject };
+  }
+
+  const onAbort = () => cancel(abortError(signal, 'throttle'));
+
+  /** Listen for abort only while cooling down, so the signal does not keep an idle throttle alive. */
+  function watchAbort() {
+    if (timer !== null) signal?.addEventListener('abort', onAbort, { once: true });
+    else signal?.removeEventListener('abort', onAbort);
+  }
+
+  function run(win) {
+    last = win.promise;
+    Promise.resolve()
+      .then(() => (signal ? fn(...win.args, signal) : fn(...win.args)))
+      .then(win.resolve, win.reject);
+    startCooldown();
+    return win.promise;
+  }
+
+  function startCooldown() {
+    timer = clock.setTimeout(() => {
+      timer = null;
+      if (window) {
+        const win = window;
+        window = null;
+        run(win);
+      }
+      watchAbort();
+    }, ms);
+    watchAbort();
+  }
+
+  /**
+   * Call the throttled function.
+   *
+   * @param {...any} args
+   * @returns {Promise<any>}
+   */
+  function throttledFn(...args) {
+    if (signal?.aborted) return Promise.reject(abortError(signal, 'throttle'));
+
+    if (timer === null) {
+      // Idle: run now, or open a window that runs when the cooldown ends.
+      if (leading) return run(createWindow(args));
+      window = createWindow(args);
+      startCooldown();
+      return window.promise;
+    }
+
+    if (!trailing) return last;
+
+    // Trailing throttle uses last-call args
+    if (window) window.args = args;
+    else window = createWindow(args);
+    return window.promise;
+  }
+
+  /**
+   * Drop the pending trailing run and end the cooldown.
+   * Callers awaiting that run receive a rejection.
+   */
+  function cancel(err = null) {
+    if (timer) {
+      clock.clearTimeout(timer);
+      timer = null;
+    }
+    if (window) {
+      if (err === null) {
+        err = new Error('throttle: cancelled');
+        err.name = 'CancelError';
+      }
+      window.reject(err);
+      window = null;
+    }
+    watchAbort();
+  }
+
+  /**
+   * Run the pending trailing call immediately (restarting the cooldown).
+   * If nothing is pending, returns a resolved Promise with undefined.
+   *
+   * @returns {Promise<any>}
+   */
+  function flush() {
+    if (signal?.aborted) return Promise.reject(abortError(signal, 'throttle'));
+    if (!window) return Promise.resolve(undefined);
+
+    if (timer) {
+      clock.clearTimeout(timer);
+      timer = null;
+    }
+
+    const win = window;
+    window = null;
+    return run(win);
+  }
+
+  /**
+   * @returns {boolean} True if a trailing run is scheduled.
+   */
+  function isPending() {
+    return window !== null;
+  }
+
+  return { call: throttledFn, cancel: () => cancel(), flush, isPending };
+}
@@ -4,6 +4,9 @@
  * @module timeout
  */
 
+import { abortError, linkSignals } from './abort.js';
+import { systemClock } from './clock.js';
+
 /**
  * Wrap an async function so it rejects if it doesn't resolve within `ms` milliseconds.
  * The underlying function is still called; we just stop waiting for it after `ms`.
@@ -15,19 +18,31 @@
  * @param {string} [opts.message] - Custom timeout error message.
  * @param {AbortController} [opts.controller] - If provided, its signal is aborted on timeout
  *   so the inner function can honour cancellation.
+ * @param {AbortSignal} [opts.signal] - If aborted, pending calls reject with an AbortError (and
+ *   later calls reject without calling `fn`); the timer is cleared. When given, `fn` receives a
+ *   per-call signal after its arguments, aborted by this signal or by the timeout (with the
+ *   TimeoutError as its reason).
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source for the timer.
  * @returns {(...args: any[]) => Promise<any>} - Wrapped function with identical signature.
  */
 export function withTimeout(fn, ms, opts = {}) {
   if (typeof fn !== 'function') throw new TypeError('withTimeout: fn must be a function');
   if (typeof ms !== 'number' || ms <= 0) throw new RangeError('withTimeout: ms must be a positive number');
 
-  const { message = null, controller = null } = opts;
+  const { message = null, controller = null, signal = null, clock = systemClock } = opts;
 
   return async function timeoutWrapped(...args) {
+    if (signal?.aborted) throw abortError(signal, 'withTimeout');
+
     let timer;
+    let onAbort;
+    const call = signal ? new AbortController() : null;
+    const link = linkSignals([signal, call?.signal]);
 
     const timeoutPromise = new Promise((_, reject) => {
-      timer = setTimeout(() => {
+      onAbort = () => reject(abortError(signal, 'withTimeout'));
+      signal?.addEventListener('abort', onAbort, { once: true });
+      timer = clock.setTimeout(() => {
         // Optionally signal the inner fn to cancel
         if (controller) {
           try { controller.abort(); } catch { /* ignore */ }
@@ -35,17 +50,17 @@ export function withTimeout(fn, ms, opts = {}) {
         const err = new Error(message ?? `Timed out after ${ms}ms`);
         err.name = 'TimeoutError';
         err.timeout = ms;
+        call?.abort(err);
         reject(err);
       }, ms);
     });
 
     try {
-      const result = await Promise.race([fn.apply(this, args), timeoutPromise]);
-      clearTimeout(timer);
-      return result;
-    } catch (err) {
-      clearTimeout(timer);
-      throw err;
+      return await Promise.race([fn.apply(this, call ? [...args, link.signal] : args), timeoutPromise]);
+    } finally {
+      clock.clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      link.dispose();
     }
   };
 }
@@ -56,19 +71,30 @@ export function withTimeout(fn, ms, opts = {}) {
  *
  * @param {Promise<any>} promise - The promise to race.
  * @param {number} ms - Timeout in milliseconds.
- * @param {string} [message] - Custom error message.
+ * @param {string | { message?: string, signal?: AbortSignal, clock?: import('./clock.js').Clock }} [opts] - Custom
+ *   error message, or options: `message`, `signal` to reject with an AbortError instead of waiting,
+ *   and `clock` (default `systemClock`).
  * @returns {Promise<any>}
  */
-export function raceTimeout(promise, ms, message) {
-  if (ms <= 0) return promise;
+export function raceTimeout(promise, ms, opts = {}) {
+  const { message, signal = null, clock = systemClock } = typeof opts === 'string' ? { message: opts } : (opts ?? {});
+  if (signal?.aborted) return Promise.reject(abortError(signal, 'raceTimeout'));
+  if (ms <= 0 && !signal) return promise;
   let timer;
+  let onAbort;
   const timeout = new Promise((_, reject) => {
-    timer = setTimeout(() => {
+    onAbort = () => reject(abortError(signal, 'raceTimeout'));
+    signal?.addEventListener('abort', onAbort, { once: true });
+    if (ms <= 0) return;
+    timer = clock.setTimeout(() => {
       const err = new Error(message ?? `Timed out after ${ms}ms`);
       err.name = 'TimeoutError';
       err.timeout = ms;
       reject(err);
     }, ms);
   });
-  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  return Promise.race([promise, timeout]).finally(() => {
+    clock.clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
 }
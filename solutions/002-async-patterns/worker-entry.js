@@ -0,0 +1,28 @@
+/**
+ * worker-entry.js — Worker thread side of `workerPool`
+ *
+ * Loads the task module named in `workerData.module`, then answers each
+ * `{ id, name, task }` message with `{ id, ok, value | error }`. Not meant
+ * to be imported directly.
+ *
+ * @module worker-entry
+ */
+
+import { parentPort, workerData } from 'node:worker_threads';
+
+import { serializeError, Transfer } from './worker-pool.js';
+
+// A failed import is an uncaught error: the worker exits and the pool rejects the task.
+const tasks = await import(workerData.module);
+
+parentPort.on('message', async ({ id, name, task }) => {
+  try {
+    const fn = tasks[name];
+    if (typeof fn !== 'function') throw new TypeError(`workerPool: module has no function export "${name}"`);
+    const result = await fn(task);
+    if (result instanceof Transfer) parentPort.postMessage({ id, ok: true, value: result.value }, result.transferList);
+    else parentPort.postMessage({ id, ok: true, value: result });
+  } catch (err) {
+    parentPort.postMessage({ id, ok: false, error: serializeError(err) });
+  }
+});
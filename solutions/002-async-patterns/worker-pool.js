@@ -0,0 +1,322 @@
+/**
+ * worker-pool.js — Run CPU-bound tasks on a pool of worker threads
+ *
+ * `pool()` interleaves promises on the main thread, which does nothing for
+ * work that keeps the CPU busy. `workerPool()` instead loads a module in up to
+ * `size` worker threads and runs its exported functions there:
+ *
+ *   // tasks.js
+ *   export default function analyze(source) { ... }
+ *   export function checksum(buffer) { ... }
+ *
+ *   const workers = workerPool({ module: new URL('./tasks.js', import.meta.url) });
+ *   const report = await workers.run(source);
+ *   const sum = await workers.run(buffer, { name: 'checksum', transfer: [buffer] });
+ *   await workers.terminate();
+ *
+ * Tasks and results cross the thread boundary by structured clone. A task
+ * function can hand back an ArrayBuffer without copying by returning
+ * `transfer(value, [buffer])`.
+ *
+ * @module worker-pool
+ */
+
+import { availableParallelism } from 'node:os';
+import { isAbsolute, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { Worker } from 'node:worker_threads';
+
+import { abortError } from './abort.js';
+import { systemClock } from './clock.js';
+import { raceTimeout } from './timeout.js';
+
+/** A task result to post with a transfer list (see `transfer`). */
+export class Transfer {
+  /**
+   * @param {any} value
+   * @param {Array<ArrayBuffer | import('node:worker_threads').MessagePort>} transferList
+   */
+  constructor(value, transferList) {
+    this.value = value;
+    this.transferList = transferList;
+  }
+}
+
+/**
+ * Wrap a task function's result so the listed buffers are moved to the main
+ * thread instead of copied. Only meaningful inside a worker.
+ *
+ * @param {any} value - The result.
+ * @param {Array<ArrayBuffer | import('node:worker_threads').MessagePort>} transferList
+ * @returns {Transfer}
+ */
+export function transfer(value, transferList) {
+  if (!Array.isArray(transferList)) throw new TypeError('transfer: transferList must be an array');
+  return new Transfer(value, transferList);
+}
+
+/**
+ * Errors cross threads as plain objects: name, message, stack and any
+ * primitive own properties (such as `code`).
+ *
+ * @param {any} err
+ * @returns {object}
+ */
+export function serializeError(err) {
+  if (!(err instanceof Error)) return { name: 'Error', message: String(err) };
+  const out = { name: err.name, message: err.message, stack: err.stack };
+  for (const [key, value] of Object.entries(err)) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) out[key] = value;
+  }
+  return out;
+}
+
+function deserializeError({ name, message, stack, ...rest }) {
+  const err = new Error(message);
+  err.name = name;
+  if (stack !== undefined) err.stack = stack;
+  return Object.assign(err, rest);
+}
+
+function toModuleUrl(module) {
+  if (module instanceof URL) return module.href;
+  if (typeof module !== 'string' || module === '') {
+    throw new TypeError('workerPool: module must be a path or URL');
+  }
+  if (/^(file|data):/.test(module)) return module;
+  return pathToFileURL(isAbsolute(module) ? module : resolve(module)).href;
+}
+
+/**
+ * Create a pool of worker threads running the functions exported by `module`.
+ *
+ * - Workers start lazily, one per task that finds no idle worker, up to `size`.
+ *   Idle workers are unref'd, so an idle pool does not keep the process alive.
+ * - Timeouts behave like `withTimeout`: measured from submission, rejecting
+ *   with a `TimeoutError` (`timeout` = ms). A thread cannot be interrupted, so
+ *   the worker running a timed-out or aborted task is terminated and replaced.
+ * - A worker that crashes (uncaught exception, `process.exit`, failed module
+ *   load) rejects the task it was running and is replaced on demand.
+ *
+ * @param {object} opts - Options.
+ * @param {string | URL} opts.module - Module to load in each worker (path, `file:` or `data:` URL).
+ * @param {number} [opts.size=os.availableParallelism()] - Maximum number of worker threads.
+ * @param {number} [opts.timeout=0] - Default per-task timeout in ms (0 = none).
+ * @param {import('node:worker_threads').WorkerOptions} [opts.workerOptions] - Passed to `new Worker`
+ *   (e.g. `resourceLimits`, `env`); `workerData` is reserved.
+ * @param {AbortSignal} [opts.signal] - Aborting terminates the pool at once (`terminate({ force: true })`),
+ *   rejecting unfinished tasks with an AbortError.
+ * @param {import('./clock.js').Clock} [opts.clock=systemClock] - Time source for task timeouts.
+ * @returns {WorkerPool}
+ *
+ * @typedef {Object} WorkerPool
+ * @property {(task?: any, opts?: RunOptions) => Promise<any>} run - Run `task` through an exported
+ *   function and resolve with its (awaited) result; rejects with the function's error.
+ * @property {(opts?: { force?: boolean }) => Promise<void>} terminate - Stop accepting tasks and shut
+ *   the workers down once queued and running tasks have finished. With `force`, unfinished tasks are
+ *   rejected with a CancelError instead. Resolves when every worker has exited.
+ * @property {number} size - Tasks waiting for a worker.
+ * @property {number} pending - Tasks currently running.
+ * @property {number} threads - Live worker threads, including retired ones that are still exiting.
+ *
+ * @typedef {Object} RunOptions
+ * @property {string} [name='default'] - Which export to call.
+ * @property {Array<ArrayBuffer | import('node:worker_threads').MessagePort>} [transfer] - Objects in
+ *   `task` to move to the worker instead of copying.
+ * @property {number} [timeout] - Per-task timeout in ms, overriding the pool's (0 = none).
+ * @property {AbortSignal} [signal] - Abort this task: dropped if still queued, its worker terminated if running.
+ */
+export function workerPool(opts = {}) {
+  const {
+    module,
+    size = availableParallelism(),
+    timeout = 0,
+    workerOptions = {},
+    signal = null,
+    clock = systemClock,
+  } = opts;
+
+  const moduleUrl = toModuleUrl(module);
+  if (!Number.isInteger(size) || size < 1) throw new RangeError('workerPool: size must be a positive integer');
+  if (!(timeout >= 0)) throw new RangeError('workerPool: timeout must be >= 0');
+
+  const entry = new URL('./worker-entry.js', import.meta.url);
+
+  /** Tasks waiting for a worker, oldest first. */
+  const queue = [];
+  /** @type {Set<{ worker: Worker, job: object | null, error: Error | null }>} Live workers. */
+  const slots = new Set();
+  /** @type {Set<Promise<void>>} Retired workers that have not exited yet. */
+  const exiting = new Set();
+
+  let nextId = 0;
+  /** @type {Promise<void> | null} */
+  let terminating = null;
+  let idleResolvers = [];
+
+  function spawn() {
+    const worker = new Worker(entry, { ...workerOptions, workerData: { module: moduleUrl } });
+    const slot = { worker, job: null, error: null };
+    slots.add(slot);
+
+    worker.on('message', (msg) => {
+      const job = slot.job;
+      if (job === null || msg.id !== job.id) return;
+      slot.job = null;
+      worker.unref();
+      if (msg.ok) job.resolve(msg.value);
+      else job.reject(deserializeError(msg.error));
+      dispatch();
+    });
+
+    worker.on('error', (err) => {
+      slot.error = err;
+    });
+
+    worker.on('exit', (code) => {
+      slots.delete(slot);
+      const job = slot.job;
+      slot.job = null;
+      if (job !== null) {
+        if (slot.error !== null) job.reject(slot.error);
+        else {
+          const err = new Error(`workerPool: worker exited with code ${code}`);
+          err.name = 'WorkerExitError';
+          err.code = code;
+          job.reject(err);
+        }
+      }
+      dispatch();
+    });
+
+    return slot;
+  }
+
+  /** Take a worker away from the pool and stop it (it cannot be interrupted otherwise). */
+  function retire(slot) {
+    slots.delete(slot);
+    slot.job = null;
+    const exited = slot.worker.terminate().then(() => {
+      exiting.delete(exited);
+    });
+    exiting.add(exited);
+  }
+
+  /** Hand queued tasks to idle workers, starting new ones as needed. */
+  function dispatch() {
+    while (queue.length > 0) {
+      let slot = null;
+      for (const candidate of slots) {
+        if (candidate.job === null) {
+          slot = candidate;
+          break;
+        }
+      }
+      if (slot === null) {
+        if (slots.size >= size) break;
+        slot = spawn();
+      }
+
+      const job = queue.shift();
+      slot.job = job;
+      job.slot = slot;
+      slot.worker.ref();
+      try {
+        slot.worker.postMessage({ id: job.id, name: job.name, task: job.task }, job.transfer);
+      } catch (err) {
+        // The task could not be cloned; the worker never saw it.
+        slot.job = null;
+        slot.worker.unref();
+        job.reject(err);
+      }
+    }
+    checkIdle();
+  }
+
+  function checkIdle() {
+    if (queue.length > 0) return;
+    for (const slot of slots) if (slot.job !== null) return;
+    for (const resolve of idleResolvers) resolve();
+    idleResolvers = [];
+  }
+
+  /** Drop a job that timed out or was aborted, wherever it is. */
+  function cancel(job) {
+    const index = queue.indexOf(job);
+    if (index !== -1) queue.splice(index, 1);
+    else if (job.slot?.job === job) retire(job.slot);
+    dispatch();
+  }
+
+  function run(task, runOpts = {}) {
+    const { name = 'default', transfer: transferList = [], timeout: ms = timeout, signal: taskSignal = null } = runOpts;
+
+    if (terminating !== null) return Promise.reject(new Error('workerPool: pool is terminated'));
+    if (taskSignal?.aborted) return Promise.reject(abortError(taskSignal, 'workerPool'));
+    if (!(ms >= 0)) return Promise.reject(new RangeError('workerPool.run: timeout must be >= 0'));
+
+    const job = { id: nextId++, name, task, transfer: transferList, slot: null, resolve: null, reject: null };
+    const result = new Promise((res, rej) => {
+      job.resolve = res;
+      job.reject = rej;
+    });
+    queue.push(job);
+    dispatch();
+
+    if (ms === 0 && !taskSignal) return result;
+    return raceTimeout(result, ms, { signal: taskSignal, clock }).catch((err) => {
+      if (err?.name === 'AbortError') err = abortError(taskSignal, 'workerPool');
+      if (err?.name === 'TimeoutError' || err?.name === 'AbortError') cancel(job);
+      throw err;
+    });
+  }
+
+  function terminate(termOpts = {}) {
+    const { force = false } = termOpts;
+    if (force) abandon(() => {
+      const err = new Error('workerPool: terminated');
+      err.name = 'CancelError';
+      return err;
+    });
+    terminating ??= new Promise((resolve) => {
+      idleResolvers.push(resolve);
+      checkIdle();
+    }).then(() => Promise.all([...[...slots].map(({ worker }) => worker.terminate()), ...exiting])).then(() => {});
+    return terminating;
+  }
+
+  /** Reject every unfinished task with `makeError()` and stop their workers. */
+  function abandon(makeError) {
+    for (const job of queue.splice(0)) job.reject(makeError());
+    for (const slot of [...slots]) {
+      if (slot.job === null) continue;
+      const job = slot.job;
+      retire(slot);
+      job.reject(makeError());
+    }
+    checkIdle();
+  }
+
+  const onAbort = () => {
+    abandon(() => abortError(signal, 'workerPool'));
+    terminate();
+  };
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+
+  return {
+    run,
+    terminate,
+    get size() {
+      return queue.length;
+    },
+    get pending() {
+      let running = 0;
+      for (const slot of slots) if (slot.job !== null) running++;
+      return running;
+    },
+    get threads() {
+      return slots.size + exiting.size;
+    },
+  };
+}